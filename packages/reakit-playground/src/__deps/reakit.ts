@@ -2,6 +2,11 @@
 // Automatically generated
 export default {
   "reakit": require("reakit"),
+  "reakit/Accordion": require("reakit/Accordion"),
+  "reakit/Accordion/Accordion": require("reakit/Accordion/Accordion"),
+  "reakit/Accordion/AccordionButton": require("reakit/Accordion/AccordionButton"),
+  "reakit/Accordion/AccordionPanel": require("reakit/Accordion/AccordionPanel"),
+  "reakit/Accordion/AccordionState": require("reakit/Accordion/AccordionState"),
   "reakit/Box": require("reakit/Box"),
   "reakit/Box/Box": require("reakit/Box/Box"),
   "reakit/Button": require("reakit/Button"),
@@ -13,6 +18,7 @@ export default {
   "reakit/Clickable/Clickable": require("reakit/Clickable/Clickable"),
   "reakit/Combobox": require("reakit/Combobox"),
   "reakit/Combobox/Combobox": require("reakit/Combobox/Combobox"),
+  "reakit/Combobox/ComboboxChip": require("reakit/Combobox/ComboboxChip"),
   "reakit/Combobox/ComboboxGridCell": require("reakit/Combobox/ComboboxGridCell"),
   "reakit/Combobox/ComboboxGridRow": require("reakit/Combobox/ComboboxGridRow"),
   "reakit/Combobox/ComboboxGridState": require("reakit/Combobox/ComboboxGridState"),
@@ -23,6 +29,8 @@ export default {
   "reakit/Combobox/ComboboxOption": require("reakit/Combobox/ComboboxOption"),
   "reakit/Combobox/ComboboxPopover": require("reakit/Combobox/ComboboxPopover"),
   "reakit/Combobox/ComboboxState": require("reakit/Combobox/ComboboxState"),
+  "reakit/Combobox/utils": require("reakit/Combobox/utils"),
+  "reakit/Combobox/utils/filters": require("reakit/Combobox/utils/filters"),
   "reakit/Composite": require("reakit/Composite"),
   "reakit/Composite/Composite": require("reakit/Composite/Composite"),
   "reakit/Composite/CompositeGroup": require("reakit/Composite/CompositeGroup"),
@@ -38,30 +46,46 @@ export default {
   "reakit/Disclosure/Disclosure": require("reakit/Disclosure/Disclosure"),
   "reakit/Disclosure/DisclosureContent": require("reakit/Disclosure/DisclosureContent"),
   "reakit/Disclosure/DisclosureState": require("reakit/Disclosure/DisclosureState"),
+  "reakit/Drawer": require("reakit/Drawer"),
+  "reakit/Drawer/Drawer": require("reakit/Drawer/Drawer"),
+  "reakit/Drawer/DrawerState": require("reakit/Drawer/DrawerState"),
   "reakit/Form": require("reakit/Form"),
   "reakit/Form/Form": require("reakit/Form/Form"),
   "reakit/Form/FormCheckbox": require("reakit/Form/FormCheckbox"),
   "reakit/Form/FormGroup": require("reakit/Form/FormGroup"),
   "reakit/Form/FormInput": require("reakit/Form/FormInput"),
+  "reakit/Form/FormInsertButton": require("reakit/Form/FormInsertButton"),
   "reakit/Form/FormLabel": require("reakit/Form/FormLabel"),
   "reakit/Form/FormMessage": require("reakit/Form/FormMessage"),
+  "reakit/Form/FormMoveButton": require("reakit/Form/FormMoveButton"),
   "reakit/Form/FormPushButton": require("reakit/Form/FormPushButton"),
   "reakit/Form/FormRadio": require("reakit/Form/FormRadio"),
   "reakit/Form/FormRadioGroup": require("reakit/Form/FormRadioGroup"),
   "reakit/Form/FormRemoveButton": require("reakit/Form/FormRemoveButton"),
+  "reakit/Form/FormReplaceButton": require("reakit/Form/FormReplaceButton"),
+  "reakit/Form/FormSlider": require("reakit/Form/FormSlider"),
+  "reakit/Form/FormSliderThumb": require("reakit/Form/FormSliderThumb"),
   "reakit/Form/FormState": require("reakit/Form/FormState"),
   "reakit/Form/FormSubmitButton": require("reakit/Form/FormSubmitButton"),
+  "reakit/Form/FormSwapButton": require("reakit/Form/FormSwapButton"),
   "reakit/Form/utils": require("reakit/Form/utils"),
   "reakit/Form/utils/getIn": require("reakit/Form/utils/getIn"),
   "reakit/Form/utils/setAllIn": require("reakit/Form/utils/setAllIn"),
   "reakit/Form/utils/setIn": require("reakit/Form/utils/setIn"),
+  "reakit/Form/utils/validateSchema": require("reakit/Form/utils/validateSchema"),
   "reakit/Grid": require("reakit/Grid"),
   "reakit/Grid/Grid": require("reakit/Grid/Grid"),
   "reakit/Grid/GridCell": require("reakit/Grid/GridCell"),
+  "reakit/Grid/GridColumnHeader": require("reakit/Grid/GridColumnHeader"),
   "reakit/Grid/GridRow": require("reakit/Grid/GridRow"),
   "reakit/Grid/GridState": require("reakit/Grid/GridState"),
   "reakit/Group": require("reakit/Group"),
   "reakit/Group/Group": require("reakit/Group/Group"),
+  "reakit/HoverCard": require("reakit/HoverCard"),
+  "reakit/HoverCard/HoverCard": require("reakit/HoverCard/HoverCard"),
+  "reakit/HoverCard/HoverCardArrow": require("reakit/HoverCard/HoverCardArrow"),
+  "reakit/HoverCard/HoverCardDisclosure": require("reakit/HoverCard/HoverCardDisclosure"),
+  "reakit/HoverCard/HoverCardState": require("reakit/HoverCard/HoverCardState"),
   "reakit/Id": require("reakit/Id"),
   "reakit/Id/Id": require("reakit/Id/Id"),
   "reakit/Id/IdProvider": require("reakit/Id/IdProvider"),
@@ -69,6 +93,7 @@ export default {
   "reakit/Input": require("reakit/Input"),
   "reakit/Input/Input": require("reakit/Input/Input"),
   "reakit/Menu": require("reakit/Menu"),
+  "reakit/Menu/ContextMenu": require("reakit/Menu/ContextMenu"),
   "reakit/Menu/Menu": require("reakit/Menu/Menu"),
   "reakit/Menu/MenuArrow": require("reakit/Menu/MenuArrow"),
   "reakit/Menu/MenuBar": require("reakit/Menu/MenuBar"),
@@ -99,8 +124,20 @@ export default {
   "reakit/Rover": require("reakit/Rover"),
   "reakit/Rover/Rover": require("reakit/Rover/Rover"),
   "reakit/Rover/RoverState": require("reakit/Rover/RoverState"),
+  "reakit/Select": require("reakit/Select"),
+  "reakit/Select/Listbox": require("reakit/Select/Listbox"),
+  "reakit/Select/ListboxState": require("reakit/Select/ListboxState"),
+  "reakit/Select/Select": require("reakit/Select/Select"),
+  "reakit/Select/SelectOption": require("reakit/Select/SelectOption"),
+  "reakit/Select/SelectPopover": require("reakit/Select/SelectPopover"),
+  "reakit/Select/SelectState": require("reakit/Select/SelectState"),
   "reakit/Separator": require("reakit/Separator"),
   "reakit/Separator/Separator": require("reakit/Separator/Separator"),
+  "reakit/Slider": require("reakit/Slider"),
+  "reakit/Slider/Slider": require("reakit/Slider/Slider"),
+  "reakit/Slider/SliderState": require("reakit/Slider/SliderState"),
+  "reakit/Slider/SliderThumb": require("reakit/Slider/SliderThumb"),
+  "reakit/Slider/SliderTrack": require("reakit/Slider/SliderTrack"),
   "reakit/Tab": require("reakit/Tab"),
   "reakit/Tab/Tab": require("reakit/Tab/Tab"),
   "reakit/Tab/TabList": require("reakit/Tab/TabList"),
@@ -108,6 +145,10 @@ export default {
   "reakit/Tab/TabState": require("reakit/Tab/TabState"),
   "reakit/Tabbable": require("reakit/Tabbable"),
   "reakit/Tabbable/Tabbable": require("reakit/Tabbable/Tabbable"),
+  "reakit/Toast": require("reakit/Toast"),
+  "reakit/Toast/Toast": require("reakit/Toast/Toast"),
+  "reakit/Toast/ToastRegion": require("reakit/Toast/ToastRegion"),
+  "reakit/Toast/ToastState": require("reakit/Toast/ToastState"),
   "reakit/Toolbar": require("reakit/Toolbar"),
   "reakit/Toolbar/Toolbar": require("reakit/Toolbar/Toolbar"),
   "reakit/Toolbar/ToolbarItem": require("reakit/Toolbar/ToolbarItem"),
@@ -118,6 +159,11 @@ export default {
   "reakit/Tooltip/TooltipArrow": require("reakit/Tooltip/TooltipArrow"),
   "reakit/Tooltip/TooltipReference": require("reakit/Tooltip/TooltipReference"),
   "reakit/Tooltip/TooltipState": require("reakit/Tooltip/TooltipState"),
+  "reakit/Tree": require("reakit/Tree"),
+  "reakit/Tree/Tree": require("reakit/Tree/Tree"),
+  "reakit/Tree/TreeGroup": require("reakit/Tree/TreeGroup"),
+  "reakit/Tree/TreeItem": require("reakit/Tree/TreeItem"),
+  "reakit/Tree/TreeState": require("reakit/Tree/TreeState"),
   "reakit/VisuallyHidden": require("reakit/VisuallyHidden"),
   "reakit/VisuallyHidden/VisuallyHidden": require("reakit/VisuallyHidden/VisuallyHidden")
 };
@@ -0,0 +1,29 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import {
+  CompositeOptions,
+  CompositeHTMLProps,
+  useComposite,
+} from "../Composite/Composite";
+import { ACCORDION_KEYS } from "./__keys";
+
+export type unstable_AccordionOptions = CompositeOptions;
+
+export type unstable_AccordionHTMLProps = CompositeHTMLProps;
+
+export type unstable_AccordionProps = unstable_AccordionOptions &
+  unstable_AccordionHTMLProps;
+
+export const unstable_useAccordion = createHook<
+  unstable_AccordionOptions,
+  unstable_AccordionHTMLProps
+>({
+  name: "Accordion",
+  compose: useComposite,
+  keys: ACCORDION_KEYS,
+});
+
+export const unstable_Accordion = createComponent({
+  as: "div",
+  useHook: unstable_useAccordion,
+});
@@ -0,0 +1,91 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import {
+  CompositeItemOptions,
+  CompositeItemHTMLProps,
+  useCompositeItem,
+} from "../Composite/CompositeItem";
+import { unstable_AccordionStateReturn } from "./AccordionState";
+import { ACCORDION_BUTTON_KEYS } from "./__keys";
+
+export type unstable_AccordionButtonOptions = CompositeItemOptions &
+  Pick<
+    unstable_AccordionStateReturn,
+    "panels" | "expandedIds" | "allowAllCollapsed" | "toggle"
+  >;
+
+export type unstable_AccordionButtonHTMLProps = CompositeItemHTMLProps;
+
+export type unstable_AccordionButtonProps = unstable_AccordionButtonOptions &
+  unstable_AccordionButtonHTMLProps;
+
+function useAccordionPanelId(options: unstable_AccordionButtonOptions) {
+  return React.useMemo(
+    () =>
+      options.panels?.find((panel) => panel.groupId === options.id)?.id ||
+      undefined,
+    [options.panels, options.id]
+  );
+}
+
+export const unstable_useAccordionButton = createHook<
+  unstable_AccordionButtonOptions,
+  unstable_AccordionButtonHTMLProps
+>({
+  name: "AccordionButton",
+  compose: useCompositeItem,
+  keys: ACCORDION_BUTTON_KEYS,
+
+  useOptions({ focusable = true, ...options }) {
+    return { focusable, ...options };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const expanded =
+      !!options.id && options.expandedIds.indexOf(options.id) !== -1;
+    // The only expanded panel can't be collapsed
+    const locked =
+      expanded &&
+      !options.allowAllCollapsed &&
+      options.expandedIds.length === 1;
+    const panelId = useAccordionPanelId(options);
+    const onClickRef = useLiveRef(htmlOnClick);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (options.disabled) return;
+        if (!options.id) return;
+        options.toggle?.(options.id);
+      },
+      [options.disabled, options.toggle, options.id]
+    );
+
+    return {
+      "aria-expanded": expanded,
+      "aria-controls": panelId,
+      ...(locked ? { "aria-disabled": true } : {}),
+      onClick,
+      ...htmlProps,
+    };
+  },
+
+  useComposeProps(options, htmlProps) {
+    const compositeHTMLProps = useCompositeItem(options, htmlProps, true);
+    if (options.disabled && !options.focusable) {
+      return compositeHTMLProps;
+    }
+    // Unlike other composite widgets, all the accordion buttons are included
+    // in the tab sequence
+    return { ...compositeHTMLProps, tabIndex: htmlProps.tabIndex ?? 0 };
+  },
+});
+
+export const unstable_AccordionButton = createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useAccordionButton,
+});
@@ -0,0 +1,135 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
+import {
+  DisclosureContentOptions,
+  DisclosureContentHTMLProps,
+  useDisclosureContent,
+} from "../Disclosure/DisclosureContent";
+import {
+  unstable_useId,
+  unstable_IdOptions,
+  unstable_IdHTMLProps,
+} from "../Id/Id";
+import { unstable_AccordionStateReturn } from "./AccordionState";
+import { ACCORDION_PANEL_KEYS } from "./__keys";
+
+export type unstable_AccordionPanelOptions = Omit<
+  DisclosureContentOptions,
+  "visible" | "animating" | "stopAnimation"
+> &
+  unstable_IdOptions &
+  Pick<
+    unstable_AccordionStateReturn,
+    | "expandedIds"
+    | "animatingIds"
+    | "stopAnimation"
+    | "registerPanel"
+    | "unregisterPanel"
+    | "panels"
+    | "items"
+  > & {
+    /**
+     * AccordionButton's id
+     */
+    buttonId?: string;
+  };
+
+export type unstable_AccordionPanelHTMLProps = DisclosureContentHTMLProps &
+  unstable_IdHTMLProps;
+
+export type unstable_AccordionPanelProps = unstable_AccordionPanelOptions &
+  unstable_AccordionPanelHTMLProps;
+
+function getButtonsWithoutPanel(
+  buttons: unstable_AccordionPanelOptions["items"],
+  panels: unstable_AccordionPanelOptions["panels"]
+) {
+  const panelsButtonIds = panels.map((panel) => panel.groupId).filter(Boolean);
+  return buttons.filter(
+    (item) => panelsButtonIds.indexOf(item.id || undefined) === -1
+  );
+}
+
+function getPanelIndex(
+  panels: unstable_AccordionPanelOptions["panels"],
+  panel: typeof panels[number]
+) {
+  const panelsWithoutButtonId = panels.filter((p) => !p.groupId);
+  return panelsWithoutButtonId.indexOf(panel);
+}
+
+/**
+ * When <AccordionPanel> is used without buttonId, it's matched with the
+ * accordion button that has the same index among the buttons and panels that
+ * aren't matched yet. This works the same way as <TabPanel> without tabId.
+ */
+function getButtonId(options: unstable_AccordionPanelOptions) {
+  const panel = options.panels?.find((p) => p.id === options.id);
+  const buttonId = options.buttonId || panel?.groupId;
+  if (buttonId || !panel || !options.panels || !options.items) {
+    return buttonId;
+  }
+  const panelIndex = getPanelIndex(options.panels, panel);
+  const buttonsWithoutPanel = getButtonsWithoutPanel(
+    options.items,
+    options.panels
+  );
+  return buttonsWithoutPanel[panelIndex]?.id || undefined;
+}
+
+export const unstable_useAccordionPanel = createHook<
+  unstable_AccordionPanelOptions,
+  unstable_AccordionPanelHTMLProps
+>({
+  name: "AccordionPanel",
+  compose: [unstable_useId, useDisclosureContent],
+  keys: ACCORDION_PANEL_KEYS,
+
+  useProps(options, { ref: htmlRef, ...htmlProps }) {
+    const ref = React.useRef<HTMLElement>(null);
+    const buttonId = getButtonId(options);
+    const { id, registerPanel, unregisterPanel } = options;
+
+    React.useEffect(() => {
+      if (!id) return undefined;
+      registerPanel?.({ id, ref, groupId: buttonId });
+      return () => {
+        unregisterPanel?.(id);
+      };
+    }, [buttonId, id, registerPanel, unregisterPanel]);
+
+    return {
+      ref: useForkRef(ref, htmlRef),
+      role: "region",
+      "aria-labelledby": buttonId,
+      ...htmlProps,
+    };
+  },
+
+  useComposeOptions(options) {
+    const buttonId = getButtonId(options);
+    const { stopAnimation } = options;
+
+    const stopPanelAnimation = React.useCallback(() => {
+      if (buttonId) {
+        stopAnimation(buttonId);
+      }
+    }, [stopAnimation, buttonId]);
+
+    return {
+      ...options,
+      visible: buttonId ? options.expandedIds.indexOf(buttonId) !== -1 : false,
+      animating: buttonId
+        ? options.animatingIds.indexOf(buttonId) !== -1
+        : false,
+      stopAnimation: stopPanelAnimation,
+    };
+  },
+});
+
+export const unstable_AccordionPanel = createComponent({
+  as: "div",
+  useHook: unstable_useAccordionPanel,
+});
@@ -0,0 +1,227 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import {
+  useCompositeState,
+  CompositeState,
+  CompositeActions,
+  CompositeInitialState,
+} from "../Composite/CompositeState";
+import { DisclosureState } from "../Disclosure/DisclosureState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
+import { useAnimatingIds } from "../__utils/useAnimatingIds";
+
+export type unstable_AccordionState = CompositeState & {
+  /**
+   * The `id`s of the expanded accordion buttons.
+   */
+  expandedIds: string[];
+  /**
+   * Whether more than one panel can be expanded at the same time.
+   * @default false
+   */
+  allowMultiple: boolean;
+  /**
+   * Whether the expanded panel can be collapsed so that all the panels are
+   * collapsed. If it's `false`, the first panel is expanded when none is.
+   * @default true
+   */
+  allowAllCollapsed: boolean;
+  /**
+   * Lists all the panels.
+   */
+  panels: unstable_AccordionState["items"];
+  /**
+   * If `true`, the `id`s of the toggled buttons will be added to
+   * `animatingIds` when `expandedIds` is updated. They'll wait for
+   * `stopAnimation` to be called or a CSS transition on their panels to end.
+   * If `animated` is set to a `number`, `stopAnimation` will be called only
+   * after the same number of milliseconds have passed.
+   */
+  animated: DisclosureState["animated"];
+  /**
+   * The `id`s of the accordion buttons whose panels are animating.
+   */
+  animatingIds: string[];
+};
+
+export type unstable_AccordionActions = CompositeActions & {
+  /**
+   * Expands the panel of the accordion button with the given `id`. Other
+   * panels are collapsed unless `allowMultiple` is `true`.
+   */
+  expand: (id: string) => void;
+  /**
+   * Collapses the panel of the accordion button with the given `id`, unless
+   * it's the last expanded panel and `allowAllCollapsed` is `false`.
+   */
+  collapse: (id: string) => void;
+  /**
+   * Toggles the panel of the accordion button with the given `id`.
+   */
+  toggle: (id: string) => void;
+  /**
+   * Sets `expandedIds`.
+   */
+  setExpandedIds: React.Dispatch<
+    React.SetStateAction<unstable_AccordionState["expandedIds"]>
+  >;
+  /**
+   * Sets `animated`.
+   */
+  setAnimated: React.Dispatch<
+    React.SetStateAction<unstable_AccordionState["animated"]>
+  >;
+  /**
+   * Stops the animation of the panel of the accordion button with the given
+   * `id`. It's called automatically if there's a CSS transition.
+   */
+  stopAnimation: (id: string) => void;
+  /**
+   * Registers an accordion panel.
+   */
+  registerPanel: unstable_AccordionActions["registerItem"];
+  /**
+   * Unregisters an accordion panel.
+   */
+  unregisterPanel: unstable_AccordionActions["unregisterItem"];
+};
+
+export type unstable_AccordionInitialState = CompositeInitialState &
+  Partial<
+    Pick<
+      unstable_AccordionState,
+      "expandedIds" | "allowMultiple" | "allowAllCollapsed" | "animated"
+    >
+  > & {
+    /**
+     * Makes `expandedIds` controlled. When passed, `expandedIds` is read on
+     * every render instead of only on the first one, and this function is
+     * called with the next value whenever a panel is expanded or collapsed.
+     * @example
+     * const [expandedIds, setExpandedIds] = React.useState(["button-1"]);
+     * const accordion = useAccordionState({ expandedIds, setExpandedIds });
+     */
+    setExpandedIds?: (
+      expandedIds: unstable_AccordionState["expandedIds"]
+    ) => void;
+  };
+
+export type unstable_AccordionStateReturn = unstable_AccordionState &
+  unstable_AccordionActions;
+
+function getToggledIds(prevIds: string[], nextIds: string[]) {
+  return [
+    ...prevIds.filter((id) => nextIds.indexOf(id) === -1),
+    ...nextIds.filter((id) => prevIds.indexOf(id) === -1),
+  ];
+}
+
+export function unstable_useAccordionState(
+  initialState: SealedInitialState<unstable_AccordionInitialState> = {}
+): unstable_AccordionStateReturn {
+  const sealedState = useSealedState(initialState);
+  const {
+    expandedIds: initialExpandedIds = [],
+    allowMultiple = false,
+    allowAllCollapsed = true,
+    animated: initialAnimated = false,
+    orientation = "vertical",
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  const composite = useCompositeState({
+    orientation,
+    ...sealed,
+    ...(controlled.setCurrentId && {
+      currentId: controlled.currentId,
+      setCurrentId: controlled.setCurrentId,
+    }),
+  });
+  const panels = useCompositeState();
+  const [expandedIds, setExpandedIds] = useControlledState(
+    initialExpandedIds,
+    controlled.expandedIds ?? initialExpandedIds,
+    controlled.setExpandedIds,
+    "expandedIds"
+  );
+  const [animated, setAnimated] = React.useState(initialAnimated);
+  const [animatingIds, setAnimatingIds] = useAnimatingIds(
+    animated,
+    expandedIds,
+    getToggledIds
+  );
+
+  // If all panels must not be collapsed, expands the first one
+  React.useEffect(() => {
+    if (allowAllCollapsed || expandedIds.length) return;
+    const firstItem = composite.items.find((item) => !item.disabled);
+    if (firstItem?.id) {
+      setExpandedIds([firstItem.id]);
+    }
+  }, [allowAllCollapsed, expandedIds, composite.items]);
+
+  const expand = React.useCallback(
+    (id: string) => {
+      setExpandedIds((prevIds) => {
+        if (prevIds.indexOf(id) !== -1) return prevIds;
+        return allowMultiple ? [...prevIds, id] : [id];
+      });
+    },
+    [allowMultiple]
+  );
+
+  const collapse = React.useCallback(
+    (id: string) => {
+      setExpandedIds((prevIds) => {
+        if (prevIds.indexOf(id) === -1) return prevIds;
+        if (!allowAllCollapsed && prevIds.length === 1) return prevIds;
+        return prevIds.filter((prevId) => prevId !== id);
+      });
+    },
+    [allowAllCollapsed]
+  );
+
+  const toggle = React.useCallback(
+    (id: string) => {
+      if (expandedIds.indexOf(id) !== -1) {
+        collapse(id);
+      } else {
+        expand(id);
+      }
+    },
+    [expandedIds, collapse, expand]
+  );
+
+  const stopAnimation = React.useCallback((id: string) => {
+    setAnimatingIds((prevIds) => prevIds.filter((prevId) => prevId !== id));
+  }, []);
+
+  return {
+    ...composite,
+    expandedIds,
+    allowMultiple,
+    allowAllCollapsed,
+    panels: panels.items,
+    animated,
+    animatingIds,
+    expand,
+    collapse,
+    toggle,
+    setExpandedIds,
+    setAnimated,
+    stopAnimation,
+    registerPanel: React.useCallback((panel) => panels.registerItem(panel), [
+      panels.registerItem,
+    ]),
+    unregisterPanel: React.useCallback((id) => panels.unregisterItem(id), [
+      panels.unregisterItem,
+    ]),
+  };
+}
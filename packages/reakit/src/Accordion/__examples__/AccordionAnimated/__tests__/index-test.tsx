@@ -0,0 +1,23 @@
+import * as React from "react";
+import { render, click, fireEvent, screen } from "reakit-test-utils";
+import AccordionAnimated from "..";
+
+test("expand the first panel", () => {
+  render(<AccordionAnimated />);
+  expect(screen.getByText("Shipping")).toHaveAttribute("aria-expanded", "true");
+  expect(screen.getByText(/ship within/)).toBeVisible();
+  expect(screen.getByText(/returned within/)).not.toBeVisible();
+});
+
+test("collapse the previous panel after its transition ends", () => {
+  render(<AccordionAnimated />);
+  const shipping = screen.getByText(/ship within/);
+  const returns = screen.getByText(/returned within/);
+  click(screen.getByText("Returns"));
+  expect(returns).toBeVisible();
+  expect(shipping).toBeVisible();
+  fireEvent.transitionEnd(shipping);
+  fireEvent.transitionEnd(returns);
+  expect(shipping).not.toBeVisible();
+  expect(returns).toBeVisible();
+});
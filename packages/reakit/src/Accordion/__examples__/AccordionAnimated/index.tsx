@@ -0,0 +1,37 @@
+import * as React from "react";
+import {
+  unstable_useAccordionState as useAccordionState,
+  unstable_Accordion as Accordion,
+  unstable_AccordionButton as AccordionButton,
+  unstable_AccordionPanel as AccordionPanel,
+} from "reakit/Accordion";
+import "./style.css";
+
+const sections = [
+  { title: "Shipping", content: "Orders ship within two business days." },
+  { title: "Returns", content: "Items can be returned within 30 days." },
+  { title: "Warranty", content: "All products have a one-year warranty." },
+];
+
+export default function AccordionAnimated() {
+  const accordion = useAccordionState({
+    animated: true,
+    allowAllCollapsed: false,
+  });
+  return (
+    <Accordion {...accordion} className="accordion">
+      {sections.map(({ title, content }) => (
+        <React.Fragment key={title}>
+          <h3>
+            <AccordionButton {...accordion} className="accordion-button">
+              {title}
+            </AccordionButton>
+          </h3>
+          <AccordionPanel {...accordion} className="accordion-panel">
+            {content}
+          </AccordionPanel>
+        </React.Fragment>
+      ))}
+    </Accordion>
+  );
+}
@@ -0,0 +1,8 @@
+import { unstable_Accordion as Accordion } from "../Accordion";
+
+export { default as AccordionAnimated } from "./AccordionAnimated";
+
+export default {
+  title: "Accordion",
+  component: Accordion,
+};
@@ -0,0 +1,68 @@
+// Automatically generated
+const ACCORDION_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "unstable_virtual",
+  "rtl",
+  "orientation",
+  "items",
+  "groups",
+  "currentId",
+  "loop",
+  "wrap",
+  "shift",
+  "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
+  "unstable_hasActiveWidget",
+  "unstable_includesBaseElement",
+  "expandedIds",
+  "allowMultiple",
+  "allowAllCollapsed",
+  "panels",
+  "animated",
+  "animatingIds",
+  "setBaseId",
+  "registerItem",
+  "unregisterItem",
+  "registerGroup",
+  "unregisterGroup",
+  "move",
+  "next",
+  "previous",
+  "up",
+  "down",
+  "first",
+  "last",
+  "pageUp",
+  "pageDown",
+  "sort",
+  "unstable_setVirtual",
+  "setRTL",
+  "setOrientation",
+  "setCurrentId",
+  "setLoop",
+  "setWrap",
+  "setShift",
+  "reset",
+  "unstable_setIncludesBaseElement",
+  "unstable_setHasActiveWidget",
+  "expand",
+  "collapse",
+  "toggle",
+  "setExpandedIds",
+  "setAnimated",
+  "stopAnimation",
+  "registerPanel",
+  "unregisterPanel",
+] as const;
+export const ACCORDION_KEYS = ACCORDION_STATE_KEYS;
+export const ACCORDION_BUTTON_KEYS = ACCORDION_KEYS;
+export const ACCORDION_PANEL_KEYS = [
+  ...ACCORDION_BUTTON_KEYS,
+  "buttonId",
+] as const;
@@ -0,0 +1,99 @@
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useAccordionState as useAccordionState,
+  unstable_AccordionInitialState as AccordionInitialState,
+} from "../AccordionState";
+
+function render(initialState: AccordionInitialState = {}) {
+  return renderHook(() =>
+    useAccordionState({ baseId: "base", ...initialState })
+  ).result;
+}
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    baseId: "base",
+    orientation: "vertical",
+    expandedIds: [],
+    allowMultiple: false,
+    allowAllCollapsed: true,
+    animated: false,
+    animatingIds: [],
+  });
+});
+
+test("expand", () => {
+  const result = render();
+  act(() => result.current.expand("a"));
+  expect(result.current.expandedIds).toEqual(["a"]);
+  act(() => result.current.expand("b"));
+  expect(result.current.expandedIds).toEqual(["b"]);
+});
+
+test("expand with allowMultiple", () => {
+  const result = render({ allowMultiple: true });
+  act(() => result.current.expand("a"));
+  act(() => result.current.expand("b"));
+  expect(result.current.expandedIds).toEqual(["a", "b"]);
+});
+
+test("collapse", () => {
+  const result = render({ expandedIds: ["a"] });
+  act(() => result.current.collapse("a"));
+  expect(result.current.expandedIds).toEqual([]);
+});
+
+test("collapse without allowAllCollapsed", () => {
+  const result = render({
+    expandedIds: ["a", "b"],
+    allowMultiple: true,
+    allowAllCollapsed: false,
+  });
+  act(() => result.current.collapse("a"));
+  expect(result.current.expandedIds).toEqual(["b"]);
+  act(() => result.current.collapse("b"));
+  expect(result.current.expandedIds).toEqual(["b"]);
+});
+
+test("toggle", () => {
+  const result = render();
+  act(() => result.current.toggle("a"));
+  expect(result.current.expandedIds).toEqual(["a"]);
+  act(() => result.current.toggle("a"));
+  expect(result.current.expandedIds).toEqual([]);
+});
+
+test("animatingIds", () => {
+  const result = render({ expandedIds: ["a"], animated: true });
+  act(() => result.current.expand("b"));
+  expect(result.current.animatingIds).toEqual(["a", "b"]);
+  act(() => result.current.stopAnimation("a"));
+  expect(result.current.animatingIds).toEqual(["b"]);
+});
+
+test("animatingIds with animated number", () => {
+  jest.useFakeTimers();
+  const result = render({ animated: 100 });
+  act(() => result.current.expand("a"));
+  expect(result.current.animatingIds).toEqual(["a"]);
+  act(() => {
+    jest.advanceTimersByTime(100);
+  });
+  expect(result.current.animatingIds).toEqual([]);
+  jest.useRealTimers();
+});
+
+test("warns when stopAnimation is not called", () => {
+  const { NODE_ENV } = process.env;
+  process.env.NODE_ENV = "development";
+  jest.useFakeTimers();
+  const result = render({ animated: true });
+  act(() => result.current.expand("a"));
+  act(() => {
+    jest.advanceTimersByTime(8000);
+  });
+  expect(console).toHaveWarned();
+  jest.useRealTimers();
+  process.env.NODE_ENV = NODE_ENV;
+});
@@ -0,0 +1,137 @@
+import * as React from "react";
+import {
+  render,
+  click,
+  press,
+  focus,
+  fireEvent,
+  screen,
+} from "reakit-test-utils";
+import {
+  unstable_useAccordionState as useAccordionState,
+  unstable_AccordionInitialState as AccordionInitialState,
+  unstable_Accordion as Accordion,
+  unstable_AccordionButton as AccordionButton,
+  unstable_AccordionPanel as AccordionPanel,
+} from "..";
+
+function Test(props: AccordionInitialState) {
+  const accordion = useAccordionState(props);
+  return (
+    <Accordion {...accordion}>
+      <h3>
+        <AccordionButton {...accordion}>button1</AccordionButton>
+      </h3>
+      <AccordionPanel {...accordion}>panel1</AccordionPanel>
+      <h3>
+        <AccordionButton {...accordion}>button2</AccordionButton>
+      </h3>
+      <AccordionPanel {...accordion}>panel2</AccordionPanel>
+      <h3>
+        <AccordionButton {...accordion}>button3</AccordionButton>
+      </h3>
+      <AccordionPanel {...accordion}>panel3</AccordionPanel>
+    </Accordion>
+  );
+}
+
+test("all panels are collapsed by default", () => {
+  render(<Test />);
+  expect(screen.getByText("panel1")).not.toBeVisible();
+  expect(screen.getByText("panel2")).not.toBeVisible();
+  expect(screen.getByText("panel3")).not.toBeVisible();
+  expect(screen.getByText("button1")).toHaveAttribute("aria-expanded", "false");
+});
+
+test("buttons and panels are linked", () => {
+  render(<Test />);
+  const button = screen.getByText("button2");
+  const panel = screen.getByText("panel2");
+  expect(button).toHaveAttribute("aria-controls", panel.id);
+  expect(panel).toHaveAttribute("role", "region");
+  expect(panel).toHaveAttribute("aria-labelledby", button.id);
+});
+
+test("clicking on a button toggles its panel", () => {
+  render(<Test />);
+  const button = screen.getByText("button1");
+  click(button);
+  expect(button).toHaveAttribute("aria-expanded", "true");
+  expect(screen.getByText("panel1")).toBeVisible();
+  click(button);
+  expect(button).toHaveAttribute("aria-expanded", "false");
+  expect(screen.getByText("panel1")).not.toBeVisible();
+});
+
+test("expanding a panel collapses the other ones", () => {
+  render(<Test />);
+  click(screen.getByText("button1"));
+  click(screen.getByText("button2"));
+  expect(screen.getByText("panel1")).not.toBeVisible();
+  expect(screen.getByText("panel2")).toBeVisible();
+});
+
+test("expand multiple panels", () => {
+  render(<Test allowMultiple />);
+  click(screen.getByText("button1"));
+  click(screen.getByText("button2"));
+  expect(screen.getByText("panel1")).toBeVisible();
+  expect(screen.getByText("panel2")).toBeVisible();
+});
+
+test("expand the first panel if all panels can't be collapsed", () => {
+  render(<Test allowAllCollapsed={false} />);
+  const button = screen.getByText("button1");
+  expect(screen.getByText("panel1")).toBeVisible();
+  expect(button).toHaveAttribute("aria-disabled", "true");
+  click(button);
+  expect(screen.getByText("panel1")).toBeVisible();
+  click(screen.getByText("button2"));
+  expect(screen.getByText("panel2")).toBeVisible();
+  expect(button).not.toHaveAttribute("aria-disabled");
+});
+
+test("all buttons are tabbable", () => {
+  render(<Test />);
+  expect(screen.getByText("button1")).toHaveAttribute("tabindex", "0");
+  expect(screen.getByText("button2")).toHaveAttribute("tabindex", "0");
+  expect(screen.getByText("button3")).toHaveAttribute("tabindex", "0");
+});
+
+test("move focus between buttons with arrow keys", () => {
+  render(<Test />);
+  focus(screen.getByText("button1"));
+  press.ArrowDown();
+  expect(screen.getByText("button2")).toHaveFocus();
+  press.ArrowDown();
+  expect(screen.getByText("button3")).toHaveFocus();
+  press.ArrowUp();
+  expect(screen.getByText("button2")).toHaveFocus();
+  press.Home();
+  expect(screen.getByText("button1")).toHaveFocus();
+  press.End();
+  expect(screen.getByText("button3")).toHaveFocus();
+});
+
+test("expand panels with the keyboard", () => {
+  render(<Test />);
+  focus(screen.getByText("button1"));
+  press.ArrowDown();
+  press.Enter();
+  expect(screen.getByText("panel2")).toBeVisible();
+  press.Space();
+  expect(screen.getByText("panel2")).not.toBeVisible();
+});
+
+test("panels stay visible while animating", () => {
+  render(<Test animated />);
+  const button = screen.getByText("button1");
+  const panel = screen.getByText("panel1");
+  click(button);
+  expect(panel).toBeVisible();
+  click(button);
+  expect(button).toHaveAttribute("aria-expanded", "false");
+  expect(panel).toBeVisible();
+  fireEvent.transitionEnd(panel);
+  expect(panel).not.toBeVisible();
+});
@@ -0,0 +1,4 @@
+export * from "./Accordion";
+export * from "./AccordionButton";
+export * from "./AccordionPanel";
+export * from "./AccordionState";
@@ -3,6 +3,10 @@ import {
   useSealedState,
   SealedInitialState,
 } from "reakit-utils/useSealedState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
 
 export type CheckboxState = {
   /**
@@ -20,7 +24,17 @@ export type CheckboxActions = {
   setState: React.Dispatch<React.SetStateAction<CheckboxState["state"]>>;
 };
 
-export type CheckboxInitialState = Partial<Pick<CheckboxState, "state">>;
+export type CheckboxInitialState = Partial<Pick<CheckboxState, "state">> & {
+  /**
+   * Makes `state` controlled. When passed, `state` is read on every render
+   * instead of only on the first one, and this function is called with the
+   * next value whenever the state would change.
+   * @example
+   * const [state, setState] = React.useState(false);
+   * const checkbox = useCheckboxState({ state, setState });
+   */
+  setState?: (state: CheckboxState["state"]) => void;
+};
 
 export type CheckboxStateReturn = CheckboxState & CheckboxActions;
 
@@ -30,7 +44,14 @@ export type CheckboxStateReturn = CheckboxState & CheckboxActions;
 export function useCheckboxState(
   initialState: SealedInitialState<CheckboxInitialState> = {}
 ): CheckboxStateReturn {
-  const { state: initialValue = false } = useSealedState(initialState);
-  const [state, setState] = React.useState(initialValue);
+  const sealed = useSealedState(initialState);
+  const { state: initialValue = false } = sealed;
+  const controlled = getControlledState(initialState, sealed);
+  const [state, setState] = useControlledState(
+    initialValue,
+    controlled.state ?? initialValue,
+    controlled.setState,
+    "state"
+  );
   return { state, setState };
 }
@@ -47,3 +47,18 @@ test("setState", () => {
     }
   `);
 });
+
+test("controlled state", () => {
+  const setState = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ state }) => useCheckboxState({ state, setState }),
+    { initialProps: { state: ["a"] as Array<string | number> } }
+  );
+  act(() =>
+    result.current.setState((prevState) => [...(prevState as string[]), "b"])
+  );
+  expect(setState).toHaveBeenCalledWith(["a", "b"]);
+  expect(result.current.state).toEqual(["a"]);
+  rerender({ state: ["a", "b"] });
+  expect(result.current.state).toEqual(["a", "b"]);
+});
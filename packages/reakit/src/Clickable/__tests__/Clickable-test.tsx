@@ -250,3 +250,12 @@ test("press enter on Clickable as another non-native Clickable", () => {
   press.Enter(clickable);
   expect(onClick).toHaveBeenCalledTimes(1);
 });
+
+test("warn on click if ref wasn't passed to the element", () => {
+  const Div = React.forwardRef<HTMLDivElement, React.ComponentProps<"div">>(
+    (props, _ref) => <div {...props} />
+  );
+  const { getByText } = render(<Clickable as={Div}>clickable</Clickable>);
+  click(getByText("clickable"));
+  expect(console).toHaveWarned();
+});
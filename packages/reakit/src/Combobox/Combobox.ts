@@ -13,6 +13,7 @@ import {
 import { COMBOBOX_KEYS } from "./__keys";
 import { unstable_ComboboxStateReturn } from "./ComboboxState";
 import { getMenuId } from "./__utils/getMenuId";
+import { getValueLabel } from "./__utils/getValueLabel";
 
 function getControls(baseId: string, ariaControls?: string) {
   const menuId = getMenuId(baseId);
@@ -53,7 +54,7 @@ function getCompletionString(inputValue: string, currentValue?: string) {
   return currentValue.slice(index + inputValue.length);
 }
 
-function useValue(options: unstable_ComboboxOptions) {
+function useValue(options: unstable_ComboboxOptions, currentLabel?: string) {
   return React.useMemo(() => {
     if (!options.inline) {
       return options.inputValue;
@@ -64,22 +65,22 @@ function useValue(options: unstable_ComboboxOptions) {
       options.currentId
     );
     if (firstItemAutoSelected) {
-      if (hasCompletionString(options.inputValue, options.currentValue)) {
+      if (hasCompletionString(options.inputValue, currentLabel)) {
         return (
           options.inputValue +
-          getCompletionString(options.inputValue, options.currentValue)
+          getCompletionString(options.inputValue, currentLabel)
         );
       }
       return options.inputValue;
     }
-    return options.currentValue || options.inputValue;
+    return currentLabel || options.inputValue;
   }, [
     options.inline,
     options.inputValue,
     options.autoSelect,
     options.items,
     options.currentId,
-    options.currentValue,
+    currentLabel,
   ]);
 }
 
@@ -119,16 +120,21 @@ export const unstable_useCombobox = createHook<
     const onChangeRef = useLiveRef(htmlOnChange);
     const onClickRef = useLiveRef(htmlOnClick);
     const onBlurRef = useLiveRef(htmlOnBlur);
-    const value = useValue(options);
+    // Object values are filled in the input by their label.
+    const currentLabel =
+      options.currentValue != null
+        ? getValueLabel(options.currentValue)
+        : undefined;
+    const value = useValue(options, currentLabel);
     const hasInsertedTextRef = React.useRef(false);
 
     // Completion string
     React.useEffect(() => {
       if (!options.inline) return;
       if (!options.autoSelect) return;
-      if (!options.currentValue) return;
+      if (!currentLabel) return;
       if (options.currentId !== getFirstEnabledItemId(options.items)) return;
-      if (!hasCompletionString(options.inputValue, options.currentValue)) {
+      if (!hasCompletionString(options.inputValue, currentLabel)) {
         return;
       }
       const element = ref.current;
@@ -139,13 +145,13 @@ export const unstable_useCombobox = createHook<
       );
       element?.setSelectionRange(
         options.inputValue.length,
-        options.currentValue.length
+        currentLabel.length
       );
     }, [
       updated,
       options.inline,
       options.autoSelect,
-      options.currentValue,
+      currentLabel,
       options.inputValue,
       options.currentId,
       options.items,
@@ -185,8 +191,27 @@ export const unstable_useCombobox = createHook<
         if (event.key === "Escape" && options.hideOnEsc) {
           options.hide?.();
         }
+        if (
+          event.key === "Backspace" &&
+          options.multiple &&
+          options.selectedValues?.length &&
+          !event.currentTarget.value
+        ) {
+          // Removes the last selected value, like deleting the last chip.
+          const lastValue =
+            options.selectedValues[options.selectedValues.length - 1];
+          options.setSelectedValues?.((prevSelectedValues) =>
+            prevSelectedValues.filter((selected) => selected !== lastValue)
+          );
+        }
       },
-      [options.hideOnEsc, options.hide]
+      [
+        options.hideOnEsc,
+        options.hide,
+        options.multiple,
+        options.selectedValues,
+        options.setSelectedValues,
+      ]
     );
 
     const onKeyPress = React.useCallback(
@@ -349,7 +374,7 @@ export const unstable_Combobox = createComponent({
 
 export type unstable_ComboboxOptions = CompositeOptions &
   Pick<
-    Partial<unstable_ComboboxStateReturn>,
+    Partial<unstable_ComboboxStateReturn<any>>,
     | "currentValue"
     | "menuRole"
     | "list"
@@ -360,6 +385,9 @@ export type unstable_ComboboxOptions = CompositeOptions &
     | "hide"
     | "unstable_referenceRef"
     | "minValueLength"
+    | "multiple"
+    | "selectedValues"
+    | "setSelectedValues"
   > &
   Pick<
     unstable_ComboboxStateReturn,
@@ -0,0 +1,97 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { ButtonOptions, ButtonHTMLProps, useButton } from "../Button/Button";
+import { unstable_ComboboxStateReturn } from "./ComboboxState";
+import { COMBOBOX_CHIP_KEYS } from "./__keys";
+import { getValueLabel } from "./__utils/getValueLabel";
+import { isSameValue } from "./__utils/isSameValue";
+import { Value } from "./__utils/types";
+
+export const unstable_useComboboxChip = createHook<
+  unstable_ComboboxChipOptions,
+  unstable_ComboboxChipHTMLProps
+>({
+  name: "ComboboxChip",
+  compose: useButton,
+  keys: COMBOBOX_CHIP_KEYS,
+
+  useProps(
+    options,
+    { onClick: htmlOnClick, onKeyDown: htmlOnKeyDown, ...htmlProps }
+  ) {
+    const onClickRef = useLiveRef(htmlOnClick);
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const label = getValueLabel(options.value);
+
+    const remove = React.useCallback(() => {
+      options.setSelectedValues?.((prevSelectedValues) =>
+        prevSelectedValues.filter(
+          (selected) => !isSameValue(selected, options.value)
+        )
+      );
+      // The chip is going to be unmounted, so focus is moved back to the
+      // combobox input.
+      options.unstable_referenceRef?.current?.focus();
+    }, [
+      options.setSelectedValues,
+      options.value,
+      options.unstable_referenceRef,
+    ]);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        remove();
+      },
+      [remove]
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (event.key === "Backspace" || event.key === "Delete") {
+          event.preventDefault();
+          remove();
+        }
+      },
+      [remove]
+    );
+
+    return {
+      children: label,
+      "aria-label": `Remove ${label}`,
+      onClick,
+      onKeyDown,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_ComboboxChip = createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useComboboxChip,
+});
+
+export type unstable_ComboboxChipOptions = ButtonOptions &
+  Pick<
+    Partial<unstable_ComboboxStateReturn<any>>,
+    "setSelectedValues" | "unstable_referenceRef"
+  > & {
+    /**
+     * The selected value this chip represents. Clicking on the chip or
+     * pressing <kbd>Backspace</kbd> or <kbd>Delete</kbd> while it has focus
+     * removes it from `selectedValues`. Object values are displayed by their
+     * `label`.
+     */
+    value: Value;
+  };
+
+export type unstable_ComboboxChipHTMLProps = ButtonHTMLProps;
+
+export type unstable_ComboboxChipProps = unstable_ComboboxChipOptions &
+  unstable_ComboboxChipHTMLProps;
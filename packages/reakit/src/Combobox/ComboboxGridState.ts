@@ -2,6 +2,7 @@ import {
   SealedInitialState,
   useSealedState,
 } from "reakit-utils/useSealedState";
+import { getControlledState } from "../__utils/useControlledState";
 import {
   unstable_ComboboxListGridState as ComboboxListGridState,
   unstable_ComboboxListGridActions as ComboboxListGridActions,
@@ -14,23 +15,33 @@ import {
   ComboboxPopoverInitialState,
   useComboboxPopoverState,
 } from "./__utils/ComboboxPopoverState";
+import { Value } from "./__utils/types";
 
-export function unstable_useComboboxGridState(
-  initialState: SealedInitialState<unstable_ComboboxGridInitialState> = {}
-): unstable_ComboboxGridStateReturn {
+export function unstable_useComboboxGridState<V extends Value = string>(
+  initialState: SealedInitialState<unstable_ComboboxGridInitialState<V>> = {}
+): unstable_ComboboxGridStateReturn<V> {
   const sealed = useSealedState(initialState);
-  const combobox = useComboboxListGridState(sealed);
-  return useComboboxPopoverState(combobox, sealed);
+  const controlled = getControlledState(initialState, sealed);
+  const combobox = useComboboxListGridState<V>(initialState);
+  return useComboboxPopoverState(combobox, {
+    ...sealed,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
 }
 
-export type unstable_ComboboxGridState = ComboboxPopoverState &
-  ComboboxListGridState;
+export type unstable_ComboboxGridState<
+  V extends Value = string
+> = ComboboxPopoverState & ComboboxListGridState<V>;
 
-export type unstable_ComboboxGridActions = ComboboxPopoverActions &
-  ComboboxListGridActions;
+export type unstable_ComboboxGridActions<
+  V extends Value = string
+> = ComboboxPopoverActions & ComboboxListGridActions<V>;
 
-export type unstable_ComboboxGridInitialState = ComboboxPopoverInitialState &
-  ComboboxListGridInitialState;
+export type unstable_ComboboxGridInitialState<
+  V extends Value = string
+> = ComboboxPopoverInitialState & ComboboxListGridInitialState<V>;
 
-export type unstable_ComboboxGridStateReturn = unstable_ComboboxGridState &
-  unstable_ComboboxGridActions;
+export type unstable_ComboboxGridStateReturn<
+  V extends Value = string
+> = unstable_ComboboxGridState<V> & unstable_ComboboxGridActions<V>;
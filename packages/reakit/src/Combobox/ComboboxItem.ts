@@ -11,7 +11,10 @@ import {
 import { unstable_ComboboxStateReturn } from "./ComboboxState";
 import { COMBOBOX_ITEM_KEYS } from "./__keys";
 import { getItemId } from "./__utils/getItemId";
-import { Item } from "./__utils/types";
+import { getValueLabel } from "./__utils/getValueLabel";
+import { highlightRanges } from "./__utils/highlightRanges";
+import { isSameValue } from "./__utils/isSameValue";
+import { Item, Value } from "./__utils/types";
 
 export const unstable_useComboboxItem = createHook<
   unstable_ComboboxItemOptions,
@@ -26,6 +29,10 @@ export const unstable_useComboboxItem = createHook<
     if (!prev.value || !next.value || !prev.baseId || !next.baseId) {
       return useCompositeItem.unstable_propsAreEqual(prev, next);
     }
+    if (next.highlightMatches) {
+      if (prev.inputValue !== next.inputValue) return false;
+      if (prev.filter !== next.filter) return false;
+    }
     const {
       currentValue: prevCurrentValue,
       inputValue: prevInputValue,
@@ -40,8 +47,11 @@ export const unstable_useComboboxItem = createHook<
       matches: nextMatches,
       ...nextProps
     } = next;
-    if (prevCurrentValue !== nextCurrentValue) {
-      if (next.value === prevCurrentValue || next.value === nextCurrentValue) {
+    if (!isSameValue(prevCurrentValue, nextCurrentValue)) {
+      if (
+        isSameValue(next.value, prevCurrentValue) ||
+        isSameValue(next.value, nextCurrentValue)
+      ) {
         return false;
       }
     }
@@ -55,7 +65,8 @@ export const unstable_useComboboxItem = createHook<
 
   useOptions(options) {
     const trulyDisabled = options.disabled && !options.focusable;
-    const value = trulyDisabled ? undefined : options.value;
+    const label = options.value != null ? getValueLabel(options.value) : "";
+    const value = trulyDisabled || !label ? undefined : options.value;
 
     const registerItem = React.useCallback(
       (item: Item) => {
@@ -76,20 +87,44 @@ export const unstable_useComboboxItem = createHook<
 
   useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
     const onClickRef = useLiveRef(htmlOnClick);
+    // Object values are displayed and filled in the input by their label.
+    const label =
+      options.value != null ? getValueLabel(options.value) : undefined;
 
     const onClick = React.useCallback(
       (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
         onClickRef.current?.(event);
         if (event.defaultPrevented) return;
-        if (!options.value) return;
+        if (!label || options.value == null) return;
+        if (options.multiple) {
+          // Keeps the popover open so more values can be selected.
+          options.toggleSelectedValue?.(options.value);
+          options.setInputValue?.("");
+          return;
+        }
         options.hide?.();
-        options.setInputValue?.(options.value);
+        options.setInputValue?.(label);
       },
-      [options.hide, options.setInputValue, options.value]
+      [
+        options.multiple,
+        options.toggleSelectedValue,
+        options.hide,
+        options.setInputValue,
+        options.value,
+        label,
+      ]
     );
 
+    const children = React.useMemo(() => {
+      if (!label || !options.highlightMatches || !options.filter) {
+        return label;
+      }
+      const result = options.filter(label, options.inputValue || "");
+      return highlightRanges(label, result?.ranges);
+    }, [label, options.highlightMatches, options.filter, options.inputValue]);
+
     return {
-      children: options.value,
+      children,
       onClick,
       tabIndex: -1,
       ...htmlProps,
@@ -106,16 +141,31 @@ export const unstable_ComboboxItem = createComponent({
 export type unstable_ComboboxItemOptions = BoxOptions &
   CompositeItemOptions &
   Pick<
-    Partial<unstable_ComboboxStateReturn>,
-    "currentValue" | "inputValue" | "hide" | "visible"
+    Partial<unstable_ComboboxStateReturn<any>>,
+    | "currentValue"
+    | "inputValue"
+    | "hide"
+    | "visible"
+    | "filter"
+    | "multiple"
+    | "selectedValues"
+    | "toggleSelectedValue"
   > &
   Pick<unstable_ComboboxStateReturn, "setInputValue" | "registerItem"> & {
     /**
      * Item's value that will be used to fill input value and filter `matches`
      * based on the input value. You can omit this for items that perform
      * actions other than filling a form. For example, items may open a dialog.
+     * If it's an object, its `label` is used as the text and its `id` is used
+     * to generate the item `id`.
+     */
+    value?: Value;
+    /**
+     * Whether the parts of the value that match the input value should be
+     * rendered in `<strong>` elements. The ranges are computed with `filter`.
+     * This only applies when `children` isn't passed.
      */
-    value?: string;
+    highlightMatches?: boolean;
   };
 
 export type unstable_ComboboxItemHTMLProps = BoxHTMLProps &
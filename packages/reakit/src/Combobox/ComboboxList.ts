@@ -1,7 +1,9 @@
+import * as React from "react";
 import { createComponent } from "reakit-system/createComponent";
 import { createHook } from "reakit-system/createHook";
 import { useWarning } from "reakit-warning";
 import { useCreateElement } from "reakit-system/useCreateElement";
+import { useLiveRef } from "reakit-utils/useLiveRef";
 import { BoxOptions, BoxHTMLProps, useBox } from "../Box/Box";
 import { getMenuId } from "./__utils/getMenuId";
 import { unstable_ComboboxStateReturn } from "./ComboboxState";
@@ -19,10 +21,30 @@ export const unstable_useComboboxList = createHook<
     return { menuRole, ...options };
   },
 
-  useProps(options, htmlProps) {
+  useProps(options, { onScroll: htmlOnScroll, ...htmlProps }) {
+    const onScrollRef = useLiveRef(htmlOnScroll);
+
+    const onScroll = React.useCallback(
+      (event: React.UIEvent<HTMLElement>) => {
+        onScrollRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (!options.hasMore || options.loading) return;
+        const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+        // Loads the next page when there's less than half of the visible
+        // height left to scroll.
+        if (scrollHeight - scrollTop - clientHeight <= clientHeight / 2) {
+          options.loadMore?.();
+        }
+      },
+      [options.hasMore, options.loading, options.loadMore]
+    );
+
     return {
       role: options.menuRole,
       id: getMenuId(options.baseId),
+      "aria-busy": options.loading || undefined,
+      "aria-multiselectable": options.multiple || undefined,
+      onScroll,
       ...htmlProps,
     };
   },
@@ -42,7 +64,10 @@ export const unstable_ComboboxList = createComponent({
 });
 
 export type unstable_ComboboxListOptions = BoxOptions &
-  Pick<Partial<unstable_ComboboxStateReturn>, "menuRole"> &
+  Pick<
+    Partial<unstable_ComboboxStateReturn>,
+    "menuRole" | "loading" | "hasMore" | "loadMore" | "multiple"
+  > &
   Pick<unstable_ComboboxStateReturn, "baseId">;
 
 export type unstable_ComboboxListHTMLProps = BoxHTMLProps;
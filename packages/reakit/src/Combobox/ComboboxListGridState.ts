@@ -4,6 +4,7 @@ import {
   useSealedState,
 } from "reakit-utils/useSealedState";
 import { SetState } from "reakit-utils/types";
+import { getControlledState } from "../__utils/useControlledState";
 import {
   unstable_useGridState as useGridState,
   unstable_GridState as GridState,
@@ -16,6 +17,23 @@ import {
   ComboboxBaseActions,
   ComboboxBaseInitialState,
 } from "./__utils/ComboboxBaseState";
+import { Value } from "./__utils/types";
+
+// Combobox has its own selection state, so grid selection and sorting are
+// left out.
+type GridSelectionKeys =
+  | "selectionMode"
+  | "multiple"
+  | "selectedIds"
+  | "sortDescriptor"
+  | "editingId";
+
+type GridSelectionActionKeys =
+  | "setSelectedIds"
+  | "select"
+  | "selectRange"
+  | "setSortDescriptor"
+  | "toggleSort";
 
 function chunk<T>(array: T[], size: number) {
   const chunks: T[][] = [];
@@ -25,9 +43,11 @@ function chunk<T>(array: T[], size: number) {
   return chunks;
 }
 
-export function unstable_useComboboxListGridState(
-  initialState: SealedInitialState<unstable_ComboboxListGridInitialState> = {}
-): unstable_ComboboxListGridStateReturn {
+export function unstable_useComboboxListGridState<V extends Value = string>(
+  initialState: SealedInitialState<
+    unstable_ComboboxListGridInitialState<V>
+  > = {}
+): unstable_ComboboxListGridStateReturn<V> {
   const {
     columns: initialColumns = 1,
     currentId = null,
@@ -37,14 +57,31 @@ export function unstable_useComboboxListGridState(
 
   const [columns, setColumns] = React.useState(initialColumns);
 
-  const grid = useGridState({
+  const {
+    selectionMode,
+    multiple,
+    selectedIds,
+    sortDescriptor,
+    editingId,
+    setSelectedIds,
+    select,
+    selectRange,
+    setSortDescriptor,
+    toggleSort,
+    ...grid
+  } = useGridState({
     currentId,
     loop,
     ...sealed,
+    multiple: false,
     unstable_virtual: true,
     unstable_includesBaseElement: true,
   });
-  const combobox = useComboboxBaseState(grid, sealed);
+  const combobox = useComboboxBaseState<typeof grid, V>(
+    grid,
+    sealed,
+    getControlledState(initialState, sealed)
+  );
 
   const matches = React.useMemo(() => chunk(combobox.matches, columns), [
     combobox.matches,
@@ -60,8 +97,8 @@ export function unstable_useComboboxListGridState(
   };
 }
 
-export type unstable_ComboboxListGridState = Omit<
-  ComboboxBaseState<GridState>,
+export type unstable_ComboboxListGridState<V extends Value = string> = Omit<
+  ComboboxBaseState<Omit<GridState, GridSelectionKeys>, V>,
   "matches"
 > & {
   /**
@@ -82,22 +119,32 @@ export type unstable_ComboboxListGridState = Omit<
    * // On next render
    * combobox.matches; // [["Green"]]
    */
-  matches: string[][];
+  matches: V[][];
 };
 
-export type unstable_ComboboxListGridActions = ComboboxBaseActions<GridActions> & {
+export type unstable_ComboboxListGridActions<
+  V extends Value = string
+> = ComboboxBaseActions<Omit<GridActions, GridSelectionActionKeys>, V> & {
   /**
    * Sets `columns`.
    */
   setColumns: SetState<unstable_ComboboxListGridState["columns"]>;
 };
 
-export type unstable_ComboboxListGridInitialState = Omit<
+export type unstable_ComboboxListGridInitialState<
+  V extends Value = string
+> = Omit<
   GridInitialState,
-  "unstable_virtual" | "unstable_includesBaseElement"
+  | "unstable_virtual"
+  | "unstable_includesBaseElement"
+  | "setCurrentId"
+  | GridSelectionKeys
+  | "setSelectedIds"
+  | "setSortDescriptor"
 > &
-  ComboboxBaseInitialState &
+  ComboboxBaseInitialState<V> &
   Pick<Partial<unstable_ComboboxListGridState>, "columns">;
 
-export type unstable_ComboboxListGridStateReturn = unstable_ComboboxListGridState &
-  unstable_ComboboxListGridActions;
+export type unstable_ComboboxListGridStateReturn<
+  V extends Value = string
+> = unstable_ComboboxListGridState<V> & unstable_ComboboxListGridActions<V>;
@@ -2,6 +2,7 @@ import {
   SealedInitialState,
   useSealedState,
 } from "reakit-utils/useSealedState";
+import { getControlledState } from "../__utils/useControlledState";
 import {
   useCompositeState,
   CompositeState,
@@ -14,10 +15,11 @@ import {
   ComboboxBaseInitialState,
   useComboboxBaseState,
 } from "./__utils/ComboboxBaseState";
+import { Value } from "./__utils/types";
 
-export function unstable_useComboboxListState(
-  initialState: SealedInitialState<unstable_ComboboxListInitialState> = {}
-): unstable_ComboboxListStateReturn {
+export function unstable_useComboboxListState<V extends Value = string>(
+  initialState: SealedInitialState<unstable_ComboboxListInitialState<V>> = {}
+): unstable_ComboboxListStateReturn<V> {
   const {
     currentId = null,
     orientation = "vertical",
@@ -34,18 +36,27 @@ export function unstable_useComboboxListState(
     unstable_includesBaseElement: true,
   });
 
-  return useComboboxBaseState(composite, sealed);
+  return useComboboxBaseState<typeof composite, V>(
+    composite,
+    sealed,
+    getControlledState(initialState, sealed)
+  );
 }
 
-export type unstable_ComboboxListState = ComboboxBaseState<CompositeState>;
+export type unstable_ComboboxListState<
+  V extends Value = string
+> = ComboboxBaseState<CompositeState, V>;
 
-export type unstable_ComboboxListActions = ComboboxBaseActions<CompositeActions>;
+export type unstable_ComboboxListActions<
+  V extends Value = string
+> = ComboboxBaseActions<CompositeActions, V>;
 
-export type unstable_ComboboxListInitialState = Omit<
+export type unstable_ComboboxListInitialState<V extends Value = string> = Omit<
   CompositeInitialState,
-  "unstable_virtual" | "unstable_includesBaseElement"
+  "unstable_virtual" | "unstable_includesBaseElement" | "setCurrentId"
 > &
-  ComboboxBaseInitialState;
+  ComboboxBaseInitialState<V>;
 
-export type unstable_ComboboxListStateReturn = unstable_ComboboxListState &
-  unstable_ComboboxListActions;
+export type unstable_ComboboxListStateReturn<
+  V extends Value = string
+> = unstable_ComboboxListState<V> & unstable_ComboboxListActions<V>;
@@ -6,6 +6,7 @@ import {
   useCompositeItem,
 } from "../Composite/CompositeItem";
 import { COMBOBOX_OPTION_KEYS } from "./__keys";
+import { isSameValue } from "./__utils/isSameValue";
 import {
   unstable_ComboboxItemOptions as ComboboxItemOptions,
   unstable_ComboboxItemHTMLProps as ComboboxItemHTMLProps,
@@ -20,8 +21,20 @@ export const unstable_useComboboxOption = createHook<
   compose: [useComboboxItem, useCompositeItem],
   keys: COMBOBOX_OPTION_KEYS,
 
-  useProps(_, htmlProps) {
-    return { role: "option", ...htmlProps };
+  useProps(options, htmlProps) {
+    const selected =
+      options.multiple && options.value
+        ? !!options.selectedValues?.some((selectedValue) =>
+            isSameValue(selectedValue, options.value)
+          )
+        : undefined;
+    return {
+      role: "option",
+      // In a multi-select combobox, aria-selected reflects the selection
+      // instead of the option with virtual focus.
+      "aria-selected": selected,
+      ...htmlProps,
+    };
   },
 });
 
@@ -0,0 +1,151 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useWarning } from "reakit-warning";
+import { useCreateElement } from "reakit-system/useCreateElement";
+import {
+  PopoverOptions,
+  PopoverHTMLProps,
+  usePopover,
+} from "../Popover/Popover";
+import { VisuallyHidden } from "../VisuallyHidden/VisuallyHidden";
+import { COMBOBOX_POPOVER_KEYS } from "./__keys";
+import {
+  unstable_ComboboxListOptions as ComboboxListOptions,
+  unstable_ComboboxListHTMLProps as ComboboxListHTMLProps,
+  unstable_useComboboxList as useComboboxList,
+} from "./ComboboxList";
+import { ComboboxPopoverStateReturn } from "./__utils/ComboboxPopoverState";
+import { unstable_ComboboxStateReturn as ComboboxStateReturn } from "./ComboboxState";
+
+function getStatusMessage(options: unstable_ComboboxPopoverOptions) {
+  if (!options.visible) return "";
+  if (options.loading) return options.loadingMessage;
+  if (options.error) return options.errorMessage;
+  // Nothing has been loaded for the current input value yet, for example,
+  // while waiting for the debounce.
+  if (!options.loaded) return "";
+  const { inputValue = "", minValueLength = 0 } = options;
+  if (!options.matches?.length && inputValue.length >= minValueLength) {
+    return options.noResultsMessage;
+  }
+  return "";
+}
+
+export const unstable_useComboboxPopover = createHook<
+  unstable_ComboboxPopoverOptions,
+  unstable_ComboboxPopoverHTMLProps
+>({
+  name: "ComboboxPopover",
+  compose: [useComboboxList, usePopover],
+  keys: COMBOBOX_POPOVER_KEYS,
+
+  useOptions({
+    loadingMessage = "Loading...",
+    noResultsMessage = "No results found",
+    errorMessage = "Failed to load results",
+    ...options
+  }) {
+    return {
+      loadingMessage,
+      noResultsMessage,
+      errorMessage,
+      ...options,
+      unstable_disclosureRef: options.unstable_referenceRef,
+      unstable_autoFocusOnShow: false,
+      unstable_autoFocusOnHide: false,
+    };
+  },
+
+  useProps(options, { wrapElement: htmlWrapElement, ...htmlProps }) {
+    const message = getStatusMessage(options);
+    const hasStatus = !!options.load;
+
+    const wrapElement = React.useCallback(
+      (element: React.ReactNode) => {
+        if (hasStatus) {
+          // The status is rendered outside the popover so it's still in the
+          // accessibility tree while the popover is hidden. This way, the
+          // live region exists before its content changes.
+          element = (
+            <>
+              {element}
+              <VisuallyHidden role="status">{message}</VisuallyHidden>
+            </>
+          );
+        }
+        if (htmlWrapElement) {
+          element = htmlWrapElement(element);
+        }
+        return element;
+      },
+      [hasStatus, message, htmlWrapElement]
+    );
+
+    return { wrapElement, ...htmlProps };
+  },
+
+  useComposeProps(options, { tabIndex, ...htmlProps }) {
+    htmlProps = useComboboxList(options, htmlProps, true);
+    htmlProps = usePopover(options, htmlProps, true);
+    return {
+      ...htmlProps,
+      tabIndex: tabIndex ?? undefined,
+    };
+  },
+});
+
+export const unstable_ComboboxPopover = createComponent({
+  as: "div",
+  useHook: unstable_useComboboxPopover,
+  useCreateElement: (type, props, children) => {
+    useWarning(
+      !props["aria-label"] && !props["aria-labelledby"],
+      "You should provide either `aria-label` or `aria-labelledby` props.",
+      "See https://reakit.io/docs/combobox"
+    );
+    return useCreateElement(type, props, children);
+  },
+});
+
+export type unstable_ComboboxPopoverOptions = ComboboxListOptions &
+  Omit<
+    PopoverOptions,
+    | "unstable_disclosureRef"
+    | "unstable_autoFocusOnHide"
+    | "unstable_autoFocusOnShow"
+  > &
+  Pick<Partial<ComboboxPopoverStateReturn>, "unstable_referenceRef"> &
+  Pick<
+    Partial<ComboboxStateReturn<any>>,
+    | "inputValue"
+    | "minValueLength"
+    | "matches"
+    | "load"
+    | "loading"
+    | "loaded"
+    | "error"
+  > & {
+    /**
+     * Message announced to screen reader users while `load` is pending.
+     * @default "Loading..."
+     */
+    loadingMessage?: string;
+    /**
+     * Message announced to screen reader users when `load` resolves with no
+     * values.
+     * @default "No results found"
+     */
+    noResultsMessage?: string;
+    /**
+     * Message announced to screen reader users when `load` rejects.
+     * @default "Failed to load results"
+     */
+    errorMessage?: string;
+  };
+
+export type unstable_ComboboxPopoverHTMLProps = PopoverHTMLProps &
+  ComboboxListHTMLProps;
+
+export type unstable_ComboboxPopoverProps = unstable_ComboboxPopoverOptions &
+  unstable_ComboboxPopoverHTMLProps;
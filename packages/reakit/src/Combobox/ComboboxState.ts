@@ -2,6 +2,7 @@ import {
   SealedInitialState,
   useSealedState,
 } from "reakit-utils/useSealedState";
+import { getControlledState } from "../__utils/useControlledState";
 import {
   unstable_ComboboxListState as ComboboxListState,
   unstable_ComboboxListActions as ComboboxListActions,
@@ -14,22 +15,33 @@ import {
   ComboboxPopoverInitialState,
   useComboboxPopoverState,
 } from "./__utils/ComboboxPopoverState";
+import { Value } from "./__utils/types";
 
-export function unstable_useComboboxState(
-  initialState: SealedInitialState<unstable_ComboboxInitialState> = {}
-): unstable_ComboboxStateReturn {
+export function unstable_useComboboxState<V extends Value = string>(
+  initialState: SealedInitialState<unstable_ComboboxInitialState<V>> = {}
+): unstable_ComboboxStateReturn<V> {
   const sealed = useSealedState(initialState);
-  const combobox = useComboboxListState(sealed);
-  return useComboboxPopoverState(combobox, sealed);
+  const controlled = getControlledState(initialState, sealed);
+  const combobox = useComboboxListState<V>(initialState);
+  return useComboboxPopoverState(combobox, {
+    ...sealed,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
 }
 
-export type unstable_ComboboxState = ComboboxPopoverState & ComboboxListState;
+export type unstable_ComboboxState<
+  V extends Value = string
+> = ComboboxPopoverState & ComboboxListState<V>;
 
-export type unstable_ComboboxActions = ComboboxPopoverActions &
-  ComboboxListActions;
+export type unstable_ComboboxActions<
+  V extends Value = string
+> = ComboboxPopoverActions & ComboboxListActions<V>;
 
-export type unstable_ComboboxInitialState = ComboboxPopoverInitialState &
-  ComboboxListInitialState;
+export type unstable_ComboboxInitialState<
+  V extends Value = string
+> = ComboboxPopoverInitialState & ComboboxListInitialState<V>;
 
-export type unstable_ComboboxStateReturn = unstable_ComboboxState &
-  unstable_ComboboxActions;
+export type unstable_ComboboxStateReturn<
+  V extends Value = string
+> = unstable_ComboboxState<V> & unstable_ComboboxActions<V>;
@@ -0,0 +1,58 @@
+import * as React from "react";
+import {
+  render,
+  click,
+  type,
+  wait,
+  screen,
+  fireEvent,
+} from "reakit-test-utils";
+import ComboboxAsync from "..";
+
+function getStatus() {
+  return screen.getByRole("status");
+}
+
+test("announce loading and show loaded options", async () => {
+  render(<ComboboxAsync />);
+  expect(getStatus()).toHaveTextContent("");
+  click(screen.getByLabelText("Fruit"));
+  // Nothing has been loaded yet while waiting for the debounce
+  expect(getStatus()).toHaveTextContent("");
+  await wait(() => expect(getStatus()).toHaveTextContent("Loading..."));
+  await wait(() => expect(screen.getByText("Acerola")).toBeVisible());
+  expect(getStatus()).toHaveTextContent("");
+  expect(screen.getByLabelText("Fruits")).not.toHaveAttribute("aria-busy");
+  expect(screen.getAllByRole("option")).toHaveLength(10);
+});
+
+test("announce no results", async () => {
+  render(<ComboboxAsync />);
+  click(screen.getByLabelText("Fruit"));
+  await wait(() => expect(screen.getAllByRole("option")).toHaveLength(10));
+  type("xyz");
+  expect(getStatus()).toHaveTextContent("");
+  await wait(() => expect(getStatus()).toHaveTextContent("No results found"));
+  expect(screen.queryByRole("option")).not.toBeInTheDocument();
+});
+
+test("load next page on scroll", async () => {
+  render(<ComboboxAsync />);
+  click(screen.getByLabelText("Fruit"));
+  await wait(() => expect(screen.getAllByRole("option")).toHaveLength(10));
+  fireEvent.scroll(screen.getByLabelText("Fruits"));
+  expect(screen.getByLabelText("Fruits")).toHaveAttribute("aria-busy", "true");
+  await wait(() => expect(screen.getAllByRole("option")).toHaveLength(20));
+});
+
+test("show load errors", async () => {
+  render(<ComboboxAsync />);
+  click(screen.getByLabelText("Fruit"));
+  type("error");
+  await wait(() =>
+    expect(getStatus()).toHaveTextContent("Could not load fruits")
+  );
+  expect(
+    screen.getByText("Could not load fruits", { selector: "div" })
+  ).toBeVisible();
+});
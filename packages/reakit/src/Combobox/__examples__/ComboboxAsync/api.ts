@@ -0,0 +1,32 @@
+import { fruits } from "../ComboboxBothAutoSelect/fruits";
+
+const pageSize = 10;
+
+export function searchFruits(
+  value: string,
+  { page, signal }: { page: number; signal?: AbortSignal }
+) {
+  return new Promise<{ values: string[]; hasMore: boolean }>(
+    (resolve, reject) => {
+      const timeout = setTimeout(() => {
+        if (value === "error") {
+          reject(new Error("Something went wrong"));
+          return;
+        }
+        const lowerValue = value.toLowerCase();
+        const matches = fruits.filter((fruit) =>
+          fruit.toLowerCase().includes(lowerValue)
+        );
+        const start = page * pageSize;
+        resolve({
+          values: matches.slice(start, start + pageSize),
+          hasMore: matches.length > start + pageSize,
+        });
+      }, 100);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(timeout);
+        reject(new Error("Aborted"));
+      });
+    }
+  );
+}
@@ -0,0 +1,33 @@
+import * as React from "react";
+import {
+  unstable_useComboboxState as useComboboxState,
+  unstable_Combobox as Combobox,
+  unstable_ComboboxPopover as ComboboxPopover,
+  unstable_ComboboxOption as ComboboxOption,
+} from "reakit/Combobox";
+import { searchFruits } from "./api";
+
+import "./style.css";
+
+export default function ComboboxAsync() {
+  const combobox = useComboboxState({
+    load: searchFruits,
+    loadDebounce: 150,
+    gutter: 8,
+  });
+  return (
+    <>
+      <Combobox {...combobox} aria-label="Fruit" placeholder="Enter a fruit" />
+      <ComboboxPopover
+        {...combobox}
+        aria-label="Fruits"
+        errorMessage="Could not load fruits"
+      >
+        {combobox.matches.map((value) => (
+          <ComboboxOption {...combobox} key={value} value={value} />
+        ))}
+      </ComboboxPopover>
+      {!!combobox.error && <div>Could not load fruits</div>}
+    </>
+  );
+}
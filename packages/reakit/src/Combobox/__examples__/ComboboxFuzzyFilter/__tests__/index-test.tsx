@@ -0,0 +1,49 @@
+import * as React from "react";
+import { render, press, click, type, screen } from "reakit-test-utils";
+import ComboboxFuzzyFilter from "..";
+
+function getOptionLabels() {
+  return screen.getAllByRole("option").map((option) => option.textContent);
+}
+
+test("match values ignoring diacritics", () => {
+  render(<ComboboxFuzzyFilter />);
+  press.Tab();
+  type("reu");
+  expect(getOptionLabels()).toEqual(["Réunion"]);
+});
+
+test("match values fuzzily and sort them by relevance", () => {
+  render(<ComboboxFuzzyFilter />);
+  press.Tab();
+  type("us");
+  expect(getOptionLabels()).toEqual(["Austria", "United States"]);
+});
+
+test("highlight matched text", () => {
+  render(<ComboboxFuzzyFilter />);
+  press.Tab();
+  type("nz");
+  const option = screen.getByRole("option");
+  expect(option).toHaveTextContent("New Zealand");
+  expect(
+    Array.from(option.querySelectorAll("strong")).map((el) => el.textContent)
+  ).toEqual(["N", "Z"]);
+});
+
+test("use object id for option id and label for input value", () => {
+  render(<ComboboxFuzzyFilter />);
+  press.Tab();
+  type("bra");
+  const option = screen.getByRole("option");
+  expect(option.id).toMatch(/-br$/);
+  click(option);
+  expect(screen.getByLabelText("Country")).toHaveValue("Brazil");
+});
+
+test("show no results", () => {
+  render(<ComboboxFuzzyFilter />);
+  press.Tab();
+  type("xyz");
+  expect(screen.getByText("No results found")).toBeVisible();
+});
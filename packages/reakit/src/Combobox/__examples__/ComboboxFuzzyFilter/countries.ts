@@ -0,0 +1,10 @@
+export const countries = [
+  { id: "at", label: "Austria" },
+  { id: "br", label: "Brazil" },
+  { id: "ci", label: "Côte d'Ivoire" },
+  { id: "cw", label: "Curaçao" },
+  { id: "de", label: "Germany" },
+  { id: "nz", label: "New Zealand" },
+  { id: "re", label: "Réunion" },
+  { id: "us", label: "United States" },
+];
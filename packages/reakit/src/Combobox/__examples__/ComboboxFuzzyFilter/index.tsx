@@ -0,0 +1,36 @@
+import * as React from "react";
+import {
+  unstable_useComboboxState as useComboboxState,
+  unstable_Combobox as Combobox,
+  unstable_ComboboxPopover as ComboboxPopover,
+  unstable_ComboboxOption as ComboboxOption,
+} from "reakit/Combobox";
+import { unstable_fuzzyFilter as fuzzyFilter } from "reakit/Combobox/utils";
+import { countries } from "./countries";
+
+import "./style.css";
+
+export default function ComboboxFuzzyFilter() {
+  const combobox = useComboboxState({
+    values: countries,
+    filter: fuzzyFilter,
+    gutter: 8,
+  });
+  return (
+    <>
+      <Combobox {...combobox} aria-label="Country" />
+      <ComboboxPopover {...combobox} aria-label="Countries">
+        {combobox.matches.length
+          ? combobox.matches.map((value) => (
+              <ComboboxOption
+                {...combobox}
+                key={value.id}
+                value={value}
+                highlightMatches
+              />
+            ))
+          : "No results found"}
+      </ComboboxPopover>
+    </>
+  );
+}
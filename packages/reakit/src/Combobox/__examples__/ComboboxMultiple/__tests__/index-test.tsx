@@ -0,0 +1,75 @@
+import * as React from "react";
+import { render, press, click, type, screen } from "reakit-test-utils";
+import ComboboxMultiple from "..";
+
+function getInput() {
+  return screen.getByLabelText("Fruits");
+}
+
+function getChips() {
+  return screen.queryAllByRole("button").map((chip) => chip.textContent);
+}
+
+test("listbox is multiselectable", () => {
+  render(<ComboboxMultiple />);
+  click(getInput());
+  expect(screen.getByRole("listbox")).toHaveAttribute(
+    "aria-multiselectable",
+    "true"
+  );
+});
+
+test("toggle selection by clicking on options", () => {
+  render(<ComboboxMultiple />);
+  click(getInput());
+  type("app");
+  click(screen.getByText("Apple"));
+  expect(getChips()).toEqual(["Apple"]);
+  expect(getInput()).toHaveValue("");
+  expect(screen.getByLabelText("Fruit suggestions")).toBeVisible();
+  expect(screen.getByRole("option", { name: "Apple" })).toHaveAttribute(
+    "aria-selected",
+    "true"
+  );
+  expect(screen.getByRole("option", { name: "Apricots" })).toHaveAttribute(
+    "aria-selected",
+    "false"
+  );
+  click(screen.getByText("Apricots"));
+  expect(getChips()).toEqual(["Apple", "Apricots"]);
+  click(screen.getByRole("option", { name: "Apple" }));
+  expect(getChips()).toEqual(["Apricots"]);
+});
+
+test("toggle selection with the keyboard", () => {
+  render(<ComboboxMultiple />);
+  press.Tab();
+  type("ban");
+  press.ArrowDown();
+  press.Enter();
+  expect(getChips()).toEqual(["Banana"]);
+  expect(getInput()).toHaveFocus();
+});
+
+test("remove last chip with backspace", () => {
+  render(<ComboboxMultiple />);
+  click(getInput());
+  click(screen.getByText("Acerola"));
+  click(screen.getByText("Apple"));
+  expect(getChips()).toEqual(["Acerola", "Apple"]);
+  type("\b");
+  expect(getChips()).toEqual(["Acerola"]);
+  type("a");
+  type("\b");
+  expect(getChips()).toEqual(["Acerola"]);
+});
+
+test("remove chip by clicking on it", () => {
+  render(<ComboboxMultiple />);
+  click(getInput());
+  click(screen.getByText("Acerola"));
+  click(screen.getByText("Apple"));
+  click(screen.getByLabelText("Remove Acerola"));
+  expect(getChips()).toEqual(["Apple"]);
+  expect(getInput()).toHaveFocus();
+});
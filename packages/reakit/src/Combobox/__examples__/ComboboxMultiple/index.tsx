@@ -0,0 +1,36 @@
+import * as React from "react";
+import {
+  unstable_useComboboxState as useComboboxState,
+  unstable_Combobox as Combobox,
+  unstable_ComboboxChip as ComboboxChip,
+  unstable_ComboboxPopover as ComboboxPopover,
+  unstable_ComboboxOption as ComboboxOption,
+} from "reakit/Combobox";
+import { fruits } from "../ComboboxBothAutoSelect/fruits";
+
+import "./style.css";
+
+export default function ComboboxMultiple() {
+  const combobox = useComboboxState({
+    values: fruits,
+    multiple: true,
+    gutter: 8,
+  });
+  return (
+    <>
+      <div className="chips">
+        {combobox.selectedValues.map((value) => (
+          <ComboboxChip {...combobox} key={value} value={value} />
+        ))}
+        <Combobox {...combobox} aria-label="Fruits" />
+      </div>
+      <ComboboxPopover {...combobox} aria-label="Fruit suggestions">
+        {combobox.matches.length
+          ? combobox.matches.map((value) => (
+              <ComboboxOption {...combobox} key={value} value={value} />
+            ))
+          : "No results found"}
+      </ComboboxPopover>
+    </>
+  );
+}
@@ -1,15 +1,18 @@
 import { unstable_Combobox as Combobox } from "../Combobox";
 
 export { default as AccessibleCombobox } from "./AccessibleCombobox";
+export { default as ComboboxAsync } from "./ComboboxAsync";
 export { default as ComboboxAutoSelect } from "./ComboboxAutoSelect";
 export { default as ComboboxBothAutocomplete } from "./ComboboxBothAutocomplete";
 export { default as ComboboxBothAutoSelect } from "./ComboboxBothAutoSelect";
 export { default as ComboboxFetch } from "./ComboboxFetch";
+export { default as ComboboxFuzzyFilter } from "./ComboboxFuzzyFilter";
 export { default as ComboboxInline } from "./ComboboxInline";
 export { default as ComboboxInlineAutoSelect } from "./ComboboxInlineAutoSelect";
 export { default as ComboboxList } from "./ComboboxList";
 export { default as ComboboxListGridWithPopover } from "./ComboboxListGridWithPopover";
 export { default as ComboboxMinValueLength } from "./ComboboxMinValueLength";
+export { default as ComboboxMultiple } from "./ComboboxMultiple";
 export { default as ComboboxVisible } from "./ComboboxVisible";
 
 export default {
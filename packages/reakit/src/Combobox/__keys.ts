@@ -11,6 +11,12 @@ const COMBOBOX_LIST_STATE_KEYS = [
   "wrap",
   "shift",
   "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
   "unstable_hasActiveWidget",
   "unstable_includesBaseElement",
   "items",
@@ -24,6 +30,15 @@ const COMBOBOX_LIST_STATE_KEYS = [
   "list",
   "inline",
   "autoSelect",
+  "filter",
+  "load",
+  "loadDebounce",
+  "loading",
+  "loaded",
+  "error",
+  "hasMore",
+  "multiple",
+  "selectedValues",
   "visible",
   "setBaseId",
   "unregisterItem",
@@ -36,6 +51,8 @@ const COMBOBOX_LIST_STATE_KEYS = [
   "down",
   "first",
   "last",
+  "pageUp",
+  "pageDown",
   "sort",
   "unstable_setVirtual",
   "setRTL",
@@ -55,6 +72,10 @@ const COMBOBOX_LIST_STATE_KEYS = [
   "setList",
   "setInline",
   "setAutoSelect",
+  "setFilter",
+  "loadMore",
+  "setSelectedValues",
+  "toggleSelectedValue",
 ] as const;
 const COMBOBOX_LIST_GRID_STATE_KEYS = [
   ...COMBOBOX_LIST_STATE_KEYS,
@@ -65,9 +86,11 @@ const COMBOBOX_STATE_KEYS = [
   ...COMBOBOX_LIST_STATE_KEYS,
   "animated",
   "animating",
+  "unstable_phase",
   "modal",
   "unstable_disclosureRef",
   "unstable_referenceRef",
+  "unstable_virtualReference",
   "unstable_popoverRef",
   "unstable_arrowRef",
   "unstable_popoverStyles",
@@ -83,6 +106,7 @@ const COMBOBOX_STATE_KEYS = [
   "stopAnimation",
   "setModal",
   "place",
+  "unstable_setVirtualReference",
 ] as const;
 const COMBOBOX_GRID_STATE_KEYS = [
   ...COMBOBOX_LIST_GRID_STATE_KEYS,
@@ -92,9 +116,22 @@ export const COMBOBOX_KEYS = [
   ...COMBOBOX_GRID_STATE_KEYS,
   "hideOnEsc",
 ] as const;
+export const COMBOBOX_CHIP_KEYS = [
+  ...COMBOBOX_GRID_STATE_KEYS,
+  "value",
+] as const;
 export const COMBOBOX_GRID_CELL_KEYS = COMBOBOX_GRID_STATE_KEYS;
 export const COMBOBOX_GRID_ROW_KEYS = COMBOBOX_GRID_CELL_KEYS;
-export const COMBOBOX_ITEM_KEYS = [...COMBOBOX_GRID_ROW_KEYS, "value"] as const;
+export const COMBOBOX_ITEM_KEYS = [
+  ...COMBOBOX_GRID_ROW_KEYS,
+  ...COMBOBOX_CHIP_KEYS,
+  "highlightMatches",
+] as const;
 export const COMBOBOX_LIST_KEYS = COMBOBOX_GRID_ROW_KEYS;
 export const COMBOBOX_OPTION_KEYS = COMBOBOX_LIST_KEYS;
-export const COMBOBOX_POPOVER_KEYS = COMBOBOX_OPTION_KEYS;
+export const COMBOBOX_POPOVER_KEYS = [
+  ...COMBOBOX_OPTION_KEYS,
+  "loadingMessage",
+  "noResultsMessage",
+  "errorMessage",
+] as const;
@@ -0,0 +1,192 @@
+import * as React from "react";
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useComboboxState as useComboboxState,
+  unstable_ComboboxInitialState as ComboboxInitialState,
+} from "../ComboboxState";
+
+function render(initialState: ComboboxInitialState = {}) {
+  return renderHook(() => useComboboxState(initialState)).result;
+}
+
+function createDeferred<T>() {
+  let resolve: (value: T) => void = () => {};
+  let reject: (reason: any) => void = () => {};
+  const promise = new Promise<T>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test("toggleSelectedValue", () => {
+  const result = render({ multiple: true, selectedValues: ["Apple"] });
+  act(() => result.current.toggleSelectedValue("Banana"));
+  expect(result.current.selectedValues).toEqual(["Apple", "Banana"]);
+  act(() => result.current.toggleSelectedValue("Apple"));
+  expect(result.current.selectedValues).toEqual(["Banana"]);
+});
+
+test("toggleSelectedValue with object values", () => {
+  const apple = { id: "apple", label: "Apple" };
+  const greenApple = { id: "green-apple", label: "Apple" };
+  const { result } = renderHook(() =>
+    useComboboxState<{ id: string; label: string }>({ multiple: true })
+  );
+  act(() => result.current.toggleSelectedValue(apple));
+  act(() => result.current.toggleSelectedValue(greenApple));
+  // Values with the same label are told apart by their id
+  expect(result.current.selectedValues).toEqual([apple, greenApple]);
+  act(() => result.current.toggleSelectedValue({ ...apple }));
+  expect(result.current.selectedValues).toEqual([greenApple]);
+});
+
+test("keep object values in currentValue", () => {
+  const apple = { id: "apple", label: "Apple" };
+  const { result } = renderHook(() =>
+    useComboboxState<{ id: string; label: string }>({ values: [apple] })
+  );
+  act(() =>
+    result.current.registerItem({
+      id: "item-apple",
+      ref: React.createRef(),
+      value: apple,
+    })
+  );
+  act(() => result.current.move("item-apple"));
+  expect(result.current.currentValue).toBe(apple);
+});
+
+test("controlled selectedValues", () => {
+  const setSelectedValues = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ selectedValues }) =>
+      useComboboxState({ multiple: true, selectedValues, setSelectedValues }),
+    { initialProps: { selectedValues: ["Apple"] } }
+  );
+  act(() => result.current.toggleSelectedValue("Banana"));
+  expect(setSelectedValues).toHaveBeenCalledWith(["Apple", "Banana"]);
+  expect(result.current.selectedValues).toEqual(["Apple"]);
+  rerender({ selectedValues: ["Banana"] });
+  expect(result.current.selectedValues).toEqual(["Banana"]);
+});
+
+describe("load", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  async function flush() {
+    await act(async () => {
+      jest.runAllTimers();
+    });
+  }
+
+  test("load values", async () => {
+    const load = jest.fn(() => Promise.resolve(["Apple", "Banana"]));
+    const result = render({ load });
+    expect(result.current.list).toBe(true);
+    await flush();
+    expect(load).toHaveBeenCalledWith("", {
+      page: 0,
+      signal: expect.anything(),
+    });
+    expect(result.current.values).toEqual(["Apple", "Banana"]);
+    // Loaded values aren't filtered locally
+    expect(result.current.matches).toEqual(["Apple", "Banana"]);
+    expect(result.current.loading).toBe(false);
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  test("debounce load", async () => {
+    const load = jest.fn(() => Promise.resolve([]));
+    const result = render({ load, loadDebounce: 200 });
+    act(() => result.current.setInputValue("a"));
+    act(() => {
+      jest.advanceTimersByTime(100);
+    });
+    act(() => result.current.setInputValue("ap"));
+    act(() => {
+      jest.advanceTimersByTime(100);
+    });
+    expect(load).not.toHaveBeenCalled();
+    await flush();
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(load).toHaveBeenCalledWith("ap", expect.anything());
+  });
+
+  test("do not load if input value is too short", async () => {
+    const load = jest.fn(() => Promise.resolve([]));
+    const result = render({ load, minValueLength: 2 });
+    await flush();
+    act(() => result.current.setInputValue("a"));
+    await flush();
+    expect(load).not.toHaveBeenCalled();
+  });
+
+  test("abort in-flight load", async () => {
+    const first = createDeferred<string[]>();
+    const second = createDeferred<string[]>();
+    const signals: AbortSignal[] = [];
+    const load = jest.fn((_: string, { signal }: { signal?: AbortSignal }) => {
+      signals.push(signal!);
+      return signals.length === 1 ? first.promise : second.promise;
+    });
+    const result = render({ load, inputValue: "a" });
+    await flush();
+    expect(result.current.loading).toBe(true);
+    act(() => result.current.setInputValue("ap"));
+    await flush();
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+    await act(async () => {
+      second.resolve(["Apple"]);
+    });
+    await act(async () => {
+      first.resolve(["Avocado"]);
+    });
+    expect(result.current.values).toEqual(["Apple"]);
+    expect(result.current.loading).toBe(false);
+  });
+
+  test("load error", async () => {
+    const error = new Error("Failed");
+    const load = jest.fn((): Promise<string[]> => Promise.reject(error));
+    const result = render({ load });
+    await flush();
+    expect(result.current.error).toBe(error);
+    expect(result.current.loading).toBe(false);
+    load.mockImplementation(() => Promise.resolve(["Apple"]));
+    act(() => result.current.setInputValue("a"));
+    await flush();
+    expect(result.current.error).toBeNull();
+    expect(result.current.values).toEqual(["Apple"]);
+  });
+
+  test("load more", async () => {
+    const load = jest.fn((_: string, { page }: { page: number }) =>
+      Promise.resolve({ values: [`Item ${page}`], hasMore: page < 1 })
+    );
+    const result = render({ load, inputValue: "item" });
+    await flush();
+    expect(result.current.values).toEqual(["Item 0"]);
+    expect(result.current.hasMore).toBe(true);
+    await act(async () => {
+      result.current.loadMore();
+    });
+    expect(load).toHaveBeenLastCalledWith("item", {
+      page: 1,
+      signal: expect.anything(),
+    });
+    expect(result.current.values).toEqual(["Item 0", "Item 1"]);
+    expect(result.current.hasMore).toBe(false);
+    await act(async () => {
+      result.current.loadMore();
+    });
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+});
@@ -1,67 +1,99 @@
 import * as React from "react";
 import { SetState } from "reakit-utils/types";
+import { useControlledState } from "../../__utils/useControlledState";
 import {
   CompositeStateReturn,
   CompositeState,
   CompositeActions,
 } from "../../Composite/CompositeState";
-import { Item } from "./types";
+import {
+  unstable_ComboboxFilter as ComboboxFilter,
+  unstable_substringFilter as substringFilter,
+} from "../utils/filters";
+import { Item, Loader, Value } from "./types";
+import { getValueLabel } from "./getValueLabel";
+import { isSameValue } from "./isSameValue";
+import { useComboboxLoader } from "./useComboboxLoader";
 
-function escapeRegExp(string: string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
+type Match<V extends Value> = {
+  value: V;
+  index: number;
+  score: number;
+  prefix: boolean;
+};
 
-function getMatches(
+function getMatches<V extends Value>(
   inputValue: ComboboxBaseState["inputValue"],
-  values: ComboboxBaseState["values"],
+  values: V[],
   limit: ComboboxBaseState["limit"],
   list: ComboboxBaseState["list"],
   autoSelect: ComboboxBaseState["autoSelect"],
-  minValueLength: ComboboxBaseState["minValueLength"]
+  minValueLength: ComboboxBaseState["minValueLength"],
+  filter: ComboboxBaseState["filter"],
+  load?: Loader<V>
 ) {
   if (limit === 0 || inputValue.length < minValueLength) {
     // We don't want to populate combobox.matches if inputValue doesn't have
     // enough characters.
     return [];
   }
+  if (load) {
+    // Loaded values are expected to be already filtered and paginated.
+    return values;
+  }
   const length = limit === false ? undefined : limit;
   if (!list) {
     // If list is false, this means that values aren't expected to be filtered.
     return values.slice(0, length);
   }
-  const regex = new RegExp(escapeRegExp(inputValue), "i");
-  const matches: string[] = [];
+  const matches: Array<Match<V>> = [];
+  values.forEach((value, index) => {
+    const result = filter(getValueLabel(value), inputValue);
+    if (!result) return;
+    const [firstRange] = result.ranges;
+    matches.push({
+      value,
+      index,
+      score: result.score || 0,
+      prefix: !firstRange || firstRange[0] === 0,
+    });
+  });
+  // Array.prototype.sort isn't guaranteed to be stable, so we fall back to
+  // the original order of values.
+  matches.sort((a, b) => b.score - a.score || a.index - b.index);
   if (autoSelect) {
-    const match = values.find((value) => value.search(regex) === 0);
-    if (match) {
-      matches.push(match);
+    // Moves the first match that starts with inputValue to the top, so it's
+    // the one that gets auto selected.
+    const prefixIndex = matches.findIndex((match) => match.prefix);
+    if (prefixIndex > 0) {
+      matches.unshift(...matches.splice(prefixIndex, 1));
     }
   }
-  for (const value of values) {
-    if (length && matches.length >= length) {
-      break;
-    }
-    // Excludes first match, that can be auto selected
-    if (value !== matches[0] && value.search(regex) !== -1) {
-      matches.push(value);
-    }
-  }
-  return matches;
+  return matches.slice(0, length).map((match) => match.value);
 }
 
-export function useComboboxBaseState<T extends CompositeStateReturn>(
+export function useComboboxBaseState<
+  T extends CompositeStateReturn,
+  V extends Value = string
+>(
   composite: T,
   {
     inputValue: initialInputValue = "",
     minValueLength: initialMinValueLength = 0,
-    values: initialValues = [],
+    values: initialValues = [] as V[],
     limit: initialLimit = 10,
-    list: initialList = !!initialValues.length,
+    load,
+    loadDebounce = 300,
+    list: initialList = !!initialValues.length || !!load,
     inline: initialInline = false,
     autoSelect: initialAutoSelect = false,
-  }: ComboboxBaseInitialState = {}
-): ComboboxBaseStateReturn<T> {
-  const valuesById = React.useRef<Record<string, string | undefined>>({});
+    filter: initialFilter = substringFilter,
+    multiple = false,
+    selectedValues: initialSelectedValues = [],
+  }: ComboboxBaseInitialState<V> = {},
+  controlled: ComboboxBaseInitialState<V> = {}
+): ComboboxBaseStateReturn<T, V> {
+  const valuesById = React.useRef<Record<string, V | undefined>>({});
 
   const [inputValue, setInputValue] = React.useState(initialInputValue);
   const [minValueLength, setMinValueLength] = React.useState(
@@ -72,11 +104,50 @@ export function useComboboxBaseState<T extends CompositeStateReturn>(
   const [list, setList] = React.useState(initialList);
   const [inline, setInline] = React.useState(initialInline);
   const [autoSelect, setAutoSelect] = React.useState(initialAutoSelect);
+  // Functions passed to React.useState are treated as initializers, so the
+  // filter is wrapped.
+  const [filter, setFilter] = React.useState(() => initialFilter);
+  const [selectedValues, setSelectedValues] = useControlledState(
+    initialSelectedValues,
+    controlled.selectedValues ?? initialSelectedValues,
+    controlled.setSelectedValues,
+    "selectedValues"
+  );
+
+  const toggleSelectedValue = React.useCallback(
+    (value: V) => {
+      setSelectedValues((prevSelectedValues) =>
+        prevSelectedValues.some((selected) => isSameValue(selected, value))
+          ? prevSelectedValues.filter(
+              (selected) => !isSameValue(selected, value)
+            )
+          : [...prevSelectedValues, value]
+      );
+    },
+    [setSelectedValues]
+  );
 
   const matches = React.useMemo(
     () =>
-      getMatches(inputValue, values, limit, list, autoSelect, minValueLength),
-    [inputValue, values, limit, list, autoSelect, minValueLength]
+      getMatches(
+        inputValue,
+        values,
+        limit,
+        list,
+        autoSelect,
+        minValueLength,
+        filter,
+        load
+      ),
+    [inputValue, values, limit, list, autoSelect, minValueLength, filter, load]
+  );
+
+  const { loading, loaded, error, hasMore, loadMore } = useComboboxLoader(
+    load,
+    loadDebounce,
+    inputValue,
+    minValueLength,
+    setValues
   );
 
   const currentValue = React.useMemo(
@@ -98,7 +169,7 @@ export function useComboboxBaseState<T extends CompositeStateReturn>(
     (item: Item) => {
       composite.registerItem(item);
       if (item.id) {
-        valuesById.current[item.id] = item.value;
+        valuesById.current[item.id] = item.value as V | undefined;
       }
     },
     [composite.registerItem]
@@ -128,6 +199,15 @@ export function useComboboxBaseState<T extends CompositeStateReturn>(
     list,
     inline,
     autoSelect,
+    filter,
+    load,
+    loadDebounce,
+    loading,
+    loaded,
+    error,
+    hasMore,
+    multiple,
+    selectedValues,
     setInputValue,
     setMinValueLength,
     setValues,
@@ -135,13 +215,17 @@ export function useComboboxBaseState<T extends CompositeStateReturn>(
     setList,
     setInline,
     setAutoSelect,
+    setFilter,
+    loadMore,
+    setSelectedValues,
+    toggleSelectedValue,
   };
 }
 
-export type ComboboxBaseState<T extends CompositeState = CompositeState> = Omit<
-  T,
-  "items"
-> & {
+export type ComboboxBaseState<
+  T extends CompositeState = CompositeState,
+  V extends Value = string
+> = Omit<T, "items"> & {
   /**
    * Lists all the combobox items with their `id`, DOM `ref`, `disabled` state,
    * `value` and `groupId` if any. This state is automatically updated when
@@ -181,11 +265,14 @@ export type ComboboxBaseState<T extends CompositeState = CompositeState> = Omit<
    */
   minValueLength: number;
   /**
-   * Value of the item that is currently selected.
+   * Value of the item that is currently selected. Object values are kept as
+   * they are, so their `label` must be read to display them.
    */
-  currentValue?: string;
+  currentValue?: V;
   /**
-   * Values that will be used to produce `matches`.
+   * Values that will be used to produce `matches`. Besides strings, they can
+   * be objects with a `label`, which is used for filtering and displaying,
+   * and an optional `id`.
    * @default []
    * @example
    * const combobox = useComboboxState({ values: ["Red", "Green"] });
@@ -193,8 +280,15 @@ export type ComboboxBaseState<T extends CompositeState = CompositeState> = Omit<
    * combobox.setInputValue("g");
    * // On next render
    * combobox.matches; // ["Green"]
+   * @example
+   * const combobox = useComboboxState({
+   *   values: [
+   *     { id: "red", label: "Red" },
+   *     { id: "green", label: "Green" },
+   *   ],
+   * });
    */
-  values: string[];
+  values: V[];
   /**
    * Maximum number of `matches`. If it's set to `false`, there will be no
    * limit.
@@ -211,7 +305,7 @@ export type ComboboxBaseState<T extends CompositeState = CompositeState> = Omit<
    * // On next render
    * combobox.matches; // ["Green"]
    */
-  matches: string[];
+  matches: V[];
   /**
    * Determines how the combobox options behave: dynamically or statically.
    * By default, it's `true` if `values` are provided. Otherwise, it's `false`:
@@ -251,6 +345,83 @@ export type ComboboxBaseState<T extends CompositeState = CompositeState> = Omit<
    * @default false
    */
   autoSelect: boolean;
+  /**
+   * Function used to filter `values` based on `inputValue`. It receives the
+   * label of each value and returns `null` if it doesn't match or the ranges
+   * of the label that matched, which can be used to highlight the matched
+   * text. If it also returns a `score`, `matches` are sorted by it.
+   * `unstable_substringFilter` and `unstable_fuzzyFilter` can be imported
+   * from `reakit/Combobox/utils`.
+   * @default unstable_substringFilter
+   * @example
+   * import { unstable_fuzzyFilter } from "reakit/Combobox/utils";
+   * const combobox = useComboboxState({
+   *   values: ["Apple", "Pineapple"],
+   *   filter: unstable_fuzzyFilter,
+   * });
+   */
+  filter: ComboboxFilter;
+  /**
+   * Function that loads values from a remote source. It's called with the
+   * input value whenever it changes, debounced by `loadDebounce`, and the
+   * loaded values replace `values`. They're expected to be already
+   * filtered, so `filter` and `limit` aren't applied. The `signal` can be
+   * passed to `fetch` so superseded requests are aborted. To support
+   * paging, return an object with `values` and `hasMore`.
+   * @example
+   * const combobox = useComboboxState({
+   *   load: async (inputValue, { page, signal }) => {
+   *     const url = `/api/fruits?q=${inputValue}&page=${page}`;
+   *     const response = await fetch(url, { signal });
+   *     const { fruits, hasMore } = await response.json();
+   *     return { values: fruits, hasMore };
+   *   },
+   * });
+   */
+  load?: Loader<V>;
+  /**
+   * Time in milliseconds to wait after the input value changes before
+   * calling `load`.
+   * @default 300
+   */
+  loadDebounce: number;
+  /**
+   * Whether `load` is pending.
+   */
+  loading: boolean;
+  /**
+   * Whether `load` has resolved for the current `inputValue`. It's `false`
+   * while waiting for the debounce, so the values may still be the ones
+   * loaded for a previous input value.
+   */
+  loaded: boolean;
+  /**
+   * The error `load` rejected with, if any. It's reset on the next load.
+   */
+  error: unknown;
+  /**
+   * Whether `load` indicated there are more pages of values to load.
+   */
+  hasMore: boolean;
+  /**
+   * Whether multiple values can be selected. If it's `true`, clicking on a
+   * combobox item toggles its value in `selectedValues` instead of filling
+   * the input with it.
+   * @default false
+   */
+  multiple: boolean;
+  /**
+   * Values of the selected combobox items when `multiple` is `true`. Object
+   * values are kept as they are and compared by their `id` (or `label` if
+   * they don't have one).
+   * @default []
+   * @example
+   * const combobox = useComboboxState({
+   *   multiple: true,
+   *   selectedValues: ["Apple"],
+   * });
+   */
+  selectedValues: V[];
   /**
    * Whether the suggestions popup is visible or not.
    */
@@ -258,7 +429,8 @@ export type ComboboxBaseState<T extends CompositeState = CompositeState> = Omit<
 };
 
 export type ComboboxBaseActions<
-  T extends CompositeActions = CompositeActions
+  T extends CompositeActions = CompositeActions,
+  V extends Value = string
 > = Omit<T, "registerItem"> & {
   /**
    * Registers a combobox item.
@@ -289,7 +461,7 @@ export type ComboboxBaseActions<
    * combobox.setValues(["Red", "Green"]);
    * combobox.setValues((prevValues) => [...prevValues, "Blue"]);
    */
-  setValues: SetState<ComboboxBaseState["values"]>;
+  setValues: SetState<ComboboxBaseState<CompositeState, V>["values"]>;
   /**
    * Sets `limit`.
    */
@@ -306,10 +478,37 @@ export type ComboboxBaseActions<
    * Sets `autoSelect`.
    */
   setAutoSelect: SetState<ComboboxBaseState["autoSelect"]>;
+  /**
+   * Sets `filter`. Since functions are treated as state updaters, the new
+   * filter must be returned from a function.
+   * @example
+   * const combobox = useComboboxState();
+   * combobox.setFilter(() => unstable_fuzzyFilter);
+   */
+  setFilter: SetState<ComboboxBaseState["filter"]>;
+  /**
+   * Loads the next page of values and appends it to `values`. This is
+   * called automatically when the combobox list is scrolled to the end.
+   */
+  loadMore: () => void;
+  /**
+   * Sets `selectedValues`.
+   * @example
+   * const combobox = useComboboxState({ multiple: true });
+   * combobox.setSelectedValues(["Apple", "Banana"]);
+   */
+  setSelectedValues: SetState<
+    ComboboxBaseState<CompositeState, V>["selectedValues"]
+  >;
+  /**
+   * Adds `value` to `selectedValues` if it isn't there, or removes it
+   * otherwise.
+   */
+  toggleSelectedValue: (value: V) => void;
 };
 
-export type ComboboxBaseInitialState = Pick<
-  Partial<ComboboxBaseState>,
+export type ComboboxBaseInitialState<V extends Value = string> = Pick<
+  Partial<ComboboxBaseState<CompositeState, V>>,
   | "inputValue"
   | "minValueLength"
   | "values"
@@ -317,8 +516,28 @@ export type ComboboxBaseInitialState = Pick<
   | "list"
   | "inline"
   | "autoSelect"
->;
+  | "filter"
+  | "load"
+  | "loadDebounce"
+  | "multiple"
+  | "selectedValues"
+> & {
+  /**
+   * Makes `selectedValues` controlled. When passed, `selectedValues` is read
+   * on every render instead of only on the first one, and this function is
+   * called with the next value whenever the selection would change.
+   * @example
+   * const [selectedValues, setSelectedValues] = React.useState([]);
+   * const combobox = useComboboxState({
+   *   multiple: true,
+   *   selectedValues,
+   *   setSelectedValues,
+   * });
+   */
+  setSelectedValues?: (selectedValues: V[]) => void;
+};
 
 export type ComboboxBaseStateReturn<
-  T extends CompositeStateReturn
-> = ComboboxBaseState<T> & ComboboxBaseActions<T>;
+  T extends CompositeStateReturn,
+  V extends Value = string
+> = ComboboxBaseState<T, V> & ComboboxBaseActions<T, V>;
@@ -9,7 +9,7 @@ import { unstable_ComboboxListStateReturn as ComboboxListStateReturn } from "../
 import { unstable_ComboboxListGridStateReturn as ComboboxListGridStateReturn } from "../ComboboxListGridState";
 
 export function useComboboxPopoverState<
-  T extends ComboboxListStateReturn | ComboboxListGridStateReturn
+  T extends ComboboxListStateReturn<any> | ComboboxListGridStateReturn<any>
 >(
   combobox: T,
   {
@@ -1,7 +1,14 @@
+import { Value } from "./types";
+import { getValueLabel } from "./getValueLabel";
+
 function kebabCase(string: string) {
   return string.toLowerCase().replace(/[^a-z0-9]/g, "-");
 }
 
-export function getItemId(baseId: string, value: string, id?: string) {
-  return id || `${baseId}-${kebabCase(value)}`;
+export function getItemId(baseId: string, value: Value, id?: string) {
+  if (id) return id;
+  if (typeof value !== "string" && value.id) {
+    return `${baseId}-${value.id}`;
+  }
+  return `${baseId}-${kebabCase(getValueLabel(value))}`;
 }
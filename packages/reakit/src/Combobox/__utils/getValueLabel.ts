@@ -0,0 +1,5 @@
+import { Value } from "./types";
+
+export function getValueLabel(value: Value) {
+  return typeof value === "string" ? value : value.label;
+}
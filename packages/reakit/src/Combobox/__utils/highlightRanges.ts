@@ -0,0 +1,24 @@
+import * as React from "react";
+import { unstable_ComboboxHighlightRange as ComboboxHighlightRange } from "../utils/filters";
+
+export function highlightRanges(
+  label: string,
+  ranges?: ComboboxHighlightRange[]
+): React.ReactNode {
+  if (!ranges?.length) return label;
+  const children: React.ReactNode[] = [];
+  let index = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > index) {
+      children.push(label.slice(index, start));
+    }
+    children.push(
+      React.createElement("strong", { key: start }, label.slice(start, end))
+    );
+    index = end;
+  });
+  if (index < label.length) {
+    children.push(label.slice(index));
+  }
+  return children;
+}
@@ -0,0 +1,12 @@
+import { Value } from "./types";
+
+/**
+ * Object values are compared by their `id` or, if they don't have one, by
+ * their `label`.
+ */
+export function isSameValue(a?: Value, b?: Value) {
+  if (a == null || b == null || typeof a === "string") return a === b;
+  if (typeof b === "string") return false;
+  if (a.id != null || b.id != null) return a.id === b.id;
+  return a.label === b.label;
+}
@@ -8,5 +8,16 @@ export type Item = {
   ref: React.RefObject<HTMLElement>;
   groupId?: Group["id"];
   disabled?: boolean;
-  value?: string;
+  value?: Value;
 };
+
+export type Value = string | { label: string; id?: string };
+
+export type LoaderResult<V extends Value> =
+  | V[]
+  | { values: V[]; hasMore?: boolean };
+
+export type Loader<V extends Value> = (
+  inputValue: string,
+  options: { page: number; signal?: AbortSignal }
+) => Promise<LoaderResult<V>>;
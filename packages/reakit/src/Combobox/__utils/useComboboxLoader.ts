@@ -0,0 +1,104 @@
+import * as React from "react";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { SetState } from "reakit-utils/types";
+import { Loader, LoaderResult, Value } from "./types";
+
+function parseResult<V extends Value>(result: LoaderResult<V>) {
+  if (Array.isArray(result)) {
+    return { values: result, hasMore: false };
+  }
+  return { values: result.values, hasMore: !!result.hasMore };
+}
+
+/**
+ * Calls `load` whenever `inputValue` changes, debounced by `debounce`
+ * milliseconds, and puts the result into `values`. Requests that are
+ * superseded by a newer one are aborted and their results are ignored.
+ */
+export function useComboboxLoader<V extends Value>(
+  load: Loader<V> | undefined,
+  debounce: number,
+  inputValue: string,
+  minValueLength: number,
+  setValues: SetState<V[]>
+) {
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState<unknown>(null);
+  // The input value the current values have been loaded for.
+  const [loadedValue, setLoadedValue] = React.useState<string | null>(null);
+  const [hasMore, setHasMore] = React.useState(false);
+  const loadRef = useLiveRef(load);
+  const requestId = React.useRef(0);
+  const controller = React.useRef<AbortController | null>(null);
+  // The input value and page of the last loaded values.
+  const lastLoad = React.useRef({ inputValue, page: 0 });
+
+  const abort = React.useCallback(() => {
+    requestId.current += 1;
+    controller.current?.abort();
+    controller.current = null;
+  }, []);
+
+  const loadPage = React.useCallback(
+    (value: string, page: number) => {
+      const loader = loadRef.current;
+      if (!loader) return;
+      abort();
+      const id = requestId.current;
+      if (typeof AbortController !== "undefined") {
+        controller.current = new AbortController();
+      }
+      const signal = controller.current?.signal;
+      setLoading(true);
+      setError(null);
+      Promise.resolve()
+        .then(() => loader(value, { page, signal }))
+        .then(
+          (result) => {
+            if (id !== requestId.current) return;
+            const { values, hasMore: more } = parseResult(result);
+            lastLoad.current = { inputValue: value, page };
+            controller.current = null;
+            setValues((prevValues) =>
+              page === 0 ? values : [...prevValues, ...values]
+            );
+            setHasMore(more);
+            setLoadedValue(value);
+            setLoading(false);
+          },
+          (e) => {
+            if (id !== requestId.current) return;
+            controller.current = null;
+            setError(e);
+            setLoading(false);
+          }
+        );
+    },
+    [abort, setValues]
+  );
+
+  React.useEffect(() => {
+    if (!load) return undefined;
+    if (inputValue.length < minValueLength) {
+      abort();
+      setLoading(false);
+      setHasMore(false);
+      return undefined;
+    }
+    const timeout = setTimeout(() => loadPage(inputValue, 0), debounce);
+    return () => clearTimeout(timeout);
+  }, [load, debounce, inputValue, minValueLength, abort, loadPage]);
+
+  // Aborts pending requests on unmount
+  React.useEffect(() => abort, [abort]);
+
+  const loadMore = React.useCallback(() => {
+    if (!hasMore || loading) return;
+    const { inputValue: value, page } = lastLoad.current;
+    loadPage(value, page + 1);
+  }, [hasMore, loading, loadPage]);
+
+  const loaded = !loading && loadedValue === inputValue;
+
+  return { loading, loaded, error, hasMore, loadMore };
+}
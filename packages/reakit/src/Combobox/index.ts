@@ -1,4 +1,5 @@
 export * from "./Combobox";
+export * from "./ComboboxChip";
 export * from "./ComboboxGridCell";
 export * from "./ComboboxGridRow";
 export * from "./ComboboxGridState";
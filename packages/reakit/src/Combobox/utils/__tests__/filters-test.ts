@@ -0,0 +1,54 @@
+import { unstable_substringFilter, unstable_fuzzyFilter } from "../filters";
+
+test("substringFilter matches case insensitively", () => {
+  expect(unstable_substringFilter("Apple", "PL")).toEqual({
+    ranges: [[2, 4]],
+  });
+});
+
+test("substringFilter ignores diacritics", () => {
+  expect(unstable_substringFilter("Crème brûlée", "bru")).toEqual({
+    ranges: [[6, 9]],
+  });
+  expect(unstable_substringFilter("Creme brulee", "brû")).toEqual({
+    ranges: [[6, 9]],
+  });
+});
+
+test("substringFilter maps ranges back to decomposed characters", () => {
+  const label = "Café au lait";
+  expect(unstable_substringFilter(label, "é au")).toEqual({
+    ranges: [[3, 8]],
+  });
+});
+
+test("substringFilter returns null if there's no match", () => {
+  expect(unstable_substringFilter("Apple", "ae")).toBeNull();
+});
+
+test("substringFilter matches everything with empty input value", () => {
+  expect(unstable_substringFilter("Apple", "")).toEqual({ ranges: [] });
+});
+
+test("fuzzyFilter matches characters in order", () => {
+  expect(unstable_fuzzyFilter("New Zealand", "nzl")).toEqual({
+    ranges: [
+      [0, 1],
+      [4, 5],
+      [7, 8],
+    ],
+    score: expect.any(Number),
+  });
+  expect(unstable_fuzzyFilter("New Zealand", "xn")).toBeNull();
+});
+
+test("fuzzyFilter scores contiguous matches higher", () => {
+  const score = (label: string, inputValue: string) =>
+    unstable_fuzzyFilter(label, inputValue)?.score;
+  expect(score("Apple", "app")).toBeGreaterThan(score("Pineapple", "app")!);
+  expect(score("Pineapple", "app")).toBeGreaterThan(score("Apple", "ape")!);
+  expect(score("Apple", "ape")).toBeGreaterThan(score("Pineapple", "ape")!);
+  expect(score("Green apple", "app")).toBeGreaterThan(
+    score("Pineapple", "app")!
+  );
+});
@@ -0,0 +1,147 @@
+/**
+ * Range of matched characters. `start` is inclusive and `end` is exclusive,
+ * so `label.slice(start, end)` returns the matched text.
+ */
+export type unstable_ComboboxHighlightRange = [number, number];
+
+export type unstable_ComboboxFilterResult = {
+  /**
+   * Ranges of `label` that matched the input value. They're used to
+   * highlight the matched text.
+   */
+  ranges: unstable_ComboboxHighlightRange[];
+  /**
+   * Relevance of the match. If present, matches with higher scores come
+   * first. Otherwise, the original order of `values` is kept.
+   */
+  score?: number;
+};
+
+/**
+ * Receives the label of a value and the combobox input value and returns
+ * `null` if the value doesn't match or an object with the matched ranges.
+ */
+export type unstable_ComboboxFilter = (
+  label: string,
+  inputValue: string
+) => unstable_ComboboxFilterResult | null;
+
+const diacritics = /[\u0300-\u036f]/g;
+
+// Lowercases the string and strips diacritics from it. Since this may change
+// the length of the string, it also returns the index of the original
+// character for each normalized character so ranges can be mapped back.
+function normalize(string: string): [string, number[]] {
+  let normalized = "";
+  const indexes: number[] = [];
+  for (let i = 0; i < string.length; i += 1) {
+    let char = string[i];
+    if (typeof char.normalize === "function") {
+      char = char.normalize("NFD").replace(diacritics, "");
+    }
+    char = char.toLowerCase();
+    for (let j = 0; j < char.length; j += 1) {
+      normalized += char[j];
+      indexes.push(i);
+    }
+  }
+  return [normalized, indexes];
+}
+
+function getOriginalRange(
+  indexes: number[],
+  start: number,
+  end: number
+): unstable_ComboboxHighlightRange {
+  return [indexes[start], indexes[end - 1] + 1];
+}
+
+function isWordStart(string: string, index: number) {
+  return index === 0 || /[\s\-_.,/()]/.test(string[index - 1]);
+}
+
+/**
+ * Matches labels that contain the input value, ignoring case and diacritics.
+ * This is the default `filter`.
+ *
+ * @example
+ * unstable_substringFilter("Crème brûlée", "bru"); // { ranges: [[6, 9]] }
+ */
+export const unstable_substringFilter: unstable_ComboboxFilter = (
+  label,
+  inputValue
+) => {
+  const [query] = normalize(inputValue);
+  if (!query) return { ranges: [] };
+  const [normalized, indexes] = normalize(label);
+  const start = normalized.indexOf(query);
+  if (start === -1) return null;
+  return { ranges: [getOriginalRange(indexes, start, start + query.length)] };
+};
+
+/**
+ * Matches labels that contain all the characters of the input value in
+ * order, ignoring case and diacritics. Contiguous matches score higher than
+ * scattered ones, and matches at the start of a word score higher than
+ * matches in the middle of a word.
+ *
+ * @example
+ * const combobox = useComboboxState({
+ *   values: ["Apple", "Pineapple", "Grape"],
+ *   filter: unstable_fuzzyFilter,
+ * });
+ * combobox.setInputValue("ape");
+ * // On next render
+ * combobox.matches; // ["Grape", "Apple", "Pineapple"]
+ */
+export const unstable_fuzzyFilter: unstable_ComboboxFilter = (
+  label,
+  inputValue
+) => {
+  const [query] = normalize(inputValue);
+  if (!query) return { ranges: [], score: 0 };
+  const [normalized, indexes] = normalize(label);
+
+  const start = normalized.indexOf(query);
+  if (start !== -1) {
+    let score = 2;
+    if (start === 0) {
+      score += 1;
+    } else if (isWordStart(normalized, start)) {
+      score += 0.5;
+    }
+    return {
+      ranges: [getOriginalRange(indexes, start, start + query.length)],
+      score,
+    };
+  }
+
+  const ranges: unstable_ComboboxHighlightRange[] = [];
+  let rangeStart = -1;
+  let previous = -1;
+  let first = -1;
+  let wordStarts = 0;
+  for (let i = 0; i < query.length; i += 1) {
+    const index = normalized.indexOf(query[i], previous + 1);
+    if (index === -1) return null;
+    if (first === -1) {
+      first = index;
+    }
+    if (isWordStart(normalized, index)) {
+      wordStarts += 1;
+    }
+    if (rangeStart === -1) {
+      rangeStart = index;
+    } else if (index !== previous + 1) {
+      ranges.push(getOriginalRange(indexes, rangeStart, previous + 1));
+      rangeStart = index;
+    }
+    previous = index;
+  }
+  ranges.push(getOriginalRange(indexes, rangeStart, previous + 1));
+
+  // The more compact the match is, the closer the score gets to 1.
+  const span = previous - first + 1;
+  const score = (query.length + wordStarts) / (span + query.length);
+  return { ranges, score };
+};
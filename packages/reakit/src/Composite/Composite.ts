@@ -5,6 +5,7 @@ import { useCreateElement } from "reakit-system/useCreateElement";
 import { useForkRef } from "reakit-utils/useForkRef";
 import { warning, useWarning } from "reakit-warning";
 import { getDocument } from "reakit-utils/getDocument";
+import { getActiveElement } from "reakit-utils/getActiveElement";
 import { fireBlurEvent } from "reakit-utils/fireBlurEvent";
 import { fireKeyboardEvent } from "reakit-utils/fireKeyboardEvent";
 import { isSelfTarget } from "reakit-utils/isSelfTarget";
@@ -23,6 +24,7 @@ import { getCurrentId } from "./__utils/getCurrentId";
 import { findEnabledItemById } from "./__utils/findEnabledItemById";
 import { COMPOSITE_KEYS } from "./__keys";
 import { userFocus } from "./__utils/userFocus";
+import { useTypeahead, isTypeaheadEvent } from "./__utils/useTypeahead";
 
 export type CompositeOptions = TabbableOptions &
   Pick<
@@ -34,6 +36,10 @@ export type CompositeOptions = TabbableOptions &
     | "unstable_moves"
     | "wrap"
     | "groups"
+    | "unstable_itemCount"
+    | "unstable_rowCount"
+    | "unstable_typeahead"
+    | "unstable_getItemLabel"
   > &
   Pick<
     CompositeStateReturn,
@@ -151,13 +157,22 @@ export const useComposite = createHook<CompositeOptions, CompositeHTMLProps>({
     const onBlurCaptureRef = useLiveRef(htmlOnBlurCapture);
     const onKeyDownRef = useLiveRef(htmlOnKeyDown);
     const scheduleUserFocus = useScheduleUserFocus(currentItem);
+    const findItem = useTypeahead(
+      options.items,
+      options.currentId,
+      options.unstable_getItemLabel
+    );
     // IE 11 doesn't support event.relatedTarget, so we use the active element
     // ref instead.
     const activeElementRef = isIE11 ? useActiveElementRef(ref) : undefined;
 
     React.useEffect(() => {
       const element = ref.current;
-      if (options.unstable_moves && !currentItem) {
+      // Virtualized composites may move to items that are not mounted yet,
+      // in which case the item will take focus once it's mounted.
+      const isVirtualizedItem =
+        options.unstable_itemCount != null && options.currentId != null;
+      if (options.unstable_moves && !currentItem && !isVirtualizedItem) {
         warning(
           !element,
           "Can't focus composite component because `ref` wasn't passed to component.",
@@ -312,6 +327,26 @@ export const useComposite = createHook<CompositeOptions, CompositeHTMLProps>({
       (event: React.KeyboardEvent<HTMLElement>) => {
         onKeyDownRef.current?.(event);
         if (event.defaultPrevented) return;
+        if (
+          options.unstable_typeahead &&
+          isTypeaheadEvent(event) &&
+          (isSelfTarget(event) || isItem(options.items, event.target))
+        ) {
+          // Composite items may have moved focus to a text field widget
+          // within them, in which case the character is typed there.
+          const activeElement = getActiveElement(event.currentTarget);
+          if (
+            activeElement === event.target ||
+            activeElement === event.currentTarget
+          ) {
+            const item = findItem(event.key);
+            if (item?.id) {
+              event.preventDefault();
+              options.move?.(item.id);
+            }
+            return;
+          }
+        }
         if (options.currentId !== null) return;
         if (!isSelfTarget(event)) return;
         const isVertical = options.orientation !== "horizontal";
@@ -344,6 +379,8 @@ export const useComposite = createHook<CompositeOptions, CompositeHTMLProps>({
         }
       },
       [
+        options.unstable_typeahead,
+        findItem,
         options.currentId,
         options.orientation,
         options.groups,
@@ -366,6 +403,7 @@ export const useComposite = createHook<CompositeOptions, CompositeHTMLProps>({
       "aria-activedescendant": options.unstable_virtual
         ? currentItem?.id || undefined
         : undefined,
+      "aria-rowcount": options.unstable_rowCount,
       ...htmlProps,
     };
   },
@@ -11,12 +11,22 @@ import {
 } from "../Id/Id";
 import { CompositeStateReturn } from "./CompositeState";
 import { findEnabledItemById } from "./__utils/findEnabledItemById";
+import { findItemIndex } from "./__utils/findItemIndex";
+import { getColumnCount } from "./__utils/getColumnCount";
 import { COMPOSITE_GROUP_KEYS } from "./__keys";
 
 export type CompositeGroupOptions = GroupOptions &
   unstable_IdOptions &
   Pick<CompositeStateReturn, "registerGroup" | "unregisterGroup"> &
-  Pick<Partial<CompositeStateReturn>, "currentId" | "unstable_moves" | "items">;
+  Pick<
+    Partial<CompositeStateReturn>,
+    | "currentId"
+    | "unstable_moves"
+    | "items"
+    | "unstable_itemCount"
+    | "unstable_getItemId"
+    | "unstable_rowCount"
+  >;
 
 export type CompositeGroupHTMLProps = GroupHTMLProps & unstable_IdHTMLProps;
 
@@ -60,6 +70,26 @@ export const useCompositeGroup = createHook<
   useProps(options, { ref: htmlRef, ...htmlProps }) {
     const ref = React.useRef<HTMLElement>(null);
     const { id } = options;
+    const {
+      unstable_itemCount: itemCount,
+      unstable_getItemId: getItemId,
+      unstable_rowCount: rowCount,
+    } = options;
+    // On virtualized grids, the row index is computed from the index of the
+    // first item in the group.
+    const rowIndex = React.useMemo(() => {
+      if (itemCount == null || rowCount == null || !getItemId) return -1;
+      if (!options.items) return -1;
+      const item = options.items.find((i) => i.groupId === id);
+      const index = findItemIndex(
+        options.items,
+        itemCount,
+        getItemId,
+        item?.id
+      );
+      if (index === -1) return -1;
+      return Math.floor(index / getColumnCount(itemCount, rowCount));
+    }, [itemCount, rowCount, getItemId, options.items, id]);
 
     // We need this to be called before CompositeItems' register
     useIsomorphicEffect(() => {
@@ -70,7 +100,11 @@ export const useCompositeGroup = createHook<
       };
     }, [id, options.registerGroup, options.unregisterGroup]);
 
-    return { ref: useForkRef(ref, htmlRef), ...htmlProps };
+    return {
+      ref: useForkRef(ref, htmlRef),
+      "aria-rowindex": rowIndex !== -1 ? rowIndex + 1 : undefined,
+      ...htmlProps,
+    };
   },
 });
 
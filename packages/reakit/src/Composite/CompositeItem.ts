@@ -10,6 +10,7 @@ import { useLiveRef } from "reakit-utils/useLiveRef";
 import { isPortalEvent } from "reakit-utils/isPortalEvent";
 import { isSelfTarget } from "reakit-utils/isSelfTarget";
 import { ensureFocus } from "reakit-utils/ensureFocus";
+import { getActiveElement } from "reakit-utils/getActiveElement";
 import {
   ClickableOptions,
   ClickableHTMLProps,
@@ -24,6 +25,7 @@ import { CompositeStateReturn } from "./CompositeState";
 import { setTextFieldValue } from "./__utils/setTextFieldValue";
 import { getCurrentId } from "./__utils/getCurrentId";
 import { Item } from "./__utils/types";
+import { findItemIndex } from "./__utils/findItemIndex";
 import { COMPOSITE_ITEM_KEYS } from "./__keys";
 import { userFocus, setUserFocus, hasUserFocus } from "./__utils/userFocus";
 
@@ -36,6 +38,11 @@ export type CompositeItemOptions = ClickableOptions &
     | "orientation"
     | "unstable_moves"
     | "unstable_hasActiveWidget"
+    | "unstable_itemCount"
+    | "unstable_getItemId"
+    | "unstable_rowCount"
+    | "pageUp"
+    | "pageDown"
   > &
   Pick<
     CompositeStateReturn,
@@ -50,7 +57,18 @@ export type CompositeItemOptions = ClickableOptions &
     | "down"
     | "first"
     | "last"
-  >;
+  > & {
+    /**
+     * Index of the item on a virtualized composite. If `id` isn't passed,
+     * it's computed with `unstable_getItemId`.
+     */
+    unstable_index?: number;
+    /**
+     * Label matched against the typed characters when the composite state has
+     * `unstable_typeahead` enabled. Defaults to the text content of the item.
+     */
+    unstable_textValue?: string;
+  };
 
 export type CompositeItemHTMLProps = ClickableHTMLProps & unstable_IdHTMLProps;
 
@@ -67,6 +85,18 @@ function useItem(options: CompositeItemOptions) {
   );
 }
 
+// Items of virtualized composites may be mounted after they've become the
+// current item, as they're only rendered once scrolled into view. They
+// shouldn't take focus if it has moved out of the composite meanwhile.
+function canFocusOnMount(element: HTMLElement, baseId?: string) {
+  const activeElement = getActiveElement(element);
+  if (!activeElement || activeElement === getDocument(element).body) {
+    return true;
+  }
+  const composite = baseId && getDocument(element).getElementById(baseId);
+  return !!composite && composite.contains(activeElement);
+}
+
 function targetIsAnotherItem(event: React.SyntheticEvent, items: Item[]) {
   if (isSelfTarget(event)) return false;
   for (const item of items) {
@@ -112,7 +142,11 @@ export const useCompositeItem = createHook<
   useOptions(options) {
     return {
       ...options,
-      id: options.id,
+      id:
+        options.id ??
+        (options.unstable_index != null
+          ? options.unstable_getItemId?.(options.unstable_index)
+          : undefined),
       currentId: getCurrentId(options),
       unstable_clickOnSpace: options.unstable_hasActiveWidget
         ? false
@@ -139,7 +173,13 @@ export const useCompositeItem = createHook<
     const isCurrentItem = options.currentId === id;
     const isCurrentItemRef = useLiveRef(isCurrentItem);
     const hasFocusedComposite = React.useRef(false);
+    const hasMountedRef = React.useRef(false);
     const item = useItem(options);
+    const isVirtualized = options.unstable_itemCount != null;
+    // Items of virtualized grids are positioned by aria-rowindex on their
+    // groups instead of aria-setsize and aria-posinset.
+    const isVirtualizedList =
+      isVirtualized && options.unstable_rowCount == null;
     const onMouseDownRef = useLiveRef(htmlOnMouseDown);
     const onFocusRef = useLiveRef(htmlOnFocus);
     const onBlurCaptureRef = useLiveRef(htmlOnBlurCapture);
@@ -151,15 +191,51 @@ export const useCompositeItem = createHook<
         isCurrentItem) ||
       // We don't want to set tabIndex="-1" when using CompositeItem as a
       // standalone component, without state props.
-      !options.items?.length;
+      !options.items?.length ||
+      // If the current item of a virtualized composite isn't mounted, the
+      // first mounted item must be tabbable so the composite can be reached.
+      (isVirtualized &&
+        !options.items.some((i) => i.id === options.currentId) &&
+        options.items[0]?.id === id);
+    const index = React.useMemo(() => {
+      if (options.unstable_index != null) return options.unstable_index;
+      if (!isVirtualizedList || !options.unstable_getItemId) return -1;
+      return findItemIndex(
+        options.items,
+        options.unstable_itemCount as number,
+        options.unstable_getItemId,
+        id
+      );
+    }, [
+      options.unstable_index,
+      isVirtualizedList,
+      options.unstable_getItemId,
+      options.items,
+      options.unstable_itemCount,
+      id,
+    ]);
 
     React.useEffect(() => {
       if (!id) return undefined;
-      options.registerItem?.({ id, ref, disabled: !!trulyDisabled });
+      const nextItem: Item = { id, ref, disabled: !!trulyDisabled };
+      if (options.unstable_index != null) {
+        nextItem.index = options.unstable_index;
+      }
+      if (options.unstable_textValue != null) {
+        nextItem.textValue = options.unstable_textValue;
+      }
+      options.registerItem?.(nextItem);
       return () => {
         options.unregisterItem?.(id);
       };
-    }, [id, trulyDisabled, options.registerItem, options.unregisterItem]);
+    }, [
+      id,
+      trulyDisabled,
+      options.unstable_index,
+      options.unstable_textValue,
+      options.registerItem,
+      options.unregisterItem,
+    ]);
 
     React.useEffect(() => {
       const element = ref.current;
@@ -171,12 +247,21 @@ export const useCompositeItem = createHook<
         );
         return;
       }
+      const isMounting = !hasMountedRef.current;
+      hasMountedRef.current = true;
       // `moves` will be incremented whenever next, previous, up, down, first,
       // last or move have been called. This means that the composite item will
       // be focused whenever some of these functions are called. We're using
       // isCurrentItemRef instead of isCurrentItem because we don't want to
       // focus the item if isCurrentItem changes (and options.moves doesn't).
       if (options.unstable_moves && isCurrentItemRef.current) {
+        if (
+          isMounting &&
+          isVirtualized &&
+          !canFocusOnMount(element, options.baseId)
+        ) {
+          return;
+        }
         userFocus(element);
       }
     }, [options.unstable_moves]);
@@ -267,20 +352,8 @@ export const useCompositeItem = createHook<
               options.next?.(true);
             }
           },
-          PageUp: () => {
-            if (isGrid) {
-              options.up?.(true);
-            } else {
-              options.first?.();
-            }
-          },
-          PageDown: () => {
-            if (isGrid) {
-              options.down?.(true);
-            } else {
-              options.last?.();
-            }
-          },
+          PageUp: options.pageUp,
+          PageDown: options.pageDown,
         };
         const action = keyMap[event.key as keyof typeof keyMap];
         if (action) {
@@ -313,6 +386,8 @@ export const useCompositeItem = createHook<
         options.previous,
         options.first,
         options.last,
+        options.pageUp,
+        options.pageDown,
       ]
     );
 
@@ -337,6 +412,11 @@ export const useCompositeItem = createHook<
       tabIndex: shouldTabIndex ? htmlTabIndex : -1,
       "aria-selected":
         options.unstable_virtual && isCurrentItem ? true : undefined,
+      "aria-setsize": isVirtualizedList
+        ? options.unstable_itemCount
+        : undefined,
+      "aria-posinset":
+        isVirtualizedList && index !== -1 ? index + 1 : undefined,
       onMouseDown,
       onFocus,
       onBlurCapture,
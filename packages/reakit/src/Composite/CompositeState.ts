@@ -5,6 +5,7 @@ import {
 } from "reakit-utils/useSealedState";
 import { applyState } from "reakit-utils/applyState";
 import { useIsomorphicEffect } from "reakit-utils/useIsomorphicEffect";
+import { useLiveRef } from "reakit-utils/useLiveRef";
 import {
   unstable_IdState,
   unstable_IdActions,
@@ -12,6 +13,10 @@ import {
   unstable_useIdState,
   unstable_IdStateReturn,
 } from "../Id/IdState";
+import {
+  getControlledState,
+  useControlledWarning,
+} from "../__utils/useControlledState";
 import { reverse } from "./__utils/reverse";
 import { Item, Group, Orientation } from "./__utils/types";
 import { findDOMIndex } from "./__utils/findDOMIndex";
@@ -28,6 +33,11 @@ import { getOppositeOrientation } from "./__utils/getOppositeOrientation";
 import { addItemAtIndex } from "./__utils/addItemAtIndex";
 import { sortBasedOnDOMPosition } from "./__utils/sortBasedOnDOMPosition";
 import { useSortBasedOnDOMPosition } from "./__utils/useSortBasedOnDOMPosition";
+import { findItemIndex } from "./__utils/findItemIndex";
+import { findEnabledIndex } from "./__utils/findEnabledIndex";
+import { findEnabledPageIndex } from "./__utils/findEnabledPageIndex";
+import { getPageSize } from "./__utils/getPageSize";
+import { getColumnCount } from "./__utils/getColumnCount";
 
 type CompositeReducerAction =
   | { type: "registerItem"; item: Item }
@@ -41,6 +51,8 @@ type CompositeReducerAction =
   | { type: "down"; allTheWay?: boolean }
   | { type: "first" }
   | { type: "last" }
+  | { type: "pageUp"; pageSize?: CompositeState["unstable_pageSize"] }
+  | { type: "pageDown"; pageSize?: CompositeState["unstable_pageSize"] }
   | { type: "sort" }
   | {
       type: "setVirtual";
@@ -79,9 +91,28 @@ type CompositeReducerAction =
       >;
     };
 
+type NavigationAction = Extract<
+  CompositeReducerAction,
+  {
+    type:
+      | "next"
+      | "previous"
+      | "up"
+      | "down"
+      | "first"
+      | "last"
+      | "pageUp"
+      | "pageDown";
+  }
+>;
+
 type CompositeReducerState = Omit<
   CompositeState,
-  "unstable_hasActiveWidget" | keyof unstable_IdState
+  | "unstable_hasActiveWidget"
+  | "unstable_typeahead"
+  | "unstable_getItemLabel"
+  | "unstable_pageSize"
+  | keyof unstable_IdState
 > & {
   pastIds: string[];
   initialVirtual: CompositeState["unstable_virtual"];
@@ -94,6 +125,197 @@ type CompositeReducerState = Omit<
   hasSetCurrentId?: boolean;
 };
 
+function isVirtualized(state: CompositeReducerState) {
+  if (state.unstable_itemCount == null || !state.unstable_getItemId) {
+    return false;
+  }
+  // Grids can only be virtualized by rows, which requires unstable_rowCount
+  return !state.groups.length || state.unstable_rowCount != null;
+}
+
+function isNavigationAction(
+  action: CompositeReducerAction
+): action is NavigationAction {
+  return [
+    "next",
+    "previous",
+    "up",
+    "down",
+    "first",
+    "last",
+    "pageUp",
+    "pageDown",
+  ].includes(action.type);
+}
+
+// Virtualized composites don't have all their items registered, so
+// navigation is based on the indexes returned by unstable_getItemId.
+function getVirtualizedId(
+  state: CompositeReducerState,
+  action: NavigationAction
+) {
+  if (state.unstable_rowCount != null) {
+    return getVirtualizedGridId(state, action);
+  }
+  const { items, currentId, orientation, rtl, loop } = state;
+  const itemCount = state.unstable_itemCount as number;
+  const getItemId = state.unstable_getItemId as (index: number) => string;
+  const findIndex = (start: number, step: 1 | -1, canLoop?: boolean) =>
+    findEnabledIndex(items, itemCount, getItemId, start, step, canLoop);
+  const currentIndex = findItemIndex(items, itemCount, getItemId, currentId);
+  let index: number;
+
+  if (action.type === "first" || currentIndex === -1) {
+    index = findIndex(0, 1);
+  } else if (action.type === "last") {
+    index = findIndex(itemCount - 1, -1);
+  } else if (action.type === "pageUp" || action.type === "pageDown") {
+    const step = action.type === "pageDown" ? 1 : -1;
+    const pageSize = getPageSize(items, currentId, action.pageSize);
+    if (!pageSize || orientation === "horizontal") {
+      index = step === 1 ? findIndex(itemCount - 1, -1) : findIndex(0, 1);
+    } else {
+      const disabledIds = items
+        .filter((item) => item.disabled)
+        .map((i) => i.id);
+      index = findEnabledPageIndex(
+        itemCount,
+        currentIndex,
+        pageSize,
+        step,
+        (i) => !disabledIds.includes(getItemId(i))
+      );
+    }
+  } else {
+    const isVerticalAction = action.type === "up" || action.type === "down";
+    const isForward = action.type === "next" || action.type === "down";
+    // RTL doesn't make sense on vertical navigation
+    const isRTL = !isVerticalAction && rtl && orientation !== "vertical";
+    const step = isForward !== isRTL ? 1 : -1;
+    if (action.allTheWay) {
+      index = step === 1 ? findIndex(itemCount - 1, -1) : findIndex(0, 1);
+    } else {
+      const oppositeOrientation = getOppositeOrientation(
+        isVerticalAction ? "vertical" : orientation
+      );
+      const canLoop = !!loop && loop !== oppositeOrientation;
+      index = findIndex(currentIndex + step, step, canLoop);
+    }
+  }
+  return index === -1 ? undefined : getItemId(index);
+}
+
+// On virtualized grids, the items are indexed row by row and all the rows
+// but the last one have the same number of items. So, the row and column of
+// an item that is not mounted can be computed from its index.
+function getVirtualizedGridId(
+  state: CompositeReducerState,
+  action: NavigationAction
+) {
+  const { items, currentId, rtl, loop, wrap } = state;
+  const itemCount = state.unstable_itemCount as number;
+  const getItemId = state.unstable_getItemId as (index: number) => string;
+  const rowCount = Math.max(state.unstable_rowCount as number, 1);
+  const columnCount = getColumnCount(itemCount, rowCount);
+  const isDisabled = (index: number) =>
+    items.some((item) => item.disabled && item.id === getItemId(index));
+  // Walks through a list of item indexes, such as a row or a column.
+  const findIndexIn = (
+    indexes: number[],
+    start: number,
+    step: 1 | -1,
+    canLoop?: boolean
+  ) => {
+    const position = findEnabledIndex(
+      items,
+      indexes.length,
+      (i) => getItemId(indexes[i]),
+      start,
+      step,
+      canLoop
+    );
+    return position === -1 ? -1 : indexes[position];
+  };
+  const getIndexes = (vertical: boolean, line?: number) => {
+    const indexes: number[] = [];
+    const outerCount = vertical ? columnCount : rowCount;
+    const innerCount = vertical ? rowCount : columnCount;
+    for (let outer = 0; outer < outerCount; outer += 1) {
+      if (line == null || line === outer) {
+        for (let inner = 0; inner < innerCount; inner += 1) {
+          const index = vertical
+            ? inner * columnCount + outer
+            : outer * columnCount + inner;
+          if (index < itemCount) {
+            indexes.push(index);
+          }
+        }
+      }
+    }
+    return indexes;
+  };
+  const currentIndex = findItemIndex(items, itemCount, getItemId, currentId);
+  const allIndexes = getIndexes(false);
+  let index: number;
+
+  if (action.type === "first" || currentIndex === -1) {
+    index = findIndexIn(allIndexes, 0, 1);
+  } else if (action.type === "last") {
+    index = findIndexIn(allIndexes, allIndexes.length - 1, -1);
+  } else {
+    const rowIndex = Math.floor(currentIndex / columnCount);
+    const columnIndex = currentIndex % columnCount;
+    const isPageAction = action.type === "pageUp" || action.type === "pageDown";
+    const pageSize =
+      action.type === "pageUp" || action.type === "pageDown"
+        ? getPageSize(items, currentId, action.pageSize)
+        : undefined;
+    if (isPageAction && pageSize) {
+      const step = action.type === "pageDown" ? 1 : -1;
+      const getIndexInColumn = (i: number) => i * columnCount + columnIndex;
+      const targetRowIndex = findEnabledPageIndex(
+        rowCount,
+        rowIndex,
+        pageSize,
+        step,
+        (i) =>
+          getIndexInColumn(i) < itemCount && !isDisabled(getIndexInColumn(i))
+      );
+      index = targetRowIndex === -1 ? -1 : getIndexInColumn(targetRowIndex);
+    } else {
+      const isVerticalAction =
+        isPageAction || action.type === "up" || action.type === "down";
+      const isForward =
+        action.type === "next" ||
+        action.type === "down" ||
+        action.type === "pageDown";
+      // RTL doesn't make sense on vertical navigation
+      const isRTL = !isVerticalAction && rtl;
+      const step = isForward !== isRTL ? 1 : -1;
+      const line = isVerticalAction ? columnIndex : rowIndex;
+      const lineIndexes = getIndexes(isVerticalAction, line);
+      if (isPageAction || ("allTheWay" in action && action.allTheWay)) {
+        index =
+          step === 1
+            ? findIndexIn(lineIndexes, lineIndexes.length - 1, -1)
+            : findIndexIn(lineIndexes, 0, 1);
+      } else {
+        const oppositeOrientation = isVerticalAction
+          ? "horizontal"
+          : "vertical";
+        const canLoop = !!loop && loop !== oppositeOrientation;
+        const canWrap = !!wrap && wrap !== oppositeOrientation;
+        // Wrapping moves to the next or previous row (or column on vertical
+        // navigation) when the end of the current one is reached.
+        const indexes = canWrap ? getIndexes(isVerticalAction) : lineIndexes;
+        const position = indexes.indexOf(currentIndex);
+        index = findIndexIn(indexes, position + step, step, canLoop);
+      }
+    }
+  }
+  return index === -1 ? undefined : getItemId(index);
+}
+
 function reducer(
   state: CompositeReducerState,
   action: CompositeReducerAction
@@ -121,6 +343,11 @@ function reducer(
     hasSetCurrentId,
   } = state;
 
+  if (isNavigationAction(action) && isVirtualized(state)) {
+    const id = getVirtualizedId(state, action);
+    return reducer(state, { type: "move", id });
+  }
+
   switch (action.type) {
     case "registerGroup": {
       const { group } = action;
@@ -162,7 +389,9 @@ function reducer(
         // asynchronously.
         return {
           ...nextState,
-          currentId: findFirstEnabledItem(nextState.items)?.id,
+          currentId: isVirtualized(nextState)
+            ? getVirtualizedId(nextState, { type: "first" })
+            : findFirstEnabledItem(nextState.items)?.id,
         };
       }
       return nextState;
@@ -182,8 +411,10 @@ function reducer(
         pastIds: nextPastIds,
         items: nextItems,
       };
-      // If the current item is the item that is being removed, focus pastId
-      if (currentId && currentId === id) {
+      // If the current item is the item that is being removed, focus pastId.
+      // On virtualized composites, the item has only been unmounted, so it's
+      // kept as the current item.
+      if (currentId && currentId === id && !isVirtualized(state)) {
         const nextId = includesBaseElement
           ? null
           : getCurrentId({
@@ -221,10 +452,14 @@ function reducer(
         };
       }
       const item = findEnabledItemById(items, id);
+      // On virtualized composites, the item may not be mounted yet.
+      const isUnmountedItem =
+        !item && isVirtualized(state) && !items.some((i) => i.id === id);
+      const nextId = isUnmountedItem ? id : item?.id;
       return {
         ...nextState,
-        unstable_moves: item ? moves + 1 : moves,
-        currentId: getCurrentId(nextState, item?.id),
+        unstable_moves: nextId ? moves + 1 : moves,
+        currentId: getCurrentId(nextState, nextId),
       };
     }
 
@@ -367,6 +602,66 @@ function reducer(
       return { ...nextState, items };
     }
 
+    case "pageUp":
+    case "pageDown": {
+      const isDown = action.type === "pageDown";
+      const isGrid = !!groups.length;
+      const pageSize = getPageSize(items, currentId, action.pageSize);
+      // Without a page size, PageUp and PageDown move to the first and last
+      // items (or to the first and last rows on grids). Page-wise movement
+      // doesn't apply to horizontal one-dimensional composites either.
+      if (!pageSize || (!isGrid && orientation === "horizontal")) {
+        if (isGrid) {
+          return reducer(state, {
+            type: isDown ? "down" : "up",
+            allTheWay: true,
+          });
+        }
+        return reducer(state, { type: isDown ? "last" : "first" });
+      }
+      const step = isDown ? 1 : -1;
+      if (!isGrid) {
+        const currentIndex = items.findIndex((item) => item.id === currentId);
+        if (currentIndex === -1) {
+          return reducer(state, { type: isDown ? "first" : "last" });
+        }
+        const index = findEnabledPageIndex(
+          items.length,
+          currentIndex,
+          pageSize,
+          step,
+          (i) => !items[i].disabled
+        );
+        if (index === -1) return state;
+        return reducer(state, { type: "move", id: items[index].id });
+      }
+      const rows = groupItems(items);
+      const rowIndex = rows.findIndex((row) =>
+        row.some((item) => item.id === currentId)
+      );
+      if (rowIndex === -1) {
+        return reducer(state, { type: isDown ? "first" : "last" });
+      }
+      const columnIndex = rows[rowIndex].findIndex(
+        (item) => item.id === currentId
+      );
+      // The items in the same column as the current one, one per row. Rows
+      // that are too short have no item there unless shift is enabled.
+      const column = rows.map(
+        (row) =>
+          row[shift ? Math.min(columnIndex, row.length - 1) : columnIndex]
+      );
+      const targetRowIndex = findEnabledPageIndex(
+        rows.length,
+        rowIndex,
+        pageSize,
+        step,
+        (i) => !!column[i] && !column[i].disabled
+      );
+      if (targetRowIndex === -1) return state;
+      return reducer(state, { type: "move", id: column[targetRowIndex].id });
+    }
+
     case "sort": {
       return {
         ...state,
@@ -456,6 +751,7 @@ function useIsUnmountedRef() {
 export function useCompositeState(
   initialState: SealedInitialState<CompositeInitialState> = {}
 ): CompositeStateReturn {
+  const sealedState = useSealedState(initialState);
   const {
     unstable_virtual: virtual = false,
     rtl = false,
@@ -465,8 +761,40 @@ export function useCompositeState(
     wrap = false,
     shift = false,
     unstable_includesBaseElement,
+    unstable_typeahead: typeahead = false,
+    unstable_pageSize: pageSize,
     ...sealed
-  } = useSealedState(initialState);
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+  const isControlled = controlled.setCurrentId !== undefined;
+  // When currentId is controlled, every action is computed based on the
+  // controlled value rather than on the one stored in the reducer state.
+  const controlledRef = useLiveRef(
+    isControlled ? { currentId: controlled.currentId } : null
+  );
+  const setCurrentIdRef = useLiveRef(controlled.setCurrentId);
+  // The item count may change on every render (for example, when more items
+  // are loaded), so it's also read from a ref by the reducer.
+  const virtualizedRef = useLiveRef({
+    unstable_itemCount: controlled.unstable_itemCount,
+    unstable_getItemId: controlled.unstable_getItemId,
+    unstable_rowCount: controlled.unstable_rowCount,
+  });
+  const onScrollToIndexRef = useLiveRef(controlled.unstable_onScrollToIndex);
+  const controlledReducer = React.useCallback(
+    (prevState: CompositeReducerState, action: CompositeReducerAction) =>
+      reducer(
+        controlledRef.current
+          ? {
+              ...prevState,
+              ...virtualizedRef.current,
+              currentId: controlledRef.current.currentId,
+            }
+          : { ...prevState, ...virtualizedRef.current },
+        action
+      ),
+    []
+  );
   const idState = unstable_useIdState(sealed);
   const [
     {
@@ -482,7 +810,7 @@ export function useCompositeState(
       ...state
     },
     dispatch,
-  ] = React.useReducer(reducer, {
+  ] = React.useReducer(controlledReducer, {
     unstable_virtual: virtual,
     rtl,
     orientation,
@@ -505,6 +833,37 @@ export function useCompositeState(
     initialShift: shift,
   });
   const [hasActiveWidget, setHasActiveWidget] = React.useState(false);
+
+  useControlledWarning(isControlled, "currentId");
+
+  // Notifies the controller whenever an action computes a new currentId.
+  // unstable_moves is also a dependency so a move to the same item that has
+  // been previously rejected by the controller is notified again.
+  useIsomorphicEffect(() => {
+    if (!controlledRef.current) return;
+    if (state.currentId === controlledRef.current.currentId) return;
+    setCurrentIdRef.current?.(state.currentId);
+  }, [state.currentId, state.unstable_moves]);
+
+  // Lets virtualized composites mount and scroll into view the item that
+  // has received focus.
+  useIsomorphicEffect(() => {
+    const {
+      unstable_itemCount: itemCount,
+      unstable_getItemId: getItemId,
+    } = virtualizedRef.current;
+    if (!state.unstable_moves || !onScrollToIndexRef.current) return;
+    if (itemCount == null || !getItemId) return;
+    const index = findItemIndex(
+      state.items,
+      itemCount,
+      getItemId,
+      state.currentId
+    );
+    if (index !== -1) {
+      onScrollToIndexRef.current(index);
+    }
+  }, [state.unstable_moves]);
   // register/unregister may be called when this component is unmounted. We
   // store the unmounted state here so we don't update the state if it's true.
   // This only happens in a very specific situation.
@@ -520,6 +879,13 @@ export function useCompositeState(
   return {
     ...idState,
     ...state,
+    currentId: isControlled ? controlled.currentId : state.currentId,
+    unstable_itemCount: controlled.unstable_itemCount,
+    unstable_getItemId: controlled.unstable_getItemId,
+    unstable_rowCount: controlled.unstable_rowCount,
+    unstable_typeahead: typeahead,
+    unstable_pageSize: pageSize,
+    unstable_getItemLabel: controlled.unstable_getItemLabel,
     unstable_hasActiveWidget: hasActiveWidget,
     unstable_setHasActiveWidget: setHasActiveWidget,
     registerItem: useAction((item) => {
@@ -547,6 +913,8 @@ export function useCompositeState(
     down: useAction((allTheWay) => dispatch({ type: "down", allTheWay })),
     first: useAction(() => dispatch({ type: "first" })),
     last: useAction(() => dispatch({ type: "last" })),
+    pageUp: useAction(() => dispatch({ type: "pageUp", pageSize })),
+    pageDown: useAction(() => dispatch({ type: "pageDown", pageSize })),
     sort: useAction(() => dispatch({ type: "sort" })),
     unstable_setVirtual: useAction((value) =>
       dispatch({ type: "setVirtual", virtual: value })
@@ -692,6 +1060,69 @@ export type CompositeState = unstable_IdState & {
    * @default 0
    */
   unstable_moves: number;
+  /**
+   * Total number of items, including the ones that are not mounted. Along
+   * with `unstable_getItemId`, it enables keyboard navigation on virtualized
+   * composites that only render the visible items. Items will also get
+   * `aria-setsize` and `aria-posinset` attributes. Two-dimensional composites
+   * also require `unstable_rowCount`.
+   */
+  unstable_itemCount?: number;
+  /**
+   * Returns the id of the item at `index`. It's required along with
+   * `unstable_itemCount`. The indexes of the ids are cached for each function,
+   * so a new function must be passed whenever the ids change.
+   * @example
+   * const composite = useCompositeState({
+   *   unstable_itemCount: rows.length,
+   *   unstable_getItemId: (index) => `row-${rows[index].id}`,
+   * });
+   */
+  unstable_getItemId?: (index: number) => string;
+  /**
+   * Total number of rows on a virtualized grid. Items are indexed row by row
+   * and every row but the last one must have the same number of items, so
+   * the rows that are not mounted can be navigated with the arrow keys. The
+   * composite will get `aria-rowcount` and its groups `aria-rowindex`.
+   * @example
+   * const grid = useGridState({
+   *   unstable_itemCount: rows.length * columns.length,
+   *   unstable_rowCount: rows.length,
+   *   unstable_getItemId: (index) => {
+   *     const row = rows[Math.floor(index / columns.length)];
+   *     return `${row.id}-${columns[index % columns.length].id}`;
+   *   },
+   * });
+   */
+  unstable_rowCount?: number;
+  /**
+   * If enabled, typing printable characters while an item has focus moves
+   * focus to the next enabled item whose label starts with them. Typing the
+   * same character repeatedly cycles through the items starting with it.
+   * @default false
+   */
+  unstable_typeahead: boolean;
+  /**
+   * Returns the label that is matched against the typed characters when
+   * `unstable_typeahead` is enabled. By default, it's the `unstable_textValue`
+   * passed to the item or its text content.
+   * @example
+   * const composite = useCompositeState({
+   *   unstable_typeahead: true,
+   *   unstable_getItemLabel: (item) =>
+   *     item.ref.current?.getAttribute("aria-label") || "",
+   * });
+   */
+  unstable_getItemLabel?: (item: Item) => string;
+  /**
+   * Number of items `pageUp` and `pageDown` move focus by on vertical
+   * composites, or number of rows on grids. If it's `"auto"`, it's the
+   * number of items that fit in the scroll container. If it's not set, they
+   * move focus to the first and last items (or rows on grids).
+   * Disabled items are counted too. If the item there is disabled, focus
+   * moves to the closest enabled item instead.
+   */
+  unstable_pageSize?: number | "auto";
   /**
    * @default false
    * @private
@@ -780,6 +1211,16 @@ export type CompositeActions = unstable_IdActions & {
    * Moves focus to the last item.
    */
   last: () => void;
+  /**
+   * Moves focus one page up based on `unstable_pageSize`. On grids, focus
+   * moves to the item in the same column.
+   */
+  pageUp: () => void;
+  /**
+   * Moves focus one page down based on `unstable_pageSize`. On grids, focus
+   * moves to the item in the same column.
+   */
+  pageDown: () => void;
   /**
    * Sorts the `composite.items` based on the items position in the DOM. This
    * is especially useful after modifying the composite items order in the DOM.
@@ -874,8 +1315,36 @@ export type CompositeInitialState = unstable_IdInitialState &
       | "wrap"
       | "shift"
       | "unstable_includesBaseElement"
+      | "unstable_itemCount"
+      | "unstable_getItemId"
+      | "unstable_rowCount"
+      | "unstable_typeahead"
+      | "unstable_getItemLabel"
+      | "unstable_pageSize"
     >
-  >;
+  > & {
+    /**
+     * Makes `currentId` controlled. When passed, `currentId` is read on every
+     * render instead of only on the first one, and this function is called
+     * with the next value whenever focus moves to another item.
+     * @example
+     * const [currentId, setCurrentId] = React.useState("item-1");
+     * const composite = useCompositeState({ currentId, setCurrentId });
+     */
+    setCurrentId?: (currentId: CompositeState["currentId"]) => void;
+    /**
+     * Called with the index of the item that receives focus on virtualized
+     * composites, so it can be mounted and scrolled into view. On virtualized
+     * grids, the row index is `Math.floor(index / columnCount)`.
+     * @example
+     * const composite = useCompositeState({
+     *   unstable_itemCount: rows.length,
+     *   unstable_getItemId: (index) => `row-${rows[index].id}`,
+     *   unstable_onScrollToIndex: (index) => virtualizer.scrollToIndex(index),
+     * });
+     */
+    unstable_onScrollToIndex?: (index: number) => void;
+  };
 
 export type CompositeStateReturn = unstable_IdStateReturn &
   CompositeState &
@@ -0,0 +1,44 @@
+import * as React from "react";
+import { render, press, fireEvent, screen } from "reakit-test-utils";
+import VirtualizedComposite from "..";
+
+test("set aria-setsize and aria-posinset", () => {
+  render(<VirtualizedComposite />);
+  const item = screen.getByText("Item 2");
+  expect(item).toHaveAttribute("id", "item-1");
+  expect(item).toHaveAttribute("aria-setsize", "1000");
+  expect(item).toHaveAttribute("aria-posinset", "2");
+});
+
+test("navigate to items that are not mounted", () => {
+  render(<VirtualizedComposite />);
+  press.Tab();
+  expect(screen.getByText("Item 1")).toHaveFocus();
+  press.End();
+  expect(screen.queryByText("Item 1")).not.toBeInTheDocument();
+  expect(screen.getByText("Item 1000")).toHaveFocus();
+  press.ArrowUp();
+  expect(screen.getByText("Item 999")).toHaveFocus();
+  press.Home();
+  expect(screen.getByText("Item 1")).toHaveFocus();
+  for (let i = 0; i < 10; i += 1) {
+    press.ArrowDown();
+  }
+  expect(screen.getByText("Item 11")).toHaveFocus();
+  expect(screen.getByText("Item 11")).toHaveAttribute("aria-posinset", "11");
+});
+
+test("keep the composite tabbable when the current item is unmounted", () => {
+  render(<VirtualizedComposite />);
+  press.Tab();
+  press.ArrowDown();
+  expect(screen.getByText("Item 2")).toHaveFocus();
+  press.Tab();
+  const listbox = screen.getByRole("listbox");
+  listbox.scrollTop = 320;
+  fireEvent.scroll(listbox);
+  expect(screen.queryByText("Item 2")).not.toBeInTheDocument();
+  expect(screen.getByText("Item 11")).toHaveAttribute("tabindex", "0");
+  press.ShiftTab();
+  expect(screen.getByText("Item 11")).toHaveFocus();
+});
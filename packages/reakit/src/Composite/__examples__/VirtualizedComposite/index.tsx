@@ -0,0 +1,62 @@
+import * as React from "react";
+import { useCompositeState, Composite, CompositeItem } from "reakit/Composite";
+
+const items = Array.from({ length: 1000 }, (_, index) => `Item ${index + 1}`);
+const rowHeight = 32;
+const visibleCount = 8;
+
+export default function VirtualizedComposite() {
+  const ref = React.useRef<HTMLDivElement>(null);
+  const [start, setStart] = React.useState(0);
+  const composite = useCompositeState({
+    orientation: "vertical",
+    unstable_itemCount: items.length,
+    unstable_getItemId: (index) => `item-${index}`,
+    unstable_onScrollToIndex: (index) => {
+      const nextStart = Math.min(
+        Math.max(index - visibleCount + 1, Math.min(start, index)),
+        items.length - visibleCount
+      );
+      setStart(nextStart);
+      if (ref.current) {
+        ref.current.scrollTop = nextStart * rowHeight;
+      }
+    },
+  });
+  const visibleItems = items.slice(start, start + visibleCount);
+  return (
+    <Composite
+      {...composite}
+      ref={ref}
+      role="listbox"
+      aria-label="Items"
+      onScroll={(event) => {
+        setStart(Math.floor(event.currentTarget.scrollTop / rowHeight));
+      }}
+      style={{
+        position: "relative",
+        height: rowHeight * visibleCount,
+        overflow: "auto",
+      }}
+    >
+      <div style={{ height: rowHeight * items.length }}>
+        {visibleItems.map((item, i) => (
+          <CompositeItem
+            {...composite}
+            key={item}
+            as="div"
+            role="option"
+            unstable_index={start + i}
+            style={{
+              position: "absolute",
+              top: (start + i) * rowHeight,
+              height: rowHeight,
+            }}
+          >
+            {item}
+          </CompositeItem>
+        ))}
+      </div>
+    </Composite>
+  );
+}
@@ -9,6 +9,7 @@ export { default as NestedCompositeItems } from "./NestedCompositeItems";
 export { default as VirtualCompositeWithFocusBlur } from "./VirtualCompositeWithFocusBlur";
 export { default as VirtualCompositeWithTooltip } from "./VirtualCompositeWithTooltip";
 export { default as VirtualNestedCompositeItems } from "./VirtualNestedCompositeItems";
+export { default as VirtualizedComposite } from "./VirtualizedComposite";
 
 export default {
   title: "Composite",
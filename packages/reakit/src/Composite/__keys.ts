@@ -13,6 +13,12 @@ const COMPOSITE_STATE_KEYS = [
   "wrap",
   "shift",
   "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
   "unstable_hasActiveWidget",
   "unstable_includesBaseElement",
   "registerItem",
@@ -26,6 +32,8 @@ const COMPOSITE_STATE_KEYS = [
   "down",
   "first",
   "last",
+  "pageUp",
+  "pageDown",
   "sort",
   "unstable_setVirtual",
   "setRTL",
@@ -40,5 +48,9 @@ const COMPOSITE_STATE_KEYS = [
 ] as const;
 export const COMPOSITE_KEYS = COMPOSITE_STATE_KEYS;
 export const COMPOSITE_GROUP_KEYS = COMPOSITE_KEYS;
-export const COMPOSITE_ITEM_KEYS = COMPOSITE_GROUP_KEYS;
-export const COMPOSITE_ITEM_WIDGET_KEYS = COMPOSITE_ITEM_KEYS;
+export const COMPOSITE_ITEM_KEYS = [
+  ...COMPOSITE_GROUP_KEYS,
+  "unstable_index",
+  "unstable_textValue",
+] as const;
+export const COMPOSITE_ITEM_WIDGET_KEYS = COMPOSITE_GROUP_KEYS;
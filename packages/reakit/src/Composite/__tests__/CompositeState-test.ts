@@ -31,12 +31,18 @@ test("initial state", () => {
       "orientation": undefined,
       "rtl": false,
       "shift": false,
+      "unstable_getItemId": undefined,
+      "unstable_getItemLabel": undefined,
       "unstable_hasActiveWidget": false,
       "unstable_idCountRef": Object {
         "current": 0,
       },
       "unstable_includesBaseElement": false,
+      "unstable_itemCount": undefined,
       "unstable_moves": 0,
+      "unstable_pageSize": undefined,
+      "unstable_rowCount": undefined,
+      "unstable_typeahead": false,
       "unstable_virtual": false,
       "wrap": false,
     }
@@ -98,12 +104,18 @@ test("registerItem", () => {
       "orientation": undefined,
       "rtl": false,
       "shift": false,
+      "unstable_getItemId": undefined,
+      "unstable_getItemLabel": undefined,
       "unstable_hasActiveWidget": false,
       "unstable_idCountRef": Object {
         "current": 0,
       },
       "unstable_includesBaseElement": false,
+      "unstable_itemCount": undefined,
       "unstable_moves": 0,
+      "unstable_pageSize": undefined,
+      "unstable_rowCount": undefined,
+      "unstable_typeahead": false,
       "unstable_virtual": false,
       "wrap": false,
     }
@@ -133,14 +145,306 @@ test("unregisterItem", () => {
       "orientation": undefined,
       "rtl": false,
       "shift": false,
+      "unstable_getItemId": undefined,
+      "unstable_getItemLabel": undefined,
       "unstable_hasActiveWidget": false,
       "unstable_idCountRef": Object {
         "current": 0,
       },
       "unstable_includesBaseElement": false,
+      "unstable_itemCount": undefined,
       "unstable_moves": 0,
+      "unstable_pageSize": undefined,
+      "unstable_rowCount": undefined,
+      "unstable_typeahead": false,
       "unstable_virtual": false,
       "wrap": false,
     }
   `);
 });
+
+test("controlled currentId", () => {
+  const setCurrentId = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ currentId }) =>
+      useCompositeState({ baseId: "base", currentId, setCurrentId }),
+    { initialProps: { currentId: "1" } }
+  );
+  act(() => result.current.registerItem({ id: "1", ref: createRef() }));
+  act(() => result.current.registerItem({ id: "2", ref: createRef() }));
+  act(() => result.current.registerItem({ id: "3", ref: createRef() }));
+  act(() => result.current.next());
+  expect(setCurrentId).toHaveBeenLastCalledWith("2");
+  expect(result.current.currentId).toBe("1");
+  // Moves are computed from the controlled value
+  act(() => result.current.next());
+  expect(setCurrentId).toHaveBeenCalledTimes(2);
+  expect(setCurrentId).toHaveBeenLastCalledWith("2");
+  rerender({ currentId: "2" });
+  expect(result.current.currentId).toBe("2");
+  act(() => result.current.next());
+  expect(setCurrentId).toHaveBeenLastCalledWith("3");
+});
+
+test("warns when switching currentId from uncontrolled to controlled", () => {
+  const { rerender } = renderHook(
+    ({ setCurrentId }) => useCompositeState({ baseId: "base", setCurrentId }),
+    { initialProps: { setCurrentId: undefined as undefined | jest.Mock } }
+  );
+  rerender({ setCurrentId: jest.fn() });
+  expect(console).toHaveWarned();
+});
+
+test("warns when a lazy initial state has a setter", () => {
+  const setCurrentId = jest.fn();
+  const { result } = renderHook(() =>
+    useCompositeState(() => ({ baseId: "base", setCurrentId }))
+  );
+  expect(console).toHaveWarned();
+  act(() => result.current.registerItem({ id: "1", ref: createRef() }));
+  expect(setCurrentId).toHaveBeenCalledWith("1");
+  expect(result.current.currentId).toBeUndefined();
+});
+
+describe("virtualized", () => {
+  function renderVirtualized(initialState: CompositeInitialState = {}) {
+    return render({
+      unstable_itemCount: 100,
+      unstable_getItemId: (index) => `item-${index}`,
+      ...initialState,
+    });
+  }
+
+  test("navigate to items that are not registered", () => {
+    const result = renderVirtualized();
+    act(() =>
+      result.current.registerItem({ id: "item-0", ref: createRef(), index: 0 })
+    );
+    expect(result.current.currentId).toBe("item-0");
+    act(() => result.current.last());
+    expect(result.current.currentId).toBe("item-99");
+    act(() => result.current.previous());
+    expect(result.current.currentId).toBe("item-98");
+    act(() => result.current.next());
+    act(() => result.current.next());
+    expect(result.current.currentId).toBe("item-99");
+    act(() => result.current.first());
+    expect(result.current.currentId).toBe("item-0");
+    act(() => result.current.down());
+    expect(result.current.currentId).toBe("item-1");
+    act(() => result.current.move("item-50"));
+    expect(result.current.currentId).toBe("item-50");
+    expect(result.current.unstable_moves).toBe(6);
+  });
+
+  test("loop", () => {
+    const result = renderVirtualized({ currentId: "item-99", loop: true });
+    act(() => result.current.next());
+    expect(result.current.currentId).toBe("item-0");
+    act(() => result.current.previous());
+    expect(result.current.currentId).toBe("item-99");
+  });
+
+  test("skip registered disabled items", () => {
+    const result = renderVirtualized({ currentId: "item-0" });
+    act(() =>
+      result.current.registerItem({
+        id: "item-1",
+        ref: createRef(),
+        disabled: true,
+      })
+    );
+    act(() => result.current.next());
+    expect(result.current.currentId).toBe("item-2");
+    act(() => result.current.move("item-1"));
+    expect(result.current.currentId).toBe("item-2");
+  });
+
+  test("keep the current item when it's unregistered", () => {
+    const result = renderVirtualized();
+    act(() =>
+      result.current.registerItem({ id: "item-0", ref: createRef(), index: 0 })
+    );
+    act(() => result.current.unregisterItem("item-0"));
+    expect(result.current.currentId).toBe("item-0");
+  });
+
+  test("pageUp and pageDown", () => {
+    const result = renderVirtualized({
+      currentId: "item-0",
+      unstable_pageSize: 10,
+    });
+    act(() => result.current.pageDown());
+    expect(result.current.currentId).toBe("item-10");
+    act(() => result.current.move("item-95"));
+    act(() => result.current.pageDown());
+    expect(result.current.currentId).toBe("item-99");
+    act(() => result.current.move("item-5"));
+    act(() => result.current.pageUp());
+    expect(result.current.currentId).toBe("item-0");
+  });
+
+  test("pageUp and pageDown to a disabled item", () => {
+    const result = renderVirtualized({
+      currentId: "item-0",
+      unstable_pageSize: 10,
+    });
+    act(() =>
+      result.current.registerItem({
+        id: "item-10",
+        ref: createRef(),
+        disabled: true,
+      })
+    );
+    act(() => result.current.pageDown());
+    expect(result.current.currentId).toBe("item-11");
+    act(() => result.current.move("item-20"));
+    act(() => result.current.pageUp());
+    expect(result.current.currentId).toBe("item-9");
+  });
+
+  test("pageUp and pageDown without page size", () => {
+    const result = renderVirtualized({ currentId: "item-50" });
+    act(() => result.current.pageDown());
+    expect(result.current.currentId).toBe("item-99");
+    act(() => result.current.pageUp());
+    expect(result.current.currentId).toBe("item-0");
+  });
+
+  test("onScrollToIndex", () => {
+    const onScrollToIndex = jest.fn();
+    const result = renderVirtualized({
+      currentId: "item-0",
+      unstable_onScrollToIndex: onScrollToIndex,
+    });
+    act(() => result.current.last());
+    expect(onScrollToIndex).toHaveBeenCalledWith(99);
+    act(() => result.current.previous());
+    expect(onScrollToIndex).toHaveBeenLastCalledWith(98);
+  });
+
+  test("map item ids to their indexes only once", () => {
+    const getItemId = jest.fn((index: number) => `item-${index}`);
+    const result = renderVirtualized({
+      currentId: "item-50",
+      unstable_getItemId: getItemId,
+    });
+    act(() => result.current.next());
+    act(() => result.current.next());
+    act(() => result.current.previous());
+    expect(result.current.currentId).toBe("item-51");
+    getItemId.mockClear();
+    act(() => result.current.next());
+    expect(getItemId).not.toHaveBeenCalledWith(0);
+  });
+
+  describe("grid", () => {
+    // 10 rows with 3 items each
+    function renderVirtualizedGrid(initialState: CompositeInitialState = {}) {
+      const result = renderVirtualized({
+        unstable_itemCount: 30,
+        unstable_rowCount: 10,
+        unstable_getItemId: (index) =>
+          `item-${Math.floor(index / 3)}-${index % 3}`,
+        ...initialState,
+      });
+      act(() =>
+        result.current.registerGroup({ id: "row-0", ref: createRef() })
+      );
+      return result;
+    }
+
+    test("navigate to rows that are not registered", () => {
+      const result = renderVirtualizedGrid({ currentId: "item-0-1" });
+      act(() => result.current.down());
+      expect(result.current.currentId).toBe("item-1-1");
+      act(() => result.current.next());
+      expect(result.current.currentId).toBe("item-1-2");
+      act(() => result.current.next());
+      expect(result.current.currentId).toBe("item-1-2");
+      act(() => result.current.down(true));
+      expect(result.current.currentId).toBe("item-9-2");
+      act(() => result.current.previous(true));
+      expect(result.current.currentId).toBe("item-9-0");
+      act(() => result.current.up());
+      expect(result.current.currentId).toBe("item-8-0");
+      act(() => result.current.last());
+      expect(result.current.currentId).toBe("item-9-2");
+      act(() => result.current.first());
+      expect(result.current.currentId).toBe("item-0-0");
+    });
+
+    test("loop and wrap", () => {
+      const result = renderVirtualizedGrid({
+        currentId: "item-0-2",
+        loop: true,
+        wrap: "horizontal",
+      });
+      act(() => result.current.next());
+      expect(result.current.currentId).toBe("item-1-0");
+      act(() => result.current.previous());
+      expect(result.current.currentId).toBe("item-0-2");
+      act(() => result.current.up());
+      expect(result.current.currentId).toBe("item-9-2");
+      act(() => result.current.move("item-9-2"));
+      act(() => result.current.next());
+      expect(result.current.currentId).toBe("item-0-0");
+    });
+
+    test("skip registered disabled items", () => {
+      const result = renderVirtualizedGrid({ currentId: "item-0-0" });
+      act(() =>
+        result.current.registerItem({
+          id: "item-1-0",
+          ref: createRef(),
+          disabled: true,
+        })
+      );
+      act(() => result.current.down());
+      expect(result.current.currentId).toBe("item-2-0");
+    });
+
+    test("pageUp and pageDown", () => {
+      const result = renderVirtualizedGrid({
+        currentId: "item-0-1",
+        unstable_pageSize: 4,
+      });
+      act(() => result.current.pageDown());
+      expect(result.current.currentId).toBe("item-4-1");
+      act(() => result.current.pageDown());
+      act(() => result.current.pageDown());
+      expect(result.current.currentId).toBe("item-9-1");
+      act(() => result.current.pageUp());
+      expect(result.current.currentId).toBe("item-5-1");
+    });
+
+    test("pageUp and pageDown to a disabled item", () => {
+      const result = renderVirtualizedGrid({
+        currentId: "item-0-1",
+        unstable_pageSize: 4,
+      });
+      act(() =>
+        result.current.registerItem({
+          id: "item-4-1",
+          ref: createRef(),
+          disabled: true,
+        })
+      );
+      act(() => result.current.pageDown());
+      expect(result.current.currentId).toBe("item-5-1");
+      act(() => result.current.move("item-8-1"));
+      act(() => result.current.pageUp());
+      expect(result.current.currentId).toBe("item-3-1");
+    });
+
+    test("onScrollToIndex", () => {
+      const onScrollToIndex = jest.fn();
+      const result = renderVirtualizedGrid({
+        currentId: "item-0-1",
+        unstable_onScrollToIndex: onScrollToIndex,
+      });
+      act(() => result.current.down(true));
+      expect(onScrollToIndex).toHaveBeenCalledWith(28);
+    });
+  });
+});
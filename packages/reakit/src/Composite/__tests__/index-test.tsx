@@ -1,5 +1,5 @@
 import * as React from "react";
-import { render, focus, press, click, type } from "reakit-test-utils";
+import { render, focus, press, click, type, act } from "reakit-test-utils";
 import {
   useCompositeState,
   Composite,
@@ -2621,6 +2621,307 @@ function template(value: string) {
       );
       expect($("composite")).toHaveFocus();
     });
+
+    test("do not move focus with typeahead by default", () => {
+      const Test = () => {
+        const composite = useCompositeState({ unstable_virtual: virtual });
+        return (
+          <Composite {...composite} role="toolbar" aria-label="composite">
+            <CompositeItem {...composite} data-item>
+              Apple
+            </CompositeItem>
+            <CompositeItem {...composite} data-item>
+              Banana
+            </CompositeItem>
+          </Composite>
+        );
+      };
+      const { getByText: $ } = render(<Test />);
+      press.Tab();
+      press("b");
+      expect(active()).toBe($("Apple"));
+    });
+
+    test("cycle through items with the same first letter", () => {
+      jest.useFakeTimers();
+      const Test = () => {
+        const composite = useCompositeState({
+          unstable_virtual: virtual,
+          unstable_typeahead: true,
+        });
+        return (
+          <Composite {...composite} role="toolbar" aria-label="composite">
+            <CompositeItem {...composite} data-item>
+              Apple
+            </CompositeItem>
+            <CompositeItem {...composite} data-item>
+              Banana
+            </CompositeItem>
+            <CompositeItem {...composite} data-item disabled>
+              Blueberry
+            </CompositeItem>
+            <CompositeItem {...composite} data-item>
+              Blackberry
+            </CompositeItem>
+            <CompositeItem {...composite} data-item>
+              Cherry
+            </CompositeItem>
+          </Composite>
+        );
+      };
+      const { getByText: $ } = render(<Test />);
+      press.Tab();
+      press("b");
+      expect(active()).toBe($("Banana"));
+      press("b");
+      expect(active()).toBe($("Blackberry"));
+      press("b");
+      expect(active()).toBe($("Banana"));
+      act(() => {
+        // clear letters
+        jest.runAllTimers();
+      });
+      press("c");
+      press("h");
+      expect(active()).toBe($("Cherry"));
+      act(() => {
+        jest.runAllTimers();
+      });
+      press("b");
+      press("l");
+      expect(active()).toBe($("Blackberry"));
+      act(() => {
+        jest.runAllTimers();
+      });
+      press("z");
+      expect(active()).toBe($("Blackberry"));
+      jest.useRealTimers();
+    });
+
+    test("typeahead with custom labels", () => {
+      jest.useFakeTimers();
+      const Test = () => {
+        const composite = useCompositeState({
+          unstable_virtual: virtual,
+          unstable_typeahead: true,
+          unstable_getItemLabel: (item) =>
+            item.textValue ??
+            item.ref.current?.getAttribute("aria-label") ??
+            "",
+        });
+        return (
+          <Composite {...composite} role="toolbar" aria-label="composite">
+            <CompositeItem {...composite} aria-label="Bold" data-item>
+              B
+            </CompositeItem>
+            <CompositeItem {...composite} aria-label="Italic" data-item>
+              I
+            </CompositeItem>
+            <CompositeItem
+              {...composite}
+              aria-label="Underline"
+              unstable_textValue="Strikethrough"
+              data-item
+            >
+              S
+            </CompositeItem>
+          </Composite>
+        );
+      };
+      const { getByLabelText: $ } = render(<Test />);
+      press.Tab();
+      press("i");
+      expect(active()).toBe($("Italic"));
+      act(() => {
+        jest.runAllTimers();
+      });
+      press("u");
+      expect(active()).toBe($("Italic"));
+      act(() => {
+        jest.runAllTimers();
+      });
+      press("s");
+      expect(active()).toBe($("Underline"));
+      jest.useRealTimers();
+    });
+
+    test("type on text field widgets instead of moving focus", () => {
+      const Test = () => {
+        const composite = useCompositeState({
+          unstable_virtual: virtual,
+          unstable_typeahead: true,
+        });
+        return (
+          <Composite {...composite} role="grid" aria-label="composite">
+            <CompositeGroup {...composite} role="row">
+              <CompositeItem {...composite} as="div" role="gridcell" data-item>
+                Name
+              </CompositeItem>
+              <CompositeItem
+                {...composite}
+                as="div"
+                role="gridcell"
+                aria-label="cell"
+                data-item
+              >
+                <CompositeItemWidget
+                  {...composite}
+                  as="input"
+                  type="text"
+                  aria-label="input"
+                />
+              </CompositeItem>
+              <CompositeItem {...composite} as="div" role="gridcell" data-item>
+                Notes
+              </CompositeItem>
+            </CompositeGroup>
+          </Composite>
+        );
+      };
+      const { getByLabelText: $ } = render(<Test />);
+      press.Tab();
+      press.ArrowRight();
+      expect(active()).toBe($("cell"));
+      type("n");
+      expect($("input")).toHaveValue("n");
+    });
+
+    test("move focus page-wise", () => {
+      const Test = () => {
+        const composite = useCompositeState({
+          unstable_virtual: virtual,
+          orientation: "vertical",
+          unstable_pageSize: 3,
+        });
+        return (
+          <Composite {...composite} role="listbox" aria-label="composite">
+            {Array.from({ length: 10 }, (_, i) => (
+              <CompositeItem
+                {...composite}
+                key={i}
+                as="div"
+                role="option"
+                disabled={i === 4}
+                data-item
+              >
+                item{i}
+              </CompositeItem>
+            ))}
+          </Composite>
+        );
+      };
+      const { getByText: $ } = render(<Test />);
+      press.Tab();
+      expect(active()).toBe($("item0"));
+      press.PageDown();
+      expect(active()).toBe($("item3"));
+      press.PageDown();
+      expect(active()).toBe($("item6"));
+      press.PageDown();
+      expect(active()).toBe($("item9"));
+      press.PageUp();
+      expect(active()).toBe($("item6"));
+      press.PageUp();
+      expect(active()).toBe($("item3"));
+      press.PageUp();
+      expect(active()).toBe($("item0"));
+      press.ArrowDown();
+      press.PageDown();
+      expect(active()).toBe($("item5"));
+    });
+
+    test("move focus page-wise on two-dimensional composites", () => {
+      const Test = () => {
+        const composite = useCompositeState({
+          unstable_virtual: virtual,
+          unstable_pageSize: 2,
+        });
+        return (
+          <Composite {...composite} role="grid" aria-label="composite">
+            {Array.from({ length: 6 }, (_, row) => (
+              <CompositeGroup {...composite} key={row} role="row">
+                {Array.from({ length: 2 }, (__, column) => (
+                  <CompositeItem
+                    {...composite}
+                    key={column}
+                    as="div"
+                    role="gridcell"
+                    disabled={row === 4 && column === 1}
+                    data-item
+                  >
+                    cell{row}-{column}
+                  </CompositeItem>
+                ))}
+              </CompositeGroup>
+            ))}
+          </Composite>
+        );
+      };
+      const { getByText: $ } = render(<Test />);
+      press.Tab();
+      press.ArrowRight();
+      expect(active()).toBe($("cell0-1"));
+      press.PageDown();
+      expect(active()).toBe($("cell2-1"));
+      press.PageDown();
+      expect(active()).toBe($("cell5-1"));
+      press.PageDown();
+      expect(active()).toBe($("cell5-1"));
+      press.PageUp();
+      expect(active()).toBe($("cell3-1"));
+      press.ArrowLeft();
+      press.PageUp();
+      expect(active()).toBe($("cell1-0"));
+      press.PageUp();
+      expect(active()).toBe($("cell0-0"));
+    });
+
+    test("move focus page-wise based on the scroll container height", () => {
+      const spy = jest
+        .spyOn(HTMLElement.prototype, "getBoundingClientRect")
+        .mockReturnValue({ height: 20 } as DOMRect);
+      const Test = () => {
+        const composite = useCompositeState({
+          unstable_virtual: virtual,
+          orientation: "vertical",
+          unstable_pageSize: "auto",
+        });
+        return (
+          <Composite
+            {...composite}
+            role="listbox"
+            aria-label="composite"
+            style={{ overflowY: "auto" }}
+            ref={(element: HTMLElement | null) => {
+              if (element) {
+                Object.defineProperty(element, "clientHeight", { value: 60 });
+              }
+            }}
+          >
+            {Array.from({ length: 10 }, (_, i) => (
+              <CompositeItem
+                {...composite}
+                key={i}
+                as="div"
+                role="option"
+                data-item
+              >
+                item{i}
+              </CompositeItem>
+            ))}
+          </Composite>
+        );
+      };
+      const { getByText: $ } = render(<Test />);
+      press.Tab();
+      press.PageDown();
+      expect(active()).toBe($("item3"));
+      press.PageDown();
+      expect(active()).toBe($("item6"));
+      press.PageUp();
+      expect(active()).toBe($("item3"));
+      spy.mockRestore();
+    });
   });
 });
 
@@ -0,0 +1,31 @@
+import { Item } from "./types";
+
+/**
+ * Walks through the indexes of a virtualized composite from `start`, `step`
+ * at a time, and returns the first one whose item is enabled or `-1` if
+ * there's none. Only registered items are known to be disabled, so items
+ * that are not mounted are considered enabled. If `loop` is `true`, the walk
+ * continues from the other end of the list.
+ */
+export function findEnabledIndex(
+  items: Item[],
+  itemCount: number,
+  getItemId: (index: number) => string,
+  start: number,
+  step: 1 | -1,
+  loop = false
+) {
+  const disabledIds = items.filter((item) => item.disabled).map((i) => i.id);
+  for (let i = 0; i < itemCount; i += 1) {
+    let index = start + step * i;
+    if (loop) {
+      index = ((index % itemCount) + itemCount) % itemCount;
+    } else if (index < 0 || index >= itemCount) {
+      return -1;
+    }
+    if (!disabledIds.includes(getItemId(index))) {
+      return index;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,29 @@
+/**
+ * Returns the index `pageSize` positions away from `currentIndex` in the
+ * direction of `step`, counting disabled items as well. If the item there
+ * is disabled, the closest enabled item after it is used, or the closest one
+ * before it if there's none. Returns `-1` if there's no enabled item.
+ */
+export function findEnabledPageIndex(
+  itemCount: number,
+  currentIndex: number,
+  pageSize: number,
+  step: 1 | -1,
+  isEnabled: (index: number) => boolean
+) {
+  const target = Math.min(
+    Math.max(currentIndex + step * pageSize, 0),
+    itemCount - 1
+  );
+  for (let index = target; index >= 0 && index < itemCount; index += step) {
+    if (isEnabled(index)) return index;
+  }
+  for (
+    let index = target - step;
+    index >= 0 && index < itemCount;
+    index -= step
+  ) {
+    if (isEnabled(index)) return index;
+  }
+  return -1;
+}
@@ -0,0 +1,41 @@
+import { Item } from "./types";
+
+type ItemIndexes = { itemCount: number; indexes: Map<string, number> };
+
+const cache = new WeakMap<(index: number) => string, ItemIndexes>();
+
+function getItemIndexes(
+  itemCount: number,
+  getItemId: (index: number) => string
+) {
+  const cached = cache.get(getItemId);
+  if (cached && cached.itemCount === itemCount) return cached.indexes;
+  const indexes = new Map<string, number>();
+  for (let index = 0; index < itemCount; index += 1) {
+    const id = getItemId(index);
+    if (!indexes.has(id)) {
+      indexes.set(id, index);
+    }
+  }
+  cache.set(getItemId, { itemCount, indexes });
+  return indexes;
+}
+
+/**
+ * Returns the index of the item with the given `id` on a virtualized
+ * composite or `-1` if there's no such item. Registered items that know
+ * their index are checked first. Otherwise, the ids are mapped to their
+ * indexes once per `getItemId` function and `itemCount`, so the list isn't
+ * scanned on every lookup.
+ */
+export function findItemIndex(
+  items: Item[],
+  itemCount: number,
+  getItemId: (index: number) => string,
+  id?: string | null
+) {
+  if (!id) return -1;
+  const item = items.find((i) => i.id === id);
+  if (item?.index != null) return item.index;
+  return getItemIndexes(itemCount, getItemId).get(id) ?? -1;
+}
@@ -0,0 +1,7 @@
+/**
+ * Returns the number of items in each row of a virtualized grid. Items are
+ * indexed row by row and only the last row may have fewer items.
+ */
+export function getColumnCount(itemCount: number, rowCount: number) {
+  return Math.ceil(itemCount / Math.max(rowCount, 1));
+}
@@ -0,0 +1,35 @@
+import { getWindow } from "reakit-utils/getWindow";
+import { Item } from "./types";
+
+function getScrollContainer(element: HTMLElement | null): HTMLElement | null {
+  if (!element) return null;
+  const { overflowY } = getWindow(element).getComputedStyle(element);
+  if (/auto|scroll/.test(overflowY)) return element;
+  return getScrollContainer(element.parentElement);
+}
+
+/**
+ * Returns the number of items a page-wise movement skips. If `pageSize` is
+ * `"auto"`, it's the number of items that fit in the height of the scroll
+ * container of the current item (or the window). Returns `undefined` if
+ * there's no page size or it can't be measured.
+ */
+export function getPageSize(
+  items: Item[],
+  currentId?: string | null,
+  pageSize?: number | "auto"
+) {
+  if (pageSize !== "auto") return pageSize;
+  const item =
+    items.find((i) => i.id === currentId && i.ref.current) ||
+    items.find((i) => i.ref.current);
+  const element = item?.ref.current;
+  if (!element) return undefined;
+  const { height } = element.getBoundingClientRect();
+  if (!height) return undefined;
+  const container = getScrollContainer(element.parentElement);
+  const containerHeight = container
+    ? container.clientHeight
+    : getWindow(element).innerHeight;
+  return Math.max(1, Math.floor(containerHeight / height));
+}
@@ -8,6 +8,8 @@ export type Item = {
   ref: React.RefObject<HTMLElement>;
   groupId?: Group["id"];
   disabled?: boolean;
+  index?: number;
+  textValue?: string;
 };
 
 export type Orientation = "horizontal" | "vertical";
@@ -0,0 +1,71 @@
+import * as React from "react";
+import { Item } from "./types";
+
+/**
+ * Returns the label used to match an item with the typed characters. It's
+ * the default `unstable_getItemLabel`.
+ */
+export function getItemLabel(item: Item) {
+  return item.textValue ?? item.ref.current?.textContent ?? "";
+}
+
+function isRepeatedChar(chars: string) {
+  return chars.split("").every((char) => char === chars[0]);
+}
+
+/**
+ * Returns a function that receives printable characters typed in quick
+ * succession and returns the next enabled item whose label starts with them.
+ * Typing the same character repeatedly cycles through the items starting
+ * with it.
+ */
+export function useTypeahead<T extends Item>(
+  items: T[],
+  currentId?: string | null,
+  getLabel: (item: T) => string = getItemLabel,
+  timeout = 500
+) {
+  const chars = React.useRef("");
+  const timeoutId = React.useRef(0);
+
+  React.useEffect(() => () => window.clearTimeout(timeoutId.current), []);
+
+  return React.useCallback(
+    (char: string) => {
+      window.clearTimeout(timeoutId.current);
+      timeoutId.current = window.setTimeout(() => {
+        chars.current = "";
+      }, timeout);
+      chars.current += char.toLowerCase();
+      const search = isRepeatedChar(chars.current)
+        ? chars.current[0]
+        : chars.current;
+      const enabledItems = items.filter((item) => !item.disabled);
+      const currentIndex = enabledItems.findIndex(
+        (item) => item.id === currentId
+      );
+      // Starts searching after the current item so repeated characters move
+      // to the next match. A longer search string may still match the
+      // current item.
+      const start = search.length > 1 ? currentIndex : currentIndex + 1;
+      const orderedItems = [
+        ...enabledItems.slice(Math.max(start, 0)),
+        ...enabledItems.slice(0, Math.max(start, 0)),
+      ];
+      return orderedItems.find((item) =>
+        getLabel(item).trim().toLowerCase().startsWith(search)
+      );
+    },
+    [items, currentId, getLabel, timeout]
+  );
+}
+
+export function isTypeaheadEvent(event: React.KeyboardEvent) {
+  return (
+    event.key.length === 1 &&
+    event.key !== " " &&
+    !event.ctrlKey &&
+    !event.metaKey &&
+    !event.altKey
+  );
+}
@@ -5,6 +5,8 @@ import { useCreateElement } from "reakit-system/useCreateElement";
 import { createHook } from "reakit-system/createHook";
 import { useForkRef } from "reakit-utils/useForkRef";
 import { useLiveRef } from "reakit-utils/useLiveRef";
+import { contains } from "reakit-utils/contains";
+import { getDocument } from "reakit-utils/getDocument";
 import {
   DisclosureContentOptions,
   DisclosureContentHTMLProps,
@@ -24,6 +26,7 @@ import { useDisableHoverOutside } from "./__utils/useDisableHoverOutside";
 import { DialogBackdropContext } from "./__utils/DialogBackdropContext";
 import { useFocusOnChildUnmount } from "./__utils/useFocusOnChildUnmount";
 import { useFocusOnBlur } from "./__utils/useFocusOnBlur";
+import { getEscapeDialog, useDialogStack } from "./__utils/dialogStack";
 import { DIALOG_KEYS } from "./__keys";
 
 export type DialogOptions = DisclosureContentOptions &
@@ -123,39 +126,76 @@ export const useDialog = createHook<DialogOptions, DialogHTMLProps>({
     const onKeyDownRef = useLiveRef(htmlOnKeyDown);
     const onBlurRef = useLiveRef(htmlOnBlur);
     const focusOnBlur = useFocusOnBlur(dialog, options);
-    const { dialogs, visibleModals, wrap } = useNestedDialogs(dialog, options);
+    const { dialogs, visibleModals, wrap, parentDialog } = useNestedDialogs(
+      dialog,
+      options
+    );
+    const isTopModal = useDialogStack(
+      dialog,
+      parentDialog,
+      options.visible,
+      options.modal
+    );
     // VoiceOver/Safari accepts only one `aria-modal` container, so if there
     // are visible child modals, then we don't want to set aria-modal on the
     // parent modal (this component).
     const modal = options.modal && !visibleModals.length ? true : undefined;
 
-    usePreventBodyScroll(dialog, options);
-    useFocusTrap(dialog, visibleModals, options);
+    usePreventBodyScroll(dialog, isTopModal, options);
+    useFocusTrap(dialog, visibleModals, isTopModal, options);
     useFocusOnChildUnmount(dialog, options);
     useFocusOnShow(dialog, dialogs, options);
     useFocusOnHide(dialog, disclosure, options);
     useHideOnClickOutside(dialog, disclosure, dialogs, options);
     useDisableHoverOutside(dialog, dialogs, options);
 
+    const hideOnEsc = React.useCallback(() => {
+      if (!options.hideOnEsc) return false;
+      if (!options.hide) {
+        warning(
+          true,
+          "`hideOnEsc` prop is truthy, but `hide` prop wasn't provided.",
+          "See https://reakit.io/docs/dialog",
+          dialog.current
+        );
+        return false;
+      }
+      options.hide();
+      return true;
+    }, [options.hideOnEsc, options.hide]);
+
+    const hideOnEscRef = useLiveRef(hideOnEsc);
+
+    React.useEffect(() => {
+      if (!options.visible) return undefined;
+      // Escape may be pressed outside any dialog, or within a dialog that has
+      // an unrelated dialog stacked above it. The top-most dialog is hidden
+      // then.
+      const onKeyDown = (event: KeyboardEvent) => {
+        if (event.key !== "Escape" || event.defaultPrevented) return;
+        const target = event.target as Element;
+        // Events within the dialog are handled by onKeyDown below
+        if (dialog.current && contains(dialog.current, target)) return;
+        if (getEscapeDialog(target) !== dialog) return;
+        hideOnEscRef.current();
+      };
+      const document = getDocument(dialog.current);
+      document.addEventListener("keydown", onKeyDown);
+      return () => document.removeEventListener("keydown", onKeyDown);
+    }, [options.visible, hideOnEscRef]);
+
     const onKeyDown = React.useCallback(
       (event: React.KeyboardEvent) => {
         onKeyDownRef.current?.(event);
         if (event.defaultPrevented) return;
         if (event.key !== "Escape") return;
-        if (!options.hideOnEsc) return;
-        if (!options.hide) {
-          warning(
-            true,
-            "`hideOnEsc` prop is truthy, but `hide` prop wasn't provided.",
-            "See https://reakit.io/docs/dialog",
-            dialog.current
-          );
-          return;
+        // Nested dialogs and dialogs stacked above this one take precedence
+        if (getEscapeDialog(event.target as Element) !== dialog) return;
+        if (hideOnEsc()) {
+          event.stopPropagation();
         }
-        event.stopPropagation();
-        options.hide();
       },
-      [options.hideOnEsc, options.hide]
+      [hideOnEsc]
     );
 
     const onBlur = React.useCallback(
@@ -10,6 +10,7 @@ import {
   DisclosureInitialState,
   DisclosureStateReturn,
 } from "../Disclosure/DisclosureState";
+import { getControlledState } from "../__utils/useControlledState";
 
 export type DialogState = DisclosureState & {
   /**
@@ -43,11 +44,15 @@ export type DialogStateReturn = DisclosureStateReturn &
 export function useDialogState(
   initialState: SealedInitialState<DialogInitialState> = {}
 ): DialogStateReturn {
-  const { modal: initialModal = true, ...sealed } = useSealedState(
-    initialState
-  );
+  const sealedState = useSealedState(initialState);
+  const { modal: initialModal = true, ...sealed } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
 
-  const disclosure = useDisclosureState(sealed);
+  const disclosure = useDisclosureState({
+    ...sealed,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
   const [modal, setModal] = React.useState(initialModal);
   const disclosureRef = React.useRef<HTMLElement | null>(null);
 
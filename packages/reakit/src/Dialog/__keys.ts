@@ -5,6 +5,7 @@ const DIALOG_STATE_KEYS = [
   "visible",
   "animated",
   "animating",
+  "unstable_phase",
   "setBaseId",
   "show",
   "hide",
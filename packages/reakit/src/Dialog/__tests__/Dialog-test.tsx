@@ -1,6 +1,11 @@
 import * as React from "react";
-import { render } from "reakit-test-utils";
+import * as ReactDOM from "react-dom";
+import { render, click, wait } from "reakit-test-utils";
 import { Dialog } from "../Dialog";
+import { DialogDisclosure } from "../DialogDisclosure";
+import { useDialogState } from "../DialogState";
+import { unstable_ToastRegion as ToastRegion } from "../../Toast/ToastRegion";
+import { Tooltip, TooltipReference, useTooltipState } from "../../Tooltip";
 
 jest.mock("body-scroll-lock");
 
@@ -42,7 +47,10 @@ test("render visible", () => {
   );
   expect(baseElement).toMatchInlineSnapshot(`
     <body>
-      <div />
+      <div
+        aria-hidden="true"
+        inert=""
+      />
       <div
         aria-hidden="true"
         class="__reakit-focus-trap"
@@ -95,3 +103,143 @@ test("render non-modal", () => {
     </div>
   `);
 });
+
+test("restore elements outside the dialog when it unmounts", () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <button>button</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText, container, unmount } = render(<Test />);
+  container.setAttribute("aria-hidden", "false");
+  click(getByText("disclosure"));
+  expect(container).toHaveAttribute("aria-hidden", "true");
+  expect(container).toHaveAttribute("inert");
+  unmount();
+  expect(container).toHaveAttribute("aria-hidden", "false");
+  expect(container).not.toHaveAttribute("inert");
+});
+
+test("nested modal dialog only marks the dialog below it as inert", () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    const nestedDialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <DialogDisclosure {...nestedDialog}>
+            nested disclosure
+          </DialogDisclosure>
+          <Dialog {...nestedDialog} aria-label="nested dialog">
+            <button onClick={nestedDialog.hide}>close nested</button>
+          </Dialog>
+          <button onClick={dialog.hide}>close</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText, getByLabelText, container } = render(<Test />);
+  const dialog = getByLabelText("dialog");
+  const nestedDialog = getByLabelText("nested dialog");
+  click(getByText("disclosure"));
+  expect(container).toHaveAttribute("aria-hidden", "true");
+  expect(dialog).not.toHaveAttribute("aria-hidden");
+  click(getByText("nested disclosure"));
+  expect(container).toHaveAttribute("aria-hidden", "true");
+  expect(dialog).toHaveAttribute("aria-hidden", "true");
+  expect(dialog).toHaveAttribute("inert");
+  expect(nestedDialog).not.toHaveAttribute("aria-hidden");
+  expect(nestedDialog).not.toHaveAttribute("inert");
+  click(getByText("close nested"));
+  expect(dialog).not.toHaveAttribute("aria-hidden");
+  expect(dialog).not.toHaveAttribute("inert");
+  expect(container).toHaveAttribute("aria-hidden", "true");
+  click(getByText("close"));
+  expect(container).not.toHaveAttribute("aria-hidden");
+  expect(container).not.toHaveAttribute("inert");
+});
+
+test("mark elements added after the modal dialog is shown as inert", async () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <button onClick={dialog.hide}>close</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText } = render(<Test />);
+  click(getByText("disclosure"));
+  const element = document.createElement("div");
+  document.body.appendChild(element);
+  await wait(() => expect(element).toHaveAttribute("aria-hidden", "true"));
+  expect(element).toHaveAttribute("inert");
+  click(getByText("close"));
+  expect(element).not.toHaveAttribute("aria-hidden");
+  expect(element).not.toHaveAttribute("inert");
+  document.body.removeChild(element);
+});
+
+test("do not mark portals rendered within the modal dialog as inert", async () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    const tooltip = useTooltipState({
+      visible: true,
+      unstable_hoverable: true,
+    });
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <TooltipReference {...tooltip}>reference</TooltipReference>
+          <Tooltip {...tooltip}>
+            <a href="#link">link</a>
+          </Tooltip>
+        </Dialog>
+        {ReactDOM.createPortal(<span>outside</span>, document.body)}
+      </>
+    );
+  };
+  const { getByText } = render(<Test />);
+  click(getByText("disclosure"));
+  await wait(() =>
+    expect(getByText("outside")).toHaveAttribute("aria-hidden", "true")
+  );
+  const portal = getByText("link").closest(".__reakit-portal");
+  expect(portal).not.toHaveAttribute("inert");
+  expect(portal).not.toHaveAttribute("aria-hidden");
+  expect(getByText("link").closest("[inert]")).toBeNull();
+});
+
+test("do not mark toast region as inert", () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <button>button</button>
+        </Dialog>
+        {ReactDOM.createPortal(<span>outside</span>, document.body)}
+        <ToastRegion aria-label="Notifications" unstable_portal={false} />
+      </>
+    );
+  };
+  const { getByText, getByLabelText, container } = render(<Test />);
+  click(getByText("disclosure"));
+  const region = getByLabelText("Notifications");
+  expect(region).not.toHaveAttribute("aria-hidden");
+  expect(container).not.toHaveAttribute("aria-hidden");
+  expect(getByText("disclosure")).toHaveAttribute("aria-hidden", "true");
+  expect(getByText("outside")).toHaveAttribute("aria-hidden", "true");
+});
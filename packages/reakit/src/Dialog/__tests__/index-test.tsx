@@ -1253,7 +1253,10 @@ test("nested modal dialog with backdrop markup", () => {
   click(disclosure2);
   expect(baseElement.children).toMatchInlineSnapshot(`
     HTMLCollection [
-      <div>
+      <div
+        aria-hidden="true"
+        inert=""
+      >
         <button
           aria-controls="dialog1"
           aria-expanded="true"
@@ -1273,7 +1276,9 @@ test("nested modal dialog with backdrop markup", () => {
         class="__reakit-portal"
       >
         <div
+          aria-hidden="true"
           data-dialog-ref="dialog1"
+          inert=""
           style=""
         >
           <div
@@ -1350,3 +1355,145 @@ test("passing undefined to tabIndex should render the default tabIndex of -1", (
   const { getByLabelText } = render(<Test />);
   expect(getByLabelText("dialog")).toHaveAttribute("tabIndex", "-1");
 });
+
+test("dialog is unmounted when hidden with unmountOnHide", () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog" unstable_unmountOnHide>
+          <button>button</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText, queryByLabelText } = render(<Test />);
+  const disclosure = getByText("disclosure");
+  expect(queryByLabelText("dialog")).not.toBeInTheDocument();
+  click(disclosure);
+  expect(queryByLabelText("dialog")).toBeVisible();
+  expect(getByText("button")).toHaveFocus();
+  press.Escape();
+  expect(queryByLabelText("dialog")).not.toBeInTheDocument();
+  expect(disclosure).toHaveFocus();
+});
+
+test("clicking on a tabbable element outside the dialog keeps focus on it with unmountOnHide", () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <button>outside</button>
+        <Dialog
+          {...dialog}
+          aria-label="dialog"
+          modal={false}
+          unstable_unmountOnHide
+        >
+          <button>button</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText, queryByLabelText } = render(<Test />);
+  click(getByText("disclosure"));
+  expect(getByText("button")).toHaveFocus();
+  click(getByText("outside"));
+  expect(queryByLabelText("dialog")).not.toBeInTheDocument();
+  expect(getByText("outside")).toHaveFocus();
+});
+
+test("modal dialog marks elements outside it as inert", () => {
+  const Test = () => {
+    const dialog = useDialogState();
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <button onClick={dialog.hide}>close</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText, container } = render(<Test />);
+  click(getByText("disclosure"));
+  expect(container).toHaveAttribute("aria-hidden", "true");
+  expect(container).toHaveAttribute("inert");
+  click(getByText("close"));
+  expect(container).not.toHaveAttribute("aria-hidden");
+  expect(container).not.toHaveAttribute("inert");
+});
+
+test("non-modal dialog does not mark elements outside it as inert", () => {
+  const Test = () => {
+    const dialog = useDialogState({ modal: false });
+    return (
+      <>
+        <DialogDisclosure {...dialog}>disclosure</DialogDisclosure>
+        <Dialog {...dialog} aria-label="dialog">
+          <button>button</button>
+        </Dialog>
+      </>
+    );
+  };
+  const { getByText, container } = render(<Test />);
+  click(getByText("disclosure"));
+  expect(container).not.toHaveAttribute("aria-hidden");
+  expect(container).not.toHaveAttribute("inert");
+});
+
+function StackedDialog({ label }: { label: string }) {
+  const dialog = useDialogState({ visible: true });
+  return (
+    <Dialog {...dialog} aria-label={label} modal={false}>
+      <button>{label} button</button>
+    </Dialog>
+  );
+}
+
+test("esc closes the top-most dialog from another React root first", () => {
+  const { getByLabelText } = render(<StackedDialog label="dialog1" />);
+  render(<StackedDialog label="dialog2" />);
+  const dialog1 = getByLabelText("dialog1");
+  const dialog2 = getByLabelText("dialog2");
+  // Doesn't move focus, like a dialog opened without focusing it
+  fireEvent.keyDown(dialog1, { key: "Escape" });
+  expect(dialog1).toBeVisible();
+  expect(dialog2).not.toBeVisible();
+  fireEvent.keyDown(dialog1, { key: "Escape" });
+  expect(dialog1).not.toBeVisible();
+  expect(console).toHaveWarned();
+});
+
+test("esc outside dialogs closes the top-most dialog", () => {
+  const { getByLabelText } = render(<StackedDialog label="dialog1" />);
+  render(<StackedDialog label="dialog2" />);
+  const dialog1 = getByLabelText("dialog1");
+  const dialog2 = getByLabelText("dialog2");
+  press.Escape(document.body);
+  expect(dialog1).toBeVisible();
+  expect(dialog2).not.toBeVisible();
+  press.Escape(document.body);
+  expect(dialog1).not.toBeVisible();
+  expect(console).toHaveWarned();
+});
+
+test("clicking on a dialog from another React root does not close the dialog below it", () => {
+  const { getByLabelText, baseElement } = render(
+    <StackedDialog label="dialog1" />
+  );
+  render(<StackedDialog label="dialog2" />);
+  const dialog1 = getByLabelText("dialog1");
+  const dialog2 = getByLabelText("dialog2");
+  click(getByLabelText("dialog2"));
+  expect(dialog1).toBeVisible();
+  expect(dialog2).toBeVisible();
+  click(baseElement);
+  expect(dialog1).toBeVisible();
+  expect(dialog2).not.toBeVisible();
+  click(baseElement);
+  expect(dialog1).not.toBeVisible();
+  expect(console).toHaveWarned();
+});
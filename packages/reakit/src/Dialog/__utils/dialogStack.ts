@@ -0,0 +1,281 @@
+import * as React from "react";
+import { contains } from "reakit-utils/contains";
+import { closest } from "reakit-utils/closest";
+import { getDocument } from "reakit-utils/getDocument";
+import { Portal } from "../../Portal/Portal";
+import { isFocusTrap } from "./useFocusTrap";
+
+type DialogRef = React.RefObject<HTMLElement>;
+
+type DialogStackItem = {
+  ref: DialogRef;
+  parentRef?: DialogRef;
+  modal?: boolean;
+};
+
+// Visible dialogs from all React roots, ordered from the bottom-most to the
+// top-most one
+const stack: DialogStackItem[] = [];
+const listeners = new Set<() => void>();
+// Elements that were made inert because they're outside the top-most modal
+// dialog, along with their original aria-hidden and inert attributes
+const hiddenElements = new Map<Element, [string | null, string | null]>();
+const observers = new Map<
+  Document,
+  { observer: MutationObserver; parents: Set<Element> }
+>();
+
+/**
+ * Elements with this attribute, and their ancestors, aren't made inert when
+ * a modal dialog is shown. `ToastRegion` uses it so toasts shown while a
+ * modal dialog is open are still announced and can receive focus.
+ */
+export const inertExemptAttribute = "data-inert-exempt";
+
+function getDocumentStack(document: Document) {
+  return stack.filter((item) => getDocument(item.ref.current) === document);
+}
+
+function getItem(ref: DialogRef) {
+  return stack.find((item) => item.ref === ref);
+}
+
+function isDescendant(item: DialogStackItem, ref: DialogRef) {
+  let { parentRef } = item;
+  while (parentRef) {
+    if (parentRef === ref) return true;
+    parentRef = getItem(parentRef)?.parentRef;
+  }
+  return false;
+}
+
+function getItemsAbove(ref: DialogRef) {
+  const document = getDocument(ref.current);
+  const items = getDocumentStack(document);
+  const index = items.findIndex((item) => item.ref === ref);
+  if (index === -1) return [];
+  return items.slice(index + 1);
+}
+
+function setAttribute(element: Element, name: string, value: string | null) {
+  if (value == null) {
+    element.removeAttribute(name);
+  } else {
+    element.setAttribute(name, value);
+  }
+}
+
+function restoreElement(element: Element) {
+  const attributes = hiddenElements.get(element);
+  if (!attributes) return;
+  const [ariaHidden, inert] = attributes;
+  setAttribute(element, "aria-hidden", ariaHidden);
+  setAttribute(element, "inert", inert);
+  hiddenElements.delete(element);
+}
+
+function hideElement(element: Element) {
+  if (hiddenElements.has(element)) return;
+  // Focus trap elements must remain focusable
+  if (isFocusTrap(element)) return;
+  // Elements like live regions opt out so they keep being announced
+  if (element.hasAttribute(inertExemptAttribute)) return;
+  if (["SCRIPT", "STYLE", "TEMPLATE"].includes(element.tagName)) return;
+  hiddenElements.set(element, [
+    element.getAttribute("aria-hidden"),
+    element.getAttribute("inert"),
+  ]);
+  element.setAttribute("aria-hidden", "true");
+  element.setAttribute("inert", "");
+}
+
+function addAncestors(ancestors: Set<Element>, element: Element | null) {
+  const { body } = getDocument(element);
+  while (element && element !== body) {
+    ancestors.add(element);
+    element = element.parentElement;
+  }
+}
+
+function getTopModalIndex(items: DialogStackItem[]) {
+  let modalIndex = -1;
+  items.forEach((item, index) => {
+    if (item.modal && item.ref.current) {
+      modalIndex = index;
+    }
+  });
+  return modalIndex;
+}
+
+/**
+ * Returns the portal the dialog is rendered in. Portals rendered within the
+ * dialog, like tooltips, are nested in it, so they aren't made inert.
+ */
+function getPortal(element: HTMLElement) {
+  return closest(element, Portal.__selector) || element;
+}
+
+/**
+ * Observes the elements whose children were made inert by
+ * `updateInertElements`, so elements added to them later, like portals, are
+ * made inert as well.
+ */
+function observeParents(document: Document, parents: Set<Element>) {
+  const current = observers.get(document);
+  if (
+    current &&
+    current.parents.size === parents.size &&
+    Array.from(parents).every((parent) => current.parents.has(parent))
+  ) {
+    return;
+  }
+  current?.observer.disconnect();
+  if (!parents.size) {
+    observers.delete(document);
+    return;
+  }
+  const { MutationObserver } = document.defaultView || window;
+  if (!MutationObserver) return;
+  const observer =
+    current?.observer ||
+    new MutationObserver(() => updateInertElements(document));
+  parents.forEach((parent) => {
+    observer.observe(parent, { childList: true });
+  });
+  observers.set(document, { observer, parents });
+}
+
+/**
+ * Marks everything outside the top-most modal dialog, and the dialogs
+ * stacked above it, as inert, so screen reader users can't leave it.
+ */
+function updateInertElements(document: Document) {
+  const items = getDocumentStack(document);
+  const modalIndex = getTopModalIndex(items);
+  const elementsToHide = new Set<Element>();
+  const parents = new Set<Element>();
+  if (modalIndex !== -1) {
+    const ancestors = new Set<Element>();
+    items.slice(modalIndex).forEach((item) => {
+      if (!item.ref.current) return;
+      addAncestors(ancestors, getPortal(item.ref.current));
+    });
+    // Exempt elements are kept accessible, so their ancestors can't be
+    // hidden either
+    document.querySelectorAll(`[${inertExemptAttribute}]`).forEach((el) => {
+      addAncestors(ancestors, el);
+    });
+    ancestors.forEach((ancestor) => {
+      const parent = ancestor.parentElement;
+      if (!parent) return;
+      parents.add(parent);
+      Array.from(parent.children).forEach((sibling) => {
+        if (!ancestors.has(sibling)) {
+          elementsToHide.add(sibling);
+        }
+      });
+    });
+  }
+  hiddenElements.forEach((_, element) => {
+    if (getDocument(element) !== document) return;
+    if (elementsToHide.has(element)) return;
+    restoreElement(element);
+  });
+  elementsToHide.forEach(hideElement);
+  observeParents(document, parents);
+}
+
+function notify(document: Document) {
+  updateInertElements(document);
+  listeners.forEach((listener) => listener());
+}
+
+function addItem(item: DialogStackItem) {
+  // Parent dialogs may be shown in the same commit as their nested dialogs,
+  // in which case the nested ones are added first
+  const index = stack.findIndex((i) => isDescendant(i, item.ref));
+  if (index === -1) {
+    stack.push(item);
+  } else {
+    stack.splice(index, 0, item);
+  }
+}
+
+/**
+ * Returns whether there's a dialog stacked above this one that isn't nested
+ * within it, like a dialog opened from another React root. In this case,
+ * this dialog shouldn't react to events outside it.
+ */
+export function hasUnrelatedDialogAbove(ref: DialogRef) {
+  return getItemsAbove(ref).some((item) => !isDescendant(item, ref));
+}
+
+/**
+ * Returns whether `target` is within a dialog stacked above this one.
+ */
+export function isInDialogAbove(ref: DialogRef, target: Element) {
+  return getItemsAbove(ref).some(
+    (item) => item.ref.current && contains(item.ref.current, target)
+  );
+}
+
+/**
+ * Returns the dialog that should be hidden when `Escape` is pressed on
+ * `target`. That's the top-most dialog containing `target`, unless there's
+ * an unrelated dialog stacked above it. Otherwise, it's the top-most dialog.
+ */
+export function getEscapeDialog(target: Element) {
+  const items = getDocumentStack(getDocument(target));
+  for (let i = items.length - 1; i >= 0; i -= 1) {
+    const dialog = items[i].ref.current;
+    if (dialog && contains(dialog, target)) {
+      if (hasUnrelatedDialogAbove(items[i].ref)) break;
+      return items[i].ref;
+    }
+  }
+  return items[items.length - 1]?.ref;
+}
+
+/**
+ * Adds the dialog to the document-level dialog stack while it's visible.
+ * Returns whether it's the top-most modal dialog.
+ */
+export function useDialogStack(
+  dialogRef: DialogRef,
+  parentRef: DialogRef | undefined,
+  visible?: boolean,
+  modal?: boolean
+) {
+  const [isTopModal, setIsTopModal] = React.useState(false);
+  const elementRef = React.useRef<HTMLElement | null>(null);
+
+  React.useEffect(() => {
+    if (!visible) return undefined;
+    const document = getDocument(dialogRef.current);
+    const item = { ref: dialogRef, parentRef, modal };
+    const listener = () => {
+      const items = getDocumentStack(document).filter((i) => i.modal);
+      setIsTopModal(items[items.length - 1] === item);
+    };
+    addItem(item);
+    listeners.add(listener);
+    notify(document);
+    return () => {
+      stack.splice(stack.indexOf(item), 1);
+      listeners.delete(listener);
+      notify(document);
+    };
+  }, [visible, dialogRef, parentRef, modal]);
+
+  // Dialogs rendered within portals may not be in the DOM when they're added
+  // to the stack
+  React.useEffect(() => {
+    if (!visible || elementRef.current === dialogRef.current) return;
+    elementRef.current = dialogRef.current;
+    if (dialogRef.current) {
+      updateInertElements(getDocument(dialogRef.current));
+    }
+  });
+
+  return isTopModal;
+}
@@ -1,6 +1,7 @@
 import * as React from "react";
 import { DialogOptions } from "../Dialog";
 import { useEventListenerOutside } from "./useEventListenerOutside";
+import { isInDialogAbove } from "./dialogStack";
 
 export function useDisableHoverOutside(
   portalRef: React.RefObject<HTMLElement>,
@@ -14,6 +15,8 @@ export function useDisableHoverOutside(
       nestedDialogs,
       eventType,
       (event) => {
+        // Dialogs stacked above this one can still be hovered
+        if (isInDialogAbove(portalRef, event.target as Element)) return;
         event.stopPropagation();
         event.preventDefault();
       },
@@ -10,12 +10,11 @@ import { DialogOptions } from "../Dialog";
 
 function hidByFocusingAnotherElement(dialogRef: React.RefObject<HTMLElement>) {
   const dialog = dialogRef.current;
-  if (!dialog) return false;
-
   const activeElement = getActiveElement(dialog);
 
   if (!activeElement) return false;
-  if (contains(dialog, activeElement)) return false;
+  // The dialog may have been unmounted on hide
+  if (dialog && contains(dialog, activeElement)) return false;
   if (isTabbable(activeElement)) return true;
   if (activeElement.getAttribute("data-dialog") === "true") return true;
 
@@ -19,6 +19,7 @@ export function isFocusTrap(element: Element) {
 export function useFocusTrap(
   dialogRef: React.RefObject<HTMLElement>,
   visibleModals: Array<React.RefObject<HTMLElement>>,
+  isTopModal: boolean,
   options: DialogOptions
 ) {
   const portalRef = usePortalRef(dialogRef, options);
@@ -71,7 +72,9 @@ export function useFocusTrap(
 
     const handleFocus = (event: FocusEvent) => {
       const dialog = dialogRef.current;
-      if (!dialog || visibleModals.length) return;
+      // Modal dialogs stacked above this one, even from other React roots,
+      // trap focus instead
+      if (!dialog || visibleModals.length || !isTopModal) return;
 
       event.preventDefault();
 
@@ -95,5 +98,5 @@ export function useFocusTrap(
       before.removeEventListener("focus", handleFocus);
       after.removeEventListener("focus", handleFocus);
     };
-  }, [dialogRef, visibleModals, shouldTrap]);
+  }, [dialogRef, visibleModals, isTopModal, shouldTrap]);
 }
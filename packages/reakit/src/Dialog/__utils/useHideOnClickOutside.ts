@@ -2,6 +2,7 @@ import * as React from "react";
 import { getDocument } from "reakit-utils/getDocument";
 import { DialogOptions } from "../Dialog";
 import { useEventListenerOutside } from "./useEventListenerOutside";
+import { hasUnrelatedDialogAbove } from "./dialogStack";
 
 function useMouseDownRef(
   dialogRef: React.RefObject<HTMLElement>,
@@ -41,7 +42,10 @@ export function useHideOnClickOutside(
       // triggered the mousedown event. This prevents the dialog from closing
       // by dragging the cursor (for example, selecting some text inside the
       // dialog and releasing the mouse outside of it).
-      if (mouseDownRef.current === event.target) {
+      if (mouseDownRef.current !== event.target) return;
+      // Dialogs opened above this one, like confirm dialogs rendered in
+      // another React root, should be dismissed first
+      if (!hasUnrelatedDialogAbove(dialogRef)) {
         options.hide?.();
       }
     },
@@ -58,7 +62,10 @@ export function useHideOnClickOutside(
       // Fix for https://github.com/reakit/reakit/issues/619
       // On IE11, calling element.blur() triggers the focus event on
       // document.body, so we make sure to ignore it as well.
-      if (event.target !== document && event.target !== document.body) {
+      if (event.target === document || event.target === document.body) {
+        return;
+      }
+      if (!hasUnrelatedDialogAbove(dialogRef)) {
         options.hide?.();
       }
     },
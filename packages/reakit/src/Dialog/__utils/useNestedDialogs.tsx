@@ -6,6 +6,7 @@ type DialogRef = React.RefObject<HTMLElement>;
 
 const DialogContext = React.createContext<{
   visible?: boolean;
+  dialogRef?: DialogRef;
   addDialog?: (ref: DialogRef) => void;
   removeDialog?: (ref: DialogRef) => void;
   showDialog?: (ref: DialogRef) => void;
@@ -96,12 +97,20 @@ export function useNestedDialogs(dialogRef: DialogRef, options: DialogOptions) {
   const providerValue = React.useMemo(
     () => ({
       visible: options.visible,
+      dialogRef,
       addDialog,
       removeDialog,
       showDialog,
       hideDialog,
     }),
-    [options.visible, addDialog, removeDialog, showDialog, hideDialog]
+    [
+      options.visible,
+      dialogRef,
+      addDialog,
+      removeDialog,
+      showDialog,
+      hideDialog,
+    ]
   );
 
   const wrap = React.useCallback(
@@ -113,5 +122,5 @@ export function useNestedDialogs(dialogRef: DialogRef, options: DialogOptions) {
     [providerValue]
   );
 
-  return { dialogs, visibleModals, wrap };
+  return { dialogs, visibleModals, wrap, parentDialog: context.dialogRef };
 }
@@ -4,9 +4,13 @@ import { DialogOptions } from "../Dialog";
 
 export function usePreventBodyScroll(
   targetRef: React.RefObject<HTMLElement>,
+  isTopModal: boolean,
   options: DialogOptions
 ) {
-  const shouldPrevent = Boolean(options.preventBodyScroll && options.visible);
+  // Only the top-most modal dialog can be scrolled
+  const shouldPrevent = Boolean(
+    options.preventBodyScroll && options.visible && isTopModal
+  );
 
   React.useEffect(() => {
     const element = targetRef.current;
@@ -1,17 +1,28 @@
 import * as React from "react";
 import { createComponent } from "reakit-system/createComponent";
 import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
 import { useLiveRef } from "reakit-utils/useLiveRef";
 import { isSelfTarget } from "reakit-utils/isSelfTarget";
 import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
-import { DisclosureStateReturn } from "./DisclosureState";
+import {
+  DisclosureStateReturn,
+  unstable_DisclosurePhase,
+} from "./DisclosureState";
 import { DISCLOSURE_CONTENT_KEYS } from "./__keys";
 
 export type DisclosureContentOptions = RoleOptions &
   Pick<
     Partial<DisclosureStateReturn>,
     "baseId" | "visible" | "animating" | "animated" | "stopAnimation"
-  >;
+  > & {
+    /**
+     * Whether the content is removed from the DOM when it's hidden, after the
+     * exit animation has finished, instead of being hidden with
+     * `display: none`. It's mounted again before the enter animation starts.
+     */
+    unstable_unmountOnHide?: boolean;
+  };
 
 export type DisclosureContentHTMLProps = RoleHTMLProps;
 
@@ -20,6 +31,23 @@ export type DisclosureContentProps = DisclosureContentOptions &
 
 type TransitionState = "enter" | "leave" | null;
 
+function getPhase(
+  transition: TransitionState,
+  visible: boolean,
+  animating: boolean
+): unstable_DisclosurePhase {
+  if (transition === "leave") {
+    return "exiting";
+  }
+  // The transition is only set after the browser has painted the element,
+  // which is already shown and animating by then, so the phase is derived
+  // from the state like unstable_phase
+  if (visible) {
+    return animating ? "entering" : "entered";
+  }
+  return animating ? "exiting" : "exited";
+}
+
 export const useDisclosureContent = createHook<
   DisclosureContentOptions,
   DisclosureContentHTMLProps
@@ -31,12 +59,15 @@ export const useDisclosureContent = createHook<
   useProps(
     options,
     {
+      ref: htmlRef,
       onTransitionEnd: htmlOnTransitionEnd,
       onAnimationEnd: htmlOnAnimationEnd,
       style: htmlStyle,
+      wrapElement: htmlWrapElement,
       ...htmlProps
     }
   ) {
+    const ref = React.useRef<HTMLElement>(null);
     const animating = options.animated && options.animating;
     const [transition, setTransition] = React.useState<TransitionState>(null);
     const hidden = !options.visible && !animating;
@@ -65,6 +96,30 @@ export const useDisclosureContent = createHook<
       return () => window.cancelAnimationFrame(raf.current);
     }, [options.animated, options.visible, animating]);
 
+    React.useEffect(() => {
+      const element = ref.current;
+      // Ignores number animated
+      if (!element || options.animated !== true) return undefined;
+      if (!animating || !transition) return undefined;
+      // Animations created with the Web Animations API (for example, by
+      // JavaScript animation libraries) don't dispatch animationend events,
+      // so we wait for their finished promises instead
+      const animations = element.getAnimations?.() || [];
+      if (!animations.length) return undefined;
+      let canceled = false;
+      Promise.all(animations.map((animation) => animation.finished))
+        .then(() => {
+          if (!canceled) {
+            options.stopAnimation?.();
+          }
+        })
+        // The promises are rejected when animations are canceled
+        .catch(() => {});
+      return () => {
+        canceled = true;
+      };
+    }, [options.animated, animating, transition, options.stopAnimation]);
+
     const onEnd = React.useCallback(
       (event: React.SyntheticEvent) => {
         if (!isSelfTarget(event)) return;
@@ -93,14 +148,37 @@ export const useDisclosureContent = createHook<
       [onEnd]
     );
 
+    const unmounted = options.unstable_unmountOnHide && hidden;
+
+    const wrapElement = React.useCallback(
+      (element: React.ReactNode) => {
+        // Only the element is removed, so wrappers like Portal keep their
+        // DOM nodes and the element can be focused as soon as it's mounted
+        // again
+        if (unmounted) {
+          element = null;
+        }
+        if (htmlWrapElement) {
+          return htmlWrapElement(element);
+        }
+        return element;
+      },
+      [unmounted, htmlWrapElement]
+    );
+
     return {
+      ref: useForkRef(ref, htmlRef),
       id: options.baseId,
       "data-enter": transition === "enter" ? "" : undefined,
       "data-leave": transition === "leave" ? "" : undefined,
+      "data-phase": options.animated
+        ? getPhase(transition, !!options.visible, !!animating)
+        : undefined,
       onTransitionEnd,
       onAnimationEnd,
       hidden,
       style,
+      wrapElement,
       ...htmlProps,
     };
   },
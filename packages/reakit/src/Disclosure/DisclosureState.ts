@@ -3,8 +3,11 @@ import {
   useSealedState,
   SealedInitialState,
 } from "reakit-utils/useSealedState";
-import { useIsomorphicEffect } from "reakit-utils/useIsomorphicEffect";
-import { warning } from "reakit-warning";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
+import { useAnimatingIds } from "../__utils/useAnimatingIds";
 import {
   unstable_IdState,
   unstable_IdActions,
@@ -12,6 +15,12 @@ import {
   unstable_useIdState,
 } from "../Id/IdState";
 
+export type unstable_DisclosurePhase =
+  | "entering"
+  | "entered"
+  | "exiting"
+  | "exited";
+
 export type DisclosureState = unstable_IdState & {
   /**
    * Whether it's visible or not.
@@ -28,6 +37,11 @@ export type DisclosureState = unstable_IdState & {
    * Whether it's animating or not.
    */
   animating: boolean;
+  /**
+   * The animation phase, derived from `visible` and `animating`. It can be
+   * used to drive JavaScript animations.
+   */
+  unstable_phase: unstable_DisclosurePhase;
 };
 
 export type DisclosureActions = unstable_IdActions & {
@@ -60,73 +74,65 @@ export type DisclosureActions = unstable_IdActions & {
 };
 
 export type DisclosureInitialState = unstable_IdInitialState &
-  Partial<Pick<DisclosureState, "visible" | "animated">>;
+  Partial<Pick<DisclosureState, "visible" | "animated">> & {
+    /**
+     * Makes `visible` controlled. When passed, `visible` is read on every
+     * render instead of only on the first one, and this function is called
+     * with the next value whenever the state would change.
+     * @example
+     * const [visible, setVisible] = React.useState(false);
+     * const disclosure = useDisclosureState({ visible, setVisible });
+     */
+    setVisible?: (visible: DisclosureState["visible"]) => void;
+  };
 
 export type DisclosureStateReturn = DisclosureState & DisclosureActions;
 
-function useLastValue<T>(value: T) {
-  const lastValue = React.useRef<T | null>(null);
-  useIsomorphicEffect(() => {
-    lastValue.current = value;
-  }, [value]);
-  return lastValue;
-}
-
 export function useDisclosureState(
   initialState: SealedInitialState<DisclosureInitialState> = {}
 ): DisclosureStateReturn {
+  const sealedState = useSealedState(initialState);
   const {
     visible: initialVisible = false,
     animated: initialAnimated = false,
     ...sealed
-  } = useSealedState(initialState);
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
 
   const id = unstable_useIdState(sealed);
 
-  const [visible, setVisible] = React.useState(initialVisible);
+  const [visible, setVisible] = useControlledState(
+    initialVisible,
+    controlled.visible ?? initialVisible,
+    controlled.setVisible,
+    "visible"
+  );
   const [animated, setAnimated] = React.useState(initialAnimated);
-  const [animating, setAnimating] = React.useState(false);
-  const lastVisible = useLastValue(visible);
-
-  const visibleHasChanged =
-    lastVisible.current != null && lastVisible.current !== visible;
+  const [animatingIds, setAnimatingIds] = useAnimatingIds(
+    animated,
+    visible,
+    () => ["visible"]
+  );
+  const animating = animatingIds.length > 0;
 
-  if (animated && !animating && visibleHasChanged) {
-    // Sets animating to true when when visible is updated
-    setAnimating(true);
+  let phase: unstable_DisclosurePhase;
+  if (visible) {
+    phase = animating ? "entering" : "entered";
+  } else {
+    phase = animating ? "exiting" : "exited";
   }
 
-  React.useEffect(() => {
-    if (typeof animated === "number" && animating) {
-      const timeout = setTimeout(() => setAnimating(false), animated);
-      return () => {
-        clearTimeout(timeout);
-      };
-    }
-    if (animated && animating && process.env.NODE_ENV === "development") {
-      const timeout = setTimeout(() => {
-        warning(
-          animating,
-          "It's been 8 seconds but stopAnimation has not been called. Does the disclousure element have a CSS transition?"
-        );
-      }, 8000);
-      return () => {
-        clearTimeout(timeout);
-      };
-    }
-    return () => {};
-  }, [animated, animating]);
-
   const show = React.useCallback(() => setVisible(true), []);
   const hide = React.useCallback(() => setVisible(false), []);
   const toggle = React.useCallback(() => setVisible((v) => !v), []);
-  const stopAnimation = React.useCallback(() => setAnimating(false), []);
+  const stopAnimation = React.useCallback(() => setAnimatingIds([]), []);
 
   return {
     ...id,
     visible,
     animated,
     animating,
+    unstable_phase: phase,
     show,
     hide,
     toggle,
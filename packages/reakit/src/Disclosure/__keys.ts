@@ -5,6 +5,7 @@ const DISCLOSURE_STATE_KEYS = [
   "visible",
   "animated",
   "animating",
+  "unstable_phase",
   "setBaseId",
   "show",
   "hide",
@@ -14,4 +15,7 @@ const DISCLOSURE_STATE_KEYS = [
   "stopAnimation",
 ] as const;
 export const DISCLOSURE_KEYS = DISCLOSURE_STATE_KEYS;
-export const DISCLOSURE_CONTENT_KEYS = DISCLOSURE_KEYS;
+export const DISCLOSURE_CONTENT_KEYS = [
+  ...DISCLOSURE_KEYS,
+  "unstable_unmountOnHide",
+] as const;
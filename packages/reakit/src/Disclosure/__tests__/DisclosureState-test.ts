@@ -18,6 +18,7 @@ test("initial state", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "exited",
       "visible": false,
     }
   `);
@@ -37,6 +38,7 @@ test("initial state visible", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "entered",
       "visible": true,
     }
   `
@@ -57,6 +59,7 @@ test("initial state lazy", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "entered",
       "visible": true,
     }
   `
@@ -76,6 +79,7 @@ test("show", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "entered",
       "visible": true,
     }
   `
@@ -95,6 +99,7 @@ test("hide", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "exited",
       "visible": false,
     }
   `
@@ -114,6 +119,7 @@ test("toggle", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "entered",
       "visible": true,
     }
   `
@@ -135,8 +141,47 @@ test("setVisible", () => {
       "unstable_idCountRef": Object {
         "current": 0,
       },
+      "unstable_phase": "entered",
       "visible": true,
     }
   `
   );
 });
+
+test("phase", () => {
+  const result = render({ baseId: "base", animated: true });
+  expect(result.current.unstable_phase).toBe("exited");
+  act(result.current.show);
+  expect(result.current.unstable_phase).toBe("entering");
+  act(result.current.stopAnimation);
+  expect(result.current.unstable_phase).toBe("entered");
+  act(result.current.hide);
+  expect(result.current.unstable_phase).toBe("exiting");
+  act(result.current.stopAnimation);
+  expect(result.current.unstable_phase).toBe("exited");
+});
+
+test("controlled visible", () => {
+  const setVisible = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ visible }) =>
+      useDisclosureState({ baseId: "base", visible, setVisible }),
+    { initialProps: { visible: false } }
+  );
+  act(result.current.show);
+  expect(setVisible).toHaveBeenCalledWith(true);
+  expect(result.current.visible).toBe(false);
+  rerender({ visible: true });
+  expect(result.current.visible).toBe(true);
+  act(result.current.toggle);
+  expect(setVisible).toHaveBeenLastCalledWith(false);
+});
+
+test("warns when switching from uncontrolled to controlled", () => {
+  const { rerender } = renderHook(
+    ({ setVisible }) => useDisclosureState({ baseId: "base", setVisible }),
+    { initialProps: { setVisible: undefined as undefined | jest.Mock } }
+  );
+  rerender({ setVisible: jest.fn() });
+  expect(console).toHaveWarned();
+});
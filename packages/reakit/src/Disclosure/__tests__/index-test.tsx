@@ -1,6 +1,11 @@
 import * as React from "react";
-import { render, click } from "reakit-test-utils";
-import { DisclosureContent, Disclosure, useDisclosureState } from "..";
+import { render, click, screen, fireEvent, wait, act } from "reakit-test-utils";
+import {
+  DisclosureContent,
+  Disclosure,
+  useDisclosureState,
+  DisclosureInitialState,
+} from "..";
 
 test("show", () => {
   function Test() {
@@ -66,3 +71,73 @@ test("multiple components", () => {
   expect(content1).toBeVisible();
   expect(content2).toBeVisible();
 });
+
+function UnmountOnHide(props: DisclosureInitialState) {
+  const disclosure = useDisclosureState(props);
+  return (
+    <>
+      <Disclosure {...disclosure}>disclosure</Disclosure>
+      <DisclosureContent {...disclosure} unstable_unmountOnHide>
+        content
+      </DisclosureContent>
+    </>
+  );
+}
+
+test("unmount on hide", () => {
+  render(<UnmountOnHide />);
+  const disclosure = screen.getByText("disclosure");
+  expect(screen.queryByText("content")).not.toBeInTheDocument();
+  click(disclosure);
+  expect(screen.getByText("content")).toBeVisible();
+  click(disclosure);
+  expect(screen.queryByText("content")).not.toBeInTheDocument();
+});
+
+test("unmount on hide after the exit animation", async () => {
+  render(<UnmountOnHide animated />);
+  const disclosure = screen.getByText("disclosure");
+  expect(screen.queryByText("content")).not.toBeInTheDocument();
+  click(disclosure);
+  const content = screen.getByText("content");
+  expect(content).toHaveAttribute("data-phase", "entering");
+  await wait(() => expect(content).toHaveAttribute("data-enter"));
+  expect(content).toHaveAttribute("data-phase", "entering");
+  fireEvent.transitionEnd(content);
+  expect(content).toHaveAttribute("data-phase", "entered");
+  click(disclosure);
+  expect(content).toBeInTheDocument();
+  expect(content).toHaveAttribute("data-phase", "exiting");
+  await wait(() => expect(content).toHaveAttribute("data-phase", "exiting"));
+  fireEvent.transitionEnd(content);
+  expect(content).not.toBeInTheDocument();
+});
+
+test("stop animation when web animations finish", async () => {
+  const finished: Array<() => void> = [];
+  const getAnimations = jest.fn(() => [
+    { finished: new Promise((resolve) => finished.push(resolve)) },
+  ]);
+  Object.defineProperty(HTMLElement.prototype, "getAnimations", {
+    configurable: true,
+    value: getAnimations,
+  });
+  render(<UnmountOnHide animated />);
+  const disclosure = screen.getByText("disclosure");
+  click(disclosure);
+  const content = screen.getByText("content");
+  expect(content).toHaveAttribute("data-phase", "entering");
+  await wait(() => expect(content).toHaveAttribute("data-enter"));
+  await act(async () => {
+    finished.forEach((resolve) => resolve());
+  });
+  expect(content).toHaveAttribute("data-phase", "entered");
+  click(disclosure);
+  expect(content).toHaveAttribute("data-phase", "exiting");
+  await wait(() => expect(content).toHaveAttribute("data-leave"));
+  await act(async () => {
+    finished.forEach((resolve) => resolve());
+  });
+  expect(content).not.toBeInTheDocument();
+  delete (HTMLElement.prototype as any).getAnimations;
+});
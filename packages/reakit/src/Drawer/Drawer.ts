@@ -0,0 +1,317 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { getDocument } from "reakit-utils/getDocument";
+import { getWindow } from "reakit-utils/getWindow";
+import { isPortalEvent } from "reakit-utils/isPortalEvent";
+import { isTextField } from "reakit-utils/isTextField";
+import { DialogOptions, DialogHTMLProps, useDialog } from "../Dialog/Dialog";
+import {
+  unstable_DrawerPlacement,
+  unstable_DrawerStateReturn,
+} from "./DrawerState";
+import { usePrefersReducedMotion } from "./__utils/usePrefersReducedMotion";
+import { DRAWER_KEYS } from "./__keys";
+
+export type unstable_DrawerOptions = DialogOptions &
+  Pick<
+    Partial<unstable_DrawerStateReturn>,
+    "placement" | "snapPoints" | "snapPoint" | "setSnapPoint"
+  > & {
+    /**
+     * Whether the drawer can be hidden by dragging it towards its edge. By
+     * default, it's enabled unless `hideOnEsc` or `hideOnClickOutside` are
+     * `false`.
+     */
+    hideOnDrag?: boolean;
+  };
+
+export type unstable_DrawerHTMLProps = DialogHTMLProps;
+
+export type unstable_DrawerProps = unstable_DrawerOptions &
+  unstable_DrawerHTMLProps;
+
+// The distance in pixels the pointer should move before the drawer is
+// dragged, so clicks on elements within it still work
+const DRAG_THRESHOLD = 4;
+
+function isVertical(placement: unstable_DrawerPlacement) {
+  return placement === "top" || placement === "bottom";
+}
+
+// Whether the drawer moves in the negative direction of the axis when it
+// closes
+function isNegative(placement: unstable_DrawerPlacement) {
+  return placement === "top" || placement === "left";
+}
+
+function getPlacementStyle(
+  placement: unstable_DrawerPlacement
+): React.CSSProperties {
+  const vertical = isVertical(placement);
+  return {
+    position: "fixed",
+    [placement]: 0,
+    ...(vertical ? { left: 0, right: 0 } : { top: 0, bottom: 0 }),
+  };
+}
+
+// Whether the element is scrollable along the drag axis and isn't scrolled
+// to its edge in the direction the content moves when the drawer is dragged
+// towards its edge. In this case, the gesture should scroll the element.
+function canScrollBack(element: Element, placement: unstable_DrawerPlacement) {
+  const vertical = isVertical(placement);
+  const style = getWindow(element).getComputedStyle(element);
+  const overflow = vertical ? style.overflowY : style.overflowX;
+  if (overflow !== "auto" && overflow !== "scroll") return false;
+  const scroll = vertical ? element.scrollTop : element.scrollLeft;
+  const scrollSize = vertical ? element.scrollHeight : element.scrollWidth;
+  const clientSize = vertical ? element.clientHeight : element.clientWidth;
+  if (scrollSize <= clientSize) return false;
+  if (isNegative(placement)) {
+    return Math.ceil(scroll + clientSize) < scrollSize;
+  }
+  return scroll > 0;
+}
+
+function isWithinScrolledElement(
+  target: Element,
+  drawer: Element,
+  placement: unstable_DrawerPlacement
+) {
+  let element: Element | null = target;
+  while (element) {
+    if (canScrollBack(element, placement)) return true;
+    if (element === drawer) return false;
+    element = element.parentElement;
+  }
+  return false;
+}
+
+function getTransform(
+  placement: unstable_DrawerPlacement,
+  closedFraction: number,
+  dragOffset: number
+) {
+  if (!closedFraction && !dragOffset) return undefined;
+  const sign = isNegative(placement) ? -1 : 1;
+  const axis = isVertical(placement) ? "Y" : "X";
+  const percent = sign * closedFraction * 100;
+  const pixels = sign * dragOffset;
+  return `translate${axis}(calc(${percent}% + ${pixels}px))`;
+}
+
+function getClosest(values: number[], value: number) {
+  return values.reduce((closest, current) =>
+    Math.abs(current - value) < Math.abs(closest - value) ? current : closest
+  );
+}
+
+export const unstable_useDrawer = createHook<
+  unstable_DrawerOptions,
+  unstable_DrawerHTMLProps
+>({
+  name: "Drawer",
+  compose: useDialog,
+  keys: DRAWER_KEYS,
+
+  useOptions({
+    placement = "left",
+    snapPoints = [1],
+    snapPoint = snapPoints[0],
+    hideOnDrag,
+    ...options
+  }) {
+    return {
+      placement,
+      snapPoints,
+      snapPoint,
+      hideOnDrag:
+        hideOnDrag ??
+        (options.hideOnEsc !== false && options.hideOnClickOutside !== false),
+      ...options,
+    };
+  },
+
+  useProps(
+    options,
+    {
+      ref: htmlRef,
+      onPointerDown: htmlOnPointerDown,
+      onClickCapture: htmlOnClickCapture,
+      style: htmlStyle,
+      ...htmlProps
+    }
+  ) {
+    const ref = React.useRef<HTMLElement>(null);
+    const onPointerDownRef = useLiveRef(htmlOnPointerDown);
+    const onClickCaptureRef = useLiveRef(htmlOnClickCapture);
+    const reducedMotion = usePrefersReducedMotion(ref);
+    const [pointerDown, setPointerDown] = React.useState(false);
+    const [dragOffset, setDragOffset] = React.useState(0);
+    const [entered, setEntered] = React.useState(false);
+    const startRef = React.useRef(0);
+    const draggedRef = React.useRef(false);
+    const placement = options.placement as unstable_DrawerPlacement;
+    const snapPoints = options.snapPoints as number[];
+    const snapPoint = options.snapPoint as number;
+    const dragging = pointerDown && draggedRef.current;
+
+    React.useEffect(() => {
+      if (!options.visible) {
+        setEntered(false);
+        return undefined;
+      }
+      // Waits for the browser to paint the closed drawer before moving it to
+      // the snap point. Otherwise it wouldn't be considered a transition.
+      let raf = window.requestAnimationFrame(() => {
+        raf = window.requestAnimationFrame(() => setEntered(true));
+      });
+      return () => window.cancelAnimationFrame(raf);
+    }, [options.visible]);
+
+    React.useEffect(() => {
+      // There's no transition to wait for
+      if (reducedMotion && options.animating) {
+        options.stopAnimation?.();
+      }
+    }, [reducedMotion, options.animating, options.stopAnimation]);
+
+    React.useEffect(() => {
+      const element = ref.current;
+      if (!pointerDown || !element) return undefined;
+      const document = getDocument(element);
+      const vertical = isVertical(placement);
+      const sign = isNegative(placement) ? -1 : 1;
+      const getSize = () =>
+        vertical ? element.offsetHeight : element.offsetWidth;
+      const getOffset = (event: PointerEvent) => {
+        const position = vertical ? event.clientY : event.clientX;
+        const offset = sign * (position - startRef.current);
+        // The drawer can't be dragged past its full size
+        return Math.max(offset, -(1 - snapPoint) * getSize());
+      };
+      const onPointerMove = (event: PointerEvent) => {
+        const offset = getOffset(event);
+        if (!draggedRef.current && Math.abs(offset) < DRAG_THRESHOLD) return;
+        draggedRef.current = true;
+        setDragOffset(offset);
+      };
+      const onPointerUp = (event: PointerEvent) => {
+        setPointerDown(false);
+        setDragOffset(0);
+        if (!draggedRef.current) return;
+        // The click event, if any, is dispatched right after this one
+        setTimeout(() => {
+          draggedRef.current = false;
+        });
+        const size = getSize();
+        if (!size) return;
+        const targets = options.hideOnDrag ? [0, ...snapPoints] : snapPoints;
+        const target = getClosest(targets, snapPoint - getOffset(event) / size);
+        if (!target) {
+          options.hide?.();
+        } else {
+          options.setSnapPoint?.(target);
+        }
+      };
+      const onPointerCancel = () => {
+        draggedRef.current = false;
+        setPointerDown(false);
+        setDragOffset(0);
+      };
+      document.addEventListener("pointermove", onPointerMove);
+      document.addEventListener("pointerup", onPointerUp);
+      document.addEventListener("pointercancel", onPointerCancel);
+      return () => {
+        document.removeEventListener("pointermove", onPointerMove);
+        document.removeEventListener("pointerup", onPointerUp);
+        document.removeEventListener("pointercancel", onPointerCancel);
+      };
+    }, [
+      pointerDown,
+      placement,
+      snapPoints,
+      snapPoint,
+      options.hideOnDrag,
+      options.hide,
+      options.setSnapPoint,
+    ]);
+
+    const onPointerDown = React.useCallback(
+      (event: React.PointerEvent<HTMLElement>) => {
+        onPointerDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (event.button !== 0) return;
+        // Ignores events from portals, like a Menu rendered within the drawer
+        if (isPortalEvent(event)) return;
+        // Users should still be able to select text
+        if (isTextField(event.target as HTMLElement)) return;
+        // Scrollable content within the drawer is scrolled first
+        if (
+          isWithinScrolledElement(
+            event.target as Element,
+            event.currentTarget,
+            placement
+          )
+        ) {
+          return;
+        }
+        draggedRef.current = false;
+        startRef.current = isVertical(placement)
+          ? event.clientY
+          : event.clientX;
+        setPointerDown(true);
+      },
+      [placement]
+    );
+
+    const onClickCapture = React.useCallback(
+      (event: React.MouseEvent<HTMLElement>) => {
+        onClickCaptureRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (!draggedRef.current) return;
+        // The click that ends a drag shouldn't activate the element below
+        // the pointer
+        event.preventDefault();
+        event.stopPropagation();
+      },
+      []
+    );
+
+    let closedFraction = 1 - snapPoint;
+    if (!options.visible || (options.animated && !entered)) {
+      closedFraction = 1;
+    }
+
+    const style: React.CSSProperties = {
+      ...getPlacementStyle(placement),
+      transform: getTransform(placement, closedFraction, dragOffset),
+      transition: "transform 200ms ease-out",
+      ...htmlStyle,
+    };
+
+    // The drawer follows the pointer while it's dragged, and custom
+    // transitions shouldn't play either
+    if (dragging || reducedMotion) {
+      style.transition = "none";
+    }
+
+    return {
+      ref: useForkRef(ref, htmlRef),
+      "data-placement": placement,
+      "data-dragging": dragging || undefined,
+      onPointerDown,
+      onClickCapture,
+      style,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_Drawer = createComponent({
+  as: "div",
+  useHook: unstable_useDrawer,
+});
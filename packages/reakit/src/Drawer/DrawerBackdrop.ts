@@ -0,0 +1,30 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import {
+  DialogBackdropOptions,
+  DialogBackdropHTMLProps,
+  useDialogBackdrop,
+} from "../Dialog/DialogBackdrop";
+import { DRAWER_BACKDROP_KEYS } from "./__keys";
+
+export type unstable_DrawerBackdropOptions = DialogBackdropOptions;
+
+export type unstable_DrawerBackdropHTMLProps = DialogBackdropHTMLProps;
+
+export type unstable_DrawerBackdropProps = unstable_DrawerBackdropOptions &
+  unstable_DrawerBackdropHTMLProps;
+
+export const unstable_useDrawerBackdrop = createHook<
+  unstable_DrawerBackdropOptions,
+  unstable_DrawerBackdropHTMLProps
+>({
+  name: "DrawerBackdrop",
+  compose: useDialogBackdrop,
+  keys: DRAWER_BACKDROP_KEYS,
+});
+
+export const unstable_DrawerBackdrop = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useDrawerBackdrop,
+});
@@ -0,0 +1,30 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import {
+  DialogDisclosureOptions,
+  DialogDisclosureHTMLProps,
+  useDialogDisclosure,
+} from "../Dialog/DialogDisclosure";
+import { DRAWER_DISCLOSURE_KEYS } from "./__keys";
+
+export type unstable_DrawerDisclosureOptions = DialogDisclosureOptions;
+
+export type unstable_DrawerDisclosureHTMLProps = DialogDisclosureHTMLProps;
+
+export type unstable_DrawerDisclosureProps = unstable_DrawerDisclosureOptions &
+  unstable_DrawerDisclosureHTMLProps;
+
+export const unstable_useDrawerDisclosure = createHook<
+  unstable_DrawerDisclosureOptions,
+  unstable_DrawerDisclosureHTMLProps
+>({
+  name: "DrawerDisclosure",
+  compose: useDialogDisclosure,
+  keys: DRAWER_DISCLOSURE_KEYS,
+});
+
+export const unstable_DrawerDisclosure = createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useDrawerDisclosure,
+});
@@ -0,0 +1,95 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import {
+  DialogState,
+  DialogActions,
+  DialogInitialState,
+  DialogStateReturn,
+  useDialogState,
+} from "../Dialog/DialogState";
+import { getControlledState } from "../__utils/useControlledState";
+
+export type unstable_DrawerPlacement = "top" | "right" | "bottom" | "left";
+
+export type unstable_DrawerState = DialogState & {
+  /**
+   * The edge of the viewport the drawer is attached to.
+   * @default "left"
+   */
+  placement: unstable_DrawerPlacement;
+  /**
+   * The portions of the drawer, from `0` to `1`, that can be visible when
+   * it rests. Dragging the drawer snaps it to the closest one. The drawer
+   * is shown at the first snap point.
+   * @default [1]
+   */
+  snapPoints: number[];
+  /**
+   * The portion of the drawer, from `0` to `1`, that's currently visible.
+   */
+  snapPoint: number;
+};
+
+export type unstable_DrawerActions = DialogActions & {
+  /**
+   * Sets `placement`.
+   */
+  setPlacement: React.Dispatch<
+    React.SetStateAction<unstable_DrawerState["placement"]>
+  >;
+  /**
+   * Sets `snapPoint`.
+   */
+  setSnapPoint: React.Dispatch<
+    React.SetStateAction<unstable_DrawerState["snapPoint"]>
+  >;
+};
+
+export type unstable_DrawerInitialState = DialogInitialState &
+  Partial<Pick<unstable_DrawerState, "placement" | "snapPoints">>;
+
+export type unstable_DrawerStateReturn = DialogStateReturn &
+  unstable_DrawerState &
+  unstable_DrawerActions;
+
+export function unstable_useDrawerState(
+  initialState: SealedInitialState<unstable_DrawerInitialState> = {}
+): unstable_DrawerStateReturn {
+  const sealedState = useSealedState(initialState);
+  const {
+    placement: initialPlacement = "left",
+    snapPoints: initialSnapPoints = [1],
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  const dialog = useDialogState({
+    ...sealed,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
+  const [placement, setPlacement] = React.useState(initialPlacement);
+  const snapPoints = React.useMemo(
+    () => [...initialSnapPoints].sort((a, b) => a - b),
+    []
+  );
+  const [snapPoint, setSnapPoint] = React.useState(snapPoints[0]);
+
+  // The drawer is shown at the first snap point again
+  React.useEffect(() => {
+    if (dialog.visible) return;
+    setSnapPoint(snapPoints[0]);
+  }, [dialog.visible, snapPoints]);
+
+  return {
+    ...dialog,
+    placement,
+    snapPoints,
+    snapPoint,
+    setPlacement,
+    setSnapPoint,
+  };
+}
@@ -0,0 +1,107 @@
+import * as React from "react";
+import {
+  render,
+  click,
+  press,
+  fireEvent,
+  screen,
+  wait,
+  axe,
+} from "reakit-test-utils";
+import DrawerBottomSheet from "..";
+
+function pointer(type: string, element: Element | Document, clientY: number) {
+  fireEvent(
+    element,
+    new MouseEvent(type, { bubbles: true, cancelable: true, clientY })
+  );
+}
+
+function showDrawer() {
+  click(screen.getByText("Show filters"));
+  const drawer = screen.getByLabelText("Filters");
+  Object.defineProperty(drawer, "offsetHeight", { value: 400 });
+  return drawer;
+}
+
+test("show drawer at the first snap point", async () => {
+  render(<DrawerBottomSheet />);
+  const drawer = showDrawer();
+  expect(drawer).toBeVisible();
+  expect(drawer).toHaveAttribute("data-placement", "bottom");
+  expect(drawer).toHaveStyle({ position: "fixed", bottom: "0px" });
+  await wait(() =>
+    expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + 0px))" })
+  );
+  fireEvent.transitionEnd(drawer);
+  expect(screen.getByText("Apply")).toHaveFocus();
+});
+
+test("drag drawer to the next snap point", async () => {
+  render(<DrawerBottomSheet />);
+  const drawer = showDrawer();
+  await wait(() =>
+    expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + 0px))" })
+  );
+  pointer("pointerdown", drawer, 300);
+  pointer("pointermove", document, 298);
+  expect(drawer).not.toHaveAttribute("data-dragging");
+  pointer("pointermove", document, 200);
+  expect(drawer).toHaveAttribute("data-dragging", "true");
+  expect(drawer).toHaveStyle({ transition: "none" });
+  expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + -100px))" });
+  // Can't be dragged past its full size
+  pointer("pointermove", document, 0);
+  expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + -200px))" });
+  pointer("pointerup", document, 0);
+  expect(drawer).not.toHaveAttribute("data-dragging");
+  expect(drawer.style.transform).toBe("");
+  expect(drawer).toBeVisible();
+});
+
+test("drag drawer back to the closest snap point", async () => {
+  render(<DrawerBottomSheet />);
+  const drawer = showDrawer();
+  await wait(() =>
+    expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + 0px))" })
+  );
+  pointer("pointerdown", drawer, 300);
+  pointer("pointermove", document, 240);
+  pointer("pointerup", document, 240);
+  expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + 0px))" });
+  expect(drawer).toBeVisible();
+});
+
+test("drag drawer down to dismiss it", async () => {
+  render(<DrawerBottomSheet />);
+  const drawer = showDrawer();
+  await wait(() =>
+    expect(drawer).toHaveStyle({ transform: "translateY(calc(50% + 0px))" })
+  );
+  pointer("pointerdown", drawer, 100);
+  pointer("pointermove", document, 250);
+  pointer("pointerup", document, 250);
+  expect(drawer).toHaveStyle({ transform: "translateY(calc(100% + 0px))" });
+  fireEvent.transitionEnd(drawer);
+  expect(drawer).not.toBeVisible();
+  expect(screen.getByText("Show filters")).toHaveFocus();
+});
+
+test("hide drawer with escape and by clicking on the backdrop", () => {
+  render(<DrawerBottomSheet />);
+  let drawer = showDrawer();
+  press.Escape();
+  fireEvent.transitionEnd(drawer);
+  expect(drawer).not.toBeVisible();
+  drawer = showDrawer();
+  expect(drawer).toBeVisible();
+  click(drawer.parentElement as HTMLElement);
+  fireEvent.transitionEnd(drawer);
+  expect(drawer).not.toBeVisible();
+});
+
+test("a11y", async () => {
+  const { baseElement } = render(<DrawerBottomSheet />);
+  showDrawer();
+  expect(await axe(baseElement)).toHaveNoViolations();
+});
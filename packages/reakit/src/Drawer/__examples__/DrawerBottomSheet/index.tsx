@@ -0,0 +1,29 @@
+import * as React from "react";
+import { Button } from "reakit/Button";
+import {
+  unstable_useDrawerState as useDrawerState,
+  unstable_Drawer as Drawer,
+  unstable_DrawerBackdrop as DrawerBackdrop,
+  unstable_DrawerDisclosure as DrawerDisclosure,
+} from "reakit/Drawer";
+import "./style.css";
+
+export default function DrawerBottomSheet() {
+  const drawer = useDrawerState({
+    placement: "bottom",
+    snapPoints: [0.5, 1],
+    animated: true,
+  });
+  return (
+    <>
+      <DrawerDisclosure {...drawer}>Show filters</DrawerDisclosure>
+      <DrawerBackdrop {...drawer} className="backdrop">
+        <Drawer {...drawer} aria-label="Filters" className="bottom-sheet">
+          <div className="bottom-sheet-handle" />
+          <p>Drag the sheet up to expand it, or down to dismiss it.</p>
+          <Button onClick={drawer.hide}>Apply</Button>
+        </Drawer>
+      </DrawerBackdrop>
+    </>
+  );
+}
@@ -0,0 +1,8 @@
+import { unstable_Drawer as Drawer } from "../Drawer";
+
+export { default as DrawerBottomSheet } from "./DrawerBottomSheet";
+
+export default {
+  title: "Drawer",
+  component: Drawer,
+};
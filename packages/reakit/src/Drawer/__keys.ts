@@ -0,0 +1,27 @@
+// Automatically generated
+const DRAWER_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "visible",
+  "animated",
+  "animating",
+  "unstable_phase",
+  "setBaseId",
+  "show",
+  "hide",
+  "toggle",
+  "setVisible",
+  "setAnimated",
+  "stopAnimation",
+  "modal",
+  "unstable_disclosureRef",
+  "setModal",
+  "placement",
+  "snapPoints",
+  "snapPoint",
+  "setPlacement",
+  "setSnapPoint",
+] as const;
+export const DRAWER_KEYS = [...DRAWER_STATE_KEYS, "hideOnDrag"] as const;
+export const DRAWER_BACKDROP_KEYS = DRAWER_STATE_KEYS;
+export const DRAWER_DISCLOSURE_KEYS = DRAWER_BACKDROP_KEYS;
@@ -0,0 +1,207 @@
+import * as React from "react";
+import { render, fireEvent, screen } from "reakit-test-utils";
+import {
+  unstable_useDrawerState as useDrawerState,
+  unstable_DrawerInitialState as DrawerInitialState,
+} from "../DrawerState";
+import { unstable_Drawer as Drawer, unstable_DrawerProps } from "../Drawer";
+
+type Props = Partial<unstable_DrawerProps> & {
+  initialState?: DrawerInitialState;
+};
+
+function Test({ initialState, ...props }: Props) {
+  const drawer = useDrawerState({
+    visible: true,
+    modal: false,
+    ...initialState,
+  });
+  return (
+    <Drawer
+      {...drawer}
+      aria-label="drawer"
+      unstable_autoFocusOnHide={false}
+      {...props}
+    >
+      <button>button</button>
+      <input aria-label="input" />
+    </Drawer>
+  );
+}
+
+function renderDrawer(props: Props = {}) {
+  render(<Test {...props} />);
+  const drawer = screen.getByLabelText("drawer");
+  Object.defineProperty(drawer, "offsetWidth", { value: 200 });
+  Object.defineProperty(drawer, "offsetHeight", { value: 200 });
+  return drawer;
+}
+
+function pointer(
+  type: string,
+  element: Element | Document,
+  clientX: number,
+  clientY = 0,
+  button = 0
+) {
+  fireEvent(
+    element,
+    new MouseEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      clientX,
+      clientY,
+      button,
+    })
+  );
+}
+
+function drag(element: Element, from: number, to: number, vertical = false) {
+  pointer("pointerdown", element, vertical ? 0 : from, vertical ? from : 0);
+  pointer("pointermove", document, vertical ? 0 : to, vertical ? to : 0);
+  pointer("pointerup", document, vertical ? 0 : to, vertical ? to : 0);
+}
+
+test("render left drawer", () => {
+  const drawer = renderDrawer();
+  expect(drawer).toHaveAttribute("data-placement", "left");
+  expect(drawer).toHaveStyle({
+    position: "fixed",
+    top: "0px",
+    bottom: "0px",
+    left: "0px",
+    transition: "transform 200ms ease-out",
+  });
+  expect(drawer.style.transform).toBe("");
+});
+
+test("render top drawer", () => {
+  const drawer = renderDrawer({ initialState: { placement: "top" } });
+  expect(drawer).toHaveStyle({
+    top: "0px",
+    left: "0px",
+    right: "0px",
+  });
+});
+
+test("drag right drawer to hide it", () => {
+  const drawer = renderDrawer({ initialState: { placement: "right" } });
+  expect(drawer.style.transform).toBe("");
+  drag(drawer, 0, 150);
+  expect(drawer).not.toBeVisible();
+  expect(drawer).toHaveStyle({
+    transform: "translateX(calc(100% + 0px))",
+  });
+});
+
+test("drag drawer towards its edge to hide it", () => {
+  const drawer = renderDrawer();
+  drag(drawer, 200, 150);
+  expect(drawer).toBeVisible();
+  drag(drawer, 200, 50);
+  expect(drawer).not.toBeVisible();
+});
+
+test("drag drawer with the top placement", () => {
+  const drawer = renderDrawer({ initialState: { placement: "top" } });
+  drag(drawer, 200, 250, true);
+  expect(drawer).toBeVisible();
+  drag(drawer, 200, 50, true);
+  expect(drawer).not.toBeVisible();
+});
+
+test("drag drawer with hideOnEsc set to false", () => {
+  const drawer = renderDrawer({ hideOnEsc: false });
+  drag(drawer, 200, 0);
+  expect(drawer).toBeVisible();
+  expect(drawer.style.transform).toBe("");
+});
+
+test("drag drawer with hideOnClickOutside set to false", () => {
+  const drawer = renderDrawer({ hideOnClickOutside: false });
+  drag(drawer, 200, 0);
+  expect(drawer).toBeVisible();
+});
+
+test("drag drawer with hideOnDrag", () => {
+  const drawer = renderDrawer({ hideOnEsc: false, hideOnDrag: true });
+  drag(drawer, 200, 0);
+  expect(drawer).not.toBeVisible();
+});
+
+test("drag drawer with hideOnDrag set to false", () => {
+  const drawer = renderDrawer({ hideOnDrag: false });
+  drag(drawer, 200, 0);
+  expect(drawer).toBeVisible();
+  expect(drawer.style.transform).toBe("");
+});
+
+test("drag drawer with secondary button", () => {
+  const drawer = renderDrawer();
+  pointer("pointerdown", drawer, 200, 0, 2);
+  pointer("pointermove", document, 0);
+  expect(drawer).not.toHaveAttribute("data-dragging");
+  pointer("pointerup", document, 0);
+  expect(drawer).toBeVisible();
+});
+
+test("drag drawer from a text field", () => {
+  const drawer = renderDrawer();
+  drag(screen.getByLabelText("input"), 200, 0);
+  expect(drawer).toBeVisible();
+});
+
+test("drag drawer from scrollable content", () => {
+  const drawer = renderDrawer({ initialState: { placement: "bottom" } });
+  const button = screen.getByText("button");
+  drawer.style.overflowY = "auto";
+  Object.defineProperty(drawer, "scrollHeight", { value: 400 });
+  Object.defineProperty(drawer, "clientHeight", { value: 200 });
+  drawer.scrollTop = 100;
+  drag(button, 0, 200, true);
+  expect(drawer).toBeVisible();
+  expect(drawer).not.toHaveAttribute("data-dragging");
+  drawer.scrollTop = 0;
+  drag(button, 0, 200, true);
+  expect(drawer).not.toBeVisible();
+});
+
+test("drag top drawer from scrollable content", () => {
+  const drawer = renderDrawer({ initialState: { placement: "top" } });
+  drawer.style.overflowY = "scroll";
+  Object.defineProperty(drawer, "scrollHeight", { value: 400 });
+  Object.defineProperty(drawer, "clientHeight", { value: 200 });
+  drag(drawer, 200, 0, true);
+  expect(drawer).toBeVisible();
+  drawer.scrollTop = 200;
+  drag(drawer, 200, 0, true);
+  expect(drawer).not.toBeVisible();
+});
+
+test("click after dragging drawer", () => {
+  const onClick = jest.fn();
+  const drawer = renderDrawer({ onClick });
+  const button = screen.getByText("button");
+  pointer("pointerdown", button, 200);
+  pointer("pointermove", document, 180);
+  pointer("pointerup", document, 180);
+  fireEvent.click(button);
+  expect(onClick).not.toHaveBeenCalled();
+  expect(drawer).toBeVisible();
+});
+
+test("drawer with reduced motion", () => {
+  const matchMedia = jest.fn(() => ({
+    matches: true,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+  }));
+  Object.defineProperty(window, "matchMedia", {
+    value: matchMedia,
+    configurable: true,
+  });
+  const drawer = renderDrawer();
+  expect(matchMedia).toHaveBeenCalledWith("(prefers-reduced-motion: reduce)");
+  expect(drawer).toHaveStyle({ transition: "none" });
+  delete (window as any).matchMedia;
+});
@@ -0,0 +1,43 @@
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useDrawerState as useDrawerState,
+  unstable_DrawerInitialState as DrawerInitialState,
+} from "../DrawerState";
+
+function render(initialState: DrawerInitialState = {}) {
+  return renderHook(() => useDrawerState({ baseId: "base", ...initialState }))
+    .result;
+}
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    baseId: "base",
+    visible: false,
+    modal: true,
+    placement: "left",
+    snapPoints: [1],
+    snapPoint: 1,
+  });
+});
+
+test("snap points are sorted", () => {
+  const result = render({ snapPoints: [1, 0.25, 0.5] });
+  expect(result.current.snapPoints).toEqual([0.25, 0.5, 1]);
+  expect(result.current.snapPoint).toBe(0.25);
+});
+
+test("setPlacement", () => {
+  const result = render();
+  act(() => result.current.setPlacement("bottom"));
+  expect(result.current.placement).toBe("bottom");
+});
+
+test("snap point is reset when hidden", () => {
+  const result = render({ visible: true, snapPoints: [0.5, 1] });
+  act(() => result.current.setSnapPoint(1));
+  expect(result.current.snapPoint).toBe(1);
+  act(() => result.current.hide());
+  expect(result.current.visible).toBe(false);
+  expect(result.current.snapPoint).toBe(0.5);
+});
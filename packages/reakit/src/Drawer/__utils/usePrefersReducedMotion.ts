@@ -0,0 +1,30 @@
+import * as React from "react";
+import { getWindow } from "reakit-utils/getWindow";
+
+const query = "(prefers-reduced-motion: reduce)";
+
+function getMediaQueryList(element?: Element | null) {
+  const window = getWindow(element || undefined);
+  // jsdom and old browsers don't support matchMedia
+  if (!window?.matchMedia) return null;
+  return window.matchMedia(query);
+}
+
+/**
+ * Returns whether the user has asked the system to minimize animations.
+ */
+export function usePrefersReducedMotion(ref: React.RefObject<Element>) {
+  const [reducedMotion, setReducedMotion] = React.useState(false);
+
+  React.useEffect(() => {
+    const mediaQueryList = getMediaQueryList(ref.current);
+    if (!mediaQueryList) return undefined;
+    const onChange = () => setReducedMotion(mediaQueryList.matches);
+    onChange();
+    // Safari < 14 only supports the deprecated addListener method
+    mediaQueryList.addListener(onChange);
+    return () => mediaQueryList.removeListener(onChange);
+  }, [ref]);
+
+  return reducedMotion;
+}
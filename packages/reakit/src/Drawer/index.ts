@@ -0,0 +1,4 @@
+export * from "./Drawer";
+export * from "./DrawerBackdrop";
+export * from "./DrawerDisclosure";
+export * from "./DrawerState";
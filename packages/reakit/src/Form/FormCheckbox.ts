@@ -11,11 +11,15 @@ import {
 import { DeepPath, DeepPathValue } from "./__utils/types";
 import { getInputId } from "./__utils/getInputId";
 import { getLabelId } from "./__utils/getLabelId";
-import { unstable_FormStateReturn } from "./FormState";
+import {
+  unstable_FormStateReturn,
+  unstable_FormFieldValidator,
+} from "./FormState";
 import { unstable_getIn } from "./utils/getIn";
 import { formatInputName } from "./__utils/formatInputName";
 import { getMessageId } from "./__utils/getMessageId";
 import { shouldShowError } from "./__utils/shouldShowError";
+import { useFieldValidator } from "./__utils/useFieldValidator";
 import { FORM_CHECKBOX_KEYS } from "./__keys";
 
 export type unstable_FormCheckboxOptions<V, P extends DeepPath<V, P>> = Omit<
@@ -25,7 +29,8 @@ export type unstable_FormCheckboxOptions<V, P extends DeepPath<V, P>> = Omit<
   Pick<
     unstable_FormStateReturn<V>,
     "baseId" | "values" | "update" | "blur" | "touched" | "errors"
-  > & {
+  > &
+  Partial<Pick<unstable_FormStateReturn<V>, "unstable_registerValidator">> & {
     /**
      * Checkbox's name as in form values.
      */
@@ -36,6 +41,17 @@ export type unstable_FormCheckboxOptions<V, P extends DeepPath<V, P>> = Omit<
      * array.
      */
     value?: ArrayValue<DeepPathValue<V, P>>;
+    /**
+     * A function that validates this field. It receives the field value and
+     * `form.values` and returns an error message, or a promise that resolves
+     * to it. It's only called when the value of this field changes.
+     */
+    unstable_validate?: unstable_FormFieldValidator<V, P>;
+    /**
+     * The number of milliseconds `unstable_validate` waits after the last
+     * change before it's called.
+     */
+    unstable_validateDebounce?: number;
   };
 
 export type unstable_FormCheckboxHTMLProps = CheckboxHTMLProps &
@@ -67,6 +83,8 @@ export const unstable_useFormCheckbox = createHook<
     const onBlurRef = useLiveRef(htmlOnBlur);
     const isBoolean = typeof options.value === "undefined";
 
+    useFieldValidator(options);
+
     const onBlur = React.useCallback(
       (event: React.FocusEvent) => {
         onBlurRef.current?.(event);
@@ -11,7 +11,11 @@ import { getLabelId } from "./__utils/getLabelId";
 import { shouldShowError } from "./__utils/shouldShowError";
 import { formatInputName } from "./__utils/formatInputName";
 import { unstable_getIn } from "./utils/getIn";
-import { unstable_FormStateReturn } from "./FormState";
+import { useFieldValidator } from "./__utils/useFieldValidator";
+import {
+  unstable_FormStateReturn,
+  unstable_FormFieldValidator,
+} from "./FormState";
 import { FORM_INPUT_KEYS } from "./__keys";
 
 export type unstable_FormInputOptions<
@@ -21,11 +25,23 @@ export type unstable_FormInputOptions<
   Pick<
     unstable_FormStateReturn<V>,
     "baseId" | "values" | "touched" | "errors" | "update" | "blur"
-  > & {
+  > &
+  Partial<Pick<unstable_FormStateReturn<V>, "unstable_registerValidator">> & {
     /**
      * FormInput's name as in form values.
      */
     name: P;
+    /**
+     * A function that validates this field. It receives the field value and
+     * `form.values` and returns an error message, or a promise that resolves
+     * to it. It's only called when the value of this field changes.
+     */
+    unstable_validate?: unstable_FormFieldValidator<V, P>;
+    /**
+     * The number of milliseconds `unstable_validate` waits after the last
+     * change before it's called.
+     */
+    unstable_validateDebounce?: number;
   };
 
 export type unstable_FormInputHTMLProps = InputHTMLProps &
@@ -58,6 +74,8 @@ export const unstable_useFormInput = createHook<
     const onChangeRef = useLiveRef(htmlOnChange);
     const onBlurRef = useLiveRef(htmlOnBlur);
 
+    useFieldValidator(options);
+
     const onChange = React.useCallback(
       (event: React.ChangeEvent<HTMLInputElement>) => {
         onChangeRef.current?.(event);
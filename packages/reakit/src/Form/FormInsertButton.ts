@@ -0,0 +1,102 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { ArrayValue, As, PropsWithAs } from "reakit-utils/types";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { getDocument } from "reakit-utils/getDocument";
+import { ButtonOptions, ButtonHTMLProps, useButton } from "../Button/Button";
+import { unstable_FormStateReturn } from "./FormState";
+import { getItemInputSelector } from "./__utils/getItemInputSelector";
+import { DeepPath, DeepPathValue } from "./__utils/types";
+import { FORM_INSERT_BUTTON_KEYS } from "./__keys";
+
+export type unstable_FormInsertButtonOptions<
+  V,
+  P extends DeepPath<V, P>
+> = ButtonOptions &
+  Pick<unstable_FormStateReturn<V>, "baseId" | "values" | "insert"> & {
+    /**
+     * FormInput's name as in form values. This should point to array value.
+     */
+    name: P;
+    /**
+     * The index in `form.values[name]` where the value will be inserted.
+     */
+    index: number;
+    /**
+     * The value that is going to be inserted into `form.values[name]`.
+     */
+    value: ArrayValue<DeepPathValue<V, P>>;
+  };
+
+export type unstable_FormInsertButtonHTMLProps = ButtonHTMLProps;
+
+export type unstable_FormInsertButtonProps<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormInsertButtonOptions<V, P> & unstable_FormInsertButtonHTMLProps;
+
+export const unstable_useFormInsertButton = createHook<
+  unstable_FormInsertButtonOptions<any, any>,
+  unstable_FormInsertButtonHTMLProps
+>({
+  name: "FormInsertButton",
+  compose: useButton,
+  keys: FORM_INSERT_BUTTON_KEYS,
+
+  useOptions(options, { name, value }) {
+    return {
+      ...options,
+      name: options.name || name,
+      value: options.value ?? value,
+    };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const onClickRef = useLiveRef(htmlOnClick);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+
+        options.insert?.(options.name, options.index, options.value);
+
+        const selector = getItemInputSelector(
+          options.name,
+          options.index,
+          options.baseId
+        );
+
+        if (!selector) return;
+        const element = event.currentTarget;
+
+        window.requestAnimationFrame(() => {
+          const document = getDocument(element);
+          const input = document.querySelector<HTMLElement>(selector);
+          input?.focus();
+        });
+      },
+      [
+        options.insert,
+        options.name,
+        options.index,
+        options.value,
+        options.baseId,
+      ]
+    );
+
+    return { onClick, ...htmlProps };
+  },
+}) as <V, P extends DeepPath<V, P>>(
+  options: unstable_FormInsertButtonOptions<V, P>,
+  htmlProps?: unstable_FormInsertButtonHTMLProps
+) => unstable_FormInsertButtonHTMLProps;
+
+export const unstable_FormInsertButton = (createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useFormInsertButton,
+}) as unknown) as <V, P extends DeepPath<V, P>, T extends As = "button">(
+  props: PropsWithAs<unstable_FormInsertButtonOptions<V, P>, T>
+) => JSX.Element;
@@ -0,0 +1,77 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { As, PropsWithAs } from "reakit-utils/types";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { ButtonOptions, ButtonHTMLProps, useButton } from "../Button/Button";
+import { unstable_FormStateReturn } from "./FormState";
+import { DeepPath } from "./__utils/types";
+import { FORM_MOVE_BUTTON_KEYS } from "./__keys";
+
+export type unstable_FormMoveButtonOptions<
+  V,
+  P extends DeepPath<V, P>
+> = ButtonOptions &
+  Pick<unstable_FormStateReturn<V>, "baseId" | "values" | "move"> & {
+    /**
+     * FormInput's name as in form values. This should point to array value.
+     */
+    name: P;
+    /**
+     * The index in `form.values[name]` of the item that will be moved.
+     */
+    index: number;
+    /**
+     * The index in `form.values[name]` where the item will be moved to.
+     */
+    to: number;
+  };
+
+export type unstable_FormMoveButtonHTMLProps = ButtonHTMLProps;
+
+export type unstable_FormMoveButtonProps<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormMoveButtonOptions<V, P> & unstable_FormMoveButtonHTMLProps;
+
+export const unstable_useFormMoveButton = createHook<
+  unstable_FormMoveButtonOptions<any, any>,
+  unstable_FormMoveButtonHTMLProps
+>({
+  name: "FormMoveButton",
+  compose: useButton,
+  keys: FORM_MOVE_BUTTON_KEYS,
+
+  useOptions(options, { name }) {
+    return {
+      ...options,
+      name: options.name || name,
+    };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const onClickRef = useLiveRef(htmlOnClick);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        options.move?.(options.name, options.index, options.to);
+      },
+      [options.move, options.name, options.index, options.to]
+    );
+
+    return { onClick, ...htmlProps };
+  },
+}) as <V, P extends DeepPath<V, P>>(
+  options: unstable_FormMoveButtonOptions<V, P>,
+  htmlProps?: unstable_FormMoveButtonHTMLProps
+) => unstable_FormMoveButtonHTMLProps;
+
+export const unstable_FormMoveButton = (createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useFormMoveButton,
+}) as unknown) as <V, P extends DeepPath<V, P>, T extends As = "button">(
+  props: PropsWithAs<unstable_FormMoveButtonOptions<V, P>, T>
+) => JSX.Element;
@@ -13,17 +13,34 @@ import {
 } from "./FormGroup";
 import { DeepPath } from "./__utils/types";
 import { getInputId } from "./__utils/getInputId";
+import { useFieldValidator } from "./__utils/useFieldValidator";
+import {
+  unstable_FormStateReturn,
+  unstable_FormFieldValidator,
+} from "./FormState";
 import { FORM_RADIO_GROUP_KEYS } from "./__keys";
 
 export type unstable_FormRadioGroupOptions<
   V,
   P extends DeepPath<V, P>
-> = unstable_FormGroupOptions<V, P> & {
-  /**
-   * FormRadioGroup's name as in form values.
-   */
-  name: P;
-};
+> = unstable_FormGroupOptions<V, P> &
+  Partial<Pick<unstable_FormStateReturn<V>, "unstable_registerValidator">> & {
+    /**
+     * FormRadioGroup's name as in form values.
+     */
+    name: P;
+    /**
+     * A function that validates this field. It receives the field value and
+     * `form.values` and returns an error message, or a promise that resolves
+     * to it. It's only called when the value of this field changes.
+     */
+    unstable_validate?: unstable_FormFieldValidator<V, P>;
+    /**
+     * The number of milliseconds `unstable_validate` waits after the last
+     * change before it's called.
+     */
+    unstable_validateDebounce?: number;
+  };
 
 export type unstable_FormRadioGroupHTMLProps = unstable_FormGroupHTMLProps &
   React.FieldsetHTMLAttributes<any>;
@@ -54,6 +71,8 @@ export const unstable_useFormRadioGroup = createHook<
 
   useProps(options, { wrapElement: htmlWrapElement, ...htmlProps }) {
     const id = getInputId(options.name, options.baseId);
+
+    useFieldValidator(options);
     const composite = useCompositeState({ baseId: id, loop: true });
     const providerValue = React.useMemo(
       () => composite,
@@ -6,7 +6,8 @@ import { useLiveRef } from "reakit-utils/useLiveRef";
 import { getDocument } from "reakit-utils/getDocument";
 import { ButtonOptions, ButtonHTMLProps, useButton } from "../Button/Button";
 import { unstable_FormStateReturn } from "./FormState";
-import { getInputId } from "./__utils/getInputId";
+import { unstable_getIn } from "./utils/getIn";
+import { getItemInputSelector } from "./__utils/getItemInputSelector";
 import { getPushButtonId } from "./__utils/getPushButtonId";
 import { DeepPath } from "./__utils/types";
 import { FORM_REMOVE_BUTTON_KEYS } from "./__keys";
@@ -58,34 +59,26 @@ export const unstable_useFormRemoveButton = createHook<
 
         options.remove?.(options.name, options.index);
 
-        const inputId = getInputId(options.name, options.baseId);
-        if (!inputId) return;
-
+        // The following items are shifted, so the next item takes the index
+        // of the removed one. If it was the last item, the previous one is
+        // focused instead.
+        const { length } = unstable_getIn(options.values, options.name, []);
+        const nextIndex = Math.min(options.index, length - 2);
         const document = getDocument(event.currentTarget);
 
         window.requestAnimationFrame(() => {
-          const selector = `[id^="${inputId}-"]`;
-          const inputs = document.querySelectorAll<HTMLInputElement>(selector);
-
-          if (inputs.length) {
-            const inputsArray = Array.from(inputs);
-            const nextIdx = inputsArray.reduce((final, input) => {
-              const match = input.id.match(new RegExp(`${inputId}-([0-9]+)`));
-              if (!match) return final;
-              const [, idx] = match;
-              if (Number(idx) > final && options.index >= final) {
-                return Number(idx);
-              }
-              return final;
-            }, 0);
-            const nextSelector = `[id^="${inputId}-${nextIdx}"]`;
-            const input = document.querySelector<HTMLInputElement>(
-              nextSelector
-            );
-            if (input) {
-              input.focus();
-              return;
-            }
+          const selector = getItemInputSelector(
+            options.name,
+            nextIndex,
+            options.baseId
+          );
+          const input =
+            selector && nextIndex >= 0
+              ? document.querySelector<HTMLElement>(selector)
+              : null;
+          if (input) {
+            input.focus();
+            return;
           }
           const pushButtonId = getPushButtonId(options.name, options.baseId);
           if (pushButtonId) {
@@ -94,7 +87,13 @@ export const unstable_useFormRemoveButton = createHook<
           }
         });
       },
-      [options.remove, options.name, options.index, options.baseId]
+      [
+        options.remove,
+        options.values,
+        options.name,
+        options.index,
+        options.baseId,
+      ]
     );
 
     return { onClick, ...htmlProps };
@@ -0,0 +1,79 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { ArrayValue, As, PropsWithAs } from "reakit-utils/types";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { ButtonOptions, ButtonHTMLProps, useButton } from "../Button/Button";
+import { unstable_FormStateReturn } from "./FormState";
+import { DeepPath, DeepPathValue } from "./__utils/types";
+import { FORM_REPLACE_BUTTON_KEYS } from "./__keys";
+
+export type unstable_FormReplaceButtonOptions<
+  V,
+  P extends DeepPath<V, P>
+> = ButtonOptions &
+  Pick<unstable_FormStateReturn<V>, "baseId" | "values" | "replace"> & {
+    /**
+     * FormInput's name as in form values. This should point to array value.
+     */
+    name: P;
+    /**
+     * The index in `form.values[name]` that will be replaced.
+     */
+    index: number;
+    /**
+     * The value that is going to replace `form.values[name][index]`.
+     */
+    value: ArrayValue<DeepPathValue<V, P>>;
+  };
+
+export type unstable_FormReplaceButtonHTMLProps = ButtonHTMLProps;
+
+export type unstable_FormReplaceButtonProps<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormReplaceButtonOptions<V, P> &
+  unstable_FormReplaceButtonHTMLProps;
+
+export const unstable_useFormReplaceButton = createHook<
+  unstable_FormReplaceButtonOptions<any, any>,
+  unstable_FormReplaceButtonHTMLProps
+>({
+  name: "FormReplaceButton",
+  compose: useButton,
+  keys: FORM_REPLACE_BUTTON_KEYS,
+
+  useOptions(options, { name, value }) {
+    return {
+      ...options,
+      name: options.name || name,
+      value: options.value ?? value,
+    };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const onClickRef = useLiveRef(htmlOnClick);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        options.replace?.(options.name, options.index, options.value);
+      },
+      [options.replace, options.name, options.index, options.value]
+    );
+
+    return { onClick, ...htmlProps };
+  },
+}) as <V, P extends DeepPath<V, P>>(
+  options: unstable_FormReplaceButtonOptions<V, P>,
+  htmlProps?: unstable_FormReplaceButtonHTMLProps
+) => unstable_FormReplaceButtonHTMLProps;
+
+export const unstable_FormReplaceButton = (createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useFormReplaceButton,
+}) as unknown) as <V, P extends DeepPath<V, P>, T extends As = "button">(
+  props: PropsWithAs<unstable_FormReplaceButtonOptions<V, P>, T>
+) => JSX.Element;
@@ -0,0 +1,162 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { As, PropsWithAs } from "reakit-utils/types";
+import { createHook } from "reakit-system/createHook";
+import {
+  unstable_SliderState,
+  unstable_SliderStateReturn,
+  unstable_useSliderState,
+} from "../Slider/SliderState";
+import { unstable_useSlider } from "../Slider/Slider";
+import {
+  unstable_FormGroupOptions,
+  unstable_FormGroupHTMLProps,
+  unstable_useFormGroup,
+} from "./FormGroup";
+import { DeepPath } from "./__utils/types";
+import { getInputId } from "./__utils/getInputId";
+import { useFieldValidator } from "./__utils/useFieldValidator";
+import {
+  unstable_FormStateReturn,
+  unstable_FormFieldValidator,
+} from "./FormState";
+import { unstable_getIn } from "./utils/getIn";
+import { FORM_SLIDER_KEYS } from "./__keys";
+
+export type unstable_FormSliderOptions<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormGroupOptions<V, P> &
+  Pick<unstable_FormStateReturn<V>, "values" | "update"> &
+  Partial<Pick<unstable_FormStateReturn<V>, "unstable_registerValidator">> & {
+    /**
+     * FormSlider's name as in form values. The value can be a number, or an
+     * array of numbers for range sliders.
+     */
+    name: P;
+    /**
+     * The minimum value of the slider.
+     */
+    min?: number;
+    /**
+     * The maximum value of the slider.
+     */
+    max?: number;
+    /**
+     * The amount by which values change when pressing arrow keys.
+     */
+    step?: number;
+    /**
+     * The amount by which values change when pressing <kbd>PageUp</kbd> or
+     * <kbd>PageDown</kbd>.
+     */
+    largeStep?: number;
+    /**
+     * Defines the orientation of the slider.
+     */
+    orientation?: unstable_SliderState["orientation"];
+    /**
+     * Whether `min` is on the right side of horizontal sliders.
+     */
+    rtl?: boolean;
+    /**
+     * If `true`, pressing the pointer on the slider doesn't move the thumbs.
+     */
+    disabled?: boolean;
+    /**
+     * A function that validates this field. It receives the field value and
+     * `form.values` and returns an error message, or a promise that resolves
+     * to it. It's only called when the value of this field changes.
+     */
+    unstable_validate?: unstable_FormFieldValidator<V, P>;
+    /**
+     * The number of milliseconds `unstable_validate` waits after the last
+     * change before it's called.
+     */
+    unstable_validateDebounce?: number;
+  };
+
+export type unstable_FormSliderHTMLProps = unstable_FormGroupHTMLProps;
+
+export type unstable_FormSliderProps<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormSliderOptions<V, P> & unstable_FormSliderHTMLProps;
+
+export const FormSliderContext = React.createContext<unstable_SliderStateReturn | null>(
+  null
+);
+
+export const unstable_useFormSlider = createHook<
+  unstable_FormSliderOptions<any, any>,
+  unstable_FormSliderHTMLProps
+>({
+  name: "FormSlider",
+  compose: unstable_useFormGroup as any,
+  keys: FORM_SLIDER_KEYS,
+
+  useOptions(options, { name }) {
+    return {
+      ...options,
+      name: options.name || name,
+    };
+  },
+
+  useProps(options, { wrapElement: htmlWrapElement, ...htmlProps }) {
+    useFieldValidator(options);
+    const value = unstable_getIn(options.values, options.name);
+    const isRange = Array.isArray(value);
+    const { update, name } = options;
+
+    const setValues = React.useCallback(
+      (values: number[]) => update(name, isRange ? values : values[0]),
+      [update, name, isRange]
+    );
+
+    const slider = unstable_useSliderState({
+      baseId: getInputId(options.name, options.baseId),
+      min: options.min,
+      max: options.max,
+      step: options.step,
+      largeStep: options.largeStep,
+      orientation: options.orientation,
+      rtl: options.rtl,
+      values: isRange ? value : [value],
+      setValues,
+    });
+
+    const providerValue = React.useMemo(() => slider, Object.values(slider));
+
+    const wrapElement = React.useCallback(
+      (element: React.ReactNode) => {
+        element = (
+          <FormSliderContext.Provider value={providerValue}>
+            {element}
+          </FormSliderContext.Provider>
+        );
+        if (htmlWrapElement) {
+          return htmlWrapElement(element);
+        }
+        return element;
+      },
+      [providerValue, htmlWrapElement]
+    );
+
+    const sliderHTMLProps = unstable_useSlider(
+      { ...slider, disabled: options.disabled },
+      htmlProps
+    );
+
+    return { wrapElement, ...sliderHTMLProps };
+  },
+}) as <V, P extends DeepPath<V, P>>(
+  options: unstable_FormSliderOptions<V, P>,
+  htmlProps?: unstable_FormSliderHTMLProps
+) => unstable_FormSliderHTMLProps;
+
+export const unstable_FormSlider = (createComponent({
+  as: "div",
+  useHook: unstable_useFormSlider,
+}) as unknown) as <V, P extends DeepPath<V, P>, T extends As = "div">(
+  props: PropsWithAs<unstable_FormSliderOptions<V, P>, T>
+) => JSX.Element;
@@ -0,0 +1,103 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { As, PropsWithAs } from "reakit-utils/types";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import {
+  unstable_SliderThumbOptions,
+  unstable_SliderThumbHTMLProps,
+  unstable_useSliderThumb,
+} from "../Slider/SliderThumb";
+import { getThumbId } from "../Slider/__utils/getThumbId";
+import { FormSliderContext } from "./FormSlider";
+import { unstable_FormStateReturn } from "./FormState";
+import { DeepPath } from "./__utils/types";
+import { getInputId } from "./__utils/getInputId";
+import { getLabelId } from "./__utils/getLabelId";
+import { getMessageId } from "./__utils/getMessageId";
+import { shouldShowError } from "./__utils/shouldShowError";
+import { FORM_SLIDER_THUMB_KEYS } from "./__keys";
+
+export type unstable_FormSliderThumbOptions<V, P extends DeepPath<V, P>> = Pick<
+  unstable_SliderThumbOptions,
+  "disabled" | "focusable" | "unstable_system" | "index" | "getValueText"
+> &
+  Pick<
+    unstable_FormStateReturn<V>,
+    "baseId" | "values" | "blur" | "touched" | "errors"
+  > & {
+    /**
+     * FormSliderThumb's name as in form values. It must be the same as the
+     * `name` passed to the parent `FormSlider`.
+     */
+    name: P;
+  };
+
+export type unstable_FormSliderThumbHTMLProps = unstable_SliderThumbHTMLProps;
+
+export type unstable_FormSliderThumbProps<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormSliderThumbOptions<V, P> & unstable_FormSliderThumbHTMLProps;
+
+export const unstable_useFormSliderThumb = createHook<
+  unstable_FormSliderThumbOptions<any, any>,
+  unstable_FormSliderThumbHTMLProps
+>({
+  name: "FormSliderThumb",
+  compose: unstable_useSliderThumb as any,
+  keys: FORM_SLIDER_THUMB_KEYS,
+
+  useOptions(options) {
+    const slider = React.useContext(FormSliderContext);
+
+    if (!slider) {
+      throw new Error(
+        "`FormSliderThumb` must be rendered inside `FormSlider`, which passes the slider state to its thumbs. See https://reakit.io/docs/form"
+      );
+    }
+
+    // The form baseId is kept so the label and message ids can be computed
+    return { ...options, ...slider, baseId: options.baseId };
+  },
+
+  useProps(options, { onBlur: htmlOnBlur, ...htmlProps }) {
+    const onBlurRef = useLiveRef(htmlOnBlur);
+    const index = options.index || 0;
+    // options.values holds the slider values at this point
+    const isRange = options.values.length > 1;
+
+    const onBlur = React.useCallback(
+      (event: React.FocusEvent) => {
+        onBlurRef.current?.(event);
+        if (event.defaultPrevented) return;
+        options.blur?.(options.name);
+      },
+      [options.blur, options.name]
+    );
+
+    return {
+      // The slider state uses the field id as its baseId
+      id: getThumbId(getInputId(options.name, options.baseId) as string, index),
+      "aria-invalid": shouldShowError(options, options.name),
+      "aria-describedby": getMessageId(options.name, options.baseId),
+      // Range slider thumbs need their own label
+      ...(isRange
+        ? {}
+        : { "aria-labelledby": getLabelId(options.name, options.baseId) }),
+      onBlur,
+      ...htmlProps,
+    };
+  },
+}) as <V, P extends DeepPath<V, P>>(
+  options: unstable_FormSliderThumbOptions<V, P>,
+  htmlProps?: unstable_FormSliderThumbHTMLProps
+) => unstable_FormSliderThumbHTMLProps;
+
+export const unstable_FormSliderThumb = (createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useFormSliderThumb,
+}) as unknown) as <V, P extends DeepPath<V, P>, T extends As = "div">(
+  props: PropsWithAs<unstable_FormSliderThumbOptions<V, P>, T>
+) => JSX.Element;
@@ -8,6 +8,7 @@ import {
 } from "reakit-utils/useSealedState";
 import { isEmpty } from "reakit-utils/isEmpty";
 import { useLiveRef } from "reakit-utils/useLiveRef";
+import { toArray } from "reakit-utils/toArray";
 import {
   unstable_IdState,
   unstable_IdActions,
@@ -17,15 +18,39 @@ import {
 import { DeepPartial, DeepMap, DeepPath, DeepPathValue } from "./__utils/types";
 import { filterAllEmpty } from "./__utils/filterAllEmpty";
 import { hasMessages } from "./__utils/hasMessages";
+import { formatInputName } from "./__utils/formatInputName";
+import { hasMessageInPath } from "./__utils/hasMessageInPath";
+import { setMessage } from "./__utils/setMessage";
+import { unsetIn } from "./__utils/unsetIn";
+import { reindexIn } from "./__utils/reindexIn";
+import { getDirtyFields } from "./__utils/getDirtyFields";
+import { getDirtyValues } from "./__utils/getDirtyValues";
 import { unstable_setAllIn } from "./utils/setAllIn";
 import { unstable_getIn } from "./utils/getIn";
 import { unstable_setIn } from "./utils/setIn";
+import {
+  unstable_FormSchema,
+  unstable_validateSchema,
+} from "./utils/validateSchema";
 
 type Messages<V> = DeepPartial<DeepMap<V, string | null | void>>;
 
 type ValidateOutput<V> = Messages<V> | null | void;
 type ValidateReturn<V> = Promise<ValidateOutput<V>> | ValidateOutput<V>;
 
+/**
+ * A function that receives a field value and `form.values` and returns an
+ * error message. It can also return a promise for asynchronous validation.
+ */
+export type unstable_FormFieldValidator<V, P extends DeepPath<V, P>> = {
+  // Method syntax keeps the parameters bivariant so validators of specific
+  // fields can be assigned to generic field options.
+  bivarianceHack(
+    value: DeepPathValue<V, P>,
+    values: V
+  ): string | null | void | Promise<string | null | void>;
+}["bivarianceHack"];
+
 interface Update<V> {
   <P extends DeepPath<V, P>>(name: P, value: DeepPathValue<V, P>): void;
   <P extends DeepPath<V, P>>(
@@ -39,6 +64,27 @@ export type unstable_FormState<V> = unstable_IdState & {
    * Form values.
    */
   values: V;
+  /**
+   * The values `form.values` are compared with to compute `dirtyFields`.
+   * They're set by the `values` initial state and can be updated with
+   * `setInitialValues`.
+   */
+  initialValues: V;
+  /**
+   * An object with the same shape as `form.values` with `boolean` values.
+   * This keeps the dirty state of each field. That is, whether its value is
+   * different from the one in `form.initialValues`. Fields that are not in
+   * this object are pristine.
+   */
+  dirtyFields: DeepPartial<DeepMap<V, boolean>>;
+  /**
+   * Whether any field value is different from `form.initialValues`.
+   */
+  dirty: boolean;
+  /**
+   * Whether all field values are equal to `form.initialValues`.
+   */
+  pristine: boolean;
   /**
    * An object with the same shape as `form.values` with `boolean` values.
    * This keeps the touched state of each field. That is, whether a field has
@@ -82,6 +128,18 @@ export type unstable_FormActions<V> = unstable_IdActions & {
    * Resets the form state.
    */
   reset: () => void;
+  /**
+   * Resets a single field to its initial value and clears its touched state
+   * and messages.
+   */
+  resetField: <P extends DeepPath<V, P>>(name: P) => void;
+  /**
+   * Sets `form.initialValues`, which is useful to re-baseline the dirty
+   * state after the values have been saved. If `values` is passed,
+   * `form.values` is updated as well. Otherwise, the current `form.values`
+   * become the initial values.
+   */
+  setInitialValues: (values?: V) => void;
   /**
    * Triggers form validation (calling `onValidate` underneath).
    * Optionally, new `values` can be passed in.
@@ -107,9 +165,51 @@ export type unstable_FormActions<V> = unstable_IdActions & {
     value?: ArrayValue<DeepPathValue<V, P>>
   ) => void;
   /**
-   * Removes `form.values[name][index]`.
+   * Removes `form.values[name][index]`. The following items, as well as their
+   * touched state and messages, are shifted to fill the gap.
    */
   remove: <P extends DeepPath<V, P>>(name: P, index: number) => void;
+  /**
+   * Inserts a new item into `form.values[name]` at `index`.
+   */
+  insert: <P extends DeepPath<V, P>>(
+    name: P,
+    index: number,
+    value?: ArrayValue<DeepPathValue<V, P>>
+  ) => void;
+  /**
+   * Moves `form.values[name][from]` to `to`.
+   */
+  move: <P extends DeepPath<V, P>>(name: P, from: number, to: number) => void;
+  /**
+   * Swaps `form.values[name][indexA]` and `form.values[name][indexB]`.
+   */
+  swap: <P extends DeepPath<V, P>>(
+    name: P,
+    indexA: number,
+    indexB: number
+  ) => void;
+  /**
+   * Replaces `form.values[name][index]` with `value` and clears its touched
+   * state and messages.
+   */
+  replace: <P extends DeepPath<V, P>>(
+    name: P,
+    index: number,
+    value: ArrayValue<DeepPathValue<V, P>>
+  ) => void;
+  /**
+   * Registers a validator for a single field. It's only called when the
+   * value of `name` changes (or on blur and submit), and its error message
+   * is merged into `form.errors`. Optionally, the validation can be debounced
+   * by `debounce` milliseconds. Returns a function that unregisters the
+   * validator.
+   */
+  unstable_registerValidator: <P extends DeepPath<V, P>>(
+    name: P,
+    validator: unstable_FormFieldValidator<V, P>,
+    debounce?: number
+  ) => () => void;
 };
 
 export type unstable_FormInitialState<V> = unstable_IdInitialState &
@@ -126,6 +226,11 @@ export type unstable_FormInitialState<V> = unstable_IdInitialState &
      * Whether the form should reset when it has been successfully submitted.
      */
     resetOnSubmitSucceed?: boolean;
+    /**
+     * Whether only the values of dirty fields should be passed to `onSubmit`.
+     * Arrays are passed as a whole if any of their items is dirty.
+     */
+    submitDirtyOnly?: boolean;
     /**
      * Whether the form should reset when the component (which called
      * `useFormState`) has been unmounted.
@@ -138,6 +243,13 @@ export type unstable_FormInitialState<V> = unstable_IdInitialState &
      * It can also return a promise for asynchronous validation.
      */
     onValidate?: (values: V) => ValidateReturn<V>;
+    /**
+     * A JSON Schema document or a Yup/Zod-like schema that `form.values`
+     * will be validated against. Failing rules are turned into `form.errors`
+     * with the same shape as `form.values`. If `onValidate` is also passed,
+     * it's called only after the schema validation succeeds.
+     */
+    schema?: unstable_FormSchema;
     /**
      * A function that receives `form.values` and performs form submission.
      * If it's triggered by `form.submit()`, `onValidate` will be called before.
@@ -152,11 +264,39 @@ export type unstable_FormInitialState<V> = unstable_IdInitialState &
 export type unstable_FormStateReturn<V> = unstable_FormState<V> &
   unstable_FormActions<V>;
 
-type ReducerState<V> = Omit<unstable_FormState<V>, keyof unstable_IdState> & {
-  initialValues: V;
+type FieldState = {
+  name: any;
+  error?: string | null | void;
+  validating: boolean;
+};
+
+type ReducerState<V> = Omit<
+  unstable_FormState<V>,
+  keyof unstable_IdState | "dirtyFields" | "dirty" | "pristine"
+> & {
+  fields: Record<string, FieldState>;
 };
 
+type FieldValidator = {
+  name: any;
+  validate: unstable_FormFieldValidator<any, any>;
+  debounce: number;
+  value?: any;
+  validated: boolean;
+  validatedValue?: any;
+  timeout?: ReturnType<typeof setTimeout>;
+  runId: number;
+};
+
+type ArrayAction =
+  | { type: "remove"; name: any; index: number }
+  | { type: "insert"; name: any; index: number; value: any }
+  | { type: "move"; name: any; from: number; to: number }
+  | { type: "swap"; name: any; indexA: number; indexB: number }
+  | { type: "replace"; name: any; index: number; value: any };
+
 type ReducerAction =
+  | ArrayAction
   | { type: "reset" }
   | { type: "startValidate" }
   | { type: "endValidate"; errors?: any; messages?: any }
@@ -165,7 +305,11 @@ type ReducerAction =
   | { type: "update"; name: any; value: any }
   | { type: "blur"; name: any }
   | { type: "push"; name: any; value: any }
-  | { type: "remove"; name: any; index: number };
+  | { type: "startValidateField"; name: any }
+  | { type: "endValidateField"; name: any; error?: string | null | void }
+  | { type: "unregisterField"; name: any }
+  | { type: "resetField"; name: any }
+  | { type: "setInitialValues"; values?: any };
 
 function getMessages<V>(
   stateMessages: Messages<V>,
@@ -178,6 +322,168 @@ function getMessages<V>(
     : {};
 }
 
+function validateValues<V>(
+  values: V,
+  schema?: unstable_FormSchema,
+  onValidate?: (values: V) => ValidateReturn<V>
+): ValidateReturn<V> {
+  if (!schema) {
+    return onValidate?.(values);
+  }
+  const response = unstable_validateSchema(schema, values);
+  if (isPromise(response)) {
+    return response.then(() => onValidate?.(values));
+  }
+  return onValidate?.(values);
+}
+
+function getFieldKey(name: any) {
+  return formatInputName(toArray(name));
+}
+
+function hasFieldErrors(fields: Record<string, FieldState>) {
+  return Object.values(fields).some((field) => field.error);
+}
+
+function isValidatingFields(fields: Record<string, FieldState>) {
+  return Object.values(fields).some((field) => field.validating);
+}
+
+function mergeFieldErrors<V>(
+  errors: Messages<V>,
+  fields: Record<string, FieldState>
+): Messages<V> {
+  return Object.values(fields).reduce((acc, { name, error }) => {
+    // Form-level errors take precedence over field-level ones.
+    if (!error || hasMessageInPath(acc, name)) return acc;
+    return setMessage(acc, name, error);
+  }, errors);
+}
+
+// Returns, for each index of the resulting array, the index of the item in
+// the original array. New items are represented by `undefined`.
+function getSourceIndexes(action: ArrayAction, length: number) {
+  const indexes: Array<number | undefined> = Array.from(
+    { length },
+    (_, i) => i
+  );
+  switch (action.type) {
+    case "remove":
+      indexes.splice(action.index, 1);
+      break;
+    case "insert":
+      indexes.splice(action.index, 0, undefined);
+      break;
+    case "move":
+      indexes.splice(action.to, 0, ...indexes.splice(action.from, 1));
+      break;
+    case "swap":
+      indexes[action.indexA] = action.indexB;
+      indexes[action.indexB] = action.indexA;
+      break;
+    case "replace":
+      indexes[action.index] = undefined;
+      break;
+    default:
+      break;
+  }
+  return indexes;
+}
+
+function reindexFields(
+  fields: Record<string, FieldState>,
+  name: any,
+  indexes: Array<number | undefined>
+) {
+  const path = (toArray(name) as Array<string | number>).map(String);
+  return Object.values(fields).reduce((acc, field) => {
+    const fieldPath = toArray(field.name) as Array<string | number>;
+    const isInArray =
+      fieldPath.length > path.length &&
+      path.every((key, i) => key === String(fieldPath[i]));
+    if (!isInArray) {
+      return { ...acc, [getFieldKey(field.name)]: field };
+    }
+    const index = indexes.indexOf(Number(fieldPath[path.length]));
+    if (index === -1) return acc;
+    const fieldName = [
+      ...fieldPath.slice(0, path.length),
+      index,
+      ...fieldPath.slice(path.length + 1),
+    ];
+    return {
+      ...acc,
+      [getFieldKey(fieldName)]: { ...field, name: fieldName },
+    };
+  }, {} as Record<string, FieldState>);
+}
+
+// Applies an array action to `values` and returns the resulting values along
+// with the source indexes of the array items
+function applyArrayAction(values: any, action: ArrayAction) {
+  const array = unstable_getIn(values, action.name, []);
+  const indexes = getSourceIndexes(action, array.length);
+  const value = "value" in action ? action.value : undefined;
+  const nextValues = unstable_setIn(
+    values,
+    action.name,
+    indexes.map((index) => (index === undefined ? value : array[index]))
+  );
+  return { values: nextValues, indexes };
+}
+
+// Moves the validators of array items along with their values, so fields
+// rendered with a stable key keep their validation state. Fields rendered by
+// index don't register again, so new items take over the validator of the
+// item that was previously at their position.
+function reindexValidators(
+  validators: Record<string, FieldValidator>,
+  name: any,
+  indexes: Array<number | undefined>,
+  values: any
+) {
+  const path = (toArray(name) as Array<string | number>).map(String);
+  return Object.values(validators).reduce((acc, validator) => {
+    const fieldPath = toArray(validator.name) as Array<string | number>;
+    const isInArray =
+      fieldPath.length > path.length &&
+      path.every((key, i) => key === String(fieldPath[i]));
+    if (!isInArray) {
+      return { ...acc, [getFieldKey(validator.name)]: validator };
+    }
+    const getName = (index: number) => [
+      ...fieldPath.slice(0, path.length),
+      index,
+      ...fieldPath.slice(path.length + 1),
+    ];
+    const sourceIndex = Number(fieldPath[path.length]);
+    const index = indexes.indexOf(sourceIndex);
+    const nextValidators = { ...acc };
+    if (index === -1) {
+      if (validator.timeout) {
+        clearTimeout(validator.timeout);
+      }
+      // Ignores results of pending validations
+      validator.runId += 1;
+    } else {
+      validator.name = getName(index);
+      nextValidators[getFieldKey(validator.name)] = validator;
+    }
+    if (sourceIndex < indexes.length && indexes[sourceIndex] === undefined) {
+      const newName = getName(sourceIndex);
+      nextValidators[getFieldKey(newName)] = {
+        name: newName,
+        validate: validator.validate,
+        debounce: validator.debounce,
+        value: unstable_getIn(values, newName),
+        validated: false,
+        runId: 0,
+      };
+    }
+    return nextValidators;
+  }, {} as Record<string, FieldValidator>);
+}
+
 function reducer<V>(
   state: ReducerState<V>,
   action: ReducerAction
@@ -190,6 +496,7 @@ function reducer<V>(
         touched: {},
         errors: {},
         messages: {},
+        fields: {},
         valid: true,
         validating: false,
         submitting: false,
@@ -221,7 +528,8 @@ function reducer<V>(
       };
     }
     case "endSubmit": {
-      const valid = !hasMessages(action.errors);
+      const valid =
+        !hasMessages(action.errors) && !hasFieldErrors(state.fields);
       return {
         ...state,
         valid,
@@ -250,7 +558,7 @@ function reducer<V>(
     case "blur": {
       return {
         ...state,
-        touched: unstable_setIn(state.touched, action.name, true),
+        touched: setMessage(state.touched, action.name, true),
       };
     }
     case "push": {
@@ -263,14 +571,74 @@ function reducer<V>(
         ]),
       };
     }
-    case "remove": {
-      const array = unstable_getIn(state.values, action.name, []).slice();
-      delete array[action.index];
+    case "remove":
+    case "insert":
+    case "move":
+    case "swap":
+    case "replace": {
+      const { name } = action;
+      const { values, indexes } = applyArrayAction(state.values, action);
+      const errors = reindexIn(state.errors, name, indexes);
+      return {
+        ...state,
+        values,
+        touched: reindexIn(state.touched, name, indexes),
+        errors,
+        messages: reindexIn(state.messages, name, indexes),
+        valid: !hasMessages(errors),
+        fields: reindexFields(state.fields, name, indexes),
+      };
+    }
+    case "startValidateField": {
+      const key = getFieldKey(action.name);
       return {
         ...state,
-        values: unstable_setIn(state.values, action.name, array),
+        fields: {
+          ...state.fields,
+          [key]: { ...state.fields[key], name: action.name, validating: true },
+        },
       };
     }
+    case "endValidateField": {
+      const key = getFieldKey(action.name);
+      return {
+        ...state,
+        fields: {
+          ...state.fields,
+          [key]: { name: action.name, error: action.error, validating: false },
+        },
+      };
+    }
+    case "resetField": {
+      const { name } = action;
+      const initialValue = unstable_getIn(state.initialValues, name);
+      const { [getFieldKey(name)]: _, ...fields } = state.fields;
+      const errors = unsetIn(state.errors, name);
+      return {
+        ...state,
+        values:
+          initialValue === undefined
+            ? unsetIn(state.values, name)
+            : unstable_setIn(state.values, name, initialValue),
+        touched: unsetIn(state.touched, name),
+        errors,
+        messages: unsetIn(state.messages, name),
+        valid: !hasMessages(errors),
+        fields,
+      };
+    }
+    case "setInitialValues": {
+      const values = action.values !== undefined ? action.values : state.values;
+      return {
+        ...state,
+        initialValues: values,
+        values,
+      };
+    }
+    case "unregisterField": {
+      const { [getFieldKey(action.name)]: _, ...fields } = state.fields;
+      return { ...state, fields };
+    }
     default: {
       throw new Error();
     }
@@ -285,26 +653,34 @@ export function unstable_useFormState<V = Record<any, any>>(
     validateOnBlur = true,
     validateOnChange = true,
     resetOnSubmitSucceed = false,
+    submitDirtyOnly = false,
     resetOnUnmount = true,
     onValidate,
     onSubmit,
+    schema,
     ...sealed
   } = useSealedState(initialState);
   const onValidateRef = useLiveRef(
     typeof initialState !== "function" ? initialState.onValidate : onValidate
   );
+  const schemaRef = useLiveRef(
+    typeof initialState !== "function" ? initialState.schema : schema
+  );
   const onSubmitRef = useLiveRef(
     typeof initialState !== "function" ? initialState.onSubmit : onSubmit
   );
 
   const id = unstable_useIdState(sealed);
 
-  const [{ initialValues: _, ...state }, dispatch] = React.useReducer(reducer, {
+  const validatorsRef = React.useRef<Record<string, FieldValidator>>({});
+
+  const [{ fields, ...state }, dispatch] = React.useReducer(reducer, {
     initialValues,
     values: initialValues,
     touched: {},
     errors: {},
     messages: {},
+    fields: {},
     valid: true,
     validating: false,
     submitting: false,
@@ -315,8 +691,12 @@ export function unstable_useFormState<V = Record<any, any>>(
   const validate = React.useCallback(
     (vals = state.values) =>
       new Promise<any>((resolve) => {
-        if (onValidateRef.current) {
-          const response = onValidateRef.current(vals);
+        if (onValidateRef.current || schemaRef.current) {
+          const response = validateValues(
+            vals,
+            schemaRef.current,
+            onValidateRef.current
+          );
           if (isPromise(response)) {
             dispatch({ type: "startValidate" });
           }
@@ -337,12 +717,104 @@ export function unstable_useFormState<V = Record<any, any>>(
     [state.values]
   );
 
+  const valuesRef = useLiveRef<any>(state.values);
+
+  const validateField = React.useCallback((validator: FieldValidator) => {
+    const values = valuesRef.current;
+    const value = unstable_getIn(values, validator.name);
+    if (validator.timeout) {
+      clearTimeout(validator.timeout);
+      validator.timeout = undefined;
+    }
+    validator.runId += 1;
+    validator.validated = true;
+    validator.validatedValue = value;
+    const { runId } = validator;
+    const endValidate = (error?: string | null | void) => {
+      // Ignores results of stale validations
+      if (validator.runId !== runId) return;
+      // The validator may have been moved by an array action in the meantime
+      const { name } = validator;
+      if (validatorsRef.current[getFieldKey(name)] !== validator) return;
+      dispatch({ type: "endValidateField", name, error });
+    };
+    let response;
+    try {
+      response = validator.validate(value, values);
+    } catch (error) {
+      response = Promise.reject(error);
+    }
+    if (typeof response === "string" || !isPromise(response)) {
+      endValidate(response);
+      return Promise.resolve(response);
+    }
+    dispatch({ type: "startValidateField", name: validator.name });
+    return response
+      .catch((error) => (error instanceof Error ? error.message : error))
+      .then((error) => {
+        endValidate(error);
+        return error;
+      });
+  }, []);
+
+  const dispatchArrayAction = React.useCallback((action: ArrayAction) => {
+    const { values, indexes } = applyArrayAction(valuesRef.current, action);
+    validatorsRef.current = reindexValidators(
+      validatorsRef.current,
+      action.name,
+      indexes,
+      values
+    );
+    // Keeps subsequent actions in the same event consistent
+    valuesRef.current = values;
+    dispatch(action);
+  }, []);
+
+  const validateFields = React.useCallback(
+    () =>
+      Promise.all(Object.values(validatorsRef.current).map(validateField)).then(
+        (errors) => !errors.some(Boolean)
+      ),
+    [validateField]
+  );
+
   useUpdateEffect(() => {
     if (validateOnChange) {
       validate().catch(() => {});
     }
   }, [validate, validateOnChange]);
 
+  React.useEffect(() => {
+    Object.values(validatorsRef.current).forEach((validator) => {
+      const value = unstable_getIn(state.values as any, validator.name);
+      if (value === validator.value) return;
+      validator.value = value;
+      if (!validateOnChange) return;
+      if (validator.timeout) {
+        clearTimeout(validator.timeout);
+      }
+      if (validator.debounce) {
+        validator.timeout = setTimeout(
+          () => validateField(validator),
+          validator.debounce
+        );
+      } else {
+        validateField(validator);
+      }
+    });
+  }, [state.values, validateOnChange, validateField]);
+
+  React.useEffect(
+    () => () => {
+      Object.values(validatorsRef.current).forEach((validator) => {
+        if (validator.timeout) {
+          clearTimeout(validator.timeout);
+        }
+      });
+    },
+    []
+  );
+
   React.useEffect(() => {
     if (resetOnUnmount) {
       return () => {
@@ -352,35 +824,94 @@ export function unstable_useFormState<V = Record<any, any>>(
     return undefined;
   }, [resetOnUnmount]);
 
+  const initialValuesRef = useLiveRef<any>(state.initialValues);
+
+  const resetValidator = React.useCallback((validator: FieldValidator) => {
+    if (validator.timeout) {
+      clearTimeout(validator.timeout);
+      validator.timeout = undefined;
+    }
+    validator.runId += 1;
+    validator.validated = false;
+    validator.value = unstable_getIn(initialValuesRef.current, validator.name);
+  }, []);
+
+  const reset = React.useCallback(() => {
+    Object.values(validatorsRef.current).forEach(resetValidator);
+    dispatch({ type: "reset" });
+  }, [resetValidator]);
+
+  const errors = React.useMemo(() => mergeFieldErrors(state.errors, fields), [
+    state.errors,
+    fields,
+  ]);
+
+  const dirtyFields = React.useMemo(
+    () => getDirtyFields(state.values, state.initialValues),
+    [state.values, state.initialValues]
+  );
+
+  const dirty = !isEmpty(dirtyFields);
+
   return {
     ...id,
     ...state,
     values: state.values as V,
+    initialValues: state.initialValues as V,
+    dirtyFields,
+    dirty,
+    pristine: !dirty,
+    errors,
+    valid: state.valid && !hasFieldErrors(fields),
+    validating: state.validating || isValidatingFields(fields),
     validate,
-    reset: React.useCallback(() => dispatch({ type: "reset" }), []),
+    reset,
+    resetField: React.useCallback(
+      (name) => {
+        const validator = validatorsRef.current[getFieldKey(name)];
+        if (validator) {
+          resetValidator(validator);
+        }
+        dispatch({ type: "resetField", name });
+      },
+      [resetValidator]
+    ),
+    setInitialValues: React.useCallback(
+      (values) => dispatch({ type: "setInitialValues", values }),
+      []
+    ),
     submit: React.useCallback(() => {
       dispatch({ type: "startSubmit" });
-      return validate()
-        .then((validateMessages) => {
+      return Promise.all([validate(), validateFields()])
+        .then(([validateMessages, fieldsValid]) => {
+          if (!fieldsValid) {
+            dispatch({ type: "endSubmit" });
+            return false;
+          }
           if (onSubmitRef.current) {
+            const values = submitDirtyOnly
+              ? getDirtyValues(state.values as V, dirtyFields)
+              : state.values;
             return Promise.resolve(
-              onSubmitRef.current(filterAllEmpty(state.values as V))
+              onSubmitRef.current(filterAllEmpty(values as V))
             ).then((submitMessages) => {
               const messages = { ...validateMessages, ...submitMessages };
               dispatch({ type: "endSubmit", messages });
+              return true;
             });
           }
-          return dispatch({ type: "endSubmit", messages: validateMessages });
+          dispatch({ type: "endSubmit", messages: validateMessages });
+          return true;
         })
-        .then(() => {
-          if (resetOnSubmitSucceed) {
-            dispatch({ type: "reset" });
+        .then((succeeded) => {
+          if (succeeded && resetOnSubmitSucceed) {
+            reset();
           }
         })
-        .catch((errors) => {
-          dispatch({ type: "endSubmit", errors });
+        .catch((submitErrors) => {
+          dispatch({ type: "endSubmit", errors: submitErrors });
         });
-    }, [validate]),
+    }, [validate, validateFields, reset, dirtyFields]),
     update: React.useCallback(
       (name: any, value: any) => dispatch({ type: "update", name, value }),
       []
@@ -390,16 +921,74 @@ export function unstable_useFormState<V = Record<any, any>>(
         dispatch({ type: "blur", name });
         if (validateOnBlur) {
           validate().catch(() => {});
+          const validator = validatorsRef.current[getFieldKey(name)];
+          const value = unstable_getIn(valuesRef.current, name);
+          if (
+            validator &&
+            (!validator.validated ||
+              validator.timeout ||
+              validator.validatedValue !== value)
+          ) {
+            validateField(validator);
+          }
         }
       },
-      [validate]
+      [validate, validateField]
     ),
     push: React.useCallback(
       (name, value) => dispatch({ type: "push", name, value }),
       []
     ),
     remove: React.useCallback(
-      (name, index) => dispatch({ type: "remove", name, index }),
+      (name, index) => dispatchArrayAction({ type: "remove", name, index }),
+      [dispatchArrayAction]
+    ),
+    insert: React.useCallback(
+      (name, index, value) =>
+        dispatchArrayAction({ type: "insert", name, index, value }),
+      [dispatchArrayAction]
+    ),
+    move: React.useCallback(
+      (name, from, to) => dispatchArrayAction({ type: "move", name, from, to }),
+      [dispatchArrayAction]
+    ),
+    swap: React.useCallback(
+      (name, indexA, indexB) =>
+        dispatchArrayAction({ type: "swap", name, indexA, indexB }),
+      [dispatchArrayAction]
+    ),
+    replace: React.useCallback(
+      (name, index, value) =>
+        dispatchArrayAction({ type: "replace", name, index, value }),
+      [dispatchArrayAction]
+    ),
+    unstable_registerValidator: React.useCallback(
+      (name, validator, debounce = 0) => {
+        const key = getFieldKey(name);
+        // Array actions move validators along with the items, so a field
+        // that has been moved to `name` takes over the validator that's
+        // already there and keeps its validation state
+        const existing = validatorsRef.current[key];
+        const entry: FieldValidator = existing
+          ? Object.assign(existing, { validate: validator, debounce })
+          : {
+              name,
+              validate: validator,
+              debounce,
+              value: unstable_getIn(valuesRef.current, name),
+              validated: false,
+              runId: 0,
+            };
+        validatorsRef.current[key] = entry;
+        return () => {
+          if (validatorsRef.current[key] !== entry) return;
+          if (entry.timeout) {
+            clearTimeout(entry.timeout);
+          }
+          delete validatorsRef.current[key];
+          dispatch({ type: "unregisterField", name });
+        };
+      },
       []
     ),
   };
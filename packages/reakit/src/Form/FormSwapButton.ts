@@ -0,0 +1,78 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { As, PropsWithAs } from "reakit-utils/types";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { ButtonOptions, ButtonHTMLProps, useButton } from "../Button/Button";
+import { unstable_FormStateReturn } from "./FormState";
+import { DeepPath } from "./__utils/types";
+import { FORM_SWAP_BUTTON_KEYS } from "./__keys";
+
+export type unstable_FormSwapButtonOptions<
+  V,
+  P extends DeepPath<V, P>
+> = ButtonOptions &
+  Pick<unstable_FormStateReturn<V>, "baseId" | "values" | "swap"> & {
+    /**
+     * FormInput's name as in form values. This should point to array value.
+     */
+    name: P;
+    /**
+     * The index in `form.values[name]` of the item that will be swapped.
+     */
+    indexA: number;
+    /**
+     * The index in `form.values[name]` of the item that `indexA` will be
+     * swapped with.
+     */
+    indexB: number;
+  };
+
+export type unstable_FormSwapButtonHTMLProps = ButtonHTMLProps;
+
+export type unstable_FormSwapButtonProps<
+  V,
+  P extends DeepPath<V, P>
+> = unstable_FormSwapButtonOptions<V, P> & unstable_FormSwapButtonHTMLProps;
+
+export const unstable_useFormSwapButton = createHook<
+  unstable_FormSwapButtonOptions<any, any>,
+  unstable_FormSwapButtonHTMLProps
+>({
+  name: "FormSwapButton",
+  compose: useButton,
+  keys: FORM_SWAP_BUTTON_KEYS,
+
+  useOptions(options, { name }) {
+    return {
+      ...options,
+      name: options.name || name,
+    };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const onClickRef = useLiveRef(htmlOnClick);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        options.swap?.(options.name, options.indexA, options.indexB);
+      },
+      [options.swap, options.name, options.indexA, options.indexB]
+    );
+
+    return { onClick, ...htmlProps };
+  },
+}) as <V, P extends DeepPath<V, P>>(
+  options: unstable_FormSwapButtonOptions<V, P>,
+  htmlProps?: unstable_FormSwapButtonHTMLProps
+) => unstable_FormSwapButtonHTMLProps;
+
+export const unstable_FormSwapButton = (createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useFormSwapButton,
+}) as unknown) as <V, P extends DeepPath<V, P>, T extends As = "button">(
+  props: PropsWithAs<unstable_FormSwapButtonOptions<V, P>, T>
+) => JSX.Element;
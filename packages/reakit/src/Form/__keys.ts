@@ -3,6 +3,10 @@ const FORM_STATE_KEYS = [
   "baseId",
   "unstable_idCountRef",
   "values",
+  "initialValues",
+  "dirtyFields",
+  "dirty",
+  "pristine",
   "touched",
   "messages",
   "errors",
@@ -13,27 +17,71 @@ const FORM_STATE_KEYS = [
   "submitFailed",
   "setBaseId",
   "reset",
+  "resetField",
+  "setInitialValues",
   "validate",
   "submit",
   "update",
   "blur",
   "push",
   "remove",
+  "insert",
+  "move",
+  "swap",
+  "replace",
+  "unstable_registerValidator",
 ] as const;
 export const FORM_KEYS = FORM_STATE_KEYS;
-export const FORM_CHECKBOX_KEYS = [...FORM_KEYS, "name", "value"] as const;
+export const FORM_CHECKBOX_KEYS = [
+  ...FORM_KEYS,
+  "name",
+  "value",
+  "unstable_validate",
+  "unstable_validateDebounce",
+] as const;
 export const FORM_GROUP_KEYS = [...FORM_KEYS, "name"] as const;
-export const FORM_INPUT_KEYS = FORM_GROUP_KEYS;
-export const FORM_LABEL_KEYS = [...FORM_INPUT_KEYS, "label"] as const;
-export const FORM_MESSAGE_KEYS = FORM_INPUT_KEYS;
-export const FORM_PUSH_BUTTON_KEYS = [
+export const FORM_INPUT_KEYS = [
+  ...FORM_GROUP_KEYS,
+  "unstable_validate",
+  "unstable_validateDebounce",
+] as const;
+export const FORM_INSERT_BUTTON_KEYS = [
+  ...FORM_GROUP_KEYS,
+  "index",
+  "value",
+] as const;
+export const FORM_LABEL_KEYS = [...FORM_GROUP_KEYS, "label"] as const;
+export const FORM_MESSAGE_KEYS = FORM_GROUP_KEYS;
+export const FORM_MOVE_BUTTON_KEYS = [
   ...FORM_MESSAGE_KEYS,
-  ...FORM_CHECKBOX_KEYS,
+  "index",
+  "to",
 ] as const;
+export const FORM_PUSH_BUTTON_KEYS = [...FORM_MESSAGE_KEYS, "value"] as const;
 export const FORM_RADIO_KEYS = FORM_PUSH_BUTTON_KEYS;
-export const FORM_RADIO_GROUP_KEYS = FORM_MESSAGE_KEYS;
-export const FORM_REMOVE_BUTTON_KEYS = [
+export const FORM_RADIO_GROUP_KEYS = [
+  ...FORM_INPUT_KEYS,
+  ...FORM_MESSAGE_KEYS,
+] as const;
+export const FORM_REMOVE_BUTTON_KEYS = [...FORM_MESSAGE_KEYS, "index"] as const;
+export const FORM_REPLACE_BUTTON_KEYS = [
+  ...FORM_INSERT_BUTTON_KEYS,
+  ...FORM_MESSAGE_KEYS,
+] as const;
+export const FORM_SLIDER_KEYS = [
   ...FORM_RADIO_GROUP_KEYS,
-  "index",
+  "min",
+  "max",
+  "step",
+  "largeStep",
+  "orientation",
+  "rtl",
+  "disabled",
 ] as const;
+export const FORM_SLIDER_THUMB_KEYS = FORM_MESSAGE_KEYS;
 export const FORM_SUBMIT_BUTTON_KEYS = FORM_KEYS;
+export const FORM_SWAP_BUTTON_KEYS = [
+  ...FORM_MESSAGE_KEYS,
+  "indexA",
+  "indexB",
+] as const;
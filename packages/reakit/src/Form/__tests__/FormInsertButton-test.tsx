@@ -0,0 +1,41 @@
+import * as React from "react";
+import { render, click } from "reakit-test-utils";
+import { unstable_FormInsertButton as FormInsertButton } from "../FormInsertButton";
+
+test("render", () => {
+  const { baseElement } = render(
+    <FormInsertButton
+      baseId="base"
+      name="a"
+      index={1}
+      value="c"
+      values={{ a: ["a", "b"] }}
+      insert={jest.fn()}
+    />
+  );
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div>
+        <button
+          type="button"
+        />
+      </div>
+    </body>
+  `);
+});
+
+test("click", () => {
+  const insert = jest.fn();
+  const { getByRole } = render(
+    <FormInsertButton
+      baseId="base"
+      name="a"
+      index={1}
+      value="c"
+      values={{ a: ["a", "b"] }}
+      insert={insert}
+    />
+  );
+  click(getByRole("button"));
+  expect(insert).toHaveBeenCalledWith("a", 1, "c");
+});
@@ -0,0 +1,41 @@
+import * as React from "react";
+import { render, click } from "reakit-test-utils";
+import { unstable_FormMoveButton as FormMoveButton } from "../FormMoveButton";
+
+test("render", () => {
+  const { baseElement } = render(
+    <FormMoveButton
+      baseId="base"
+      name="a"
+      index={0}
+      to={1}
+      values={{ a: ["a", "b"] }}
+      move={jest.fn()}
+    />
+  );
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div>
+        <button
+          type="button"
+        />
+      </div>
+    </body>
+  `);
+});
+
+test("click", () => {
+  const move = jest.fn();
+  const { getByRole } = render(
+    <FormMoveButton
+      baseId="base"
+      name="a"
+      index={0}
+      to={1}
+      values={{ a: ["a", "b"] }}
+      move={move}
+    />
+  );
+  click(getByRole("button"));
+  expect(move).toHaveBeenCalledWith("a", 0, 1);
+});
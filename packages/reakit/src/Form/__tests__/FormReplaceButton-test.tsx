@@ -0,0 +1,41 @@
+import * as React from "react";
+import { render, click } from "reakit-test-utils";
+import { unstable_FormReplaceButton as FormReplaceButton } from "../FormReplaceButton";
+
+test("render", () => {
+  const { baseElement } = render(
+    <FormReplaceButton
+      baseId="base"
+      name="a"
+      index={1}
+      value="c"
+      values={{ a: ["a", "b"] }}
+      replace={jest.fn()}
+    />
+  );
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div>
+        <button
+          type="button"
+        />
+      </div>
+    </body>
+  `);
+});
+
+test("click", () => {
+  const replace = jest.fn();
+  const { getByRole } = render(
+    <FormReplaceButton
+      baseId="base"
+      name="a"
+      index={1}
+      value="c"
+      values={{ a: ["a", "b"] }}
+      replace={replace}
+    />
+  );
+  click(getByRole("button"));
+  expect(replace).toHaveBeenCalledWith("a", 1, "c");
+});
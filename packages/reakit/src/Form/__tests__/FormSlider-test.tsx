@@ -0,0 +1,144 @@
+import * as React from "react";
+import { render, press, focus, blur, wait, screen } from "reakit-test-utils";
+import { unstable_useFormState as useFormState } from "../FormState";
+import { unstable_FormLabel as FormLabel } from "../FormLabel";
+import { unstable_FormMessage as FormMessage } from "../FormMessage";
+import { unstable_FormSlider as FormSlider } from "../FormSlider";
+import { unstable_FormSliderThumb as FormSliderThumb } from "../FormSliderThumb";
+
+test("render", () => {
+  const Test = () => {
+    const form = useFormState({ baseId: "base", values: { a: 50 } });
+    return (
+      <FormSlider {...form} name="a">
+        <FormSliderThumb {...form} name="a" />
+      </FormSlider>
+    );
+  };
+  const { baseElement } = render(<Test />);
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div>
+        <div
+          aria-describedby="base-a-message"
+          aria-invalid="false"
+          aria-labelledby="base-a-label"
+          data-orientation="horizontal"
+          id="base-a"
+          role="group"
+          tabindex="-1"
+        >
+          <div
+            aria-describedby="base-a-message"
+            aria-invalid="false"
+            aria-labelledby="base-a-label"
+            aria-orientation="horizontal"
+            aria-valuemax="100"
+            aria-valuemin="0"
+            aria-valuenow="50"
+            id="base-a-thumb-0"
+            role="slider"
+            style="left: 50%;"
+            tabindex="0"
+          />
+        </div>
+      </div>
+    </body>
+  `);
+});
+
+test("update form values", () => {
+  const onChange = jest.fn();
+  const Test = () => {
+    const form = useFormState({ values: { volume: 50 } });
+    onChange(form.values);
+    return (
+      <>
+        <FormLabel {...form} name="volume" label="Volume" />
+        <FormSlider {...form} name="volume" step={10}>
+          <FormSliderThumb {...form} name="volume" />
+        </FormSlider>
+      </>
+    );
+  };
+  render(<Test />);
+  const thumb = screen.getByRole("slider");
+  expect(thumb).toHaveAttribute(
+    "aria-labelledby",
+    screen.getByText("Volume").id
+  );
+  focus(thumb);
+  press.ArrowRight();
+  expect(thumb).toHaveAttribute("aria-valuenow", "60");
+  expect(onChange).toHaveBeenLastCalledWith({ volume: 60 });
+});
+
+test("update form values with range slider", () => {
+  const onChange = jest.fn();
+  const Test = () => {
+    const form = useFormState({ values: { price: [20, 80] } });
+    onChange(form.values);
+    return (
+      <FormSlider {...form} name="price" aria-label="Price">
+        <FormSliderThumb {...form} name="price" aria-label="Minimum" />
+        <FormSliderThumb
+          {...form}
+          name="price"
+          index={1}
+          aria-label="Maximum"
+        />
+      </FormSlider>
+    );
+  };
+  render(<Test />);
+  const max = screen.getByLabelText("Maximum");
+  focus(max);
+  press.End();
+  expect(onChange).toHaveBeenLastCalledWith({ price: [20, 100] });
+  focus(screen.getByLabelText("Minimum"));
+  press.PageUp();
+  expect(onChange).toHaveBeenLastCalledWith({ price: [30, 100] });
+});
+
+test("validate slider", async () => {
+  const Test = () => {
+    const form = useFormState({ values: { volume: 50 } });
+    return (
+      <>
+        <FormLabel {...form} name="volume" label="Volume" />
+        <FormSlider
+          {...form}
+          name="volume"
+          unstable_validate={(value: number) =>
+            value > 50 ? "Too loud" : undefined
+          }
+        >
+          <FormSliderThumb {...form} name="volume" />
+        </FormSlider>
+        <FormMessage {...form} name="volume" />
+      </>
+    );
+  };
+  render(<Test />);
+  const thumb = screen.getByRole("slider");
+  focus(thumb);
+  press.ArrowUp();
+  blur(thumb);
+  await wait(() => expect(screen.getByText("Too loud")).toBeInTheDocument());
+  expect(thumb).toHaveAttribute("aria-invalid", "true");
+  expect(thumb).toHaveAttribute(
+    "aria-describedby",
+    screen.getByText("Too loud").id
+  );
+});
+
+test("throw when thumb is rendered outside of slider", () => {
+  const Test = () => {
+    const form = useFormState({ values: { a: 50 } });
+    return <FormSliderThumb {...form} name="a" />;
+  };
+  expect(() => render(<Test />)).toThrow(
+    "`FormSliderThumb` must be rendered inside `FormSlider`"
+  );
+  expect(console).toHaveErrored();
+});
@@ -13,8 +13,12 @@ test("initial state", () => {
   expect(result.current).toMatchInlineSnapshot(`
     Object {
       "baseId": "base",
+      "dirty": false,
+      "dirtyFields": Object {},
       "errors": Object {},
+      "initialValues": Object {},
       "messages": Object {},
+      "pristine": true,
       "submitFailed": 0,
       "submitSucceed": 0,
       "submitting": false,
@@ -39,8 +43,20 @@ test("initial state values", () => {
   expect(result.current).toMatchInlineSnapshot(`
     Object {
       "baseId": "base",
+      "dirty": false,
+      "dirtyFields": Object {},
       "errors": Object {},
+      "initialValues": Object {
+        "a": "a",
+        "b": Object {
+          "c": Array [
+            "d",
+            "e",
+          ],
+        },
+      },
       "messages": Object {},
+      "pristine": true,
       "submitFailed": 0,
       "submitSucceed": 0,
       "submitting": false,
@@ -213,7 +229,10 @@ test("blur", () => {
   act(() => result.current.blur("a"));
   expect(result.current.touched).toEqual({ a: true });
   act(() => result.current.blur(["b", "c", 1] as const));
-  expect(result.current.touched).toEqual({ a: true, b: { c: [true] } });
+  expect(result.current.touched).toEqual({
+    a: true,
+    b: { c: [undefined, true] },
+  });
 });
 
 test("push", () => {
@@ -229,7 +248,104 @@ test("remove", () => {
     unstable_useFormState({ values: { a: "a", b: { c: ["d", "e"] } } })
   );
   act(() => result.current.remove(["b", "c"], 0));
-  expect(result.current.values.b.c).toEqual([undefined, "e"]);
+  expect(result.current.values.b.c).toEqual(["e"]);
+});
+
+test("remove re-indexes touched and messages", async () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({
+      values: { a: ["", "b", ""] },
+      validateOnChange: false,
+      onValidate: (values) => {
+        const errors = { a: values.a.map((value) => (value ? null : "error")) };
+        if (errors.a.some(Boolean)) throw errors;
+      },
+    })
+  );
+  act(() => result.current.blur(["a", 0] as const));
+  await act(() =>
+    // @ts-ignore
+    expect(result.current.validate()).rejects.toEqual({
+      a: ["error", null, "error"],
+    })
+  );
+  act(() => result.current.remove("a", 1));
+  expect(result.current.values.a).toEqual(["", ""]);
+  expect(result.current.errors).toEqual({ a: ["error", "error"] });
+  expect(result.current.touched).toEqual({ a: [true] });
+  act(() => result.current.remove("a", 0));
+  expect(result.current.errors).toEqual({ a: ["error"] });
+  expect(result.current.touched).toEqual({});
+});
+
+test("insert", () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: ["b", "c"] } })
+  );
+  act(() => result.current.blur(["a", 1] as const));
+  act(() => result.current.insert("a", 1, "d"));
+  expect(result.current.values.a).toEqual(["b", "d", "c"]);
+  expect(result.current.touched).toEqual({ a: [undefined, undefined, true] });
+});
+
+test("move", () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: ["b", "c", "d"] } })
+  );
+  act(() => result.current.blur(["a", 0] as const));
+  act(() => result.current.move("a", 0, 2));
+  expect(result.current.values.a).toEqual(["c", "d", "b"]);
+  expect(result.current.touched).toEqual({ a: [undefined, undefined, true] });
+});
+
+test("swap", () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: ["b", "c", "d"] } })
+  );
+  act(() => result.current.blur(["a", 0] as const));
+  act(() => result.current.swap("a", 0, 2));
+  expect(result.current.values.a).toEqual(["d", "c", "b"]);
+  expect(result.current.touched).toEqual({ a: [undefined, undefined, true] });
+});
+
+test("replace", () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: ["b", "c"] } })
+  );
+  act(() => result.current.blur(["a", 0] as const));
+  act(() => result.current.blur(["a", 1] as const));
+  act(() => result.current.replace("a", 1, "d"));
+  expect(result.current.values.a).toEqual(["b", "d"]);
+  expect(result.current.touched).toEqual({ a: [true] });
+});
+
+test("move re-indexes field validator errors", async () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: ["", "b"] } })
+  );
+  act(() => {
+    result.current.unstable_registerValidator(["a", 0], (value) =>
+      value ? null : "required"
+    );
+  });
+  await act(result.current.submit);
+  expect(result.current.errors).toEqual({ a: ["required"] });
+  act(() => result.current.move("a", 0, 1));
+  expect(result.current.errors).toEqual({ a: [undefined, "required"] });
+});
+
+test("insert keeps field validators at their index", async () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: ["b"] } })
+  );
+  act(() => {
+    result.current.unstable_registerValidator(["a", 0], (value) =>
+      value ? null : "required"
+    );
+  });
+  act(() => result.current.insert("a", 0, ""));
+  await act(result.current.submit);
+  expect(result.current.errors).toEqual({ a: ["required"] });
 });
 
 test("reset", () => {
@@ -242,3 +358,216 @@ test("reset", () => {
   act(result.current.reset);
   expect(result.current.values.a).toBe("a");
 });
+
+test("validate with schema", async () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({
+      values: { name: "", friends: [{ name: "a" }, { name: "" }] },
+      schema: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string" },
+          friends: {
+            type: "array",
+            items: { type: "object", required: ["name"] },
+          },
+        },
+      },
+    })
+  );
+  await act(() =>
+    // @ts-ignore
+    expect(result.current.validate()).rejects.toEqual({
+      name: "This field is required.",
+      friends: [undefined, { name: "This field is required." }],
+    })
+  );
+  expect(result.current.valid).toBe(false);
+  expect(result.current.errors).toEqual({
+    name: "This field is required.",
+    friends: [undefined, { name: "This field is required." }],
+  });
+});
+
+test("validate with schema errors without a path", async () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({
+      values: { password: "a", confirmation: "b" },
+      schema: {
+        validate: () =>
+          Promise.reject(
+            Object.assign(new Error("Passwords must match"), {
+              name: "ValidationError",
+              inner: [],
+            })
+          ),
+      },
+    })
+  );
+  await act(() =>
+    // @ts-ignore
+    expect(result.current.validate()).rejects.toEqual({
+      $form: "Passwords must match",
+    })
+  );
+  expect(result.current.valid).toBe(false);
+  expect(result.current.errors).toEqual({ $form: "Passwords must match" });
+});
+
+test("registerValidator", async () => {
+  const validateA = jest.fn((value: string) =>
+    value === "b" ? "error" : null
+  );
+  const { result } = renderHook(() =>
+    unstable_useFormState({
+      values: { a: "a", b: "b" },
+      onValidate: (values) => {
+        if (!values.b) {
+          const errors = { b: "required" };
+          throw errors;
+        }
+      },
+    })
+  );
+  act(() => {
+    result.current.unstable_registerValidator("a", validateA);
+  });
+  await act(async () => result.current.update("b", ""));
+  expect(validateA).not.toHaveBeenCalled();
+  await act(async () => result.current.update("a", "b"));
+  expect(validateA).toHaveBeenCalledTimes(1);
+  expect(validateA).toHaveBeenCalledWith("b", { a: "b", b: "" });
+  expect(result.current.errors).toEqual({ a: "error", b: "required" });
+  expect(result.current.valid).toBe(false);
+  await act(async () => result.current.update("a", "c"));
+  expect(result.current.errors).toEqual({ b: "required" });
+});
+
+test("registerValidator with debounce", async () => {
+  jest.useFakeTimers();
+  const validateA = jest.fn(
+    (value: string) =>
+      new Promise<string | null>((resolve) => {
+        setTimeout(() => resolve(value === "b" ? "error" : null), 100);
+      })
+  );
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: "a" } })
+  );
+  act(() => {
+    result.current.unstable_registerValidator("a", validateA, 300);
+  });
+  act(() => result.current.update("a", "a1"));
+  act(() => result.current.update("a", "b"));
+  expect(validateA).not.toHaveBeenCalled();
+  act(() => {
+    jest.advanceTimersByTime(300);
+  });
+  expect(validateA).toHaveBeenCalledTimes(1);
+  expect(result.current.validating).toBe(true);
+  act(() => result.current.update("a", "c"));
+  act(() => {
+    jest.advanceTimersByTime(300);
+  });
+  expect(validateA).toHaveBeenCalledTimes(2);
+  // Resolves the stale validation for "b" first
+  await act(async () => {
+    jest.advanceTimersByTime(100);
+  });
+  expect(result.current.validating).toBe(false);
+  expect(result.current.errors).toEqual({});
+  jest.useRealTimers();
+});
+
+test("submit with registered validator", async () => {
+  const onSubmit = jest.fn();
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: "" }, onSubmit })
+  );
+  act(() => {
+    result.current.unstable_registerValidator("a", (value) =>
+      value ? null : "required"
+    );
+  });
+  await act(result.current.submit);
+  expect(onSubmit).not.toHaveBeenCalled();
+  expect(result.current.errors).toEqual({ a: "required" });
+  expect(result.current.submitFailed).toBe(1);
+  act(() => result.current.update("a", "a"));
+  await act(result.current.submit);
+  expect(onSubmit).toHaveBeenCalledWith({ a: "a" });
+  expect(result.current.submitSucceed).toBe(1);
+});
+
+test("dirty", () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: "a", b: { c: ["d", "e"] } } })
+  );
+  expect(result.current.dirty).toBe(false);
+  expect(result.current.pristine).toBe(true);
+  act(() => result.current.update(["b", "c", 1] as const, "f"));
+  expect(result.current.dirty).toBe(true);
+  expect(result.current.pristine).toBe(false);
+  expect(result.current.dirtyFields).toEqual({ b: { c: [undefined, true] } });
+  act(() => result.current.update(["b", "c", 1] as const, "e"));
+  expect(result.current.dirty).toBe(false);
+  expect(result.current.dirtyFields).toEqual({});
+});
+
+test("resetField", async () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({
+      values: { a: "a", b: "b" },
+      onValidate: (values) => {
+        if (values.a !== "a") {
+          const errors = { a: "error" };
+          throw errors;
+        }
+      },
+    })
+  );
+  await act(async () => result.current.update("a", "c"));
+  act(() => result.current.update("b", "c"));
+  act(() => result.current.blur("a"));
+  expect(result.current.errors).toEqual({ a: "error" });
+  expect(result.current.touched).toEqual({ a: true });
+  await act(async () => result.current.resetField("a"));
+  expect(result.current.values).toEqual({ a: "a", b: "c" });
+  expect(result.current.touched).toEqual({});
+  expect(result.current.errors).toEqual({});
+  expect(result.current.valid).toBe(true);
+  expect(result.current.dirtyFields).toEqual({ b: true });
+});
+
+test("setInitialValues", () => {
+  const { result } = renderHook(() =>
+    unstable_useFormState({ values: { a: "a" } })
+  );
+  act(() => result.current.update("a", "b"));
+  expect(result.current.dirty).toBe(true);
+  act(() => result.current.setInitialValues());
+  expect(result.current.initialValues).toEqual({ a: "b" });
+  expect(result.current.dirty).toBe(false);
+  act(() => result.current.setInitialValues({ a: "c" }));
+  expect(result.current.values).toEqual({ a: "c" });
+  expect(result.current.dirty).toBe(false);
+  act(() => result.current.update("a", "d"));
+  act(result.current.reset);
+  expect(result.current.values).toEqual({ a: "c" });
+});
+
+test("submit with submitDirtyOnly", async () => {
+  const onSubmit = jest.fn();
+  const { result } = renderHook(() =>
+    unstable_useFormState({
+      values: { a: "a", b: { c: "c", d: "d" }, e: ["f", "g"] },
+      submitDirtyOnly: true,
+      onSubmit,
+    })
+  );
+  act(() => result.current.update(["b", "c"] as const, ""));
+  act(() => result.current.update(["e", 1] as const, "h"));
+  await act(result.current.submit);
+  expect(onSubmit).toHaveBeenCalledWith({ b: { c: "" }, e: ["f", "h"] });
+});
@@ -0,0 +1,41 @@
+import * as React from "react";
+import { render, click } from "reakit-test-utils";
+import { unstable_FormSwapButton as FormSwapButton } from "../FormSwapButton";
+
+test("render", () => {
+  const { baseElement } = render(
+    <FormSwapButton
+      baseId="base"
+      name="a"
+      indexA={0}
+      indexB={1}
+      values={{ a: ["a", "b"] }}
+      swap={jest.fn()}
+    />
+  );
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div>
+        <button
+          type="button"
+        />
+      </div>
+    </body>
+  `);
+});
+
+test("click", () => {
+  const swap = jest.fn();
+  const { getByRole } = render(
+    <FormSwapButton
+      baseId="base"
+      name="a"
+      indexA={0}
+      indexB={1}
+      values={{ a: ["a", "b"] }}
+      swap={swap}
+    />
+  );
+  click(getByRole("button"));
+  expect(swap).toHaveBeenCalledWith("a", 0, 1);
+});
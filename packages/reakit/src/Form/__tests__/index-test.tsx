@@ -20,6 +20,7 @@ import {
   unstable_FormSubmitButton as FormSubmitButton,
   unstable_FormRemoveButton as FormRemoveButton,
   unstable_FormPushButton as FormPushButton,
+  unstable_FormSwapButton as FormSwapButton,
   unstable_useFormState as useFormState,
   unstable_FormRadioGroup as FormRadioGroup,
   unstable_useFormInput as useFormInput,
@@ -542,7 +543,12 @@ test("push/remove button adds/removes entry and moves focus", async () => {
       </Form>
     );
   };
-  const { getByTestId, getByPlaceholderText, container } = render(<Test />);
+  const {
+    getByTestId,
+    queryByTestId,
+    getByPlaceholderText,
+    container,
+  } = render(<Test />);
   const push = getByTestId("push");
 
   expect(container).toMatchInlineSnapshot(`
@@ -607,17 +613,15 @@ test("push/remove button adds/removes entry and moves focus", async () => {
   click(push);
   await wait(expect(getByPlaceholderText("name2")).toHaveFocus);
 
-  const remove0 = getByTestId("remove0");
-  const remove1 = getByTestId("remove1");
-  const remove2 = getByTestId("remove2");
-
-  click(remove0);
-  await wait(expect(getByPlaceholderText("name1")).toHaveFocus);
+  // The following items are shifted when an item is removed
+  click(getByTestId("remove0"));
+  await wait(expect(getByPlaceholderText("name0")).toHaveFocus);
+  expect(queryByTestId("remove2")).not.toBeInTheDocument();
 
-  click(remove2);
-  await wait(expect(getByPlaceholderText("name1")).toHaveFocus);
+  click(getByTestId("remove1"));
+  await wait(expect(getByPlaceholderText("name0")).toHaveFocus);
 
-  click(remove1);
+  click(getByTestId("remove0"));
   await wait(expect(push).toHaveFocus);
 });
 
@@ -693,7 +697,12 @@ test("useFormPushButton and useFormRemoveButton passing name and value as htmlPr
       </Form>
     );
   };
-  const { getByTestId, getByPlaceholderText, container } = render(<Test />);
+  const {
+    getByTestId,
+    queryByTestId,
+    getByPlaceholderText,
+    container,
+  } = render(<Test />);
   const push = getByTestId("push");
 
   expect(container).toMatchInlineSnapshot(`
@@ -763,17 +772,15 @@ test("useFormPushButton and useFormRemoveButton passing name and value as htmlPr
   click(push);
   await wait(expect(getByPlaceholderText("name2")).toHaveFocus);
 
-  const remove0 = getByTestId("remove0");
-  const remove1 = getByTestId("remove1");
-  const remove2 = getByTestId("remove2");
-
-  click(remove0);
-  await wait(expect(getByPlaceholderText("name1")).toHaveFocus);
+  // The following items are shifted when an item is removed
+  click(getByTestId("remove0"));
+  await wait(expect(getByPlaceholderText("name0")).toHaveFocus);
+  expect(queryByTestId("remove2")).not.toBeInTheDocument();
 
-  click(remove2);
-  await wait(expect(getByPlaceholderText("name1")).toHaveFocus);
+  click(getByTestId("remove1"));
+  await wait(expect(getByPlaceholderText("name0")).toHaveFocus);
 
-  click(remove1);
+  click(getByTestId("remove0"));
   await wait(expect(push).toHaveFocus);
 });
 
@@ -960,3 +967,89 @@ test("reset form after removing an item", async () => {
     </div>
   `);
 });
+
+test("field validators only run when their own field changes", async () => {
+  const validateUsername = jest.fn((value: string) =>
+    Promise.resolve(value === "admin" ? "Username is taken" : null)
+  );
+  const validateTerms = jest.fn((value: boolean) =>
+    value ? null : "You must accept the terms"
+  );
+  const Test = () => {
+    const form = useFormState({
+      values: { username: "", name: "", terms: false },
+    });
+    return (
+      <Form {...form}>
+        <FormLabel {...form} name="username" label="username" />
+        <FormInput
+          {...form}
+          name="username"
+          unstable_validate={validateUsername}
+        />
+        <FormMessage {...form} name="username" />
+        <FormLabel {...form} name="name" label="name" />
+        <FormInput {...form} name="name" />
+        <FormLabel {...form} name="terms" label="terms" />
+        <FormCheckbox
+          {...form}
+          name="terms"
+          unstable_validate={validateTerms}
+        />
+        <FormMessage {...form} name="terms" />
+        <FormSubmitButton {...form}>submit</FormSubmitButton>
+      </Form>
+    );
+  };
+  const { getByLabelText, getByText } = render(<Test />);
+  type("John", getByLabelText("name"));
+  expect(validateUsername).not.toHaveBeenCalled();
+  expect(validateTerms).not.toHaveBeenCalled();
+  type("admin", getByLabelText("username"));
+  blur(getByLabelText("username"));
+  await wait(() => expect(getByText("Username is taken")).toBeInTheDocument());
+  click(getByText("submit"));
+  await wait(() =>
+    expect(getByText("You must accept the terms")).toBeInTheDocument()
+  );
+  expect(getByLabelText("terms")).toHaveAttribute("aria-invalid", "true");
+});
+
+test("field validator errors follow items rendered with a stable key", async () => {
+  const validate = jest.fn((value: string) => (value === "bad" ? "Bad" : null));
+  const Test = () => {
+    const form = useFormState({ values: { a: ["bad", "ok"] } });
+    return (
+      <Form {...form}>
+        {form.values.a.map((value, i) => (
+          <FormInput
+            {...form}
+            key={value}
+            name={["a", i]}
+            aria-label={value}
+            unstable_validate={validate}
+          />
+        ))}
+        <FormSwapButton {...form} name="a" indexA={0} indexB={1}>
+          swap
+        </FormSwapButton>
+        <FormSubmitButton {...form}>submit</FormSubmitButton>
+        <div data-testid="errors">{JSON.stringify(form.errors)}</div>
+      </Form>
+    );
+  };
+  const { getByLabelText, getByText, getByTestId } = render(<Test />);
+  click(getByText("submit"));
+  await wait(() =>
+    expect(getByLabelText("bad")).toHaveAttribute("aria-invalid", "true")
+  );
+  expect(validate).toHaveBeenCalledTimes(2);
+  click(getByText("swap"));
+  expect(getByTestId("errors")).toHaveTextContent('{"a":[null,"Bad"]}');
+  expect(getByLabelText("bad")).toHaveAttribute("aria-invalid", "true");
+  expect(getByLabelText("ok")).toHaveAttribute("aria-invalid", "false");
+  // Blurring doesn't validate again because the value hasn't changed
+  focus(getByLabelText("bad"));
+  blur(getByLabelText("bad"));
+  expect(validate).toHaveBeenCalledTimes(2);
+});
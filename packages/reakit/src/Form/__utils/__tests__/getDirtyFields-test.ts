@@ -0,0 +1,21 @@
+import { getDirtyFields } from "../getDirtyFields";
+
+test("getDirtyFields", () => {
+  expect(
+    getDirtyFields(
+      { a: "a", b: { c: "d", e: ["f", "g"] }, h: [{ i: "j" }] },
+      { a: "a", b: { c: "c", e: ["f"] }, h: [{ i: "j" }] }
+    )
+  ).toEqual({ b: { c: true, e: [undefined, true] } });
+});
+
+test("getDirtyFields with removed values", () => {
+  expect(getDirtyFields({ a: ["b"] }, { a: ["b", "c"], d: "d" })).toEqual({
+    a: [undefined, true],
+    d: true,
+  });
+});
+
+test("getDirtyFields with equal values", () => {
+  expect(getDirtyFields({ a: { b: "b" } }, { a: { b: "b" } })).toEqual({});
+});
@@ -0,0 +1,10 @@
+import { getDirtyValues } from "../getDirtyValues";
+
+test("getDirtyValues", () => {
+  expect(
+    getDirtyValues(
+      { a: "a", b: { c: "c", d: "d" }, e: ["f", "g"] },
+      { b: { c: true }, e: [undefined, true] }
+    )
+  ).toEqual({ b: { c: "c" }, e: ["f", "g"] });
+});
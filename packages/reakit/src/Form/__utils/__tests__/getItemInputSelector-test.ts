@@ -0,0 +1,14 @@
+import { getItemInputSelector } from "../getItemInputSelector";
+
+test("getItemInputSelector", () => {
+  expect(getItemInputSelector("a", 1, "base")).toBe(
+    '[id="base-a-1"], [id^="base-a-1-"]'
+  );
+  expect(getItemInputSelector(["a", "b"], 0, "base")).toBe(
+    '[id="base-a-b-0"], [id^="base-a-b-0-"]'
+  );
+});
+
+test("getItemInputSelector without baseId", () => {
+  expect(getItemInputSelector("a", 1, undefined)).toBeUndefined();
+});
@@ -0,0 +1,34 @@
+import { reindexIn } from "../reindexIn";
+
+test("reindexIn", () => {
+  expect(
+    reindexIn({ a: [{ b: "0" }, undefined, { b: "2" }] }, "a", [2, 0])
+  ).toEqual({ a: [{ b: "2" }, { b: "0" }] });
+  expect(reindexIn({ a: { b: ["0", "1"] } }, ["a", "b"], [1, undefined, 0]))
+    .toMatchInlineSnapshot(`
+    Object {
+      "a": Object {
+        "b": Array [
+          "1",
+          undefined,
+          "0",
+        ],
+      },
+    }
+  `);
+});
+
+test("reindexIn removes empty arrays", () => {
+  expect(reindexIn({ a: ["0", undefined], c: "c" }, "a", [1])).toEqual({
+    c: "c",
+  });
+  expect(reindexIn({ a: ["0", "1"] }, "a", [0, undefined])).toEqual({
+    a: ["0"],
+  });
+});
+
+test("reindexIn with message for the array", () => {
+  const object = { a: "error" };
+  expect(reindexIn(object, "a", [1, 0])).toBe(object);
+  expect(reindexIn({}, "a", [1, 0])).toEqual({});
+});
@@ -0,0 +1,24 @@
+import { unsetIn } from "../unsetIn";
+
+test("unsetIn", () => {
+  expect(unsetIn({ a: "a", b: "b" }, "a")).toEqual({ b: "b" });
+  expect(unsetIn({ a: { b: "b", c: "c" } }, ["a", "b"])).toEqual({
+    a: { c: "c" },
+  });
+});
+
+test("unsetIn removes empty parents", () => {
+  expect(unsetIn({ a: { b: "b" }, c: "c" }, ["a", "b"])).toEqual({ c: "c" });
+  expect(unsetIn({ a: [{ b: "b" }] }, ["a", 0, "b"])).toEqual({});
+});
+
+test("unsetIn keeps array indices", () => {
+  expect(unsetIn({ a: ["b", "c"] }, ["a", 0])).toEqual({
+    a: [undefined, "c"],
+  });
+});
+
+test("unsetIn with missing path", () => {
+  const object = { a: "a" };
+  expect(unsetIn(object, ["b", "c"])).toBe(object);
+});
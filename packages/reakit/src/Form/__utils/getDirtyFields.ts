@@ -0,0 +1,38 @@
+import { isPlainObject } from "reakit-utils/isPlainObject";
+import { DeepMap, DeepPartial } from "./types";
+
+function isContainer(value: any): value is Record<any, any> {
+  return isPlainObject(value) || Array.isArray(value);
+}
+
+/**
+ * Returns an object with the same shape as `values` with `true` for every
+ * field whose value is different from the one in `initialValues`.
+ */
+export function getDirtyFields<V>(
+  values: V,
+  initialValues: V
+): DeepPartial<DeepMap<V, boolean>> {
+  const typedValues = values as any;
+  const typedInitialValues = initialValues as any;
+  const result: Record<any, any> = Array.isArray(values) ? [] : {};
+  const keys = new Set([
+    ...Object.keys(values || {}),
+    ...Object.keys(initialValues || {}),
+  ]);
+
+  keys.forEach((key) => {
+    const value = typedValues?.[key];
+    const initialValue = typedInitialValues?.[key];
+    if (isContainer(value)) {
+      const dirty = getDirtyFields(value, initialValue);
+      if (Object.keys(dirty).length) {
+        result[key] = dirty;
+      }
+    } else if (value !== initialValue) {
+      result[key] = true;
+    }
+  });
+
+  return result as DeepPartial<DeepMap<V, boolean>>;
+}
@@ -0,0 +1,19 @@
+import { isPlainObject } from "reakit-utils/isPlainObject";
+
+/**
+ * Picks the values of dirty fields. Arrays are picked as a whole if any of
+ * their items is dirty.
+ */
+export function getDirtyValues<T>(values: T, dirtyFields: any): Partial<T> {
+  const result = {} as Record<any, any>;
+  const typedValues = values as Record<any, any>;
+
+  Object.keys(dirtyFields).forEach((key) => {
+    const value = typedValues[key];
+    result[key] = isPlainObject(value)
+      ? getDirtyValues(value, dirtyFields[key])
+      : value;
+  });
+
+  return result as Partial<T>;
+}
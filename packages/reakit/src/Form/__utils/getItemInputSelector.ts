@@ -0,0 +1,16 @@
+import { toArray } from "reakit-utils/toArray";
+import { getInputId } from "./getInputId";
+
+/**
+ * Returns a selector that matches the inputs of `form.values[name][index]`,
+ * either when the item is a value itself or an object with nested fields.
+ */
+export function getItemInputSelector(
+  name: any,
+  index: number,
+  baseId: string | undefined
+) {
+  const inputId = getInputId([...toArray(name), index], baseId);
+  if (!inputId) return undefined;
+  return `[id="${inputId}"], [id^="${inputId}-"]`;
+}
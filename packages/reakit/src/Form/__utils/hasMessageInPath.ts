@@ -0,0 +1,17 @@
+import { isObject } from "reakit-utils/isObject";
+import { toArray } from "reakit-utils/toArray";
+import { unstable_getIn } from "../utils/getIn";
+
+/**
+ * Checks whether there's a message at `path` or at any of its ancestors.
+ */
+export function hasMessageInPath(
+  messages: any,
+  path: string | Array<string | number>
+) {
+  const pathArray = (toArray(path) as Array<string | number>).map(String);
+  return pathArray.some((_, index) => {
+    const value = unstable_getIn(messages, pathArray.slice(0, index + 1));
+    return value != null && !isObject(value);
+  });
+}
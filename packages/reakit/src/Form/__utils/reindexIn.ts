@@ -0,0 +1,32 @@
+import { unstable_getIn } from "../utils/getIn";
+import { unstable_setIn } from "../utils/setIn";
+import { hasMessageInPath } from "./hasMessageInPath";
+import { unsetIn } from "./unsetIn";
+
+/**
+ * Re-arranges the array at `path` so that the item at index `i` comes from
+ * `indexes[i]` in the original array. `undefined` indexes result in empty
+ * items. This is used to keep `touched`, `errors` and `messages` in sync with
+ * array values.
+ */
+export function reindexIn<T>(
+  object: T,
+  path: string | Array<string | number>,
+  indexes: Array<number | undefined>
+): T {
+  // There's a message for the array itself or one of its ancestors
+  if (hasMessageInPath(object, path)) return object;
+  const array = unstable_getIn(object, path as any);
+  if (!Array.isArray(array)) return object;
+  const result = indexes.map((index) =>
+    index === undefined ? undefined : array[index]
+  );
+  // Trailing empty items are dropped
+  while (result.length && result[result.length - 1] === undefined) {
+    result.pop();
+  }
+  if (!result.length) {
+    return unsetIn(object, path);
+  }
+  return unstable_setIn(object, path as any, result);
+}
@@ -0,0 +1,27 @@
+import { toArray } from "reakit-utils/toArray";
+import { isInteger } from "reakit-utils/isInteger";
+import { unstable_getIn } from "../utils/getIn";
+import { unstable_setIn } from "../utils/setIn";
+
+/**
+ * Sets `message` at `path` in a messages-like object, such as `errors` or
+ * `touched`. `unstable_setIn` appends new array items, so arrays are padded
+ * first to keep the message at the same index as the value.
+ */
+export function setMessage(
+  messages: any,
+  path: string | Array<string | number>,
+  message: any
+) {
+  const pathArray = (toArray(path) as Array<string | number>).map(String);
+  const result = pathArray.reduce((acc, key, index) => {
+    if (!index || !isInteger(key)) return acc;
+    const parentPath = pathArray.slice(0, index);
+    const array = unstable_getIn(acc, parentPath, []);
+    const length = Number(key);
+    if (array.length >= length) return acc;
+    const padding = Array.from({ length: length - array.length });
+    return unstable_setIn(acc, parentPath, [...array, ...padding]);
+  }, messages);
+  return unstable_setIn(result, pathArray, message);
+}
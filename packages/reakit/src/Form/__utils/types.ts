@@ -153,3 +153,11 @@ export type DeepPartial<T> = {
     ? ReadonlyArray<DeepPartial<U>>
     : DeepPartial<T[P]>;
 };
+
+/**
+ * A validation issue reported by a schema
+ */
+export type SchemaIssue = {
+  path: Array<string | number>;
+  message: string;
+};
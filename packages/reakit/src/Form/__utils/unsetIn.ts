@@ -0,0 +1,33 @@
+import { toArray } from "reakit-utils/toArray";
+import { isObject } from "reakit-utils/isObject";
+import { isEmpty } from "reakit-utils/isEmpty";
+
+function isEmptyValue(value: any) {
+  return value === undefined || (isObject(value) && isEmpty(value));
+}
+
+/**
+ * Removes the value at `path`. Objects and arrays left empty are removed as
+ * well so the result can be checked with `hasMessages`. Array items are set
+ * to `undefined` instead of being spliced so the indices are kept.
+ */
+export function unsetIn<T>(
+  object: T,
+  path: string | Array<string | number>
+): T {
+  const [key, ...keys] = toArray(path) as Array<string | number>;
+  const typedObject = object as any;
+
+  if (key == null || !isObject(object) || !(key in object)) return object;
+
+  const value = keys.length ? unsetIn(typedObject[key], keys) : undefined;
+
+  if (Array.isArray(object)) {
+    const array = object.slice();
+    array[Number(key)] = isEmptyValue(value) ? undefined : value;
+    return (array.every((item) => item === undefined) ? [] : array) as any;
+  }
+
+  const { [key]: _, ...rest } = typedObject;
+  return isEmptyValue(value) ? rest : { ...rest, [key]: value };
+}
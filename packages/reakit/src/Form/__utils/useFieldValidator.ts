@@ -0,0 +1,45 @@
+import * as React from "react";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { unstable_FormFieldValidator } from "../FormState";
+import { formatInputName } from "./formatInputName";
+
+type FieldValidatorOptions = {
+  name: any;
+  unstable_validate?: unstable_FormFieldValidator<any, any>;
+  unstable_validateDebounce?: number;
+  unstable_registerValidator?: (
+    name: any,
+    validator: unstable_FormFieldValidator<any, any>,
+    debounce?: number
+  ) => () => void;
+};
+
+/**
+ * Registers `options.unstable_validate` on the form state while the field is
+ * mounted.
+ */
+export function useFieldValidator(options: FieldValidatorOptions) {
+  const validateRef = useLiveRef(options.unstable_validate);
+  const hasValidator = !!options.unstable_validate;
+  const {
+    name,
+    unstable_validateDebounce,
+    unstable_registerValidator,
+  } = options;
+  // Array names may be a new reference on every render
+  const fieldName = formatInputName(name);
+
+  React.useEffect(() => {
+    if (!hasValidator || !unstable_registerValidator) return undefined;
+    return unstable_registerValidator(
+      name,
+      (value, values) => validateRef.current?.(value, values),
+      unstable_validateDebounce
+    );
+  }, [
+    hasValidator,
+    unstable_registerValidator,
+    fieldName,
+    unstable_validateDebounce,
+  ]);
+}
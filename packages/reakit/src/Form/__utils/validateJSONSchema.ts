@@ -0,0 +1,227 @@
+import { isPromise } from "reakit-utils/isPromise";
+import { isPlainObject } from "reakit-utils/isPlainObject";
+import { unstable_FormJSONSchema as FormJSONSchema } from "../utils/validateSchema";
+import { SchemaIssue } from "./types";
+
+type Keyword = Exclude<
+  keyof FormJSONSchema,
+  "properties" | "items" | "errorMessage" | "validator"
+>;
+
+type Context = {
+  values: any;
+  issues: SchemaIssue[];
+  pending: Array<Promise<void>>;
+};
+
+const formats: Record<string, RegExp> = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z\d+\-.]*:[^\s]*$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+};
+
+const defaultMessages: Record<Keyword, (schema: FormJSONSchema) => string> = {
+  type: (schema) => `Must be of type ${schema.type}.`,
+  required: () => "This field is required.",
+  enum: () => "Must be one of the allowed values.",
+  const: () => "Must be equal to the allowed value.",
+  minLength: (schema) => `Must have at least ${schema.minLength} characters.`,
+  maxLength: (schema) => `Must have at most ${schema.maxLength} characters.`,
+  pattern: () => "Invalid format.",
+  format: (schema) => `Must be a valid ${schema.format}.`,
+  minimum: (schema) => `Must be greater than or equal to ${schema.minimum}.`,
+  maximum: (schema) => `Must be less than or equal to ${schema.maximum}.`,
+  exclusiveMinimum: (schema) =>
+    `Must be greater than ${schema.exclusiveMinimum}.`,
+  exclusiveMaximum: (schema) => `Must be less than ${schema.exclusiveMaximum}.`,
+  multipleOf: (schema) => `Must be a multiple of ${schema.multipleOf}.`,
+  minItems: (schema) => `Must have at least ${schema.minItems} items.`,
+  maxItems: (schema) => `Must have at most ${schema.maxItems} items.`,
+};
+
+function getMessage(schema: FormJSONSchema, keyword: Keyword) {
+  const { errorMessage } = schema;
+  if (typeof errorMessage === "string") {
+    return errorMessage;
+  }
+  return errorMessage?.[keyword] || defaultMessages[keyword](schema);
+}
+
+function isEmptyValue(value: any) {
+  return value == null || value === "";
+}
+
+// Form inputs always store strings, so numeric strings are accepted as
+// numbers.
+function toNumber(value: any) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isNaN(number) ? undefined : number;
+  }
+  return undefined;
+}
+
+function matchesType(type: FormJSONSchema["type"], value: any) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return toNumber(value) !== undefined;
+    case "integer": {
+      const number = toNumber(value);
+      return number !== undefined && Number.isInteger(number);
+    }
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+}
+
+function validateNode(
+  schema: FormJSONSchema,
+  value: any,
+  path: Array<string | number>,
+  context: Context
+) {
+  const addIssue = (keyword: Keyword) => {
+    context.issues.push({ path, message: getMessage(schema, keyword) });
+  };
+
+  // Empty optional fields are valid. Required fields are checked by their
+  // parent schema.
+  if (isEmptyValue(value)) return;
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    addIssue("type");
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addIssue("enum");
+    return;
+  }
+
+  if ("const" in schema && schema.const !== value) {
+    addIssue("const");
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      addIssue("minLength");
+      return;
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      addIssue("maxLength");
+      return;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      addIssue("pattern");
+      return;
+    }
+    if (schema.format && formats[schema.format]?.test(value) === false) {
+      addIssue("format");
+      return;
+    }
+  }
+
+  const number =
+    schema.type === "number" || schema.type === "integer"
+      ? toNumber(value)
+      : undefined;
+
+  if (number !== undefined) {
+    if (schema.minimum != null && number < schema.minimum) {
+      addIssue("minimum");
+      return;
+    }
+    if (schema.maximum != null && number > schema.maximum) {
+      addIssue("maximum");
+      return;
+    }
+    if (schema.exclusiveMinimum != null && number <= schema.exclusiveMinimum) {
+      addIssue("exclusiveMinimum");
+      return;
+    }
+    if (schema.exclusiveMaximum != null && number >= schema.exclusiveMaximum) {
+      addIssue("exclusiveMaximum");
+      return;
+    }
+    if (schema.multipleOf != null && number % schema.multipleOf !== 0) {
+      addIssue("multipleOf");
+      return;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      addIssue("minItems");
+      return;
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      addIssue("maxItems");
+      return;
+    }
+    if (schema.items) {
+      const { items } = schema;
+      value.forEach((item, index) => {
+        validateNode(items, item, [...path, index], context);
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const object = value as Record<string, any>;
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    required.forEach((key) => {
+      if (isEmptyValue(object[key])) {
+        context.issues.push({
+          path: [...path, key],
+          message: getMessage(properties[key] || {}, "required"),
+        });
+      }
+    });
+    Object.keys(properties).forEach((key) => {
+      if (required.includes(key) && isEmptyValue(object[key])) return;
+      validateNode(properties[key], object[key], [...path, key], context);
+    });
+  }
+
+  if (schema.validator) {
+    const result = schema.validator(value, context.values);
+    const addMessage = (message?: string | null | void) => {
+      if (message) {
+        context.issues.push({ path, message });
+      }
+    };
+    if (typeof result === "string" || result == null) {
+      addMessage(result);
+    } else if (isPromise(result)) {
+      context.pending.push(result.then(addMessage));
+    }
+  }
+}
+
+/**
+ * Validates `values` against a JSON Schema document and returns the list of
+ * issues. If the schema has asynchronous `validator` rules, a promise is
+ * returned instead.
+ */
+export function validateJSONSchema(
+  schema: FormJSONSchema,
+  values: any
+): SchemaIssue[] | Promise<SchemaIssue[]> {
+  const context: Context = { values, issues: [], pending: [] };
+  validateNode(schema, values, [], context);
+  if (context.pending.length) {
+    return Promise.all(context.pending).then(() => context.issues);
+  }
+  return context.issues;
+}
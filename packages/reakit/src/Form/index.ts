@@ -2,11 +2,17 @@ export * from "./Form";
 export * from "./FormCheckbox";
 export * from "./FormGroup";
 export * from "./FormInput";
+export * from "./FormInsertButton";
 export * from "./FormLabel";
 export * from "./FormMessage";
+export * from "./FormMoveButton";
 export * from "./FormPushButton";
 export * from "./FormRadio";
 export * from "./FormRadioGroup";
 export * from "./FormRemoveButton";
+export * from "./FormReplaceButton";
+export * from "./FormSlider";
+export * from "./FormSliderThumb";
 export * from "./FormState";
 export * from "./FormSubmitButton";
+export * from "./FormSwapButton";
@@ -0,0 +1,151 @@
+import {
+  unstable_validateSchema,
+  unstable_FormJSONSchema,
+  unstable_FORM_ERROR_KEY,
+} from "../validateSchema";
+
+const jsonSchema: unstable_FormJSONSchema = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: {
+      type: "string",
+      minLength: 2,
+      errorMessage: { required: "Name is required" },
+    },
+    age: { type: "integer", minimum: 18 },
+    email: { type: "string", format: "email" },
+    friends: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" } },
+      },
+    },
+  },
+};
+
+test("validateSchema with valid JSON Schema values", () => {
+  expect(
+    unstable_validateSchema(jsonSchema, { name: "John", age: "20" })
+  ).toBeUndefined();
+});
+
+test("validateSchema with invalid JSON Schema values", () => {
+  let errors;
+  try {
+    unstable_validateSchema(jsonSchema, {
+      name: "",
+      age: "17",
+      email: "john",
+      friends: [{ name: "Jane" }, { name: "" }],
+    });
+  } catch (e) {
+    errors = e;
+  }
+  expect(errors).toEqual({
+    name: "Name is required",
+    age: "Must be greater than or equal to 18.",
+    email: "Must be a valid email.",
+    friends: [undefined, { name: "This field is required." }],
+  });
+});
+
+test("validateSchema with async JSON Schema validator", async () => {
+  const schema: unstable_FormJSONSchema = {
+    type: "object",
+    properties: {
+      username: {
+        type: "string",
+        validator: (value) =>
+          Promise.resolve(value === "taken" ? "Username is taken" : null),
+      },
+    },
+  };
+  await expect(
+    unstable_validateSchema(schema, { username: "free" })
+  ).resolves.toBeUndefined();
+  await expect(
+    unstable_validateSchema(schema, { username: "taken" })
+  ).rejects.toEqual({ username: "Username is taken" });
+});
+
+test("validateSchema with Yup-like schema", async () => {
+  const schema = {
+    validate: () =>
+      Promise.reject(
+        Object.assign(new Error("2 errors occurred"), {
+          inner: [
+            { path: "name", message: "Name is required" },
+            { path: "friends[1].name", message: "Friend name is required" },
+          ],
+        })
+      ),
+  };
+  await expect(unstable_validateSchema(schema, {})).rejects.toEqual({
+    name: "Name is required",
+    friends: [undefined, { name: "Friend name is required" }],
+  });
+});
+
+test("validateSchema with Yup-like schema errors without a path", async () => {
+  const schema = {
+    validate: () =>
+      Promise.reject(
+        Object.assign(new Error("Passwords must match"), {
+          name: "ValidationError",
+          inner: [
+            { path: undefined, message: "Passwords must match" },
+            { path: "name", message: "Name is required" },
+          ],
+        })
+      ),
+  };
+  await expect(unstable_validateSchema(schema, {})).rejects.toEqual({
+    [unstable_FORM_ERROR_KEY]: "Passwords must match",
+    name: "Name is required",
+  });
+});
+
+test("validateSchema rethrows exceptions of Yup-like schemas", async () => {
+  const error = new TypeError("Cannot read property 'length' of undefined");
+  const schema = { validate: () => Promise.reject(error) };
+  await expect(unstable_validateSchema(schema, {})).rejects.toBe(error);
+});
+
+test("validateSchema with Zod-like schema", async () => {
+  const schema = {
+    safeParseAsync: () =>
+      Promise.resolve({
+        success: false,
+        error: {
+          issues: [
+            { path: ["name"], message: "Name is required" },
+            { path: ["name"], message: "Name is too short" },
+            {
+              path: ["friends", 0, "name"],
+              message: "Friend name is required",
+            },
+          ],
+        },
+      }),
+  };
+  await expect(unstable_validateSchema(schema, {})).rejects.toEqual({
+    name: "Name is required",
+    friends: [{ name: "Friend name is required" }],
+  });
+});
+
+test("validateSchema with Zod-like schema issues without a path", async () => {
+  const schema = {
+    safeParseAsync: () =>
+      Promise.resolve({
+        success: false,
+        error: { issues: [{ path: [], message: "Passwords must match" }] },
+      }),
+  };
+  await expect(unstable_validateSchema(schema, {})).rejects.toEqual({
+    [unstable_FORM_ERROR_KEY]: "Passwords must match",
+  });
+});
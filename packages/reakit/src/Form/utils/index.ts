@@ -1,3 +1,4 @@
 export * from "./getIn";
 export * from "./setAllIn";
 export * from "./setIn";
+export * from "./validateSchema";
@@ -0,0 +1,177 @@
+import { isPromise } from "reakit-utils/isPromise";
+import { SchemaIssue } from "../__utils/types";
+import { validateJSONSchema } from "../__utils/validateJSONSchema";
+import { setMessage } from "../__utils/setMessage";
+import { hasMessageInPath } from "../__utils/hasMessageInPath";
+import { unstable_getIn } from "./getIn";
+
+type JSONSchemaType =
+  | "string"
+  | "number"
+  | "integer"
+  | "boolean"
+  | "array"
+  | "object";
+
+type JSONSchemaFormat = "email" | "uri" | "date";
+
+/**
+ * A subset of the [JSON Schema](https://json-schema.org/) specification.
+ * Numeric strings are accepted as numbers, and empty strings are considered
+ * missing values.
+ */
+export type unstable_FormJSONSchema = {
+  type?: JSONSchemaType;
+  properties?: Record<string, unstable_FormJSONSchema>;
+  required?: string[];
+  items?: unstable_FormJSONSchema;
+  enum?: any[];
+  const?: any;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  format?: JSONSchemaFormat;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
+  minItems?: number;
+  maxItems?: number;
+  /**
+   * Custom error messages. Either a single message for any failing keyword or
+   * an object with a message per keyword. The `required` message is read from
+   * the schema of the missing property.
+   */
+  errorMessage?: string | Partial<Record<string, string>>;
+  /**
+   * A custom rule that receives the field value and all the form values and
+   * returns an error message. It can also return a promise for asynchronous
+   * validation.
+   */
+  validator?: (
+    value: any,
+    values: any
+  ) => string | null | void | Promise<string | null | void>;
+};
+
+/**
+ * Any object with a [Yup](https://github.com/jquense/yup)-like `validate`
+ * method that rejects with an error containing `inner` errors.
+ */
+export type unstable_FormYupLikeSchema = {
+  validate: (values: any, options?: { abortEarly?: boolean }) => Promise<any>;
+};
+
+/**
+ * Any object with a [Zod](https://github.com/colinhacks/zod)-like
+ * `safeParseAsync` method.
+ */
+export type unstable_FormZodLikeSchema = {
+  safeParseAsync: (
+    values: any
+  ) => Promise<{
+    success: boolean;
+    error?: { issues: SchemaIssue[] };
+  }>;
+};
+
+/**
+ * Key of `form.errors` under which errors that don't belong to any field are
+ * stored, such as the ones of a Yup `test` on the whole schema.
+ */
+export const unstable_FORM_ERROR_KEY = "$form";
+
+export type unstable_FormSchema =
+  | unstable_FormJSONSchema
+  | unstable_FormYupLikeSchema
+  | unstable_FormZodLikeSchema;
+
+function isZodLikeSchema(schema: any): schema is unstable_FormZodLikeSchema {
+  return typeof schema?.safeParseAsync === "function";
+}
+
+function isYupLikeSchema(schema: any): schema is unstable_FormYupLikeSchema {
+  return typeof schema?.validate === "function";
+}
+
+// "friends[0].name" -> ["friends", "0", "name"]
+function parsePath(path?: string) {
+  if (!path) return [];
+  return path
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+}
+
+// Anything else that rejects `validate`, like a TypeError thrown within a
+// test, is a bug rather than a validation error.
+function isYupLikeValidationError(error: any) {
+  return error?.name === "ValidationError" || Array.isArray(error?.inner);
+}
+
+function getYupIssues(error: any): SchemaIssue[] {
+  const errors = error?.inner?.length ? error.inner : [error];
+  return errors.map((err: any) => ({
+    path: parsePath(err.path),
+    message: err.message,
+  }));
+}
+
+function getErrors(issues: SchemaIssue[]) {
+  return issues.reduce((errors, { path, message }) => {
+    // Errors without a path are about the whole form.
+    const fieldPath = path.length ? path : [unstable_FORM_ERROR_KEY];
+    // Keeps the first message for each field and ignores messages whose
+    // ancestor field already has one.
+    if (hasMessageInPath(errors, fieldPath)) return errors;
+    if (unstable_getIn(errors, fieldPath) != null) return errors;
+    return setMessage(errors, fieldPath, message);
+  }, {} as Record<any, any>);
+}
+
+function throwErrors(issues: SchemaIssue[]) {
+  if (issues.length) {
+    throw getErrors(issues);
+  }
+}
+
+/**
+ * Validates `values` against a JSON Schema document or a Yup/Zod-like schema.
+ * It has the same signature as `onValidate`: it throws (or rejects with) an
+ * object with the same shape as `values` containing error messages. Errors
+ * that don't belong to any field are stored under `unstable_FORM_ERROR_KEY`.
+ * Exceptions that aren't validation errors are rethrown as is.
+ *
+ * @example
+ * const form = useFormState({
+ *   values: { name: "" },
+ *   onValidate: (values) => unstable_validateSchema(schema, values),
+ * });
+ */
+export function unstable_validateSchema(
+  schema: unstable_FormSchema,
+  values: any
+): void | Promise<void> {
+  if (isZodLikeSchema(schema)) {
+    return schema.safeParseAsync(values).then((result) => {
+      if (!result.success) {
+        throwErrors(result.error?.issues || []);
+      }
+    });
+  }
+  if (isYupLikeSchema(schema)) {
+    return schema.validate(values, { abortEarly: false }).then(
+      () => undefined,
+      (error) => {
+        if (!isYupLikeValidationError(error)) throw error;
+        throwErrors(getYupIssues(error));
+      }
+    );
+  }
+  const issues = validateJSONSchema(schema, values);
+  if (isPromise(issues)) {
+    return issues.then(throwErrors);
+  }
+  return throwErrors(issues);
+}
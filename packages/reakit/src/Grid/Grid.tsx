@@ -1,20 +1,48 @@
+import * as React from "react";
 import { useWarning } from "reakit-warning";
 import { createComponent } from "reakit-system/createComponent";
 import { useCreateElement } from "reakit-system/useCreateElement";
 import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
 import {
   CompositeOptions,
   CompositeHTMLProps,
   useComposite,
 } from "../Composite/Composite";
+import { unstable_GridStateReturn } from "./GridState";
+import { Item } from "./__utils/types";
 import { GRID_KEYS } from "./__keys";
 
-export type unstable_GridOptions = CompositeOptions;
+export type unstable_GridOptions = CompositeOptions &
+  Pick<
+    Partial<unstable_GridStateReturn>,
+    "selectionMode" | "multiple" | "selectRange"
+  >;
 
 export type unstable_GridHTMLProps = CompositeHTMLProps;
 
 export type unstable_GridProps = unstable_GridOptions & unstable_GridHTMLProps;
 
+const navigationKeys = [
+  "ArrowUp",
+  "ArrowRight",
+  "ArrowDown",
+  "ArrowLeft",
+  "Home",
+  "End",
+  "PageUp",
+  "PageDown",
+];
+
+function getSelectionId(
+  items: Item[],
+  selectionMode: "row" | "cell",
+  id?: string | null
+) {
+  if (!id || selectionMode === "cell") return id;
+  return items.find((item) => item.id === id)?.groupId;
+}
+
 export const unstable_useGrid = createHook<
   unstable_GridOptions,
   unstable_GridHTMLProps
@@ -23,8 +51,61 @@ export const unstable_useGrid = createHook<
   compose: useComposite,
   keys: GRID_KEYS,
 
-  useProps(_, htmlProps) {
-    return { role: "grid", ...htmlProps };
+  useProps(
+    options,
+    { onKeyDown: htmlOnKeyDown, onKeyUp: htmlOnKeyUp, ...htmlProps }
+  ) {
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const onKeyUpRef = useLiveRef(htmlOnKeyUp);
+    // The row or cell where the current Shift+Arrow selection started
+    const anchorIdRef = React.useRef<string | null>(null);
+    const shouldExtendSelection = React.useRef(false);
+    const canSelectRange = !!options.selectionMode && !!options.multiple;
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (!canSelectRange || !navigationKeys.includes(event.key)) return;
+        if (!event.shiftKey) {
+          anchorIdRef.current = null;
+          return;
+        }
+        // Grid cells handle navigation keys, so the selection is extended
+        // once focus has moved to the next cell.
+        const id = getSelectionId(
+          options.items as Item[],
+          options.selectionMode as "row" | "cell",
+          options.currentId
+        );
+        if (!anchorIdRef.current && id) {
+          anchorIdRef.current = id;
+        }
+        shouldExtendSelection.current = true;
+      },
+      [canSelectRange, options.items, options.selectionMode, options.currentId]
+    );
+
+    const onKeyUp = React.useCallback((event: React.KeyboardEvent) => {
+      onKeyUpRef.current?.(event);
+      // If focus hasn't moved (for example, on the last row), the selection
+      // shouldn't be extended on the next move.
+      shouldExtendSelection.current = false;
+    }, []);
+
+    React.useEffect(() => {
+      if (!shouldExtendSelection.current) return;
+      shouldExtendSelection.current = false;
+      const id = getSelectionId(
+        options.items as Item[],
+        options.selectionMode as "row" | "cell",
+        options.currentId
+      );
+      if (id && anchorIdRef.current) {
+        options.selectRange?.(id, anchorIdRef.current);
+      }
+    }, [options.unstable_moves]);
+
+    return { role: "grid", onKeyDown, onKeyUp, ...htmlProps };
   },
 });
 
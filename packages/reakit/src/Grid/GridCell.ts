@@ -1,14 +1,20 @@
 import * as React from "react";
 import { createComponent } from "reakit-system/createComponent";
 import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
 import {
   CompositeItemOptions,
   CompositeItemHTMLProps,
   useCompositeItem,
 } from "../Composite/CompositeItem";
+import { unstable_GridStateReturn } from "./GridState";
 import { GRID_CELL_KEYS } from "./__keys";
 
-export type unstable_GridCellOptions = CompositeItemOptions;
+export type unstable_GridCellOptions = CompositeItemOptions &
+  Pick<
+    Partial<unstable_GridStateReturn>,
+    "selectionMode" | "selectedIds" | "select" | "selectRange"
+  >;
 
 export type unstable_GridCellHTMLProps = CompositeItemHTMLProps &
   React.TdHTMLAttributes<any>;
@@ -16,6 +22,10 @@ export type unstable_GridCellHTMLProps = CompositeItemHTMLProps &
 export type unstable_GridCellProps = unstable_GridCellOptions &
   unstable_GridCellHTMLProps;
 
+function getWidget(cellElement: Element) {
+  return cellElement.querySelector<HTMLElement>("[data-composite-item-widget]");
+}
+
 export const unstable_useGridCell = createHook<
   unstable_GridCellOptions,
   unstable_GridCellHTMLProps
@@ -24,8 +34,72 @@ export const unstable_useGridCell = createHook<
   compose: useCompositeItem,
   keys: GRID_CELL_KEYS,
 
-  useProps(_, htmlProps) {
-    return { role: "gridcell", ...htmlProps };
+  useProps(
+    options,
+    { onClick: htmlOnClick, onKeyDown: htmlOnKeyDown, ...htmlProps }
+  ) {
+    const onClickRef = useLiveRef(htmlOnClick);
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const item = options.items?.find((i) => i.id === options.id);
+    const selectionId =
+      options.selectionMode === "row" ? item?.groupId : options.id;
+
+    const select = React.useCallback(
+      (range: boolean) => {
+        if (!options.selectionMode || !selectionId) return;
+        if (range) {
+          options.selectRange?.(selectionId);
+        } else {
+          options.select?.(selectionId);
+        }
+      },
+      [options.selectionMode, selectionId, options.selectRange, options.select]
+    );
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        // Clicks on the widget of a cell in edit mode don't change selection
+        const widget = getWidget(event.currentTarget);
+        if (widget?.contains(event.target as Node)) return;
+        select(event.shiftKey);
+      },
+      [select]
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (event.key === " " && options.selectionMode) {
+          // Prevents the click that would enter edit mode
+          event.preventDefault();
+          select(event.shiftKey);
+        } else if (event.key === "Enter" || event.key === "F2") {
+          const widget = getWidget(event.currentTarget);
+          if (widget) {
+            // Enters edit mode without selecting the cell. Escape leaves it.
+            event.preventDefault();
+            widget.focus();
+          }
+        }
+      },
+      [options.selectionMode, select]
+    );
+
+    return {
+      role: "gridcell",
+      // In virtual mode, CompositeItem sets aria-selected on the current
+      // item, which is only overridden if cells are selectable.
+      ...(options.selectionMode === "cell" && {
+        "aria-selected":
+          !!options.id && !!options.selectedIds?.includes(options.id),
+      }),
+      onClick,
+      onKeyDown,
+      ...htmlProps,
+    };
   },
 });
 
@@ -0,0 +1,80 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import {
+  CompositeItemOptions,
+  CompositeItemHTMLProps,
+  useCompositeItem,
+} from "../Composite/CompositeItem";
+import { unstable_GridStateReturn } from "./GridState";
+import { Item } from "./__utils/types";
+import { GRID_COLUMN_HEADER_KEYS } from "./__keys";
+
+export type unstable_GridColumnHeaderOptions = CompositeItemOptions &
+  Pick<Partial<unstable_GridStateReturn>, "sortDescriptor" | "toggleSort"> &
+  Pick<unstable_GridStateReturn, "registerItem"> & {
+    /**
+     * Key of the column. If it's passed, the column is sortable: clicking on
+     * the header, or pressing <kbd>Enter</kbd> or <kbd>Space</kbd> while it
+     * has focus, calls `toggleSort` with it.
+     */
+    column?: string;
+  };
+
+export type unstable_GridColumnHeaderHTMLProps = CompositeItemHTMLProps &
+  React.ThHTMLAttributes<any>;
+
+export type unstable_GridColumnHeaderProps = unstable_GridColumnHeaderOptions &
+  unstable_GridColumnHeaderHTMLProps;
+
+export const unstable_useGridColumnHeader = createHook<
+  unstable_GridColumnHeaderOptions,
+  unstable_GridColumnHeaderHTMLProps
+>({
+  name: "GridColumnHeader",
+  compose: useCompositeItem,
+  keys: GRID_COLUMN_HEADER_KEYS,
+
+  useOptions(options) {
+    // Column headers are registered so selection ranges can leave the
+    // header row out.
+    const registerItem = React.useCallback(
+      (item: Item) => options.registerItem({ ...item, columnHeader: true }),
+      [options.registerItem]
+    );
+    return { ...options, registerItem };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const onClickRef = useLiveRef(htmlOnClick);
+    const { column } = options;
+    const sortDirection =
+      column != null && options.sortDescriptor?.column === column
+        ? options.sortDescriptor.direction
+        : undefined;
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (column == null) return;
+        options.toggleSort?.(column);
+      },
+      [column, options.toggleSort]
+    );
+
+    return {
+      role: "columnheader",
+      "aria-sort": sortDirection,
+      onClick,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_GridColumnHeader = createComponent({
+  as: "span",
+  memo: true,
+  useHook: unstable_useGridColumnHeader,
+});
@@ -5,15 +5,22 @@ import {
   CompositeGroupHTMLProps,
   useCompositeGroup,
 } from "../Composite/CompositeGroup";
+import { unstable_GridStateReturn } from "./GridState";
+import { Item } from "./__utils/types";
 import { GRID_ROW_KEYS } from "./__keys";
 
-export type unstable_GridRowOptions = CompositeGroupOptions;
+export type unstable_GridRowOptions = CompositeGroupOptions &
+  Pick<Partial<unstable_GridStateReturn>, "selectionMode" | "selectedIds">;
 
 export type unstable_GridRowHTMLProps = CompositeGroupHTMLProps;
 
 export type unstable_GridRowProps = unstable_GridRowOptions &
   unstable_GridRowHTMLProps;
 
+function isHeaderRow(items: Item[] | undefined, id?: string) {
+  return !!items?.some((item) => item.groupId === id && item.columnHeader);
+}
+
 export const unstable_useGridRow = createHook<
   unstable_GridRowOptions,
   unstable_GridRowHTMLProps
@@ -22,8 +29,17 @@ export const unstable_useGridRow = createHook<
   compose: useCompositeGroup,
   keys: GRID_ROW_KEYS,
 
-  useProps(_, htmlProps) {
-    return { role: "row", ...htmlProps };
+  useProps(options, htmlProps) {
+    const isSelectable =
+      options.selectionMode === "row" &&
+      !isHeaderRow(options.items, options.id);
+    return {
+      role: "row",
+      "aria-selected": isSelectable
+        ? !!options.id && !!options.selectedIds?.includes(options.id)
+        : undefined,
+      ...htmlProps,
+    };
   },
 });
 
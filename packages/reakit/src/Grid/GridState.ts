@@ -1,19 +1,129 @@
+import * as React from "react";
 import {
   SealedInitialState,
   useSealedState,
 } from "reakit-utils/useSealedState";
+import { SetState } from "reakit-utils/types";
 import {
   useCompositeState,
   CompositeState,
   CompositeActions,
   CompositeInitialState,
 } from "../Composite/CompositeState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
+import { Item } from "./__utils/types";
+import { getSelectionRange } from "./__utils/getSelectionRange";
+
+export type unstable_GridSortDirection = "ascending" | "descending";
 
-export type unstable_GridState = CompositeState;
+export type unstable_GridSortDescriptor = {
+  /**
+   * The `column` of the sorted `GridColumnHeader`.
+   */
+  column: string;
+  direction: unstable_GridSortDirection;
+};
+
+function toggleId(ids: string[], id: string) {
+  if (ids.includes(id)) {
+    return ids.filter((i) => i !== id);
+  }
+  return [...ids, id];
+}
 
-export type unstable_GridActions = CompositeActions;
+export type unstable_GridState = Omit<CompositeState, "items"> & {
+  /**
+   * Lists all the grid cells with their `id`, DOM `ref`, `disabled` state,
+   * `groupId` (the id of their row) and whether they're column headers.
+   */
+  items: Item[];
+  /**
+   * Enables selection of whole rows or single cells. Selected rows or cells
+   * get `aria-selected="true"`. If it's not set, nothing can be selected.
+   */
+  selectionMode?: "row" | "cell";
+  /**
+   * Whether multiple rows or cells can be selected.
+   * @default false
+   */
+  multiple: boolean;
+  /**
+   * Ids of the selected rows or cells, depending on `selectionMode`. If
+   * `multiple` is `false`, it has at most one id.
+   * @default []
+   */
+  selectedIds: string[];
+  /**
+   * The sorted column and its direction.
+   * @default null
+   * @example
+   * const grid = useGridState({
+   *   sortDescriptor: { column: "name", direction: "ascending" },
+   * });
+   */
+  sortDescriptor: unstable_GridSortDescriptor | null;
+  /**
+   * Id of the cell that is in edit mode, that is, whose
+   * `CompositeItemWidget` has focus.
+   */
+  editingId: string | null;
+};
 
-export type unstable_GridInitialState = CompositeInitialState;
+export type unstable_GridActions = Omit<CompositeActions, "registerItem"> & {
+  /**
+   * Registers a grid cell.
+   */
+  registerItem: (item: Item) => void;
+  /**
+   * Sets `selectedIds`.
+   */
+  setSelectedIds: SetState<unstable_GridState["selectedIds"]>;
+  /**
+   * Selects the row or cell with the given `id`. If `multiple` is `true`, it
+   * toggles the id in `selectedIds` instead.
+   */
+  select: (id: string) => void;
+  /**
+   * Selects all the rows or cells between `anchorId` and `id`, replacing the
+   * current selection. If `anchorId` isn't passed, the last id passed to
+   * `select` is used. If `multiple` is `false`, only `id` is selected.
+   */
+  selectRange: (id: string, anchorId?: string) => void;
+  /**
+   * Sets `sortDescriptor`.
+   */
+  setSortDescriptor: SetState<unstable_GridState["sortDescriptor"]>;
+  /**
+   * Sorts by `column` in ascending order. If it's already the sorted column,
+   * the sort direction is reversed.
+   */
+  toggleSort: (column: string) => void;
+};
+
+export type unstable_GridInitialState = CompositeInitialState &
+  Pick<
+    Partial<unstable_GridState>,
+    "selectionMode" | "multiple" | "selectedIds" | "sortDescriptor"
+  > & {
+    /**
+     * Makes `selectedIds` controlled. When passed, `selectedIds` is read on
+     * every render instead of only on the first one, and this function is
+     * called with the next value whenever the selection would change.
+     */
+    setSelectedIds?: (selectedIds: string[]) => void;
+    /**
+     * Makes `sortDescriptor` controlled. When passed, `sortDescriptor` is
+     * read on every render instead of only on the first one, and this
+     * function is called with the next value whenever the sorting would
+     * change.
+     */
+    setSortDescriptor?: (
+      sortDescriptor: unstable_GridState["sortDescriptor"]
+    ) => void;
+  };
 
 export type unstable_GridStateReturn = unstable_GridState &
   unstable_GridActions;
@@ -21,6 +131,93 @@ export type unstable_GridStateReturn = unstable_GridState &
 export function unstable_useGridState(
   initialState: SealedInitialState<unstable_GridInitialState> = {}
 ): unstable_GridStateReturn {
-  const sealed = useSealedState(initialState);
-  return useCompositeState(sealed);
+  const sealedState = useSealedState(initialState);
+  const {
+    selectionMode,
+    multiple = false,
+    selectedIds: initialSelectedIds = [],
+    sortDescriptor: initialSortDescriptor = null,
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  const composite = useCompositeState({
+    ...sealed,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
+
+  const [selectedIds, setSelectedIds] = useControlledState(
+    initialSelectedIds,
+    controlled.selectedIds ?? initialSelectedIds,
+    controlled.setSelectedIds,
+    "selectedIds"
+  );
+
+  const [sortDescriptor, setSortDescriptor] = useControlledState(
+    initialSortDescriptor,
+    controlled.sortDescriptor !== undefined
+      ? controlled.sortDescriptor
+      : initialSortDescriptor,
+    controlled.setSortDescriptor,
+    "sortDescriptor"
+  );
+
+  const items = composite.items as Item[];
+  // The row or cell that range selections start from
+  const anchorIdRef = React.useRef<string | null>(null);
+
+  const select = React.useCallback(
+    (id: string) => {
+      anchorIdRef.current = id;
+      setSelectedIds((prevSelectedIds) =>
+        multiple ? toggleId(prevSelectedIds, id) : [id]
+      );
+    },
+    [multiple, setSelectedIds]
+  );
+
+  const selectRange = React.useCallback(
+    (id: string, anchorId?: string) => {
+      const anchor = anchorId ?? anchorIdRef.current;
+      if (!multiple || !selectionMode || !anchor) {
+        select(id);
+        return;
+      }
+      anchorIdRef.current = anchor;
+      setSelectedIds(getSelectionRange(items, selectionMode, anchor, id));
+    },
+    [multiple, selectionMode, select, setSelectedIds, items]
+  );
+
+  const toggleSort = React.useCallback(
+    (column: string) => {
+      setSortDescriptor((prevSortDescriptor) => ({
+        column,
+        direction:
+          prevSortDescriptor?.column === column &&
+          prevSortDescriptor.direction === "ascending"
+            ? "descending"
+            : "ascending",
+      }));
+    },
+    [setSortDescriptor]
+  );
+
+  return {
+    ...composite,
+    items,
+    selectionMode,
+    multiple,
+    selectedIds,
+    sortDescriptor,
+    editingId: composite.unstable_hasActiveWidget
+      ? composite.currentId ?? null
+      : null,
+    setSelectedIds,
+    select,
+    selectRange,
+    setSortDescriptor,
+    toggleSort,
+  };
 }
@@ -0,0 +1,87 @@
+import * as React from "react";
+import { render, press, click, type, screen } from "reakit-test-utils";
+import DataGrid from "..";
+
+function getNames() {
+  return screen
+    .getAllByRole("row")
+    .slice(1)
+    .map((row) => row.firstChild?.textContent);
+}
+
+function getRow(name: string) {
+  return screen.getByText(name).parentElement;
+}
+
+test("sort columns", () => {
+  render(<DataGrid />);
+  const name = screen.getByText("Name");
+  const age = screen.getByText("Age");
+  expect(name).not.toHaveAttribute("aria-sort");
+  click(name);
+  expect(name).toHaveAttribute("aria-sort", "ascending");
+  expect(getNames()).toEqual(["Ada", "Alan", "Grace", "Linus"]);
+  click(name);
+  expect(name).toHaveAttribute("aria-sort", "descending");
+  expect(getNames()).toEqual(["Linus", "Grace", "Alan", "Ada"]);
+  press.ArrowRight();
+  expect(age).toHaveFocus();
+  press.Enter();
+  expect(name).not.toHaveAttribute("aria-sort");
+  expect(age).toHaveAttribute("aria-sort", "ascending");
+  expect(getNames()).toEqual(["Linus", "Ada", "Alan", "Grace"]);
+});
+
+test("select rows", () => {
+  render(<DataGrid />);
+  expect(getRow("Name")).not.toHaveAttribute("aria-selected");
+  expect(getRow("Ada")).toHaveAttribute("aria-selected", "false");
+  press.Tab();
+  press.ArrowDown();
+  expect(screen.getByText("Ada")).toHaveFocus();
+  press.Space();
+  expect(getRow("Ada")).toHaveAttribute("aria-selected", "true");
+  press.ArrowDown(null, { shiftKey: true });
+  press.ArrowDown(null, { shiftKey: true });
+  expect(screen.getByText("Alan")).toHaveFocus();
+  expect(getRow("Ada")).toHaveAttribute("aria-selected", "true");
+  expect(getRow("Grace")).toHaveAttribute("aria-selected", "true");
+  expect(getRow("Alan")).toHaveAttribute("aria-selected", "true");
+  expect(getRow("Linus")).toHaveAttribute("aria-selected", "false");
+  press.ArrowUp(null, { shiftKey: true });
+  expect(getRow("Alan")).toHaveAttribute("aria-selected", "false");
+  press.ArrowDown();
+  expect(getRow("Alan")).toHaveAttribute("aria-selected", "false");
+  click(screen.getByText("Linus"));
+  expect(getRow("Linus")).toHaveAttribute("aria-selected", "true");
+  click(screen.getByText("Grace"), { shiftKey: true });
+  expect(getRow("Ada")).toHaveAttribute("aria-selected", "false");
+  expect(getRow("Grace")).toHaveAttribute("aria-selected", "true");
+  expect(getRow("Alan")).toHaveAttribute("aria-selected", "true");
+  expect(getRow("Linus")).toHaveAttribute("aria-selected", "true");
+});
+
+test("edit cells", () => {
+  render(<DataGrid />);
+  const input = screen.getByLabelText("Ada notes");
+  const cell = input.parentElement;
+  press.Tab();
+  press.ArrowDown();
+  press.ArrowRight();
+  press.ArrowRight();
+  expect(cell).toHaveFocus();
+  press.Enter();
+  expect(input).toHaveFocus();
+  type("abc");
+  expect(input).toHaveValue("abc");
+  press.Escape();
+  expect(cell).toHaveFocus();
+  expect(input).toHaveValue("");
+  press("F2");
+  expect(input).toHaveFocus();
+  type("abc");
+  press.Enter();
+  expect(cell).toHaveFocus();
+  expect(input).toHaveValue("abc");
+  expect(getRow("Ada")).toHaveAttribute("aria-selected", "false");
+});
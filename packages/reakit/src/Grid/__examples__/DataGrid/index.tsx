@@ -0,0 +1,67 @@
+import * as React from "react";
+import {
+  unstable_useGridState as useGridState,
+  unstable_Grid as Grid,
+  unstable_GridRow as GridRow,
+  unstable_GridCell as GridCell,
+  unstable_GridColumnHeader as GridColumnHeader,
+} from "reakit/Grid";
+import { unstable_CompositeItemWidget as CompositeItemWidget } from "reakit/Composite";
+
+type Person = { id: string; name: string; age: number; notes: string };
+
+const people: Person[] = [
+  { id: "ada", name: "Ada", age: 36, notes: "" },
+  { id: "grace", name: "Grace", age: 85, notes: "" },
+  { id: "alan", name: "Alan", age: 41, notes: "" },
+  { id: "linus", name: "Linus", age: 28, notes: "" },
+];
+
+export default function DataGrid() {
+  const grid = useGridState({ selectionMode: "row", multiple: true });
+  const [rows, setRows] = React.useState(people);
+  const { sortDescriptor } = grid;
+  const sortedRows = React.useMemo(() => {
+    if (!sortDescriptor) return rows;
+    const column = sortDescriptor.column as "name" | "age";
+    const sign = sortDescriptor.direction === "ascending" ? 1 : -1;
+    return [...rows].sort((a, b) => (a[column] > b[column] ? sign : -sign));
+  }, [rows, sortDescriptor]);
+  return (
+    <Grid {...grid} aria-label="People">
+      <GridRow {...grid}>
+        <GridColumnHeader {...grid} column="name">
+          Name
+        </GridColumnHeader>
+        <GridColumnHeader {...grid} column="age">
+          Age
+        </GridColumnHeader>
+        <GridColumnHeader {...grid}>Notes</GridColumnHeader>
+      </GridRow>
+      {sortedRows.map((person) => (
+        <GridRow {...grid} key={person.id} id={person.id}>
+          <GridCell {...grid}>{person.name}</GridCell>
+          <GridCell {...grid}>{person.age}</GridCell>
+          <GridCell {...grid}>
+            <CompositeItemWidget
+              currentId={grid.currentId}
+              unstable_hasActiveWidget={grid.unstable_hasActiveWidget}
+              unstable_setHasActiveWidget={grid.unstable_setHasActiveWidget}
+              as="input"
+              aria-label={`${person.name} notes`}
+              value={person.notes}
+              onChange={(event: React.ChangeEvent<HTMLInputElement>) => {
+                const { value } = event.target;
+                setRows((prevRows) =>
+                  prevRows.map((row) =>
+                    row.id === person.id ? { ...row, notes: value } : row
+                  )
+                );
+              }}
+            />
+          </GridCell>
+        </GridRow>
+      ))}
+    </Grid>
+  );
+}
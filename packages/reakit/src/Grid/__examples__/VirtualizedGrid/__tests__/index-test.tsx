@@ -0,0 +1,35 @@
+import * as React from "react";
+import { render, press, screen } from "reakit-test-utils";
+import VirtualizedGrid from "..";
+
+test("set aria-rowcount and aria-rowindex", () => {
+  render(<VirtualizedGrid />);
+  expect(screen.getByRole("grid")).toHaveAttribute("aria-rowcount", "1000");
+  const cell = screen.getByText("B2");
+  expect(cell).toHaveAttribute("id", "cell-1-1");
+  expect(cell).not.toHaveAttribute("aria-posinset");
+  expect(screen.getAllByRole("row")[1]).toHaveAttribute("aria-rowindex", "2");
+});
+
+test("navigate to rows that are not mounted", () => {
+  render(<VirtualizedGrid />);
+  press.Tab();
+  expect(screen.getByText("A1")).toHaveFocus();
+  press.ArrowRight();
+  press.End(null, { ctrlKey: true });
+  expect(screen.queryByText("A1")).not.toBeInTheDocument();
+  expect(screen.getByText("C1000")).toHaveFocus();
+  press.ArrowUp();
+  expect(screen.getByText("C999")).toHaveFocus();
+  press.Home(null, { ctrlKey: true });
+  expect(screen.getByText("A1")).toHaveFocus();
+  press.ArrowRight();
+  for (let i = 0; i < 10; i += 1) {
+    press.ArrowDown();
+  }
+  expect(screen.getByText("B11")).toHaveFocus();
+  expect(screen.getByText("B11").parentElement).toHaveAttribute(
+    "aria-rowindex",
+    "11"
+  );
+});
@@ -0,0 +1,76 @@
+import * as React from "react";
+import {
+  unstable_useGridState as useGridState,
+  unstable_Grid as Grid,
+  unstable_GridRow as GridRow,
+  unstable_GridCell as GridCell,
+} from "reakit/Grid";
+
+const columns = ["A", "B", "C"];
+const rowCount = 1000;
+const rowHeight = 32;
+const visibleCount = 8;
+
+export default function VirtualizedGrid() {
+  const ref = React.useRef<HTMLDivElement>(null);
+  const [start, setStart] = React.useState(0);
+  const grid = useGridState({
+    unstable_itemCount: rowCount * columns.length,
+    unstable_rowCount: rowCount,
+    unstable_getItemId: (index) => {
+      const rowIndex = Math.floor(index / columns.length);
+      return `cell-${rowIndex}-${index % columns.length}`;
+    },
+    unstable_onScrollToIndex: (index) => {
+      const rowIndex = Math.floor(index / columns.length);
+      const nextStart = Math.min(
+        Math.max(rowIndex - visibleCount + 1, Math.min(start, rowIndex)),
+        rowCount - visibleCount
+      );
+      setStart(nextStart);
+      if (ref.current) {
+        ref.current.scrollTop = nextStart * rowHeight;
+      }
+    },
+  });
+  const visibleRows = Array.from({ length: visibleCount }, (_, i) => start + i);
+  return (
+    <Grid
+      {...grid}
+      ref={ref}
+      aria-label="Cells"
+      onScroll={(event) => {
+        setStart(Math.floor(event.currentTarget.scrollTop / rowHeight));
+      }}
+      style={{
+        position: "relative",
+        height: rowHeight * visibleCount,
+        overflow: "auto",
+      }}
+    >
+      <div style={{ height: rowHeight * rowCount }}>
+        {visibleRows.map((rowIndex) => (
+          <GridRow
+            {...grid}
+            key={rowIndex}
+            style={{
+              position: "absolute",
+              top: rowIndex * rowHeight,
+              height: rowHeight,
+            }}
+          >
+            {columns.map((column, columnIndex) => (
+              <GridCell
+                {...grid}
+                key={column}
+                unstable_index={rowIndex * columns.length + columnIndex}
+              >
+                {`${column}${rowIndex + 1}`}
+              </GridCell>
+            ))}
+          </GridRow>
+        ))}
+      </div>
+    </Grid>
+  );
+}
@@ -0,0 +1,9 @@
+import { unstable_Grid as Grid } from "../Grid";
+
+export { default as DataGrid } from "./DataGrid";
+export { default as VirtualizedGrid } from "./VirtualizedGrid";
+
+export default {
+  title: "Grid",
+  component: Grid,
+};
@@ -5,17 +5,27 @@ const GRID_STATE_KEYS = [
   "unstable_virtual",
   "rtl",
   "orientation",
-  "items",
   "groups",
   "currentId",
   "loop",
   "wrap",
   "shift",
   "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
   "unstable_hasActiveWidget",
   "unstable_includesBaseElement",
+  "items",
+  "selectionMode",
+  "multiple",
+  "selectedIds",
+  "sortDescriptor",
+  "editingId",
   "setBaseId",
-  "registerItem",
   "unregisterItem",
   "registerGroup",
   "unregisterGroup",
@@ -26,6 +36,8 @@ const GRID_STATE_KEYS = [
   "down",
   "first",
   "last",
+  "pageUp",
+  "pageDown",
   "sort",
   "unstable_setVirtual",
   "setRTL",
@@ -37,7 +49,14 @@ const GRID_STATE_KEYS = [
   "reset",
   "unstable_setIncludesBaseElement",
   "unstable_setHasActiveWidget",
+  "registerItem",
+  "setSelectedIds",
+  "select",
+  "selectRange",
+  "setSortDescriptor",
+  "toggleSort",
 ] as const;
 export const GRID_KEYS = GRID_STATE_KEYS;
 export const GRID_CELL_KEYS = GRID_KEYS;
+export const GRID_COLUMN_HEADER_KEYS = [...GRID_CELL_KEYS, "column"] as const;
 export const GRID_ROW_KEYS = GRID_CELL_KEYS;
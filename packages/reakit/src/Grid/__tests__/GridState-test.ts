@@ -0,0 +1,171 @@
+import * as React from "react";
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useGridState as useGridState,
+  unstable_GridInitialState as GridInitialState,
+} from "../GridState";
+
+function render(initialState: GridInitialState = {}) {
+  return renderHook(() => useGridState({ baseId: "base", ...initialState }))
+    .result;
+}
+
+function createRef() {
+  const ref = React.createRef() as React.MutableRefObject<HTMLElement>;
+  ref.current = document.createElement("div");
+  document.body.appendChild(ref.current);
+  return ref;
+}
+
+function registerCells(
+  result: ReturnType<typeof render>,
+  rows: string[][],
+  header?: string[]
+) {
+  if (header) {
+    header.forEach((id) =>
+      act(() =>
+        result.current.registerItem({
+          id,
+          ref: createRef(),
+          groupId: "header",
+          columnHeader: true,
+        })
+      )
+    );
+  }
+  rows.forEach((row, i) =>
+    row.forEach((id) =>
+      act(() =>
+        result.current.registerItem({ id, ref: createRef(), groupId: `${i}` })
+      )
+    )
+  );
+}
+
+afterEach(() => {
+  document.body.innerHTML = "";
+});
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    selectionMode: undefined,
+    multiple: false,
+    selectedIds: [],
+    sortDescriptor: null,
+    editingId: null,
+  });
+});
+
+test("select", () => {
+  const result = render({ selectionMode: "cell" });
+  act(() => result.current.select("a"));
+  act(() => result.current.select("b"));
+  expect(result.current.selectedIds).toEqual(["b"]);
+});
+
+test("select with multiple", () => {
+  const result = render({ selectionMode: "cell", multiple: true });
+  act(() => result.current.select("a"));
+  act(() => result.current.select("b"));
+  expect(result.current.selectedIds).toEqual(["a", "b"]);
+  act(() => result.current.select("a"));
+  expect(result.current.selectedIds).toEqual(["b"]);
+});
+
+test("selectRange with row selection", () => {
+  const result = render({ selectionMode: "row", multiple: true });
+  registerCells(
+    result,
+    [
+      ["a1", "a2"],
+      ["b1", "b2"],
+      ["c1", "c2"],
+    ],
+    ["h1", "h2"]
+  );
+  act(() => result.current.select("2"));
+  act(() => result.current.selectRange("0"));
+  expect(result.current.selectedIds).toEqual(["0", "1", "2"]);
+  act(() => result.current.selectRange("1", "0"));
+  expect(result.current.selectedIds).toEqual(["0", "1"]);
+});
+
+test("selectRange with cell selection", () => {
+  const result = render({ selectionMode: "cell", multiple: true });
+  registerCells(result, [
+    ["a1", "a2", "a3"],
+    ["b1", "b2", "b3"],
+    ["c1", "c2", "c3"],
+  ]);
+  act(() => result.current.select("a2"));
+  act(() => result.current.selectRange("c3"));
+  expect(result.current.selectedIds).toEqual([
+    "a2",
+    "a3",
+    "b2",
+    "b3",
+    "c2",
+    "c3",
+  ]);
+  act(() => result.current.selectRange("b1"));
+  expect(result.current.selectedIds).toEqual(["a1", "a2", "b1", "b2"]);
+});
+
+test("selectRange without multiple", () => {
+  const result = render({ selectionMode: "cell" });
+  registerCells(result, [["a1", "a2", "a3"]]);
+  act(() => result.current.select("a1"));
+  act(() => result.current.selectRange("a3"));
+  expect(result.current.selectedIds).toEqual(["a3"]);
+});
+
+test("toggleSort", () => {
+  const result = render();
+  act(() => result.current.toggleSort("name"));
+  expect(result.current.sortDescriptor).toEqual({
+    column: "name",
+    direction: "ascending",
+  });
+  act(() => result.current.toggleSort("name"));
+  expect(result.current.sortDescriptor).toEqual({
+    column: "name",
+    direction: "descending",
+  });
+  act(() => result.current.toggleSort("name"));
+  expect(result.current.sortDescriptor?.direction).toBe("ascending");
+  act(() => result.current.toggleSort("age"));
+  expect(result.current.sortDescriptor).toEqual({
+    column: "age",
+    direction: "ascending",
+  });
+});
+
+test("controlled selectedIds and sortDescriptor", () => {
+  const setSelectedIds = jest.fn();
+  const setSortDescriptor = jest.fn();
+  const result = render({
+    selectionMode: "row",
+    selectedIds: ["a"],
+    setSelectedIds,
+    sortDescriptor: null,
+    setSortDescriptor,
+  });
+  act(() => result.current.select("b"));
+  expect(setSelectedIds).toHaveBeenCalledWith(["b"]);
+  expect(result.current.selectedIds).toEqual(["a"]);
+  act(() => result.current.toggleSort("name"));
+  expect(setSortDescriptor).toHaveBeenCalledWith({
+    column: "name",
+    direction: "ascending",
+  });
+  expect(result.current.sortDescriptor).toBeNull();
+});
+
+test("editingId", () => {
+  const result = render({ currentId: "a" });
+  expect(result.current.editingId).toBeNull();
+  act(() => result.current.unstable_setHasActiveWidget(true));
+  expect(result.current.editingId).toBe("a");
+});
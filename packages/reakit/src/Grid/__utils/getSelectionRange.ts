@@ -0,0 +1,55 @@
+import { groupItems } from "../../Composite/__utils/groupItems";
+import { Item } from "./types";
+
+function findCell(rows: Item[][], id: string) {
+  for (let rowIndex = 0; rowIndex < rows.length; rowIndex += 1) {
+    const columnIndex = rows[rowIndex].findIndex((item) => item.id === id);
+    if (columnIndex !== -1) return [rowIndex, columnIndex];
+  }
+  return null;
+}
+
+function getRange(start: number, end: number) {
+  return [Math.min(start, end), Math.max(start, end)];
+}
+
+/**
+ * Returns the ids of the rows between `anchorId` and `id`, or the ids of the
+ * cells in the rectangle delimited by them if `selectionMode` is `"cell"`.
+ * Header rows and disabled cells are left out.
+ */
+export function getSelectionRange(
+  items: Item[],
+  selectionMode: "row" | "cell",
+  anchorId: string,
+  id: string
+) {
+  const rows = (groupItems(items) as Item[][]).filter(
+    (row) => row.length && !row.some((item) => item.columnHeader)
+  );
+
+  if (selectionMode === "row") {
+    const rowIds = rows.map((row) => row[0].groupId);
+    const start = rowIds.indexOf(anchorId);
+    const end = rowIds.indexOf(id);
+    if (start === -1 || end === -1) return [id];
+    const [first, last] = getRange(start, end);
+    return rowIds.slice(first, last + 1) as string[];
+  }
+
+  const start = findCell(rows, anchorId);
+  const end = findCell(rows, id);
+  if (!start || !end) return [id];
+  const [firstRow, lastRow] = getRange(start[0], end[0]);
+  const [firstColumn, lastColumn] = getRange(start[1], end[1]);
+  const ids: string[] = [];
+  for (let i = firstRow; i <= lastRow; i += 1) {
+    for (let j = firstColumn; j <= lastColumn; j += 1) {
+      const cell = rows[i][j];
+      if (cell?.id && !cell.disabled) {
+        ids.push(cell.id);
+      }
+    }
+  }
+  return ids;
+}
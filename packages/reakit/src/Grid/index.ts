@@ -1,4 +1,5 @@
 export * from "./Grid";
 export * from "./GridCell";
+export * from "./GridColumnHeader";
 export * from "./GridRow";
 export * from "./GridState";
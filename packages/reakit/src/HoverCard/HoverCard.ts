@@ -0,0 +1,111 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { useUpdateEffect } from "reakit-utils/useUpdateEffect";
+import { contains } from "reakit-utils/contains";
+import { ensureFocus } from "reakit-utils/ensureFocus";
+import { getActiveElement } from "reakit-utils/getActiveElement";
+import {
+  PopoverOptions,
+  PopoverHTMLProps,
+  usePopover,
+} from "../Popover/Popover";
+import { useHoverIntent } from "../__utils/useHoverIntent";
+import { unstable_HoverCardStateReturn } from "./HoverCardState";
+import { HOVER_CARD_KEYS } from "./__keys";
+
+export type unstable_HoverCardOptions = Omit<PopoverOptions, "modal"> &
+  Pick<
+    Partial<unstable_HoverCardStateReturn>,
+    "unstable_referenceRef" | "scheduleShow" | "scheduleHide"
+  >;
+
+export type unstable_HoverCardHTMLProps = PopoverHTMLProps;
+
+export type unstable_HoverCardProps = unstable_HoverCardOptions &
+  unstable_HoverCardHTMLProps;
+
+export const unstable_useHoverCard = createHook<
+  unstable_HoverCardOptions,
+  unstable_HoverCardHTMLProps
+>({
+  name: "HoverCard",
+  compose: usePopover,
+  keys: HOVER_CARD_KEYS,
+
+  useOptions({
+    unstable_autoFocusOnShow = false,
+    unstable_autoFocusOnHide = false,
+    ...options
+  }) {
+    return {
+      unstable_autoFocusOnShow,
+      unstable_autoFocusOnHide,
+      ...options,
+      // Hover cards never block the rest of the page
+      modal: false,
+    };
+  },
+
+  useProps(
+    options,
+    {
+      onMouseEnter: htmlOnMouseEnter,
+      onMouseLeave: htmlOnMouseLeave,
+      ...htmlProps
+    }
+  ) {
+    const onMouseEnterRef = useLiveRef(htmlOnMouseEnter);
+    const onMouseLeaveRef = useLiveRef(htmlOnMouseLeave);
+    const getReference = React.useCallback(
+      () => options.unstable_referenceRef?.current,
+      [options.unstable_referenceRef]
+    );
+    const hoverIntent = useHoverIntent({
+      visible: options.visible,
+      show: options.scheduleShow,
+      hide: options.scheduleHide,
+      hoverable: true,
+      getTarget: getReference,
+    });
+
+    // Returns focus to the reference element if the hover card gets hidden
+    // while it has focus, for example, by pressing Escape
+    useUpdateEffect(() => {
+      if (options.visible) return;
+      const popover = options.unstable_popoverRef?.current;
+      const reference = options.unstable_referenceRef?.current;
+      if (!popover || !reference) return;
+      const activeElement = getActiveElement(popover);
+      if (activeElement && contains(popover, activeElement)) {
+        ensureFocus(reference);
+      }
+    }, [options.visible]);
+
+    const onMouseEnter = React.useCallback(
+      (event: React.MouseEvent<HTMLDivElement, MouseEvent>) => {
+        onMouseEnterRef.current?.(event);
+        if (event.defaultPrevented) return;
+        hoverIntent.onMouseEnter();
+      },
+      [hoverIntent.onMouseEnter]
+    );
+
+    const onMouseLeave = React.useCallback(
+      (event: React.MouseEvent<HTMLDivElement, MouseEvent>) => {
+        onMouseLeaveRef.current?.(event);
+        if (event.defaultPrevented) return;
+        hoverIntent.onMouseLeave(event);
+      },
+      [hoverIntent.onMouseLeave]
+    );
+
+    return { onMouseEnter, onMouseLeave, ...htmlProps };
+  },
+});
+
+export const unstable_HoverCard = createComponent({
+  as: "div",
+  useHook: unstable_useHoverCard,
+});
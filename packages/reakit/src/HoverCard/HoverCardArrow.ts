@@ -0,0 +1,30 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import {
+  PopoverArrowOptions,
+  PopoverArrowHTMLProps,
+  usePopoverArrow,
+} from "../Popover/PopoverArrow";
+import { HOVER_CARD_ARROW_KEYS } from "./__keys";
+
+export type unstable_HoverCardArrowOptions = PopoverArrowOptions;
+
+export type unstable_HoverCardArrowHTMLProps = PopoverArrowHTMLProps;
+
+export type unstable_HoverCardArrowProps = unstable_HoverCardArrowOptions &
+  unstable_HoverCardArrowHTMLProps;
+
+export const unstable_useHoverCardArrow = createHook<
+  unstable_HoverCardArrowOptions,
+  unstable_HoverCardArrowHTMLProps
+>({
+  name: "HoverCardArrow",
+  compose: usePopoverArrow,
+  keys: HOVER_CARD_ARROW_KEYS,
+});
+
+export const unstable_HoverCardArrow = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useHoverCardArrow,
+});
@@ -0,0 +1,267 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { contains } from "reakit-utils/contains";
+import { ensureFocus } from "reakit-utils/ensureFocus";
+import { getFirstTabbableIn } from "reakit-utils/tabbable";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { useHoverIntent } from "../__utils/useHoverIntent";
+import { unstable_HoverCardStateReturn } from "./HoverCardState";
+import { HOVER_CARD_DISCLOSURE_KEYS } from "./__keys";
+
+export type unstable_HoverCardDisclosureOptions = RoleOptions &
+  Pick<
+    Partial<unstable_HoverCardStateReturn>,
+    | "baseId"
+    | "visible"
+    | "unstable_referenceRef"
+    | "unstable_popoverRef"
+    | "unstable_disclosureRef"
+    | "showTimeout"
+    | "show"
+  > &
+  Pick<unstable_HoverCardStateReturn, "scheduleShow" | "scheduleHide">;
+
+export type unstable_HoverCardDisclosureHTMLProps = RoleHTMLProps;
+
+export type unstable_HoverCardDisclosureProps = unstable_HoverCardDisclosureOptions &
+  unstable_HoverCardDisclosureHTMLProps;
+
+export const unstable_useHoverCardDisclosure = createHook<
+  unstable_HoverCardDisclosureOptions,
+  unstable_HoverCardDisclosureHTMLProps
+>({
+  name: "HoverCardDisclosure",
+  compose: useRole,
+  keys: HOVER_CARD_DISCLOSURE_KEYS,
+
+  useProps(
+    options,
+    {
+      ref: htmlRef,
+      onMouseEnter: htmlOnMouseEnter,
+      onMouseLeave: htmlOnMouseLeave,
+      onFocus: htmlOnFocus,
+      onBlur: htmlOnBlur,
+      onKeyDown: htmlOnKeyDown,
+      onPointerEnter: htmlOnPointerEnter,
+      onPointerDown: htmlOnPointerDown,
+      onPointerUp: htmlOnPointerUp,
+      onPointerCancel: htmlOnPointerCancel,
+      onClick: htmlOnClick,
+      onContextMenu: htmlOnContextMenu,
+      ...htmlProps
+    }
+  ) {
+    const onMouseEnterRef = useLiveRef(htmlOnMouseEnter);
+    const onMouseLeaveRef = useLiveRef(htmlOnMouseLeave);
+    const onFocusRef = useLiveRef(htmlOnFocus);
+    const onBlurRef = useLiveRef(htmlOnBlur);
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const onPointerEnterRef = useLiveRef(htmlOnPointerEnter);
+    const onPointerDownRef = useLiveRef(htmlOnPointerDown);
+    const onPointerUpRef = useLiveRef(htmlOnPointerUp);
+    const onPointerCancelRef = useLiveRef(htmlOnPointerCancel);
+    const onClickRef = useLiveRef(htmlOnClick);
+    const onContextMenuRef = useLiveRef(htmlOnContextMenu);
+    // Touch devices emulate mouse and focus events on tap, which shouldn't
+    // show the hover card. Only a long press does.
+    const touchRef = React.useRef(false);
+    const longPressTimeoutRef = React.useRef<number | null>(null);
+    const longPressedRef = React.useRef(false);
+
+    const getPopover = React.useCallback(
+      () => options.unstable_popoverRef?.current,
+      [options.unstable_popoverRef]
+    );
+    const hoverIntent = useHoverIntent({
+      visible: options.visible,
+      show: options.scheduleShow,
+      hide: options.scheduleHide,
+      hoverable: true,
+      getTarget: getPopover,
+    });
+
+    // HoverCard ignores clicks and focus on its disclosure, like Dialog does
+    // with DialogDisclosure, so the hover card isn't hidden when they happen
+    const setDisclosure = React.useCallback(
+      (element: HTMLElement) => {
+        if (options.unstable_disclosureRef) {
+          options.unstable_disclosureRef.current = element;
+        }
+      },
+      [options.unstable_disclosureRef]
+    );
+
+    const clearLongPress = React.useCallback(() => {
+      if (longPressTimeoutRef.current !== null) {
+        window.clearTimeout(longPressTimeoutRef.current);
+        longPressTimeoutRef.current = null;
+      }
+    }, []);
+
+    React.useEffect(() => clearLongPress, [clearLongPress]);
+
+    const onMouseEnter = React.useCallback(
+      (event: React.MouseEvent) => {
+        onMouseEnterRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (touchRef.current) return;
+        setDisclosure(event.currentTarget as HTMLElement);
+        hoverIntent.onMouseEnter();
+      },
+      [setDisclosure, hoverIntent.onMouseEnter]
+    );
+
+    const onMouseLeave = React.useCallback(
+      (event: React.MouseEvent) => {
+        onMouseLeaveRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (touchRef.current) return;
+        hoverIntent.onMouseLeave(event);
+      },
+      [hoverIntent.onMouseLeave]
+    );
+
+    const onFocus = React.useCallback(
+      (event: React.FocusEvent) => {
+        onFocusRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (touchRef.current) return;
+        const popover = options.unstable_popoverRef?.current;
+        const previousActiveElement = event.relatedTarget as Element | null;
+        // Focus returning from the hover card after it's been hidden
+        // shouldn't show it again
+        if (!options.visible && popover && previousActiveElement) {
+          if (contains(popover, previousActiveElement)) return;
+        }
+        setDisclosure(event.currentTarget as HTMLElement);
+        options.scheduleShow();
+      },
+      [
+        options.unstable_popoverRef,
+        options.visible,
+        setDisclosure,
+        options.scheduleShow,
+      ]
+    );
+
+    const onBlur = React.useCallback(
+      (event: React.FocusEvent) => {
+        onBlurRef.current?.(event);
+        if (event.defaultPrevented) return;
+        const popover = options.unstable_popoverRef?.current;
+        const nextActiveElement = event.relatedTarget as Element | null;
+        // Moving focus into the hover card keeps it open
+        if (popover && nextActiveElement) {
+          if (contains(popover, nextActiveElement)) return;
+        }
+        options.scheduleHide();
+      },
+      [options.unstable_popoverRef, options.scheduleHide]
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (event.key !== "Tab" || event.shiftKey) return;
+        if (!options.visible) return;
+        const popover = options.unstable_popoverRef?.current;
+        const tabbable = popover && getFirstTabbableIn(popover);
+        // The hover card is rendered within a portal, so we move focus into
+        // it manually so keyboard users can reach its interactive content
+        if (tabbable) {
+          event.preventDefault();
+          ensureFocus(tabbable);
+        }
+      },
+      [options.visible, options.unstable_popoverRef]
+    );
+
+    const onPointerEnter = React.useCallback((event: React.PointerEvent) => {
+      onPointerEnterRef.current?.(event);
+      // Pointer events are dispatched before the emulated mouse events
+      touchRef.current = event.pointerType === "touch";
+    }, []);
+
+    const onPointerDown = React.useCallback(
+      (event: React.PointerEvent) => {
+        onPointerDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        touchRef.current = event.pointerType === "touch";
+        longPressedRef.current = false;
+        if (!touchRef.current) return;
+        clearLongPress();
+        setDisclosure(event.currentTarget as HTMLElement);
+        longPressTimeoutRef.current = window.setTimeout(() => {
+          longPressedRef.current = true;
+          options.show?.();
+        }, options.showTimeout);
+      },
+      [clearLongPress, setDisclosure, options.show, options.showTimeout]
+    );
+
+    const onPointerUp = React.useCallback(
+      (event: React.PointerEvent) => {
+        onPointerUpRef.current?.(event);
+        clearLongPress();
+      },
+      [clearLongPress]
+    );
+
+    const onPointerCancel = React.useCallback(
+      (event: React.PointerEvent) => {
+        onPointerCancelRef.current?.(event);
+        clearLongPress();
+      },
+      [clearLongPress]
+    );
+
+    const onClick = React.useCallback((event: React.MouseEvent) => {
+      onClickRef.current?.(event);
+      if (event.defaultPrevented) return;
+      if (!longPressedRef.current) return;
+      // A long press opens the hover card instead of following the link
+      longPressedRef.current = false;
+      event.preventDefault();
+    }, []);
+
+    const onContextMenu = React.useCallback((event: React.MouseEvent) => {
+      onContextMenuRef.current?.(event);
+      if (event.defaultPrevented) return;
+      // Prevents the native context menu that touch devices show on long
+      // press
+      if (touchRef.current) {
+        event.preventDefault();
+      }
+    }, []);
+
+    return {
+      ref: useForkRef(options.unstable_referenceRef, htmlRef),
+      "aria-haspopup": "dialog",
+      "aria-expanded": !!options.visible,
+      "aria-controls": options.baseId,
+      onMouseEnter,
+      onMouseLeave,
+      onFocus,
+      onBlur,
+      onKeyDown,
+      onPointerEnter,
+      onPointerDown,
+      onPointerUp,
+      onPointerCancel,
+      onClick,
+      onContextMenu,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_HoverCardDisclosure = createComponent({
+  as: "a",
+  memo: true,
+  useHook: unstable_useHoverCardDisclosure,
+});
@@ -0,0 +1,117 @@
+import * as React from "react";
+import {
+  useSealedState,
+  SealedInitialState,
+} from "reakit-utils/useSealedState";
+import {
+  PopoverState,
+  PopoverActions,
+  PopoverInitialState,
+  usePopoverState,
+  PopoverStateReturn,
+} from "../Popover/PopoverState";
+import { getControlledState } from "../__utils/useControlledState";
+
+export type unstable_HoverCardState = Omit<PopoverState, "modal"> & {
+  /**
+   * The number of milliseconds `scheduleShow` waits before showing the hover
+   * card. It's also how long users have to press `HoverCardDisclosure` on
+   * touch devices.
+   * @default 500
+   */
+  showTimeout: number;
+  /**
+   * The number of milliseconds `scheduleHide` waits before hiding the hover
+   * card.
+   * @default 300
+   */
+  hideTimeout: number;
+};
+
+export type unstable_HoverCardActions = Omit<PopoverActions, "setModal"> & {
+  /**
+   * Shows the hover card after `showTimeout`. If it's already visible, a
+   * pending `scheduleHide` is cancelled.
+   */
+  scheduleShow: () => void;
+  /**
+   * Hides the hover card after `hideTimeout`. A pending `scheduleShow` is
+   * cancelled.
+   */
+  scheduleHide: () => void;
+};
+
+export type unstable_HoverCardInitialState = Omit<
+  PopoverInitialState,
+  "modal"
+> &
+  Pick<Partial<unstable_HoverCardState>, "showTimeout" | "hideTimeout">;
+
+export type unstable_HoverCardStateReturn = Omit<
+  PopoverStateReturn,
+  "modal" | "setModal"
+> &
+  unstable_HoverCardState &
+  unstable_HoverCardActions;
+
+export function unstable_useHoverCardState(
+  initialState: SealedInitialState<unstable_HoverCardInitialState> = {}
+): unstable_HoverCardStateReturn {
+  const sealedState = useSealedState(initialState);
+  const {
+    placement = "bottom",
+    showTimeout = 500,
+    hideTimeout = 300,
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+  const timeoutRef = React.useRef<number | null>(null);
+
+  const { modal, setModal, ...popover } = usePopoverState({
+    ...sealed,
+    placement,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
+
+  const clearScheduled = React.useCallback(() => {
+    if (timeoutRef.current !== null) {
+      window.clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+    }
+  }, []);
+
+  const show = React.useCallback(() => {
+    clearScheduled();
+    popover.show();
+  }, [clearScheduled, popover.show]);
+
+  const hide = React.useCallback(() => {
+    clearScheduled();
+    popover.hide();
+  }, [clearScheduled, popover.hide]);
+
+  const scheduleShow = React.useCallback(() => {
+    clearScheduled();
+    if (popover.visible) return;
+    timeoutRef.current = window.setTimeout(popover.show, showTimeout);
+  }, [clearScheduled, popover.visible, popover.show, showTimeout]);
+
+  const scheduleHide = React.useCallback(() => {
+    clearScheduled();
+    if (!popover.visible) return;
+    timeoutRef.current = window.setTimeout(popover.hide, hideTimeout);
+  }, [clearScheduled, popover.visible, popover.hide, hideTimeout]);
+
+  React.useEffect(() => clearScheduled, [clearScheduled]);
+
+  return {
+    ...popover,
+    show,
+    hide,
+    showTimeout,
+    hideTimeout,
+    scheduleShow,
+    scheduleHide,
+  };
+}
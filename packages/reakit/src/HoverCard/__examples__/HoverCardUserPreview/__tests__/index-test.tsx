@@ -0,0 +1,137 @@
+import * as React from "react";
+import {
+  render,
+  hover,
+  focus,
+  press,
+  click,
+  act,
+  fireEvent,
+  screen,
+} from "reakit-test-utils";
+import HoverCardUserPreview from "..";
+
+function advanceTimersByTime(ms: number) {
+  act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+}
+
+function touch(type: string, element: Element) {
+  const event = new MouseEvent(type, { bubbles: true, cancelable: true });
+  Object.defineProperty(event, "pointerType", { value: "touch" });
+  fireEvent(element, event);
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  hover(document.body);
+  jest.useRealTimers();
+});
+
+test("show hover card on hover after a delay", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  expect(card).not.toBeVisible();
+  hover(link);
+  advanceTimersByTime(499);
+  expect(card).not.toBeVisible();
+  advanceTimersByTime(1);
+  expect(card).toBeVisible();
+  expect(link).toHaveAttribute("aria-expanded", "true");
+  expect(document.body).toHaveFocus();
+});
+
+test("hide hover card after a delay", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  hover(link);
+  advanceTimersByTime(500);
+  hover(document.body, { clientX: 1000, clientY: 1000 });
+  fireEvent.mouseMove(document.body, { clientX: 1010, clientY: 1000 });
+  advanceTimersByTime(299);
+  expect(card).toBeVisible();
+  advanceTimersByTime(1);
+  expect(card).not.toBeVisible();
+});
+
+test("keep hover card open while the pointer is inside", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  hover(link);
+  advanceTimersByTime(500);
+  hover(card);
+  advanceTimersByTime(1000);
+  expect(card).toBeVisible();
+  click(screen.getByText("Follow"));
+  expect(screen.getByText("Unfollow")).toBeVisible();
+  expect(card).toBeVisible();
+});
+
+test("show hover card on focus and move focus into it with tab", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  focus(link);
+  advanceTimersByTime(500);
+  expect(card).toBeVisible();
+  expect(link).toHaveFocus();
+  press.Tab();
+  expect(screen.getByText("Follow")).toHaveFocus();
+  advanceTimersByTime(1000);
+  expect(card).toBeVisible();
+  press.Escape();
+  expect(card).not.toBeVisible();
+  expect(link).toHaveFocus();
+  advanceTimersByTime(1000);
+  expect(card).not.toBeVisible();
+});
+
+test("hide hover card on click outside", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  focus(link);
+  advanceTimersByTime(500);
+  expect(card).toBeVisible();
+  click(document.body);
+  expect(card).not.toBeVisible();
+});
+
+test("show hover card on long press", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  touch("pointerenter", link);
+  touch("pointerdown", link);
+  advanceTimersByTime(500);
+  expect(card).toBeVisible();
+  touch("pointerup", link);
+  const clickEvent = new MouseEvent("click", {
+    bubbles: true,
+    cancelable: true,
+  });
+  fireEvent(link, clickEvent);
+  expect(clickEvent.defaultPrevented).toBe(true);
+});
+
+test("do not show hover card on tap", () => {
+  render(<HoverCardUserPreview />);
+  const link = screen.getByText("@reakit");
+  const card = screen.getByLabelText("Reakit");
+  touch("pointerenter", link);
+  touch("pointerdown", link);
+  advanceTimersByTime(100);
+  touch("pointerup", link);
+  // Emulated mouse and focus events
+  fireEvent.mouseEnter(link);
+  focus(link);
+  advanceTimersByTime(1000);
+  expect(card).not.toBeVisible();
+});
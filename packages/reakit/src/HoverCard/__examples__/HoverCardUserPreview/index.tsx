@@ -0,0 +1,28 @@
+import * as React from "react";
+import { Button } from "reakit/Button";
+import {
+  unstable_useHoverCardState as useHoverCardState,
+  unstable_HoverCard as HoverCard,
+  unstable_HoverCardDisclosure as HoverCardDisclosure,
+  unstable_HoverCardArrow as HoverCardArrow,
+} from "reakit/HoverCard";
+import "./style.css";
+
+export default function HoverCardUserPreview() {
+  const hoverCard = useHoverCardState();
+  const [following, setFollowing] = React.useState(false);
+  return (
+    <>
+      <HoverCardDisclosure {...hoverCard} href="#reakit">
+        @reakit
+      </HoverCardDisclosure>
+      <HoverCard {...hoverCard} aria-label="Reakit" className="hover-card">
+        <HoverCardArrow {...hoverCard} className="hover-card-arrow" />
+        <p>Toolkit for building accessible rich web apps with React.</p>
+        <Button onClick={() => setFollowing(!following)}>
+          {following ? "Unfollow" : "Follow"}
+        </Button>
+      </HoverCard>
+    </>
+  );
+}
@@ -0,0 +1,8 @@
+import { unstable_HoverCard as HoverCard } from "../HoverCard";
+
+export { default as HoverCardUserPreview } from "./HoverCardUserPreview";
+
+export default {
+  title: "HoverCard",
+  component: HoverCard,
+};
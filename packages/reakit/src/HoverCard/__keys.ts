@@ -0,0 +1,35 @@
+// Automatically generated
+const HOVER_CARD_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "setBaseId",
+  "visible",
+  "animated",
+  "animating",
+  "unstable_phase",
+  "show",
+  "hide",
+  "toggle",
+  "setVisible",
+  "setAnimated",
+  "stopAnimation",
+  "unstable_disclosureRef",
+  "unstable_referenceRef",
+  "unstable_virtualReference",
+  "unstable_popoverRef",
+  "unstable_arrowRef",
+  "unstable_popoverStyles",
+  "unstable_arrowStyles",
+  "unstable_originalPlacement",
+  "unstable_update",
+  "placement",
+  "place",
+  "unstable_setVirtualReference",
+  "showTimeout",
+  "hideTimeout",
+  "scheduleShow",
+  "scheduleHide",
+] as const;
+export const HOVER_CARD_KEYS = HOVER_CARD_STATE_KEYS;
+export const HOVER_CARD_ARROW_KEYS = HOVER_CARD_KEYS;
+export const HOVER_CARD_DISCLOSURE_KEYS = HOVER_CARD_ARROW_KEYS;
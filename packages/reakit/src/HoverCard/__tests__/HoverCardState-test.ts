@@ -0,0 +1,78 @@
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useHoverCardState as useHoverCardState,
+  unstable_HoverCardInitialState as HoverCardInitialState,
+} from "../HoverCardState";
+
+function render(initialState: HoverCardInitialState = {}) {
+  return renderHook(() =>
+    useHoverCardState({ baseId: "base", ...initialState })
+  ).result;
+}
+
+function advanceTimersByTime(ms: number) {
+  act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    baseId: "base",
+    visible: false,
+    placement: "bottom",
+    showTimeout: 500,
+    hideTimeout: 300,
+  });
+});
+
+test("scheduleShow", () => {
+  const result = render({ showTimeout: 100 });
+  act(() => result.current.scheduleShow());
+  advanceTimersByTime(99);
+  expect(result.current.visible).toBe(false);
+  advanceTimersByTime(1);
+  expect(result.current.visible).toBe(true);
+});
+
+test("scheduleHide", () => {
+  const result = render({ visible: true, hideTimeout: 100 });
+  act(() => result.current.scheduleHide());
+  advanceTimersByTime(99);
+  expect(result.current.visible).toBe(true);
+  advanceTimersByTime(1);
+  expect(result.current.visible).toBe(false);
+});
+
+test("scheduleShow cancels scheduleHide", () => {
+  const result = render({ visible: true });
+  act(() => result.current.scheduleHide());
+  act(() => result.current.scheduleShow());
+  advanceTimersByTime(1000);
+  expect(result.current.visible).toBe(true);
+});
+
+test("scheduleHide cancels scheduleShow", () => {
+  const result = render();
+  act(() => result.current.scheduleShow());
+  act(() => result.current.scheduleHide());
+  advanceTimersByTime(1000);
+  expect(result.current.visible).toBe(false);
+});
+
+test("hide cancels scheduleShow", () => {
+  const result = render();
+  act(() => result.current.scheduleShow());
+  act(() => result.current.hide());
+  advanceTimersByTime(1000);
+  expect(result.current.visible).toBe(false);
+});
@@ -0,0 +1,4 @@
+export * from "./HoverCard";
+export * from "./HoverCardArrow";
+export * from "./HoverCardDisclosure";
+export * from "./HoverCardState";
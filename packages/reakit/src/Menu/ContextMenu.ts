@@ -0,0 +1,248 @@
+import * as React from "react";
+import { VirtualElement } from "@popperjs/core";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { contains } from "reakit-utils/contains";
+import { getActiveElement } from "reakit-utils/getActiveElement";
+import { isPortalEvent } from "reakit-utils/isPortalEvent";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { getPointRect } from "../Popover/__utils/getPointRect";
+import { MenuStateReturn } from "./MenuState";
+import { CONTEXT_MENU_KEYS } from "./__keys";
+
+export type unstable_ContextMenuOptions = RoleOptions &
+  Pick<
+    Partial<MenuStateReturn>,
+    | "visible"
+    | "animating"
+    | "hide"
+    | "unstable_disclosureRef"
+    | "first"
+    | "move"
+  > &
+  Pick<MenuStateReturn, "show" | "unstable_setVirtualReference">;
+
+export type unstable_ContextMenuHTMLProps = RoleHTMLProps;
+
+export type unstable_ContextMenuProps = unstable_ContextMenuOptions &
+  unstable_ContextMenuHTMLProps;
+
+// The number of milliseconds a touch should last to open the menu
+const LONG_PRESS_TIMEOUT = 700;
+
+function getPointReference(
+  x: number,
+  y: number,
+  contextElement: Element
+): VirtualElement {
+  return {
+    contextElement,
+    getBoundingClientRect: () => getPointRect(x, y),
+  };
+}
+
+export const unstable_useContextMenu = createHook<
+  unstable_ContextMenuOptions,
+  unstable_ContextMenuHTMLProps
+>({
+  name: "ContextMenu",
+  compose: useRole,
+  keys: CONTEXT_MENU_KEYS,
+
+  useProps(
+    options,
+    {
+      onContextMenu: htmlOnContextMenu,
+      onKeyDown: htmlOnKeyDown,
+      onPointerDown: htmlOnPointerDown,
+      onPointerUp: htmlOnPointerUp,
+      onPointerCancel: htmlOnPointerCancel,
+      onClick: htmlOnClick,
+      ...htmlProps
+    }
+  ) {
+    const onContextMenuRef = useLiveRef(htmlOnContextMenu);
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const onPointerDownRef = useLiveRef(htmlOnPointerDown);
+    const onPointerUpRef = useLiveRef(htmlOnPointerUp);
+    const onPointerCancelRef = useLiveRef(htmlOnPointerCancel);
+    const onClickRef = useLiveRef(htmlOnClick);
+    const longPressTimeoutRef = React.useRef<number | null>(null);
+    const longPressedRef = React.useRef(false);
+
+    const clearLongPress = React.useCallback(() => {
+      if (longPressTimeoutRef.current !== null) {
+        window.clearTimeout(longPressTimeoutRef.current);
+        longPressTimeoutRef.current = null;
+      }
+    }, []);
+
+    React.useEffect(() => clearLongPress, [clearLongPress]);
+
+    // Whether the menu is anchored to a virtual reference set by this
+    // element, and whether it's being opened by this element
+    const anchoredRef = React.useRef(false);
+    const openingRef = React.useRef(false);
+
+    const resetVirtualReference = React.useCallback(() => {
+      if (!anchoredRef.current) return;
+      anchoredRef.current = false;
+      options.unstable_setVirtualReference(null);
+    }, [options.unstable_setVirtualReference]);
+
+    // The menu state may be shared with a MenuButton, which should open the
+    // menu anchored to itself
+    React.useEffect(() => {
+      const opening = openingRef.current;
+      openingRef.current = false;
+      if (options.visible && !opening) {
+        resetVirtualReference();
+      }
+    }, [options.visible, resetVirtualReference]);
+
+    // The virtual reference is kept during the exit animation so the menu
+    // doesn't move while it's animating
+    React.useEffect(() => {
+      if (options.visible || options.animating) return;
+      resetVirtualReference();
+    }, [options.visible, options.animating, resetVirtualReference]);
+
+    const open = React.useCallback(
+      (element: HTMLElement, reference: VirtualElement) => {
+        // Focus returns to the element that had focus within the context
+        // menu area when the menu is hidden, or to the area itself
+        if (options.unstable_disclosureRef) {
+          const activeElement = getActiveElement(element);
+          options.unstable_disclosureRef.current =
+            activeElement && contains(element, activeElement)
+              ? (activeElement as HTMLElement)
+              : element;
+        }
+        anchoredRef.current = true;
+        openingRef.current = true;
+        options.unstable_setVirtualReference(reference);
+        options.show();
+      },
+      [
+        options.unstable_disclosureRef,
+        options.unstable_setVirtualReference,
+        options.show,
+      ]
+    );
+
+    const onContextMenu = React.useCallback(
+      (event: React.MouseEvent<HTMLElement>) => {
+        onContextMenuRef.current?.(event);
+        if (event.defaultPrevented) return;
+        // Ignores events from portals, like a Menu rendered within this
+        // element
+        if (isPortalEvent(event)) return;
+        clearLongPress();
+        event.preventDefault();
+        const element = event.currentTarget;
+        open(element, getPointReference(event.clientX, event.clientY, element));
+        // Like MenuButton on mouse click, focus goes to the menu itself
+        options.move?.(null);
+      },
+      [clearLongPress, open, options.move]
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (isPortalEvent(event)) return;
+        const isShiftF10 = event.key === "F10" && event.shiftKey;
+        if (!isShiftF10 && event.key !== "ContextMenu") return;
+        // Prevents the native context menu from being shown as well
+        event.preventDefault();
+        // There's no pointer position, so the menu is anchored to the
+        // focused element
+        open(event.currentTarget, event.target as HTMLElement);
+        // setTimeout prevents scroll jump
+        if (options.first) {
+          setTimeout(options.first);
+        }
+      },
+      [open, options.first]
+    );
+
+    const onPointerDown = React.useCallback(
+      (event: React.PointerEvent<HTMLElement>) => {
+        onPointerDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (isPortalEvent(event)) return;
+        longPressedRef.current = false;
+        if (event.pointerType !== "touch") return;
+        clearLongPress();
+        const element = event.currentTarget;
+        const reference = getPointReference(
+          event.clientX,
+          event.clientY,
+          element
+        );
+        longPressTimeoutRef.current = window.setTimeout(() => {
+          longPressTimeoutRef.current = null;
+          longPressedRef.current = true;
+          open(element, reference);
+          options.move?.(null);
+        }, LONG_PRESS_TIMEOUT);
+      },
+      [clearLongPress, open, options.move]
+    );
+
+    const onPointerUp = React.useCallback(
+      (event: React.PointerEvent<HTMLElement>) => {
+        onPointerUpRef.current?.(event);
+        clearLongPress();
+      },
+      [clearLongPress]
+    );
+
+    const onPointerCancel = React.useCallback(
+      (event: React.PointerEvent<HTMLElement>) => {
+        onPointerCancelRef.current?.(event);
+        clearLongPress();
+      },
+      [clearLongPress]
+    );
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent<HTMLElement>) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (isPortalEvent(event)) return;
+        if (longPressedRef.current) {
+          // The click that ends a long press shouldn't activate the element
+          // below the pointer
+          longPressedRef.current = false;
+          event.preventDefault();
+          return;
+        }
+        // The context menu area may be the disclosure, which clicking
+        // outside the menu doesn't take into account
+        if (options.visible) {
+          options.hide?.();
+        }
+      },
+      [options.visible, options.hide]
+    );
+
+    return {
+      onContextMenu,
+      onKeyDown,
+      onPointerDown,
+      onPointerUp,
+      onPointerCancel,
+      onClick,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_ContextMenu = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useContextMenu,
+});
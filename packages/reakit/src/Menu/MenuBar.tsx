@@ -9,7 +9,6 @@ import {
   CompositeHTMLProps,
   useComposite,
 } from "../Composite/Composite";
-import { useShortcuts } from "./__utils/useShortcuts";
 import { useMenuContext } from "./__utils/MenuContext";
 import { MenuStateReturn } from "./MenuState";
 import { MENU_BAR_KEYS } from "./__keys";
@@ -39,8 +38,6 @@ export const useMenuBar = createHook<MenuBarOptions, MenuBarHTMLProps>({
     const ref = React.useRef<HTMLElement>(null);
     const wrap = useMenuContext(ref, role, options);
 
-    useShortcuts(ref, options);
-
     const wrapElement = React.useCallback(
       (element: React.ReactNode) => {
         element = wrap(element);
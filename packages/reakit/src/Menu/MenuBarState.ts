@@ -9,6 +9,7 @@ import {
   CompositeInitialState,
   useCompositeState,
 } from "../Composite";
+import { getControlledState } from "../__utils/useControlledState";
 
 export type MenuBarState = CompositeState & {
   /**
@@ -32,14 +33,24 @@ export type MenuBarStateReturn = MenuBarState & MenuBarActions;
 export function useMenuBarState(
   initialState: SealedInitialState<MenuBarInitialState> = {}
 ): MenuBarStateReturn {
+  const sealedState = useSealedState(initialState);
   const {
     orientation = "horizontal",
+    unstable_typeahead = true,
     unstable_values: initialValues = {},
     ...sealed
-  } = useSealedState(initialState);
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
 
   const [values, setValues] = React.useState(initialValues);
-  const composite = useCompositeState({ ...sealed, orientation });
+  const composite = useCompositeState({
+    ...sealed,
+    orientation,
+    unstable_typeahead,
+    unstable_getItemLabel: controlled.unstable_getItemLabel,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
 
   return {
     ...composite,
@@ -114,7 +114,7 @@ export const useMenuItem = createHook<MenuItemOptions, MenuItemHTMLProps>({
         if (hasFocusWithin(event.currentTarget)) return;
         options.move?.(event.currentTarget.id);
       },
-      [options.move]
+      [menu?.role, isMouseInTransitToSubmenu, options.move]
     );
 
     const onMouseLeave = React.useCallback(
@@ -132,7 +132,13 @@ export const useMenuItem = createHook<MenuItemOptions, MenuItemHTMLProps>({
           options.move?.(null);
         }
       },
-      [menu?.role, menu?.children, options.items, options.move]
+      [
+        menu?.role,
+        menu?.children,
+        options.items,
+        isMouseInTransitToSubmenu,
+        options.move,
+      ]
     );
 
     return {
@@ -10,6 +10,7 @@ import {
   usePopoverState,
   PopoverStateReturn,
 } from "../Popover/PopoverState";
+import { getControlledState } from "../__utils/useControlledState";
 import {
   MenuBarState,
   MenuBarActions,
@@ -34,9 +35,9 @@ export function useMenuState(
   initialState: SealedInitialState<MenuInitialState> = {}
 ): MenuStateReturn {
   const parent = React.useContext(MenuContext);
-  const { orientation = "vertical", gutter = 0, ...sealed } = useSealedState(
-    initialState
-  );
+  const sealedState = useSealedState(initialState);
+  const { orientation = "vertical", gutter = 0, ...sealed } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
 
   const placement =
     sealed.placement ||
@@ -44,11 +45,19 @@ export function useMenuState(
       ? "right-start"
       : "bottom-start");
 
-  const menuBar = useMenuBarState({ ...sealed, orientation });
+  const menuBar = useMenuBarState({
+    ...sealed,
+    orientation,
+    unstable_getItemLabel: controlled.unstable_getItemLabel,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
   const popover = usePopoverState({
     ...sealed,
     placement,
     gutter,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
   });
 
   React.useEffect(() => {
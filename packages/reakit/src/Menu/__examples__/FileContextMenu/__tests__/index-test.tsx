@@ -0,0 +1,119 @@
+import * as React from "react";
+import {
+  render,
+  press,
+  click,
+  focus,
+  act,
+  fireEvent,
+  screen,
+  wait,
+  axe,
+} from "reakit-test-utils";
+import FileContextMenu from "..";
+
+function touch(type: string, element: Element) {
+  const event = new MouseEvent(type, { bubbles: true, cancelable: true });
+  Object.defineProperty(event, "pointerType", { value: "touch" });
+  return fireEvent(element, event);
+}
+
+test("open menu with right click", () => {
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  const menu = screen.getByLabelText("File");
+  expect(menu).not.toBeVisible();
+  const defaultAllowed = fireEvent.contextMenu(area, {
+    clientX: 100,
+    clientY: 50,
+  });
+  expect(defaultAllowed).toBe(false);
+  expect(menu).toBeVisible();
+  expect(menu).toHaveFocus();
+});
+
+test("open menu with shift+f10", async () => {
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  focus(area);
+  press("F10", area, { shiftKey: true });
+  expect(screen.getByLabelText("File")).toBeVisible();
+  await wait(expect(screen.getByText("Open")).toHaveFocus);
+});
+
+test("open menu with the context menu key", async () => {
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  focus(area);
+  press("ContextMenu", area);
+  expect(screen.getByLabelText("File")).toBeVisible();
+  await wait(expect(screen.getByText("Open")).toHaveFocus);
+});
+
+test("open menu with long press on touch devices", () => {
+  jest.useFakeTimers();
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  const menu = screen.getByLabelText("File");
+  touch("pointerdown", area);
+  act(() => {
+    jest.advanceTimersByTime(699);
+  });
+  expect(menu).not.toBeVisible();
+  act(() => {
+    jest.advanceTimersByTime(1);
+  });
+  expect(menu).toBeVisible();
+  touch("pointerup", area);
+  expect(fireEvent.click(area)).toBe(false);
+  expect(menu).toBeVisible();
+  jest.useRealTimers();
+});
+
+test("do not open menu with short tap on touch devices", () => {
+  jest.useFakeTimers();
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  touch("pointerdown", area);
+  touch("pointerup", area);
+  act(() => {
+    jest.runAllTimers();
+  });
+  expect(screen.getByLabelText("File")).not.toBeVisible();
+  jest.useRealTimers();
+});
+
+test("return focus to the area when the menu is closed with esc", async () => {
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  focus(area);
+  press("F10", area, { shiftKey: true });
+  await wait(expect(screen.getByText("Open")).toHaveFocus);
+  press.Escape();
+  expect(screen.getByLabelText("File")).not.toBeVisible();
+  expect(area).toHaveFocus();
+});
+
+test("close menu by clicking on the area", () => {
+  render(<FileContextMenu />);
+  const area = screen.getByText("Right click here");
+  const menu = screen.getByLabelText("File");
+  fireEvent.contextMenu(area);
+  expect(menu).toBeVisible();
+  click(area);
+  expect(menu).not.toBeVisible();
+});
+
+test("close menu by clicking outside", () => {
+  const { baseElement } = render(<FileContextMenu />);
+  const menu = screen.getByLabelText("File");
+  fireEvent.contextMenu(screen.getByText("Right click here"));
+  expect(menu).toBeVisible();
+  click(baseElement);
+  expect(menu).not.toBeVisible();
+});
+
+test("a11y", async () => {
+  const { baseElement } = render(<FileContextMenu />);
+  expect(await axe(baseElement)).toHaveNoViolations();
+});
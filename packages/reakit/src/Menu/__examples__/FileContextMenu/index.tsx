@@ -0,0 +1,26 @@
+import * as React from "react";
+import {
+  useMenuState,
+  Menu,
+  MenuItem,
+  MenuSeparator,
+  unstable_ContextMenu as ContextMenu,
+} from "reakit/Menu";
+import "./style.css";
+
+export default function FileContextMenu() {
+  const menu = useMenuState();
+  return (
+    <>
+      <ContextMenu {...menu} tabIndex={0} className="context-menu-area">
+        Right click here
+      </ContextMenu>
+      <Menu {...menu} aria-label="File">
+        <MenuItem {...menu}>Open</MenuItem>
+        <MenuItem {...menu}>Rename</MenuItem>
+        <MenuSeparator {...menu} />
+        <MenuItem {...menu}>Delete</MenuItem>
+      </Menu>
+    </>
+  );
+}
@@ -1,6 +1,7 @@
 import { Menu } from "../Menu";
 
 export { default as ChromeMenuBar } from "./ChromeMenuBar";
+export { default as FileContextMenu } from "./FileContextMenu";
 export { default as MenuBarWithDisabledItems } from "./MenuBarWithDisabledItems";
 export { default as MenuWithDialog } from "./MenuWithDialog";
 export { default as MenuWithSubmenu } from "./MenuWithSubmenu";
@@ -12,6 +12,12 @@ const MENU_BAR_STATE_KEYS = [
   "wrap",
   "shift",
   "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
   "unstable_hasActiveWidget",
   "unstable_includesBaseElement",
   "unstable_values",
@@ -27,6 +33,8 @@ const MENU_BAR_STATE_KEYS = [
   "down",
   "first",
   "last",
+  "pageUp",
+  "pageDown",
   "sort",
   "unstable_setVirtual",
   "setRTL",
@@ -45,6 +53,7 @@ const MENU_STATE_KEYS = [
   "visible",
   "animated",
   "animating",
+  "unstable_phase",
   "show",
   "hide",
   "toggle",
@@ -55,6 +64,7 @@ const MENU_STATE_KEYS = [
   "unstable_disclosureRef",
   "setModal",
   "unstable_referenceRef",
+  "unstable_virtualReference",
   "unstable_popoverRef",
   "unstable_arrowRef",
   "unstable_popoverStyles",
@@ -63,8 +73,10 @@ const MENU_STATE_KEYS = [
   "unstable_update",
   "placement",
   "place",
+  "unstable_setVirtualReference",
 ] as const;
-export const MENU_KEYS = MENU_STATE_KEYS;
+export const CONTEXT_MENU_KEYS = MENU_STATE_KEYS;
+export const MENU_KEYS = CONTEXT_MENU_KEYS;
 export const MENU_ARROW_KEYS = MENU_KEYS;
 export const MENU_BAR_KEYS = MENU_ARROW_KEYS;
 export const MENU_BUTTON_KEYS = MENU_BAR_KEYS;
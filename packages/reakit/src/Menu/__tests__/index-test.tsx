@@ -7,6 +7,7 @@ import {
   act,
   wait,
   press,
+  fireEvent,
 } from "reakit-test-utils";
 import {
   useMenuState,
@@ -18,6 +19,8 @@ import {
   MenuItemRadio,
   MenuItemCheckbox,
   MenuButtonHTMLProps,
+  MenuInitialState,
+  unstable_ContextMenu as ContextMenu,
 } from "..";
 
 [true, false].forEach((virtual) => {
@@ -267,6 +270,31 @@ import {
       expect(item1).toHaveFocus();
     });
 
+    test("arrow down on disclosure mounts the menu and focus first item with unmountOnHide", async () => {
+      const Test = () => {
+        const menu = useMenuState({ unstable_virtual: virtual });
+        return (
+          <>
+            <MenuButton {...menu}>disclosure</MenuButton>
+            <Menu {...menu} aria-label="menu" unstable_unmountOnHide>
+              <MenuItem {...menu}>item1</MenuItem>
+              <MenuItem {...menu}>item2</MenuItem>
+            </Menu>
+          </>
+        );
+      };
+      const { getByText, queryByLabelText } = render(<Test />);
+      const disclosure = getByText("disclosure");
+      focus(disclosure);
+      expect(queryByLabelText("menu")).not.toBeInTheDocument();
+      press.ArrowDown();
+      expect(queryByLabelText("menu")).toBeVisible();
+      await wait(expect(getByText("item1")).toHaveFocus);
+      press.Escape();
+      expect(queryByLabelText("menu")).not.toBeInTheDocument();
+      expect(disclosure).toHaveFocus();
+    });
+
     test("arrow down on disclosure opens top menu and focus first item", async () => {
       const Test = () => {
         const menu = useMenuState({
@@ -1486,3 +1514,79 @@ import {
     });
   });
 });
+
+function ContextMenuWithButton(props: MenuInitialState) {
+  const menu = useMenuState(props);
+  return (
+    <>
+      <MenuButton {...menu}>disclosure</MenuButton>
+      <ContextMenu {...menu}>area</ContextMenu>
+      <Menu {...menu} aria-label="menu">
+        <MenuItem {...menu}>item</MenuItem>
+      </Menu>
+      <div>{menu.unstable_virtualReference ? "virtual" : "button"}</div>
+    </>
+  );
+}
+
+test("reset context menu virtual reference when the menu is hidden", () => {
+  const { getByText, getByLabelText } = render(<ContextMenuWithButton />);
+  fireEvent.contextMenu(getByText("area"), { clientX: 10, clientY: 10 });
+  expect(getByLabelText("menu")).toBeVisible();
+  expect(getByText("virtual")).toBeInTheDocument();
+  press.Escape();
+  expect(getByLabelText("menu")).not.toBeVisible();
+  expect(getByText("button")).toBeInTheDocument();
+});
+
+test("reset context menu virtual reference when the menu is opened by its button", () => {
+  const { getByText, getByLabelText } = render(
+    <ContextMenuWithButton animated />
+  );
+  fireEvent.contextMenu(getByText("area"), { clientX: 10, clientY: 10 });
+  expect(getByText("virtual")).toBeInTheDocument();
+  press.Escape();
+  // The menu is still animating, so it keeps its position
+  expect(getByText("virtual")).toBeInTheDocument();
+  click(getByText("disclosure"));
+  expect(getByLabelText("menu")).toBeVisible();
+  expect(getByText("button")).toBeInTheDocument();
+});
+
+test("keep focus on menu item disclosure while the mouse moves to its submenu", () => {
+  const Submenu = React.forwardRef(
+    (props: MenuButtonHTMLProps, ref: React.RefObject<any>) => {
+      const menu = useMenuState({ visible: true });
+      return (
+        <>
+          <MenuButton {...menu} {...props} ref={ref}>
+            subdisclosure
+          </MenuButton>
+          <Menu {...menu} aria-label="submenu">
+            <MenuItem {...menu}>subitem</MenuItem>
+          </Menu>
+        </>
+      );
+    }
+  );
+  const Test = () => {
+    const menu = useMenuState({ visible: true });
+    return (
+      <Menu {...menu} aria-label="menu">
+        <MenuItem {...menu}>{(props) => <Submenu {...props} />}</MenuItem>
+        <MenuItem {...menu}>item</MenuItem>
+      </Menu>
+    );
+  };
+  const { getByText, getByLabelText } = render(<Test />);
+  const subdisclosure = getByText("subdisclosure");
+  const item = getByText("item");
+  getByLabelText("submenu").getBoundingClientRect = () =>
+    ({ left: 100, top: 0, right: 200, bottom: 100 } as DOMRect);
+  focus(subdisclosure);
+  fireEvent.mouseOver(item, { clientX: 50, clientY: 50 });
+  fireEvent.mouseMove(item, { clientX: 60, clientY: 50 });
+  expect(subdisclosure).toHaveFocus();
+  fireEvent.mouseMove(item, { clientX: 70, clientY: 120 });
+  expect(item).toHaveFocus();
+});
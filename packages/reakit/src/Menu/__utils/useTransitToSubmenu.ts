@@ -1,63 +1,23 @@
 import * as React from "react";
 import { useLiveRef } from "reakit-utils/useLiveRef";
+import { useHoverIntent } from "../../__utils/useHoverIntent";
 import { MenuContextType } from "./MenuContext";
 import { findVisibleSubmenu } from "./findVisibleSubmenu";
 
-type Point = { x: number; y: number };
-
-function getTriangleArea(a: Point, b: Point, c: Point) {
-  return Math.abs(
-    (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y)) / 2
-  );
-}
-
-function isPointInTriangle(point: Point, a: Point, b: Point, c: Point) {
-  const A = getTriangleArea(a, b, c);
-  const A1 = getTriangleArea(point, b, c);
-  const A2 = getTriangleArea(a, point, c);
-  const A3 = getTriangleArea(a, b, point);
-  return A === A1 + A2 + A3;
-}
-
-function getSubmenuAnchorPoints(
-  event: React.MouseEvent,
-  visibleSubmenu: HTMLElement
-) {
-  const { top, right, bottom, left } = visibleSubmenu.getBoundingClientRect();
-  // If left is bigger than mouse's clientX, than the submenu is visible on
-  // the left side
-  const x = left > event.clientX ? left : right;
-  return [
-    { x, y: top },
-    { x, y: bottom },
-  ] as const;
-}
-
 export function useTransitToSubmenu(
   menu: MenuContextType | null,
   htmlOnMouseEnter?: React.MouseEventHandler
 ) {
   const onMouseEnterRef = useLiveRef(htmlOnMouseEnter);
-  const enterPointRef = React.useRef<Point | null>(null);
-  const submenuTopPointRef = React.useRef<Point | null>(null);
-  const submenuBottomPointRef = React.useRef<Point | null>(null);
   const previousClientX = React.useRef(0);
   const previousClientY = React.useRef(0);
 
-  const assignSubmenuAnchorPoints = React.useCallback(
-    (event: React.MouseEvent) => {
-      if (!menu?.children.length) return;
-      submenuTopPointRef.current = null;
-      submenuBottomPointRef.current = null;
-      const visibleSubmenu = findVisibleSubmenu(menu.children);
-      if (!visibleSubmenu) return;
-      [
-        submenuTopPointRef.current,
-        submenuBottomPointRef.current,
-      ] = getSubmenuAnchorPoints(event, visibleSubmenu);
-    },
-    [menu?.children]
-  );
+  const getVisibleSubmenu = React.useCallback(() => {
+    if (!menu?.children.length) return null;
+    return findVisibleSubmenu(menu.children);
+  }, [menu?.children]);
+
+  const hoverIntent = useHoverIntent({ getTarget: getVisibleSubmenu });
 
   const isMouseInTransitToSubmenu = React.useCallback(
     (event: React.MouseEvent) => {
@@ -71,24 +31,9 @@ export function useTransitToSubmenu(
       const movementX = Math.abs(previousClientX.current - event.clientX);
       previousClientX.current = event.clientX;
       previousClientY.current = event.clientY;
-      const hasAnchorPoints = () =>
-        submenuTopPointRef.current && submenuBottomPointRef.current;
-      if (event.type === "mouseleave" && !hasAnchorPoints()) {
-        assignSubmenuAnchorPoints(event);
-      }
-      if (!hasAnchorPoints()) return false;
-      return (
-        movementX &&
-        enterPointRef.current &&
-        isPointInTriangle(
-          { x: event.clientX, y: event.clientY },
-          enterPointRef.current,
-          submenuTopPointRef.current!,
-          submenuBottomPointRef.current!
-        )
-      );
+      return !!movementX && hoverIntent.isMovingToTarget(event);
     },
-    [assignSubmenuAnchorPoints]
+    [hoverIntent.isMovingToTarget]
   );
 
   const onMouseEnter = React.useCallback(
@@ -96,10 +41,9 @@ export function useTransitToSubmenu(
       onMouseEnterRef.current?.(event);
       if (event.defaultPrevented) return;
       if (menu?.role === "menubar") return;
-      enterPointRef.current = { x: event.clientX, y: event.clientY };
-      assignSubmenuAnchorPoints(event);
+      hoverIntent.onMouseEnter(event);
     },
-    [menu?.role, assignSubmenuAnchorPoints]
+    [menu?.role, hoverIntent.onMouseEnter]
   );
 
   return { onMouseEnter, isMouseInTransitToSubmenu };
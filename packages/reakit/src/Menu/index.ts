@@ -1,3 +1,4 @@
+export * from "./ContextMenu";
 export * from "./Menu";
 export * from "./MenuArrow";
 export * from "./MenuBar";
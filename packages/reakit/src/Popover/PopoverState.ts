@@ -1,5 +1,13 @@
 import * as React from "react";
-import { createPopper, Instance, State } from "@popperjs/core";
+import {
+  createPopper,
+  detectOverflow,
+  Boundary,
+  Instance,
+  Modifier,
+  State,
+  VirtualElement,
+} from "@popperjs/core";
 import {
   SealedInitialState,
   useSealedState,
@@ -7,6 +15,7 @@ import {
 import { useIsomorphicEffect } from "reakit-utils/useIsomorphicEffect";
 import { shallowEqual } from "reakit-utils/shallowEqual";
 import { isUA } from "reakit-utils/dom";
+import { getDocument } from "reakit-utils/getDocument";
 import {
   DialogState,
   DialogActions,
@@ -14,6 +23,8 @@ import {
   useDialogState,
   DialogStateReturn,
 } from "../Dialog/DialogState";
+import { getControlledState } from "../__utils/useControlledState";
+import { getPointRect } from "./__utils/getPointRect";
 
 const isSafari = isUA("Mac") && !isUA("Chrome") && isUA("Safari");
 
@@ -39,6 +50,16 @@ export type PopoverState = DialogState & {
    * The reference element.
    */
   unstable_referenceRef: React.RefObject<HTMLElement | null>;
+  /**
+   * A virtual element the popover is positioned against instead of
+   * `unstable_referenceRef`. It only needs a `getBoundingClientRect` method,
+   * so it can represent a point on the screen, a text selection range or a
+   * caret position. Its `contextElement`, if any, is used to find the
+   * scrolling containers the popover should listen to. Call
+   * `unstable_update` when its position changes without scrolling or
+   * resizing.
+   */
+  unstable_virtualReference: VirtualElement | null;
   /**
    * The popover element.
    * @private
@@ -79,10 +100,16 @@ export type PopoverActions = DialogActions & {
    * Change the `placement` state.
    */
   place: React.Dispatch<React.SetStateAction<Placement>>;
+  /**
+   * Sets `unstable_virtualReference`.
+   */
+  unstable_setVirtualReference: React.Dispatch<
+    React.SetStateAction<PopoverState["unstable_virtualReference"]>
+  >;
 };
 
 export type PopoverInitialState = DialogInitialState &
-  Partial<Pick<PopoverState, "placement">> & {
+  Partial<Pick<PopoverState, "placement" | "unstable_virtualReference">> & {
     /**
      * Whether or not the popover should have `position` set to `fixed`.
      */
@@ -104,6 +131,44 @@ export type PopoverInitialState = DialogInitialState &
      * Prevents popover from being positioned outside the boundary.
      */
     unstable_preventOverflow?: boolean;
+    /**
+     * Positions the popover against the pointer instead of the reference
+     * element, and keeps it following the pointer while it's visible. The
+     * reference element is used until the pointer moves.
+     */
+    unstable_followPointer?: boolean;
+    /**
+     * The element, or list of elements, whose edges the popover shouldn't
+     * overflow when flipping, preventing overflow or limiting its height.
+     * Defaults to the scrolling containers of the popover.
+     */
+    unstable_boundary?: Boundary;
+    /**
+     * Padding between the popover and the edges of the boundary. Defaults
+     * to `8` when flipping and `0` when preventing overflow.
+     */
+    unstable_overflowPadding?: number;
+    /**
+     * The placements tried, in order, when the popover flips. Defaults to
+     * the opposite placement.
+     */
+    unstable_fallbackPlacements?: Placement[];
+    /**
+     * Makes the popover as wide as the reference element.
+     */
+    unstable_sameWidth?: boolean;
+    /**
+     * Sets the popover's `max-height` to the space available between the
+     * reference element and the edge of the boundary. On `left` and `right`
+     * placements, that's the height of the boundary.
+     */
+    unstable_autoMaxHeight?: boolean;
+    /**
+     * Additional [Popper modifiers](https://popper.js.org/docs/v2/modifiers/).
+     * A modifier with the same `name` as a built-in one is merged into it,
+     * so its `options` can be overridden.
+     */
+    unstable_modifiers?: Array<Partial<Modifier<any, any>>>;
   };
 
 export type PopoverStateReturn = DialogStateReturn &
@@ -122,6 +187,7 @@ function applyStyles(styles?: Partial<CSSStyleDeclaration>) {
 export function usePopoverState(
   initialState: SealedInitialState<PopoverInitialState> = {}
 ): PopoverStateReturn {
+  const sealedState = useSealedState(initialState);
   const {
     gutter = 12,
     placement: sealedPlacement = "bottom",
@@ -129,14 +195,28 @@ export function usePopoverState(
     unstable_offset: sealedOffset,
     unstable_preventOverflow: preventOverflow = true,
     unstable_fixed: fixed = false,
+    unstable_virtualReference: sealedVirtualReference = null,
+    unstable_followPointer: followPointer = false,
+    unstable_boundary: boundary,
+    unstable_overflowPadding: overflowPadding,
+    unstable_fallbackPlacements: fallbackPlacements,
+    unstable_sameWidth: sameWidth = false,
+    unstable_autoMaxHeight: autoMaxHeight = false,
+    unstable_modifiers: modifiers,
     modal = false,
     ...sealed
-  } = useSealedState(initialState);
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
 
   const popper = React.useRef<Instance | null>(null);
   const referenceRef = React.useRef<HTMLElement>(null);
   const popoverRef = React.useRef<HTMLElement>(null);
   const arrowRef = React.useRef<HTMLElement>(null);
+  const pointerRef = React.useRef<{ x: number; y: number } | null>(null);
+  const [
+    virtualReference,
+    setVirtualReference,
+  ] = React.useState<VirtualElement | null>(sealedVirtualReference);
 
   const [originalPlacement, place] = React.useState(sealedPlacement);
   const [placement, setPlacement] = React.useState(sealedPlacement);
@@ -150,7 +230,12 @@ export function usePopoverState(
   );
   const [arrowStyles, setArrowStyles] = React.useState<React.CSSProperties>({});
 
-  const dialog = useDialogState({ modal, ...sealed });
+  const dialog = useDialogState({
+    modal,
+    ...sealed,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
 
   const update = React.useCallback(() => {
     if (popper.current) {
@@ -172,9 +257,39 @@ export function usePopoverState(
     }
   }, []);
 
+  const getPointerRect = React.useCallback(() => {
+    const pointer = pointerRef.current;
+    if (pointer) {
+      return getPointRect(pointer.x, pointer.y);
+    }
+    const reference = virtualReference || referenceRef.current;
+    return reference ? reference.getBoundingClientRect() : getPointRect(0, 0);
+  }, [virtualReference]);
+
+  React.useEffect(() => {
+    if (!followPointer) return undefined;
+    const document = getDocument(popoverRef.current);
+    // The pointer position is also tracked while the popover is hidden so
+    // it's shown at the right position
+    const onMouseMove = (event: MouseEvent) => {
+      pointerRef.current = { x: event.clientX, y: event.clientY };
+      if (dialog.visible) {
+        popper.current?.update();
+      }
+    };
+    document.addEventListener("mousemove", onMouseMove);
+    return () => document.removeEventListener("mousemove", onMouseMove);
+  }, [followPointer, dialog.visible]);
+
   useIsomorphicEffect(() => {
-    if (referenceRef.current && popoverRef.current) {
-      popper.current = createPopper(referenceRef.current, popoverRef.current, {
+    const reference: VirtualElement | null = followPointer
+      ? {
+          getBoundingClientRect: getPointerRect,
+          contextElement: referenceRef.current || undefined,
+        }
+      : virtualReference || referenceRef.current;
+    if (reference && popoverRef.current) {
+      popper.current = createPopper(reference, popoverRef.current, {
         // https://popper.js.org/docs/v2/constructors/#options
         placement: originalPlacement,
         strategy: fixed ? "fixed" : "absolute",
@@ -197,7 +312,11 @@ export function usePopoverState(
             // https://popper.js.org/docs/v2/modifiers/flip/
             name: "flip",
             enabled: flip,
-            options: { padding: 8 },
+            options: {
+              boundary,
+              padding: overflowPadding ?? 8,
+              fallbackPlacements,
+            },
           },
           {
             // https://popper.js.org/docs/v2/modifiers/offset/
@@ -209,6 +328,8 @@ export function usePopoverState(
             name: "preventOverflow",
             enabled: preventOverflow,
             options: {
+              boundary,
+              padding: overflowPadding,
               tetherOffset: () => arrowRef.current?.clientWidth || 0,
             },
           },
@@ -218,6 +339,43 @@ export function usePopoverState(
             enabled: !!arrowRef.current,
             options: { element: arrowRef.current },
           },
+          {
+            // https://popper.js.org/docs/v2/modifiers/#custom-modifiers
+            name: "sameWidth",
+            enabled: sameWidth,
+            phase: "beforeWrite",
+            requires: ["computeStyles"],
+            fn: ({ state }) => {
+              state.styles.popper.width = `${state.rects.reference.width}px`;
+            },
+          },
+          {
+            // https://popper.js.org/docs/v2/modifiers/#custom-modifiers
+            name: "autoMaxHeight",
+            enabled: autoMaxHeight,
+            phase: "beforeWrite",
+            requires: ["computeStyles"],
+            requiresIfExists: ["preventOverflow"],
+            fn: ({ state }) => {
+              const overflow = detectOverflow(state, {
+                boundary,
+                padding: overflowPadding,
+              });
+              const [basePlacement] = state.placement.split("-");
+              const { height } = state.rects.popper;
+              let maxHeight: number;
+              if (basePlacement === "left" || basePlacement === "right") {
+                // The popover can use the whole height of the boundary
+                maxHeight = height - overflow.top - overflow.bottom;
+              } else {
+                const side = basePlacement === "top" ? "top" : "bottom";
+                // preventOverflow may have moved the popover along the y axis
+                const shift = state.modifiersData.preventOverflow?.y || 0;
+                maxHeight = height - overflow[side] - shift;
+              }
+              state.styles.popper.maxHeight = `${Math.max(0, maxHeight)}px`;
+            },
+          },
           {
             // https://popper.js.org/docs/v2/modifiers/#custom-modifiers
             name: "updateState",
@@ -226,6 +384,7 @@ export function usePopoverState(
             enabled: dialog.visible && process.env.NODE_ENV !== "test",
             fn: ({ state }) => updateState(state),
           },
+          ...(modifiers || []),
         ],
       });
     }
@@ -235,7 +394,23 @@ export function usePopoverState(
         popper.current = null;
       }
     };
-  }, [originalPlacement, fixed, dialog.visible, flip, offset, preventOverflow]);
+  }, [
+    originalPlacement,
+    fixed,
+    dialog.visible,
+    flip,
+    offset,
+    preventOverflow,
+    virtualReference,
+    followPointer,
+    getPointerRect,
+    boundary,
+    overflowPadding,
+    fallbackPlacements,
+    sameWidth,
+    autoMaxHeight,
+    modifiers,
+  ]);
 
   // Ensure that the popover will be correctly positioned with an additional
   // update.
@@ -252,6 +427,7 @@ export function usePopoverState(
   return {
     ...dialog,
     unstable_referenceRef: referenceRef,
+    unstable_virtualReference: virtualReference,
     unstable_popoverRef: popoverRef,
     unstable_arrowRef: arrowRef,
     unstable_popoverStyles: popoverStyles,
@@ -260,5 +436,6 @@ export function usePopoverState(
     unstable_originalPlacement: originalPlacement,
     placement,
     place,
+    unstable_setVirtualReference: setVirtualReference,
   };
 }
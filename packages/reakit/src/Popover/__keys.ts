@@ -5,6 +5,7 @@ const POPOVER_STATE_KEYS = [
   "visible",
   "animated",
   "animating",
+  "unstable_phase",
   "setBaseId",
   "show",
   "hide",
@@ -16,6 +17,7 @@ const POPOVER_STATE_KEYS = [
   "unstable_disclosureRef",
   "setModal",
   "unstable_referenceRef",
+  "unstable_virtualReference",
   "unstable_popoverRef",
   "unstable_arrowRef",
   "unstable_popoverStyles",
@@ -24,6 +26,7 @@ const POPOVER_STATE_KEYS = [
   "unstable_update",
   "placement",
   "place",
+  "unstable_setVirtualReference",
 ] as const;
 export const POPOVER_KEYS = POPOVER_STATE_KEYS;
 export const POPOVER_ARROW_KEYS = [...POPOVER_KEYS, "size"] as const;
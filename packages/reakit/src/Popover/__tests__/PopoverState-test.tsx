@@ -0,0 +1,239 @@
+import * as React from "react";
+import { createPopper, VirtualElement } from "@popperjs/core";
+import { render, act, fireEvent } from "reakit-test-utils";
+import {
+  Popover,
+  PopoverDisclosure,
+  usePopoverState,
+  PopoverInitialState,
+  PopoverStateReturn,
+} from "..";
+
+jest.mock("@popperjs/core", () => {
+  const actual = jest.requireActual("@popperjs/core");
+  return { ...actual, createPopper: jest.fn(actual.createPopper) };
+});
+
+const createPopperMock = createPopper as jest.MockedFunction<
+  typeof createPopper
+>;
+
+function getLastReference() {
+  const { calls } = createPopperMock.mock;
+  return calls[calls.length - 1][0];
+}
+
+function createVirtualReference(x: number, y: number): VirtualElement {
+  return {
+    getBoundingClientRect: () =>
+      ({
+        width: 10,
+        height: 10,
+        x,
+        y,
+        top: y,
+        right: x + 10,
+        bottom: y + 10,
+        left: x,
+      } as DOMRect),
+  };
+}
+
+function renderPopover(initialState?: PopoverInitialState) {
+  const state = {} as { current: PopoverStateReturn };
+  const Test = () => {
+    state.current = usePopoverState(initialState);
+    return (
+      <>
+        <PopoverDisclosure {...state.current}>disclosure</PopoverDisclosure>
+        <Popover {...state.current} aria-label="popover" tabIndex={0}>
+          popover
+        </Popover>
+      </>
+    );
+  };
+  render(<Test />);
+  return state;
+}
+
+beforeEach(() => {
+  createPopperMock.mockClear();
+});
+
+test("position popover against the reference element", () => {
+  const state = renderPopover();
+  expect(getLastReference()).toBe(state.current.unstable_referenceRef.current);
+});
+
+test("position popover against an initial virtual reference", () => {
+  const virtualReference = createVirtualReference(10, 20);
+  const state = renderPopover({ unstable_virtualReference: virtualReference });
+  expect(state.current.unstable_virtualReference).toBe(virtualReference);
+  expect(getLastReference()).toBe(virtualReference);
+});
+
+test("set virtual reference at runtime", () => {
+  const state = renderPopover({ visible: true });
+  const virtualReference = createVirtualReference(10, 20);
+  act(() => {
+    state.current.unstable_setVirtualReference(virtualReference);
+  });
+  expect(getLastReference()).toBe(virtualReference);
+  expect(state.current.unstable_update()).toBe(true);
+  act(() => {
+    state.current.unstable_setVirtualReference(null);
+  });
+  expect(getLastReference()).toBe(state.current.unstable_referenceRef.current);
+});
+
+test("keep virtual reference when placement changes", () => {
+  const virtualReference = createVirtualReference(10, 20);
+  const state = renderPopover({ unstable_virtualReference: virtualReference });
+  createPopperMock.mockClear();
+  act(() => {
+    state.current.place("right");
+  });
+  expect(createPopperMock).toHaveBeenCalledTimes(1);
+  expect(getLastReference()).toBe(virtualReference);
+  expect(createPopperMock.mock.calls[0][2]).toMatchObject({
+    placement: "right",
+  });
+});
+
+test("follow pointer", () => {
+  const state = renderPopover({ unstable_followPointer: true });
+  const reference = state.current.unstable_referenceRef.current!;
+  reference.getBoundingClientRect = () =>
+    ({ x: 1, y: 2, top: 2, left: 1, right: 11, bottom: 12 } as DOMRect);
+  expect(getLastReference().getBoundingClientRect()).toMatchObject({
+    x: 1,
+    y: 2,
+  });
+  expect((getLastReference() as VirtualElement).contextElement).toBe(reference);
+  fireEvent.mouseMove(document.body, { clientX: 50, clientY: 60 });
+  expect(getLastReference().getBoundingClientRect()).toMatchObject({
+    x: 50,
+    y: 60,
+    width: 0,
+    height: 0,
+  });
+  act(() => {
+    state.current.show();
+  });
+  fireEvent.mouseMove(document.body, { clientX: 70, clientY: 80 });
+  expect(getLastReference().getBoundingClientRect()).toMatchObject({
+    x: 70,
+    y: 80,
+  });
+});
+
+function getLastInstance() {
+  const { results } = createPopperMock.mock;
+  return results[results.length - 1].value as ReturnType<typeof createPopper>;
+}
+
+function getModifier(name: string) {
+  return getLastInstance().state.orderedModifiers.find(
+    (modifier) => modifier.name === name
+  );
+}
+
+test("pass boundary, padding and fallback placements to popper", () => {
+  const boundary = document.createElement("div");
+  renderPopover({
+    unstable_boundary: boundary,
+    unstable_overflowPadding: 4,
+    unstable_fallbackPlacements: ["top", "right"],
+  });
+  expect(getModifier("flip")?.options).toMatchObject({
+    boundary,
+    padding: 4,
+    fallbackPlacements: ["top", "right"],
+  });
+  expect(getModifier("preventOverflow")?.options).toMatchObject({
+    boundary,
+    padding: 4,
+  });
+});
+
+test("merge custom modifiers", () => {
+  const fn = jest.fn();
+  renderPopover({
+    unstable_modifiers: [
+      { name: "flip", options: { altBoundary: true } },
+      { name: "custom", enabled: true, phase: "main", fn },
+    ],
+  });
+  expect(getModifier("flip")?.options).toMatchObject({
+    padding: 8,
+    altBoundary: true,
+  });
+  getLastInstance().forceUpdate();
+  expect(fn).toHaveBeenCalled();
+});
+
+test("same width", () => {
+  const virtualReference = createVirtualReference(10, 20);
+  const state = renderPopover({
+    unstable_virtualReference: virtualReference,
+    unstable_sameWidth: true,
+  });
+  state.current.unstable_update();
+  expect(getLastInstance().state.styles.popper.width).toBe("10px");
+});
+
+test("auto max height", () => {
+  const html = document.documentElement;
+  Object.defineProperty(html, "clientWidth", {
+    value: 1000,
+    configurable: true,
+  });
+  Object.defineProperty(html, "clientHeight", {
+    value: 800,
+    configurable: true,
+  });
+  const state = renderPopover({
+    unstable_virtualReference: createVirtualReference(100, 110),
+    unstable_autoMaxHeight: true,
+    unstable_overflowPadding: 8,
+    unstable_flip: false,
+    gutter: 0,
+  });
+  const popover = state.current.unstable_popoverRef.current!;
+  Object.defineProperty(popover, "offsetWidth", { value: 100 });
+  Object.defineProperty(popover, "offsetHeight", { value: 1000 });
+  state.current.unstable_update();
+  // The reference bottom edge is at 120
+  expect(getLastInstance().state.styles.popper.maxHeight).toBe("672px");
+  delete (html as any).clientWidth;
+  delete (html as any).clientHeight;
+});
+
+test("auto max height on right placement", () => {
+  const html = document.documentElement;
+  Object.defineProperty(html, "clientWidth", {
+    value: 1000,
+    configurable: true,
+  });
+  Object.defineProperty(html, "clientHeight", {
+    value: 800,
+    configurable: true,
+  });
+  const state = renderPopover({
+    placement: "right",
+    unstable_virtualReference: createVirtualReference(100, 395),
+    unstable_autoMaxHeight: true,
+    unstable_overflowPadding: 8,
+    unstable_flip: false,
+    gutter: 0,
+  });
+  const popover = state.current.unstable_popoverRef.current!;
+  Object.defineProperty(popover, "offsetWidth", { value: 100 });
+  Object.defineProperty(popover, "offsetHeight", { value: 200 });
+  state.current.unstable_update();
+  // The popover is vertically centered, but it can use the whole boundary
+  // height
+  expect(getLastInstance().state.styles.popper.maxHeight).toBe("784px");
+  delete (html as any).clientWidth;
+  delete (html as any).clientHeight;
+});
@@ -38,3 +38,31 @@ test("hide", async () => {
   click(disclosure);
   await wait(expect(popover).not.toBeVisible);
 });
+
+test("unmount on hide", async () => {
+  const Unmount = () => {
+    const popover = usePopoverState();
+    return (
+      <>
+        <PopoverDisclosure {...popover}>disclosure</PopoverDisclosure>
+        <Popover
+          {...popover}
+          aria-label="popover"
+          tabIndex={0}
+          unstable_unmountOnHide
+        >
+          popover
+        </Popover>
+      </>
+    );
+  };
+  const { getByText, queryByText } = render(<Unmount />);
+  const disclosure = getByText("disclosure");
+  expect(queryByText("popover")).not.toBeInTheDocument();
+  click(disclosure);
+  await wait(expect(getByText("popover")).toBeVisible);
+  expect(getByText("popover")).toHaveFocus();
+  click(disclosure);
+  await wait(() => expect(queryByText("popover")).not.toBeInTheDocument());
+  expect(disclosure).toHaveFocus();
+});
@@ -0,0 +1,16 @@
+/**
+ * Returns an empty rect at the given point, so a virtual element can
+ * represent it.
+ */
+export function getPointRect(x: number, y: number) {
+  return {
+    width: 0,
+    height: 0,
+    x,
+    y,
+    top: y,
+    right: x,
+    bottom: y,
+    left: x,
+  } as DOMRect;
+}
@@ -9,6 +9,10 @@ import {
   CompositeInitialState,
   useCompositeState,
 } from "../Composite";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
 
 export type RadioState = CompositeState & {
   /**
@@ -25,18 +29,38 @@ export type RadioActions = CompositeActions & {
 };
 
 export type RadioInitialState = CompositeInitialState &
-  Partial<Pick<RadioState, "state">>;
+  Partial<Pick<RadioState, "state">> & {
+    /**
+     * Makes `state` controlled. When passed, `state` is read on every render
+     * instead of only on the first one, and this function is called with the
+     * next value whenever a radio gets checked.
+     * @example
+     * const [state, setState] = React.useState("apple");
+     * const radio = useRadioState({ state, setState });
+     */
+    setState?: (state: RadioState["state"]) => void;
+  };
 
 export type RadioStateReturn = RadioState & RadioActions;
 
 export function useRadioState(
   initialState: SealedInitialState<RadioInitialState> = {}
 ): RadioStateReturn {
-  const { state: initialValue, loop = true, ...sealed } = useSealedState(
-    initialState
+  const sealedState = useSealedState(initialState);
+  const { state: initialValue, loop = true, ...sealed } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+  const [state, setState] = useControlledState(
+    initialValue,
+    controlled.state ?? initialValue,
+    controlled.setState,
+    "state"
   );
-  const [state, setState] = React.useState(initialValue);
-  const composite = useCompositeState({ ...sealed, loop });
+  const composite = useCompositeState({
+    ...sealed,
+    loop,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
   return {
     ...composite,
     state,
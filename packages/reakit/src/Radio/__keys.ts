@@ -12,6 +12,12 @@ const RADIO_STATE_KEYS = [
   "wrap",
   "shift",
   "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
   "unstable_hasActiveWidget",
   "unstable_includesBaseElement",
   "state",
@@ -27,6 +33,8 @@ const RADIO_STATE_KEYS = [
   "down",
   "first",
   "last",
+  "pageUp",
+  "pageDown",
   "sort",
   "unstable_setVirtual",
   "setRTL",
@@ -1,4 +1,4 @@
-import { renderHook } from "reakit-test-utils/hooks";
+import { renderHook, act } from "reakit-test-utils/hooks";
 import { jestSerializerStripFunctions } from "reakit-test-utils/jestSerializerStripFunctions";
 import { useRadioState } from "../RadioState";
 
@@ -17,14 +17,33 @@ test("initial state", () => {
       "rtl": false,
       "shift": false,
       "state": undefined,
+      "unstable_getItemId": undefined,
+      "unstable_getItemLabel": undefined,
       "unstable_hasActiveWidget": false,
       "unstable_idCountRef": Object {
         "current": 0,
       },
       "unstable_includesBaseElement": false,
+      "unstable_itemCount": undefined,
       "unstable_moves": 0,
+      "unstable_pageSize": undefined,
+      "unstable_rowCount": undefined,
+      "unstable_typeahead": false,
       "unstable_virtual": false,
       "wrap": false,
     }
   `);
 });
+
+test("controlled state", () => {
+  const setState = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ state }) => useRadioState({ baseId: "base", state, setState }),
+    { initialProps: { state: "a" } }
+  );
+  act(() => result.current.setState("b"));
+  expect(setState).toHaveBeenCalledWith("b");
+  expect(result.current.state).toBe("a");
+  rerender({ state: "b" });
+  expect(result.current.state).toBe("b");
+});
@@ -0,0 +1,68 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useWarning } from "reakit-warning";
+import { useCreateElement } from "reakit-system/useCreateElement";
+import {
+  CompositeOptions,
+  CompositeHTMLProps,
+  useComposite,
+} from "../Composite/Composite";
+import { unstable_ListboxStateReturn } from "./ListboxState";
+import { useHiddenInputs } from "./__utils/useHiddenInputs";
+import { LISTBOX_KEYS } from "./__keys";
+
+export const unstable_useListbox = createHook<
+  unstable_ListboxOptions,
+  unstable_ListboxHTMLProps
+>({
+  name: "Listbox",
+  compose: useComposite,
+  keys: LISTBOX_KEYS,
+
+  useProps(options, { wrapElement: htmlWrapElement, ...htmlProps }) {
+    const wrapElement = useHiddenInputs(
+      options.name,
+      options.selectedValues,
+      options.multiple,
+      htmlWrapElement
+    );
+
+    return {
+      role: "listbox",
+      "aria-multiselectable": options.multiple || undefined,
+      "aria-orientation": options.orientation,
+      wrapElement,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_Listbox = createComponent({
+  as: "div",
+  useHook: unstable_useListbox,
+  useCreateElement: (type, props, children) => {
+    useWarning(
+      !props["aria-label"] && !props["aria-labelledby"],
+      "You should provide either `aria-label` or `aria-labelledby` props.",
+      "See https://reakit.io/docs/select"
+    );
+    return useCreateElement(type, props, children);
+  },
+});
+
+export type unstable_ListboxOptions = CompositeOptions &
+  Pick<
+    Partial<unstable_ListboxStateReturn>,
+    "orientation" | "multiple" | "selectedValues"
+  > & {
+    /**
+     * Name of the hidden inputs rendered with the selected values, so they
+     * are submitted with the form the listbox is in.
+     */
+    name?: string;
+  };
+
+export type unstable_ListboxHTMLProps = CompositeHTMLProps;
+
+export type unstable_ListboxProps = unstable_ListboxOptions &
+  unstable_ListboxHTMLProps;
@@ -0,0 +1,131 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import { SetState } from "reakit-utils/types";
+import {
+  useCompositeState,
+  CompositeState,
+  CompositeActions,
+  CompositeInitialState,
+} from "../Composite/CompositeState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
+import { Item } from "./__utils/types";
+
+export function unstable_useListboxState(
+  initialState: SealedInitialState<unstable_ListboxInitialState> = {}
+): unstable_ListboxStateReturn {
+  const sealedState = useSealedState(initialState);
+  const {
+    orientation = "vertical",
+    unstable_typeahead = true,
+    multiple = false,
+    selectedValues: initialSelectedValues = [],
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  const composite = useCompositeState({
+    orientation,
+    unstable_typeahead,
+    ...sealed,
+    unstable_getItemLabel: controlled.unstable_getItemLabel,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
+
+  const [selectedValues, setSelectedValues] = useControlledState(
+    initialSelectedValues,
+    controlled.selectedValues ?? initialSelectedValues,
+    controlled.setSelectedValues,
+    "selectedValues"
+  );
+
+  const selectValue = React.useCallback(
+    (value: string) => {
+      setSelectedValues((prevSelectedValues) => {
+        if (!multiple) return [value];
+        if (prevSelectedValues.includes(value)) {
+          return prevSelectedValues.filter((selected) => selected !== value);
+        }
+        return [...prevSelectedValues, value];
+      });
+    },
+    [multiple, setSelectedValues]
+  );
+
+  return {
+    ...composite,
+    items: composite.items as Item[],
+    multiple,
+    selectedValues,
+    setSelectedValues,
+    selectValue,
+  };
+}
+
+export type unstable_ListboxState = Omit<CompositeState, "items"> & {
+  /**
+   * Lists all the listbox options with their `id`, DOM `ref`, `disabled`
+   * state, `value` and `groupId` if any. This state is automatically updated
+   * when `registerItem` and `unregisterItem` are called.
+   */
+  items: Item[];
+  /**
+   * Whether multiple values can be selected.
+   * @default false
+   */
+  multiple: boolean;
+  /**
+   * Values of the selected options. If `multiple` is `false`, it has at
+   * most one value.
+   * @default []
+   * @example
+   * const select = useSelectState({ selectedValues: ["Apple"] });
+   */
+  selectedValues: string[];
+};
+
+export type unstable_ListboxActions = Omit<CompositeActions, "registerItem"> & {
+  /**
+   * Registers a listbox option.
+   * @example
+   * const ref = React.useRef();
+   * const listbox = useListboxState();
+   * React.useEffect(() => {
+   *   listbox.registerItem({ ref, id: "id", value: "Apple" });
+   *   return () => listbox.unregisterItem("id");
+   * });
+   */
+  registerItem: (item: Item) => void;
+  /**
+   * Sets `selectedValues`.
+   */
+  setSelectedValues: SetState<unstable_ListboxState["selectedValues"]>;
+  /**
+   * Selects `value`. If `multiple` is `true`, it toggles `value` in
+   * `selectedValues` instead.
+   */
+  selectValue: (value: string) => void;
+};
+
+export type unstable_ListboxInitialState = CompositeInitialState &
+  Pick<Partial<unstable_ListboxState>, "multiple" | "selectedValues"> & {
+    /**
+     * Makes `selectedValues` controlled. When passed, `selectedValues` is
+     * read on every render instead of only on the first one, and this
+     * function is called with the next value whenever the selection would
+     * change.
+     * @example
+     * const [selectedValues, setSelectedValues] = React.useState([]);
+     * const select = useSelectState({ selectedValues, setSelectedValues });
+     */
+    setSelectedValues?: (selectedValues: string[]) => void;
+  };
+
+export type unstable_ListboxStateReturn = unstable_ListboxState &
+  unstable_ListboxActions;
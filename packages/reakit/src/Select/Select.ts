@@ -0,0 +1,119 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import {
+  PopoverDisclosureOptions,
+  PopoverDisclosureHTMLProps,
+  usePopoverDisclosure,
+} from "../Popover/PopoverDisclosure";
+import {
+  useTypeahead,
+  isTypeaheadEvent,
+  getItemLabel,
+} from "../Composite/__utils/useTypeahead";
+import { unstable_SelectStateReturn } from "./SelectState";
+import { Item } from "./__utils/types";
+import { useHiddenInputs } from "./__utils/useHiddenInputs";
+import { SELECT_KEYS } from "./__keys";
+
+// Options may not be rendered while the popover is closed, in which case
+// their values are matched instead.
+function getOptionLabel(item: Item) {
+  return getItemLabel(item) || item.value || "";
+}
+
+export const unstable_useSelect = createHook<
+  unstable_SelectOptions,
+  unstable_SelectHTMLProps
+>({
+  name: "Select",
+  compose: usePopoverDisclosure,
+  keys: SELECT_KEYS,
+
+  useProps(
+    options,
+    { onKeyDown: htmlOnKeyDown, wrapElement: htmlWrapElement, ...htmlProps }
+  ) {
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const selectedItem = options.items.find(
+      (item) =>
+        item.value != null && options.selectedValues.includes(item.value)
+    );
+    const findItem = useTypeahead<Item>(
+      options.items,
+      selectedItem?.id,
+      options.unstable_getItemLabel || getOptionLabel
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+          event.preventDefault();
+          options.show?.();
+          return;
+        }
+        // Like native selects, typing while the popover is closed changes
+        // the selected value.
+        if (options.multiple || options.visible) return;
+        if (!isTypeaheadEvent(event)) return;
+        const item = findItem(event.key);
+        if (item?.value != null) {
+          event.preventDefault();
+          options.selectValue(item.value);
+        }
+      },
+      [
+        options.show,
+        options.multiple,
+        options.visible,
+        findItem,
+        options.selectValue,
+      ]
+    );
+
+    const wrapElement = useHiddenInputs(
+      options.name,
+      options.selectedValues,
+      options.multiple,
+      htmlWrapElement
+    );
+
+    return {
+      "aria-haspopup": "listbox",
+      children: options.selectedValues.join(", "),
+      onKeyDown,
+      wrapElement,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_Select = createComponent({
+  as: "button",
+  memo: true,
+  useHook: unstable_useSelect,
+});
+
+export type unstable_SelectOptions = PopoverDisclosureOptions &
+  Pick<
+    Partial<unstable_SelectStateReturn>,
+    "show" | "multiple" | "unstable_getItemLabel"
+  > &
+  Pick<
+    unstable_SelectStateReturn,
+    "items" | "selectedValues" | "selectValue"
+  > & {
+    /**
+     * Name of the hidden inputs rendered with the selected values, so they
+     * are submitted with the form the select is in.
+     */
+    name?: string;
+  };
+
+export type unstable_SelectHTMLProps = PopoverDisclosureHTMLProps;
+
+export type unstable_SelectProps = unstable_SelectOptions &
+  unstable_SelectHTMLProps;
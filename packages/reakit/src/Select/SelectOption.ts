@@ -0,0 +1,82 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import {
+  CompositeItemOptions,
+  CompositeItemHTMLProps,
+  useCompositeItem,
+} from "../Composite/CompositeItem";
+import { unstable_SelectStateReturn } from "./SelectState";
+import { Item } from "./__utils/types";
+import { SELECT_OPTION_KEYS } from "./__keys";
+
+export const unstable_useSelectOption = createHook<
+  unstable_SelectOptionOptions,
+  unstable_SelectOptionHTMLProps
+>({
+  name: "SelectOption",
+  compose: useCompositeItem,
+  keys: SELECT_OPTION_KEYS,
+
+  useOptions(options) {
+    const { value } = options;
+
+    const registerItem = React.useCallback(
+      (item: Item) => options.registerItem({ ...item, value }),
+      [options.registerItem, value]
+    );
+
+    return { ...options, registerItem };
+  },
+
+  useProps(options, { onClick: htmlOnClick, ...htmlProps }) {
+    const onClickRef = useLiveRef(htmlOnClick);
+    const selected = !!options.selectedValues?.includes(options.value);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        options.selectValue?.(options.value);
+        if (!options.multiple) {
+          options.hide?.();
+        }
+      },
+      [options.selectValue, options.value, options.multiple, options.hide]
+    );
+
+    return {
+      role: "option",
+      "aria-selected": selected,
+      children: options.value,
+      onClick,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_SelectOption = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useSelectOption,
+});
+
+export type unstable_SelectOptionOptions = CompositeItemOptions &
+  Pick<
+    Partial<unstable_SelectStateReturn>,
+    "multiple" | "selectedValues" | "selectValue" | "hide"
+  > &
+  Pick<unstable_SelectStateReturn, "registerItem"> & {
+    /**
+     * The value that is added to `selectedValues` when the option is
+     * selected. It's also rendered as the option content if `children`
+     * isn't passed.
+     */
+    value: string;
+  };
+
+export type unstable_SelectOptionHTMLProps = CompositeItemHTMLProps;
+
+export type unstable_SelectOptionProps = unstable_SelectOptionOptions &
+  unstable_SelectOptionHTMLProps;
@@ -0,0 +1,50 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useWarning } from "reakit-warning";
+import { useCreateElement } from "reakit-system/useCreateElement";
+import {
+  PopoverOptions,
+  PopoverHTMLProps,
+  usePopover,
+} from "../Popover/Popover";
+import {
+  unstable_ListboxOptions as ListboxOptions,
+  unstable_ListboxHTMLProps as ListboxHTMLProps,
+  unstable_useListbox as useListbox,
+} from "./Listbox";
+import { SELECT_POPOVER_KEYS } from "./__keys";
+
+export const unstable_useSelectPopover = createHook<
+  unstable_SelectPopoverOptions,
+  unstable_SelectPopoverHTMLProps
+>({
+  name: "SelectPopover",
+  compose: [useListbox, usePopover],
+  keys: SELECT_POPOVER_KEYS,
+
+  useOptions(options) {
+    return { modal: false, ...options };
+  },
+});
+
+export const unstable_SelectPopover = createComponent({
+  as: "div",
+  useHook: unstable_useSelectPopover,
+  useCreateElement: (type, props, children) => {
+    useWarning(
+      !props["aria-label"] && !props["aria-labelledby"],
+      "You should provide either `aria-label` or `aria-labelledby` props.",
+      "See https://reakit.io/docs/select"
+    );
+    return useCreateElement(type, props, children);
+  },
+});
+
+export type unstable_SelectPopoverOptions = Omit<ListboxOptions, "name"> &
+  PopoverOptions;
+
+export type unstable_SelectPopoverHTMLProps = ListboxHTMLProps &
+  PopoverHTMLProps;
+
+export type unstable_SelectPopoverProps = unstable_SelectPopoverOptions &
+  unstable_SelectPopoverHTMLProps;
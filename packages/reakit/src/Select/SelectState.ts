@@ -0,0 +1,81 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import {
+  PopoverState,
+  PopoverActions,
+  PopoverInitialState,
+  usePopoverState,
+} from "../Popover/PopoverState";
+import { getControlledState } from "../__utils/useControlledState";
+import { unstable_useIdState } from "../Id/IdState";
+import {
+  unstable_ListboxState as ListboxState,
+  unstable_ListboxActions as ListboxActions,
+  unstable_ListboxInitialState as ListboxInitialState,
+  unstable_useListboxState as useListboxState,
+} from "./ListboxState";
+
+export function unstable_useSelectState(
+  initialState: SealedInitialState<unstable_SelectInitialState> = {}
+): unstable_SelectStateReturn {
+  const sealedState = useSealedState(initialState);
+  const { placement = "bottom-start", gutter = 4, ...sealed } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  // The listbox and the popover share the same id state so they don't
+  // generate different base ids
+  const id = unstable_useIdState(sealed);
+  const listbox = useListboxState({ ...controlled, baseId: id.baseId });
+  const popover = usePopoverState({
+    ...sealed,
+    baseId: id.baseId,
+    placement,
+    gutter,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
+  });
+
+  const { items, selectedValues, setCurrentId } = listbox;
+
+  // When the popover opens, the selected option (or the first one) should be
+  // the one that receives focus.
+  const focusSelectedOption = React.useCallback(() => {
+    const selectedItem = items.find(
+      (item) => item.value != null && selectedValues.includes(item.value)
+    );
+    setCurrentId(selectedItem ? selectedItem.id : undefined);
+  }, [items, selectedValues, setCurrentId]);
+
+  const show = React.useCallback(() => {
+    focusSelectedOption();
+    popover.show();
+  }, [focusSelectedOption, popover.show]);
+
+  const toggle = React.useCallback(() => {
+    if (!popover.visible) {
+      focusSelectedOption();
+    }
+    popover.toggle();
+  }, [popover.visible, focusSelectedOption, popover.toggle]);
+
+  return {
+    ...listbox,
+    ...popover,
+    ...id,
+    show,
+    toggle,
+  };
+}
+
+export type unstable_SelectState = ListboxState & PopoverState;
+
+export type unstable_SelectActions = ListboxActions & PopoverActions;
+
+export type unstable_SelectInitialState = ListboxInitialState &
+  PopoverInitialState;
+
+export type unstable_SelectStateReturn = unstable_SelectState &
+  unstable_SelectActions;
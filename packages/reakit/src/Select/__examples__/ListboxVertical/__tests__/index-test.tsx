@@ -0,0 +1,34 @@
+import * as React from "react";
+import { render, press, screen } from "reakit-test-utils";
+import ListboxVertical from "..";
+
+function getHiddenValue() {
+  return (document.querySelector("input[name='color']") as HTMLInputElement)
+    .value;
+}
+
+test("navigate and select options with the keyboard", () => {
+  render(<ListboxVertical />);
+  expect(screen.getByRole("listbox", { name: "Color" })).toHaveAttribute(
+    "aria-orientation",
+    "vertical"
+  );
+  expect(getHiddenValue()).toBe("");
+  press.Tab();
+  expect(screen.getByRole("option", { name: "Red" })).toHaveFocus();
+  press.ArrowDown();
+  expect(screen.getByRole("option", { name: "Green" })).toHaveFocus();
+  press.Enter();
+  expect(screen.getByRole("option", { name: "Green" })).toHaveAttribute(
+    "aria-selected",
+    "true"
+  );
+  expect(getHiddenValue()).toBe("Green");
+});
+
+test("typeahead", () => {
+  render(<ListboxVertical />);
+  press.Tab();
+  press("b");
+  expect(screen.getByRole("option", { name: "Blue" })).toHaveFocus();
+});
@@ -0,0 +1,17 @@
+import * as React from "react";
+import {
+  unstable_useListboxState as useListboxState,
+  unstable_Listbox as Listbox,
+  unstable_SelectOption as SelectOption,
+} from "reakit/Select";
+
+export default function ListboxVertical() {
+  const listbox = useListboxState();
+  return (
+    <Listbox {...listbox} name="color" aria-label="Color">
+      <SelectOption {...listbox} value="Red" />
+      <SelectOption {...listbox} value="Green" />
+      <SelectOption {...listbox} value="Blue" />
+    </Listbox>
+  );
+}
@@ -0,0 +1,58 @@
+import * as React from "react";
+import { render, click, press, screen } from "reakit-test-utils";
+import SelectMultiple from "..";
+
+function getSelect() {
+  return screen.getByRole("button", { name: "Fruits" });
+}
+
+function getHiddenValues() {
+  return Array.from(
+    document.querySelectorAll<HTMLInputElement>("input[name='fruits']")
+  ).map((input) => input.value);
+}
+
+test("listbox is multiselectable", () => {
+  render(<SelectMultiple />);
+  click(getSelect());
+  expect(screen.getByRole("listbox")).toHaveAttribute(
+    "aria-multiselectable",
+    "true"
+  );
+});
+
+test("toggle selection and keep popover open", () => {
+  render(<SelectMultiple />);
+  expect(getSelect()).toHaveTextContent("Select fruits");
+  expect(getHiddenValues()).toEqual([]);
+  click(getSelect());
+  click(screen.getByRole("option", { name: "Banana" }));
+  click(screen.getByRole("option", { name: "Apple" }));
+  expect(screen.getByRole("listbox")).toBeVisible();
+  expect(getSelect()).toHaveTextContent("Banana, Apple");
+  expect(getHiddenValues()).toEqual(["Banana", "Apple"]);
+  expect(screen.getByRole("option", { name: "Apple" })).toHaveAttribute(
+    "aria-selected",
+    "true"
+  );
+  click(screen.getByRole("option", { name: "Banana" }));
+  expect(getHiddenValues()).toEqual(["Apple"]);
+  expect(screen.getByRole("option", { name: "Banana" })).toHaveAttribute(
+    "aria-selected",
+    "false"
+  );
+});
+
+test("toggle selection with the keyboard", () => {
+  render(<SelectMultiple />);
+  press.Tab();
+  press.Enter();
+  expect(screen.getByRole("option", { name: "Apple" })).toHaveFocus();
+  press.ArrowDown();
+  press.Enter();
+  press.ArrowDown();
+  press.Space();
+  expect(getHiddenValues()).toEqual(["Banana", "Cherry"]);
+  press.Escape();
+  expect(getSelect()).toHaveFocus();
+});
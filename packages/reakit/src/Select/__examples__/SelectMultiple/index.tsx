@@ -0,0 +1,27 @@
+import * as React from "react";
+import {
+  unstable_useSelectState as useSelectState,
+  unstable_Select as Select,
+  unstable_SelectPopover as SelectPopover,
+  unstable_SelectOption as SelectOption,
+} from "reakit/Select";
+
+const fruits = ["Apple", "Banana", "Cherry", "Grape", "Orange"];
+
+export default function SelectMultiple() {
+  const select = useSelectState({ multiple: true });
+  return (
+    <form>
+      <Select {...select} name="fruits" aria-label="Fruits">
+        {select.selectedValues.length
+          ? select.selectedValues.join(", ")
+          : "Select fruits"}
+      </Select>
+      <SelectPopover {...select} aria-label="Fruits">
+        {fruits.map((fruit) => (
+          <SelectOption {...select} key={fruit} value={fruit} />
+        ))}
+      </SelectPopover>
+    </form>
+  );
+}
@@ -0,0 +1,89 @@
+import * as React from "react";
+import { render, press, click, act, screen } from "reakit-test-utils";
+import SelectSingle from "..";
+
+function getSelect() {
+  return screen.getByRole("button", { name: "Fruit" });
+}
+
+function getHiddenValue() {
+  return (document.querySelector("input[name='fruit']") as HTMLInputElement)
+    .value;
+}
+
+test("open popover on click and focus selected option", () => {
+  render(<SelectSingle />);
+  expect(getSelect()).toHaveAttribute("aria-haspopup", "listbox");
+  expect(getSelect()).toHaveTextContent("Apple");
+  click(getSelect());
+  expect(screen.getByRole("listbox", { name: "Fruits" })).toBeVisible();
+  expect(screen.getByRole("option", { name: "Apple" })).toHaveFocus();
+  expect(screen.getByRole("option", { name: "Apple" })).toHaveAttribute(
+    "aria-selected",
+    "true"
+  );
+});
+
+test("select option with the keyboard", () => {
+  render(<SelectSingle />);
+  press.Tab();
+  press.ArrowDown();
+  expect(screen.getByRole("option", { name: "Apple" })).toHaveFocus();
+  press.ArrowDown();
+  press.Enter();
+  expect(screen.getByRole("listbox", { hidden: true })).not.toBeVisible();
+  expect(getSelect()).toHaveFocus();
+  expect(getSelect()).toHaveTextContent("Banana");
+  expect(getHiddenValue()).toBe("Banana");
+});
+
+test("select option by clicking on it", () => {
+  render(<SelectSingle />);
+  click(getSelect());
+  click(screen.getByRole("option", { name: "Grape" }));
+  expect(screen.getByRole("listbox", { hidden: true })).not.toBeVisible();
+  expect(getSelect()).toHaveTextContent("Grape");
+  expect(getHiddenValue()).toBe("Grape");
+});
+
+test("typeahead on open popover", () => {
+  render(<SelectSingle />);
+  click(getSelect());
+  jest.useFakeTimers();
+  press("b");
+  expect(screen.getByRole("option", { name: "Banana" })).toHaveFocus();
+  press("b");
+  expect(screen.getByRole("option", { name: "Blueberry" })).toHaveFocus();
+  press("b");
+  expect(screen.getByRole("option", { name: "Banana" })).toHaveFocus();
+  act(() => {
+    jest.runAllTimers(); // clear letters
+  });
+  press("c");
+  // Cherry is disabled
+  expect(screen.getByRole("option", { name: "Banana" })).toHaveFocus();
+  act(() => {
+    jest.runAllTimers();
+  });
+  press("g");
+  press("r");
+  expect(screen.getByRole("option", { name: "Grape" })).toHaveFocus();
+  jest.useRealTimers();
+});
+
+test("typeahead on closed select changes the value", () => {
+  render(<SelectSingle />);
+  press.Tab();
+  press("g");
+  expect(screen.getByRole("listbox", { hidden: true })).not.toBeVisible();
+  expect(getSelect()).toHaveTextContent("Grape");
+  expect(getHiddenValue()).toBe("Grape");
+});
+
+test("hide popover on escape", () => {
+  render(<SelectSingle />);
+  click(getSelect());
+  press.Escape();
+  expect(screen.getByRole("listbox", { hidden: true })).not.toBeVisible();
+  expect(getSelect()).toHaveFocus();
+});
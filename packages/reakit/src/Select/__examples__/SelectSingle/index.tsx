@@ -0,0 +1,28 @@
+import * as React from "react";
+import {
+  unstable_useSelectState as useSelectState,
+  unstable_Select as Select,
+  unstable_SelectPopover as SelectPopover,
+  unstable_SelectOption as SelectOption,
+} from "reakit/Select";
+
+const fruits = ["Apple", "Banana", "Blueberry", "Cherry", "Grape", "Orange"];
+
+export default function SelectSingle() {
+  const select = useSelectState({ selectedValues: ["Apple"] });
+  return (
+    <form>
+      <Select {...select} name="fruit" aria-label="Fruit" />
+      <SelectPopover {...select} aria-label="Fruits">
+        {fruits.map((fruit) => (
+          <SelectOption
+            {...select}
+            key={fruit}
+            value={fruit}
+            disabled={fruit === "Cherry"}
+          />
+        ))}
+      </SelectPopover>
+    </form>
+  );
+}
@@ -0,0 +1,10 @@
+import { unstable_Select as Select } from "../Select";
+
+export { default as ListboxVertical } from "./ListboxVertical";
+export { default as SelectMultiple } from "./SelectMultiple";
+export { default as SelectSingle } from "./SelectSingle";
+
+export default {
+  title: "Select",
+  component: Select,
+};
@@ -0,0 +1,83 @@
+// Automatically generated
+const LISTBOX_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "unstable_virtual",
+  "rtl",
+  "orientation",
+  "groups",
+  "currentId",
+  "loop",
+  "wrap",
+  "shift",
+  "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
+  "unstable_hasActiveWidget",
+  "unstable_includesBaseElement",
+  "items",
+  "multiple",
+  "selectedValues",
+  "setBaseId",
+  "unregisterItem",
+  "registerGroup",
+  "unregisterGroup",
+  "move",
+  "next",
+  "previous",
+  "up",
+  "down",
+  "first",
+  "last",
+  "pageUp",
+  "pageDown",
+  "sort",
+  "unstable_setVirtual",
+  "setRTL",
+  "setOrientation",
+  "setCurrentId",
+  "setLoop",
+  "setWrap",
+  "setShift",
+  "reset",
+  "unstable_setIncludesBaseElement",
+  "unstable_setHasActiveWidget",
+  "registerItem",
+  "setSelectedValues",
+  "selectValue",
+] as const;
+const SELECT_STATE_KEYS = [
+  ...LISTBOX_STATE_KEYS,
+  "visible",
+  "animated",
+  "animating",
+  "unstable_phase",
+  "modal",
+  "unstable_disclosureRef",
+  "unstable_referenceRef",
+  "unstable_virtualReference",
+  "unstable_popoverRef",
+  "unstable_arrowRef",
+  "unstable_popoverStyles",
+  "unstable_arrowStyles",
+  "unstable_originalPlacement",
+  "unstable_update",
+  "placement",
+  "show",
+  "hide",
+  "toggle",
+  "setVisible",
+  "setAnimated",
+  "stopAnimation",
+  "setModal",
+  "place",
+  "unstable_setVirtualReference",
+] as const;
+export const LISTBOX_KEYS = [...SELECT_STATE_KEYS, "name"] as const;
+export const SELECT_KEYS = LISTBOX_KEYS;
+export const SELECT_OPTION_KEYS = [...SELECT_STATE_KEYS, "value"] as const;
+export const SELECT_POPOVER_KEYS = SELECT_STATE_KEYS;
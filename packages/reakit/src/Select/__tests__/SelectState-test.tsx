@@ -0,0 +1,62 @@
+import * as React from "react";
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useSelectState as useSelectState,
+  unstable_SelectInitialState as SelectInitialState,
+} from "../SelectState";
+import { unstable_IdProvider as IdProvider } from "../../Id/IdProvider";
+
+function render(initialState: SelectInitialState = {}) {
+  return renderHook(() => useSelectState(initialState)).result;
+}
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    multiple: false,
+    selectedValues: [],
+    visible: false,
+    orientation: "vertical",
+    placement: "bottom-start",
+  });
+});
+
+test("selectValue", () => {
+  const result = render({ selectedValues: ["Apple"] });
+  act(() => result.current.selectValue("Banana"));
+  expect(result.current.selectedValues).toEqual(["Banana"]);
+  act(() => result.current.selectValue("Banana"));
+  expect(result.current.selectedValues).toEqual(["Banana"]);
+});
+
+test("selectValue with multiple", () => {
+  const result = render({ multiple: true, selectedValues: ["Apple"] });
+  act(() => result.current.selectValue("Banana"));
+  expect(result.current.selectedValues).toEqual(["Apple", "Banana"]);
+  act(() => result.current.selectValue("Apple"));
+  expect(result.current.selectedValues).toEqual(["Banana"]);
+});
+
+test("controlled selectedValues", () => {
+  const setSelectedValues = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ selectedValues }) =>
+      useSelectState({ selectedValues, setSelectedValues }),
+    { initialProps: { selectedValues: ["Apple"] } }
+  );
+  act(() => result.current.selectValue("Banana"));
+  expect(setSelectedValues).toHaveBeenCalledWith(["Banana"]);
+  expect(result.current.selectedValues).toEqual(["Apple"]);
+  rerender({ selectedValues: ["Banana"] });
+  expect(result.current.selectedValues).toEqual(["Banana"]);
+});
+
+test("share the base id between the listbox and the popover", () => {
+  const wrapper = ({ children }: { children: React.ReactNode }) => (
+    <IdProvider prefix="select">{children}</IdProvider>
+  );
+  const { result } = renderHook(() => useSelectState(), { wrapper });
+  expect(result.current.baseId).toBe("select-1");
+  act(() => result.current.setBaseId("fruits"));
+  expect(result.current.baseId).toBe("fruits");
+});
@@ -0,0 +1,41 @@
+import * as React from "react";
+
+/**
+ * Returns a `wrapElement` function that renders hidden inputs next to the
+ * element so the selected values are submitted with the form.
+ */
+export function useHiddenInputs(
+  name: string | undefined,
+  selectedValues: string[] | undefined,
+  multiple: boolean | undefined,
+  htmlWrapElement?: (element: React.ReactNode) => React.ReactNode
+) {
+  return React.useCallback(
+    (element: React.ReactNode) => {
+      if (name) {
+        const values = selectedValues || [];
+        // Like native selects, a single select always submits a value, and a
+        // multiple select submits nothing when no value is selected.
+        const inputs =
+          !values.length && !multiple ? (
+            <input type="hidden" name={name} value="" />
+          ) : (
+            values.map((value) => (
+              <input key={value} type="hidden" name={name} value={value} />
+            ))
+          );
+        element = (
+          <>
+            {element}
+            {inputs}
+          </>
+        );
+      }
+      if (htmlWrapElement) {
+        element = htmlWrapElement(element);
+      }
+      return element;
+    },
+    [name, selectedValues, multiple, htmlWrapElement]
+  );
+}
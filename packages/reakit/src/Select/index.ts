@@ -0,0 +1,6 @@
+export * from "./Listbox";
+export * from "./ListboxState";
+export * from "./Select";
+export * from "./SelectOption";
+export * from "./SelectPopover";
+export * from "./SelectState";
@@ -0,0 +1,151 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { getDocument } from "reakit-utils/getDocument";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { unstable_SliderStateReturn } from "./SliderState";
+import { getThumbId } from "./__utils/getThumbId";
+import { getValueFromPointer } from "./__utils/getValueFromPointer";
+import { getClosestThumbIndex } from "./__utils/getClosestThumbIndex";
+import { SLIDER_KEYS } from "./__keys";
+
+export type unstable_SliderOptions = RoleOptions &
+  Pick<
+    unstable_SliderStateReturn,
+    | "baseId"
+    | "values"
+    | "min"
+    | "max"
+    | "orientation"
+    | "rtl"
+    | "unstable_trackRef"
+    | "setValue"
+  > & {
+    /**
+     * If `true`, pressing the pointer on the slider doesn't move the thumbs.
+     * `disabled` should also be passed to each `SliderThumb`.
+     */
+    disabled?: boolean;
+  };
+
+export type unstable_SliderHTMLProps = RoleHTMLProps;
+
+export type unstable_SliderProps = unstable_SliderOptions &
+  unstable_SliderHTMLProps;
+
+function isThumbDisabled(thumb: HTMLElement | null) {
+  return thumb?.getAttribute("aria-disabled") === "true";
+}
+
+export const unstable_useSlider = createHook<
+  unstable_SliderOptions,
+  unstable_SliderHTMLProps
+>({
+  name: "Slider",
+  compose: useRole,
+  keys: SLIDER_KEYS,
+
+  useProps(
+    options,
+    {
+      ref: htmlRef,
+      onPointerDown: htmlOnPointerDown,
+      style: htmlStyle,
+      ...htmlProps
+    }
+  ) {
+    const ref = React.useRef<HTMLElement>(null);
+    const onPointerDownRef = useLiveRef(htmlOnPointerDown);
+    const [draggingIndex, setDraggingIndex] = React.useState<number | null>(
+      null
+    );
+    const isDragging = draggingIndex != null;
+
+    const getValue = React.useCallback(
+      (event: { clientX: number; clientY: number }) => {
+        const element = options.unstable_trackRef.current || ref.current;
+        if (!element) return null;
+        return getValueFromPointer(
+          options,
+          element.getBoundingClientRect(),
+          event.clientX,
+          event.clientY
+        );
+      },
+      [
+        options.unstable_trackRef,
+        options.min,
+        options.max,
+        options.orientation,
+        options.rtl,
+      ]
+    );
+
+    React.useEffect(() => {
+      const element = ref.current;
+      if (!isDragging || !element) return undefined;
+      const document = getDocument(element);
+      const onPointerMove = (event: PointerEvent) => {
+        const value = getValue(event);
+        if (value == null) return;
+        options.setValue(draggingIndex as number, value);
+      };
+      const onPointerUp = () => setDraggingIndex(null);
+      document.addEventListener("pointermove", onPointerMove);
+      document.addEventListener("pointerup", onPointerUp);
+      document.addEventListener("pointercancel", onPointerUp);
+      return () => {
+        document.removeEventListener("pointermove", onPointerMove);
+        document.removeEventListener("pointerup", onPointerUp);
+        document.removeEventListener("pointercancel", onPointerUp);
+      };
+    }, [isDragging, draggingIndex, getValue, options.setValue]);
+
+    const onPointerDown = React.useCallback(
+      (event: React.PointerEvent<HTMLElement>) => {
+        onPointerDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (options.disabled || event.button !== 0) return;
+        const value = getValue(event);
+        if (value == null) return;
+        const index = getClosestThumbIndex(options.values, value);
+        const thumb = getDocument(event.currentTarget).getElementById(
+          getThumbId(options.baseId, index)
+        );
+        if (isThumbDisabled(thumb)) return;
+        // Prevents text selection while dragging. Focus is moved to the
+        // thumb manually.
+        event.preventDefault();
+        thumb?.focus();
+        options.setValue(index, value);
+        setDraggingIndex(index);
+      },
+      [
+        options.disabled,
+        options.values,
+        options.baseId,
+        options.setValue,
+        getValue,
+      ]
+    );
+
+    return {
+      ref: useForkRef(ref, htmlRef),
+      role: "group",
+      "data-orientation": options.orientation,
+      "data-dragging": isDragging || undefined,
+      onPointerDown,
+      // Prevents touch devices from scrolling while dragging
+      style: { touchAction: "none", ...htmlStyle },
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_Slider = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useSlider,
+});
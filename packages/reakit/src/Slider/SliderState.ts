@@ -0,0 +1,189 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import { SetState } from "reakit-utils/types";
+import {
+  unstable_IdState,
+  unstable_IdActions,
+  unstable_IdInitialState,
+  unstable_useIdState,
+} from "../Id/IdState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
+import { roundValue } from "./__utils/roundValue";
+
+export type unstable_SliderState = unstable_IdState & {
+  /**
+   * The value of each thumb, in order. Pass more than one value to render a
+   * range slider with multiple thumbs.
+   * @default [min]
+   * @example
+   * const slider = useSliderState({ values: [20, 80] });
+   */
+  values: number[];
+  /**
+   * The minimum value of the slider.
+   * @default 0
+   */
+  min: number;
+  /**
+   * The maximum value of the slider.
+   * @default 100
+   */
+  max: number;
+  /**
+   * The amount by which values change when pressing arrow keys. Values are
+   * always a multiple of `step` counting from `min`.
+   * @default 1
+   */
+  step: number;
+  /**
+   * The amount by which values change when pressing <kbd>PageUp</kbd> or
+   * <kbd>PageDown</kbd>.
+   * @default step * 10
+   */
+  largeStep: number;
+  /**
+   * Defines the orientation of the slider. On vertical sliders, `min` is at
+   * the bottom.
+   * @default "horizontal"
+   */
+  orientation: "horizontal" | "vertical";
+  /**
+   * If `rtl` is set to `true`, `min` is on the right side of horizontal
+   * sliders and <kbd>ArrowLeft</kbd> increments the value. You still need
+   * to set `dir="rtl"` on HTML/CSS.
+   * @default false
+   */
+  rtl: boolean;
+  /**
+   * The track element. Pointer positions are converted into values based on
+   * its dimensions.
+   * @private
+   */
+  unstable_trackRef: React.RefObject<HTMLElement | null>;
+};
+
+export type unstable_SliderActions = unstable_IdActions & {
+  /**
+   * Sets `values`.
+   */
+  setValues: SetState<unstable_SliderState["values"]>;
+  /**
+   * Sets the value of the thumb at `index`. The value is rounded to the
+   * nearest step and can't go past `min`, `max` or the values of the
+   * sibling thumbs.
+   */
+  setValue: (index: number, value: number) => void;
+  /**
+   * Increments the value of the thumb at `index` by `step`, or by the given
+   * amount.
+   */
+  increment: (index: number, amount?: number) => void;
+  /**
+   * Decrements the value of the thumb at `index` by `step`, or by the given
+   * amount.
+   */
+  decrement: (index: number, amount?: number) => void;
+};
+
+export type unstable_SliderInitialState = unstable_IdInitialState &
+  Partial<
+    Pick<
+      unstable_SliderState,
+      "values" | "min" | "max" | "step" | "largeStep" | "orientation" | "rtl"
+    >
+  > & {
+    /**
+     * Makes `values` controlled. When passed, `values` is read on every
+     * render instead of only on the first one, and this function is called
+     * with the next value whenever the state would change.
+     * @example
+     * const [values, setValues] = React.useState([50]);
+     * const slider = useSliderState({ values, setValues });
+     */
+    setValues?: (values: unstable_SliderState["values"]) => void;
+  };
+
+export type unstable_SliderStateReturn = unstable_SliderState &
+  unstable_SliderActions;
+
+export function unstable_useSliderState(
+  initialState: SealedInitialState<unstable_SliderInitialState> = {}
+): unstable_SliderStateReturn {
+  const sealedState = useSealedState(initialState);
+  const {
+    min = 0,
+    max = 100,
+    step = 1,
+    largeStep = step * 10,
+    orientation = "horizontal",
+    rtl = false,
+    values: initialValues = [min],
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  const id = unstable_useIdState(sealed);
+  const trackRef = React.useRef<HTMLElement>(null);
+
+  const [values, setValues] = useControlledState(
+    initialValues,
+    controlled.values ?? initialValues,
+    controlled.setValues,
+    "values"
+  );
+
+  const setValue = React.useCallback(
+    (index: number, value: number) => {
+      setValues((prevValues) => {
+        // A thumb can't go past its siblings
+        const lowerBound = prevValues[index - 1] ?? min;
+        const upperBound = prevValues[index + 1] ?? max;
+        const nextValue = Math.min(
+          Math.max(roundValue(value, min, max, step), lowerBound),
+          upperBound
+        );
+        if (prevValues[index] === nextValue) return prevValues;
+        const nextValues = [...prevValues];
+        nextValues[index] = nextValue;
+        return nextValues;
+      });
+    },
+    [setValues, min, max, step]
+  );
+
+  const increment = React.useCallback(
+    (index: number, amount = step) => {
+      setValue(index, values[index] + amount);
+    },
+    [setValue, values, step]
+  );
+
+  const decrement = React.useCallback(
+    (index: number, amount = step) => {
+      setValue(index, values[index] - amount);
+    },
+    [setValue, values, step]
+  );
+
+  return {
+    ...id,
+    values,
+    min,
+    max,
+    step,
+    largeStep,
+    orientation,
+    rtl,
+    unstable_trackRef: trackRef,
+    setValues,
+    setValue,
+    increment,
+    decrement,
+  };
+}
@@ -0,0 +1,134 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import {
+  TabbableOptions,
+  TabbableHTMLProps,
+  useTabbable,
+} from "../Tabbable/Tabbable";
+import { unstable_SliderStateReturn } from "./SliderState";
+import { getThumbId } from "./__utils/getThumbId";
+import { getPercent } from "./__utils/getPercent";
+import { SLIDER_THUMB_KEYS } from "./__keys";
+
+export type unstable_SliderThumbOptions = TabbableOptions &
+  Pick<
+    unstable_SliderStateReturn,
+    | "baseId"
+    | "values"
+    | "min"
+    | "max"
+    | "largeStep"
+    | "orientation"
+    | "rtl"
+    | "setValue"
+    | "increment"
+    | "decrement"
+  > & {
+    /**
+     * The index of the value in `values` that this thumb controls.
+     * @default 0
+     */
+    index?: number;
+    /**
+     * Returns a human readable text for the thumb value, which is passed to
+     * `aria-valuetext`.
+     * @example
+     * <SliderThumb {...slider} getValueText={(value) => `$${value}`} />
+     */
+    getValueText?: (value: number, index: number) => string;
+  };
+
+export type unstable_SliderThumbHTMLProps = TabbableHTMLProps;
+
+export type unstable_SliderThumbProps = unstable_SliderThumbOptions &
+  unstable_SliderThumbHTMLProps;
+
+export const unstable_useSliderThumb = createHook<
+  unstable_SliderThumbOptions,
+  unstable_SliderThumbHTMLProps
+>({
+  name: "SliderThumb",
+  compose: useTabbable,
+  keys: SLIDER_THUMB_KEYS,
+
+  useOptions({ index = 0, ...options }) {
+    return { index, ...options };
+  },
+
+  useProps(
+    options,
+    { onKeyDown: htmlOnKeyDown, style: htmlStyle, ...htmlProps }
+  ) {
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const index = options.index as number;
+    const value = options.values[index];
+    // Thumbs can't go past their siblings, so their bounds are announced
+    // instead of the slider ones.
+    const min = options.values[index - 1] ?? options.min;
+    const max = options.values[index + 1] ?? options.max;
+    const isVertical = options.orientation === "vertical";
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (options.disabled) return;
+        const increment = () => options.increment(index);
+        const decrement = () => options.decrement(index);
+        const keyMap = {
+          ArrowUp: increment,
+          ArrowRight: options.rtl ? decrement : increment,
+          ArrowDown: decrement,
+          ArrowLeft: options.rtl ? increment : decrement,
+          PageUp: () => options.increment(index, options.largeStep),
+          PageDown: () => options.decrement(index, options.largeStep),
+          Home: () => options.setValue(index, min),
+          End: () => options.setValue(index, max),
+        };
+        const action = keyMap[event.key as keyof typeof keyMap];
+        if (action) {
+          event.preventDefault();
+          action();
+        }
+      },
+      [
+        options.disabled,
+        options.rtl,
+        options.increment,
+        options.decrement,
+        options.largeStep,
+        options.setValue,
+        index,
+        min,
+        max,
+      ]
+    );
+
+    const percent = getPercent(value, options.min, options.max);
+    let side = options.rtl ? "right" : "left";
+    if (isVertical) {
+      side = "bottom";
+    }
+
+    return {
+      id: getThumbId(options.baseId, index),
+      role: "slider",
+      "aria-valuenow": value,
+      "aria-valuemin": min,
+      "aria-valuemax": max,
+      "aria-valuetext": options.getValueText?.(value, index),
+      "aria-orientation": options.orientation,
+      onKeyDown,
+      style: { [side]: `${percent}%`, ...htmlStyle },
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_SliderThumb = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useSliderThumb,
+});
@@ -0,0 +1,40 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { unstable_SliderStateReturn } from "./SliderState";
+import { SLIDER_TRACK_KEYS } from "./__keys";
+
+export type unstable_SliderTrackOptions = RoleOptions &
+  Pick<
+    Partial<unstable_SliderStateReturn>,
+    "unstable_trackRef" | "orientation"
+  >;
+
+export type unstable_SliderTrackHTMLProps = RoleHTMLProps;
+
+export type unstable_SliderTrackProps = unstable_SliderTrackOptions &
+  unstable_SliderTrackHTMLProps;
+
+export const unstable_useSliderTrack = createHook<
+  unstable_SliderTrackOptions,
+  unstable_SliderTrackHTMLProps
+>({
+  name: "SliderTrack",
+  compose: useRole,
+  keys: SLIDER_TRACK_KEYS,
+
+  useProps(options, { ref: htmlRef, ...htmlProps }) {
+    return {
+      ref: useForkRef(options.unstable_trackRef, htmlRef),
+      "data-orientation": options.orientation,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_SliderTrack = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useSliderTrack,
+});
@@ -0,0 +1,102 @@
+import * as React from "react";
+import { render, press, focus, fireEvent, screen } from "reakit-test-utils";
+import SliderRange from "..";
+
+function mockTrackRect() {
+  const track = screen.getByRole("group").firstChild as HTMLElement;
+  track.getBoundingClientRect = () =>
+    ({ left: 0, right: 200, width: 200, top: 0, bottom: 4, height: 4 } as any);
+}
+
+function pointer(
+  type: string,
+  element: Element | Document,
+  clientX: number,
+  clientY = 0
+) {
+  fireEvent(
+    element,
+    new MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY })
+  );
+}
+
+test("render range slider", () => {
+  render(<SliderRange />);
+  const min = screen.getByLabelText("Minimum price");
+  const max = screen.getByLabelText("Maximum price");
+  expect(min).toHaveAttribute("role", "slider");
+  expect(min).toHaveAttribute("aria-valuenow", "20");
+  expect(min).toHaveAttribute("aria-valuemin", "0");
+  expect(min).toHaveAttribute("aria-valuemax", "80");
+  expect(min).toHaveAttribute("aria-valuetext", "$20");
+  expect(min).toHaveAttribute("aria-orientation", "horizontal");
+  expect(min).toHaveStyle({ left: "20%" });
+  expect(max).toHaveAttribute("aria-valuemin", "20");
+  expect(max).toHaveAttribute("aria-valuemax", "100");
+});
+
+test("move thumbs with keyboard", () => {
+  render(<SliderRange />);
+  const min = screen.getByLabelText("Minimum price");
+  const max = screen.getByLabelText("Maximum price");
+  press.Tab();
+  expect(min).toHaveFocus();
+  press.ArrowRight();
+  expect(min).toHaveAttribute("aria-valuenow", "25");
+  expect(max).toHaveAttribute("aria-valuemin", "25");
+  press.ArrowUp();
+  expect(min).toHaveAttribute("aria-valuenow", "30");
+  press.ArrowLeft();
+  press.ArrowDown();
+  expect(min).toHaveAttribute("aria-valuenow", "20");
+  press.PageUp();
+  expect(min).toHaveAttribute("aria-valuenow", "70");
+  press.PageUp();
+  expect(min).toHaveAttribute("aria-valuenow", "80");
+  press.Home();
+  expect(min).toHaveAttribute("aria-valuenow", "0");
+  press.End();
+  expect(min).toHaveAttribute("aria-valuenow", "80");
+  press.Tab();
+  expect(max).toHaveFocus();
+  press.PageDown();
+  expect(max).toHaveAttribute("aria-valuenow", "80");
+  press.End();
+  expect(max).toHaveAttribute("aria-valuenow", "100");
+  expect(max).toHaveAttribute("aria-valuetext", "$100");
+});
+
+test("drag thumbs with pointer", () => {
+  render(<SliderRange />);
+  mockTrackRect();
+  const slider = screen.getByRole("group");
+  const min = screen.getByLabelText("Minimum price");
+  const max = screen.getByLabelText("Maximum price");
+  pointer("pointerdown", slider, 150);
+  expect(max).toHaveFocus();
+  expect(max).toHaveAttribute("aria-valuenow", "75");
+  pointer("pointermove", document, 181);
+  expect(max).toHaveAttribute("aria-valuenow", "90");
+  pointer("pointermove", document, 500);
+  expect(max).toHaveAttribute("aria-valuenow", "100");
+  pointer("pointerup", document, 500);
+  pointer("pointermove", document, 100);
+  expect(max).toHaveAttribute("aria-valuenow", "100");
+  pointer("pointerdown", slider, 10);
+  expect(min).toHaveFocus();
+  expect(min).toHaveAttribute("aria-valuenow", "5");
+  pointer("pointermove", document, 300);
+  expect(min).toHaveAttribute("aria-valuenow", "100");
+  expect(max).toHaveAttribute("aria-valuenow", "100");
+  pointer("pointerup", document, 300);
+});
+
+test("focus thumb", () => {
+  render(<SliderRange />);
+  focus(screen.getByLabelText("Maximum price"));
+  press.ArrowLeft();
+  expect(screen.getByLabelText("Maximum price")).toHaveAttribute(
+    "aria-valuenow",
+    "75"
+  );
+});
@@ -0,0 +1,29 @@
+import * as React from "react";
+import {
+  unstable_useSliderState as useSliderState,
+  unstable_Slider as Slider,
+  unstable_SliderTrack as SliderTrack,
+  unstable_SliderThumb as SliderThumb,
+} from "reakit/Slider";
+import "./style.css";
+
+const labels = ["Minimum price", "Maximum price"];
+
+export default function SliderRange() {
+  const slider = useSliderState({ values: [20, 80], step: 5 });
+  return (
+    <Slider {...slider} aria-label="Price" className="slider">
+      <SliderTrack {...slider} className="slider-track" />
+      {slider.values.map((_, index) => (
+        <SliderThumb
+          {...slider}
+          key={index}
+          index={index}
+          aria-label={labels[index]}
+          getValueText={(value) => `$${value}`}
+          className="slider-thumb"
+        />
+      ))}
+    </Slider>
+  );
+}
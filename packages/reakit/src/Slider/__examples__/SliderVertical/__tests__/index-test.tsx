@@ -0,0 +1,43 @@
+import * as React from "react";
+import { render, press, fireEvent, screen } from "reakit-test-utils";
+import SliderVertical from "..";
+
+test("move vertical thumb with keyboard", () => {
+  render(<SliderVertical />);
+  const thumb = screen.getByLabelText("Volume");
+  expect(thumb).toHaveAttribute("aria-orientation", "vertical");
+  expect(thumb).toHaveAttribute("aria-valuetext", "50%");
+  expect(thumb).toHaveStyle({ bottom: "50%" });
+  press.Tab();
+  press.ArrowUp();
+  press.ArrowUp();
+  expect(thumb).toHaveAttribute("aria-valuenow", "0.7");
+  press.ArrowDown();
+  expect(thumb).toHaveAttribute("aria-valuenow", "0.6");
+  press.PageUp();
+  expect(thumb).toHaveAttribute("aria-valuenow", "1");
+  expect(thumb).toHaveAttribute("aria-valuetext", "100%");
+  press.PageDown();
+  press.PageDown();
+  expect(thumb).toHaveAttribute("aria-valuenow", "0");
+});
+
+test("drag vertical thumb with pointer", () => {
+  render(<SliderVertical />);
+  const thumb = screen.getByLabelText("Volume");
+  const track = thumb.previousSibling as HTMLElement;
+  track.getBoundingClientRect = () =>
+    ({ left: 0, right: 4, width: 4, top: 0, bottom: 200, height: 200 } as any);
+  fireEvent(
+    thumb,
+    new MouseEvent("pointerdown", { bubbles: true, clientY: 40 })
+  );
+  expect(thumb).toHaveFocus();
+  expect(thumb).toHaveAttribute("aria-valuenow", "0.8");
+  fireEvent(
+    document,
+    new MouseEvent("pointermove", { bubbles: true, clientY: 190 })
+  );
+  expect(thumb).toHaveAttribute("aria-valuenow", "0.1");
+  fireEvent(document, new MouseEvent("pointerup", { bubbles: true }));
+});
@@ -0,0 +1,30 @@
+import * as React from "react";
+import {
+  unstable_useSliderState as useSliderState,
+  unstable_Slider as Slider,
+  unstable_SliderTrack as SliderTrack,
+  unstable_SliderThumb as SliderThumb,
+} from "reakit/Slider";
+import "./style.css";
+
+export default function SliderVertical() {
+  const slider = useSliderState({
+    values: [0.5],
+    min: 0,
+    max: 1,
+    step: 0.1,
+    largeStep: 0.5,
+    orientation: "vertical",
+  });
+  return (
+    <Slider {...slider} className="slider">
+      <SliderTrack {...slider} className="slider-track" />
+      <SliderThumb
+        {...slider}
+        aria-label="Volume"
+        getValueText={(value) => `${Math.round(value * 100)}%`}
+        className="slider-thumb"
+      />
+    </Slider>
+  );
+}
@@ -0,0 +1,9 @@
+import { unstable_Slider as Slider } from "../Slider";
+
+export { default as SliderRange } from "./SliderRange";
+export { default as SliderVertical } from "./SliderVertical";
+
+export default {
+  title: "Slider",
+  component: Slider,
+};
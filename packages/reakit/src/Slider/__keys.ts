@@ -0,0 +1,25 @@
+// Automatically generated
+const SLIDER_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "values",
+  "min",
+  "max",
+  "step",
+  "largeStep",
+  "orientation",
+  "rtl",
+  "unstable_trackRef",
+  "setBaseId",
+  "setValues",
+  "setValue",
+  "increment",
+  "decrement",
+] as const;
+export const SLIDER_KEYS = [...SLIDER_STATE_KEYS, "disabled"] as const;
+export const SLIDER_THUMB_KEYS = [
+  ...SLIDER_STATE_KEYS,
+  "index",
+  "getValueText",
+] as const;
+export const SLIDER_TRACK_KEYS = SLIDER_STATE_KEYS;
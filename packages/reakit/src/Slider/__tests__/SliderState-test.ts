@@ -0,0 +1,80 @@
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useSliderState as useSliderState,
+  unstable_SliderInitialState as SliderInitialState,
+} from "../SliderState";
+
+function render(initialState: SliderInitialState = {}) {
+  return renderHook(() => useSliderState({ baseId: "base", ...initialState }))
+    .result;
+}
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    baseId: "base",
+    values: [0],
+    min: 0,
+    max: 100,
+    step: 1,
+    largeStep: 10,
+    orientation: "horizontal",
+    rtl: false,
+  });
+});
+
+test("initial values default to min", () => {
+  const result = render({ min: 20 });
+  expect(result.current.values).toEqual([20]);
+});
+
+test("setValue rounds to step and clamps to min and max", () => {
+  const result = render({ min: 1, max: 10, step: 2 });
+  act(() => result.current.setValue(0, 4.2));
+  expect(result.current.values).toEqual([5]);
+  act(() => result.current.setValue(0, 100));
+  expect(result.current.values).toEqual([9]);
+  act(() => result.current.setValue(0, -100));
+  expect(result.current.values).toEqual([1]);
+});
+
+test("setValue with decimal step", () => {
+  const result = render({ max: 1, step: 0.1 });
+  act(() => result.current.setValue(0, 0.3));
+  expect(result.current.values).toEqual([0.3]);
+  act(() => result.current.increment(0));
+  expect(result.current.values).toEqual([0.4]);
+  act(() => result.current.setValue(0, 0.97));
+  expect(result.current.values).toEqual([1]);
+});
+
+test("setValue doesn't go past sibling thumbs", () => {
+  const result = render({ values: [20, 50, 80] });
+  act(() => result.current.setValue(1, 10));
+  expect(result.current.values).toEqual([20, 20, 80]);
+  act(() => result.current.setValue(1, 90));
+  expect(result.current.values).toEqual([20, 80, 80]);
+  act(() => result.current.setValue(0, 90));
+  expect(result.current.values).toEqual([80, 80, 80]);
+});
+
+test("increment and decrement", () => {
+  const result = render({ values: [50] });
+  act(() => result.current.increment(0));
+  expect(result.current.values).toEqual([51]);
+  act(() => result.current.decrement(0, result.current.largeStep));
+  expect(result.current.values).toEqual([41]);
+});
+
+test("controlled values", () => {
+  const setValues = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ values }) => useSliderState({ values, setValues }),
+    { initialProps: { values: [10] } }
+  );
+  act(() => result.current.increment(0));
+  expect(setValues).toHaveBeenCalledWith([11]);
+  expect(result.current.values).toEqual([10]);
+  rerender({ values: [30] });
+  expect(result.current.values).toEqual([30]);
+});
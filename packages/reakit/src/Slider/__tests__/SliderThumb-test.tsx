@@ -0,0 +1,61 @@
+import * as React from "react";
+import { render, press, focus, screen } from "reakit-test-utils";
+import {
+  unstable_useSliderState as useSliderState,
+  unstable_SliderInitialState as SliderInitialState,
+} from "../SliderState";
+import { unstable_SliderThumb as SliderThumb } from "../SliderThumb";
+
+function Test({
+  disabled,
+  focusable,
+  ...initialState
+}: SliderInitialState & { disabled?: boolean; focusable?: boolean }) {
+  const slider = useSliderState({ baseId: "base", ...initialState });
+  return (
+    <SliderThumb
+      {...slider}
+      disabled={disabled}
+      focusable={focusable}
+      aria-label="thumb"
+    />
+  );
+}
+
+test("render", () => {
+  render(<Test values={[30]} />);
+  expect(screen.getByLabelText("thumb")).toMatchInlineSnapshot(`
+    <div
+      aria-label="thumb"
+      aria-orientation="horizontal"
+      aria-valuemax="100"
+      aria-valuemin="0"
+      aria-valuenow="30"
+      id="base-thumb-0"
+      role="slider"
+      style="left: 30%;"
+      tabindex="0"
+    />
+  `);
+});
+
+test("rtl", () => {
+  render(<Test values={[30]} rtl />);
+  const thumb = screen.getByLabelText("thumb");
+  expect(thumb).toHaveStyle({ right: "30%" });
+  focus(thumb);
+  press.ArrowLeft();
+  expect(thumb).toHaveAttribute("aria-valuenow", "31");
+  press.ArrowRight();
+  press.ArrowRight();
+  expect(thumb).toHaveAttribute("aria-valuenow", "29");
+});
+
+test("disabled", () => {
+  render(<Test values={[30]} disabled focusable />);
+  const thumb = screen.getByLabelText("thumb");
+  expect(thumb).toHaveAttribute("aria-disabled", "true");
+  focus(thumb);
+  press.ArrowRight();
+  expect(thumb).toHaveAttribute("aria-valuenow", "30");
+});
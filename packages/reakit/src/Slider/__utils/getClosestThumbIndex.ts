@@ -0,0 +1,19 @@
+/**
+ * Returns the index of the thumb whose value is the closest to `value`. When
+ * thumbs overlap, the one that can move towards `value` wins.
+ */
+export function getClosestThumbIndex(values: number[], value: number) {
+  let closestIndex = 0;
+  let closestDistance = Infinity;
+  values.forEach((thumbValue, index) => {
+    const distance = Math.abs(thumbValue - value);
+    if (
+      distance < closestDistance ||
+      (distance === closestDistance && value > thumbValue)
+    ) {
+      closestIndex = index;
+      closestDistance = distance;
+    }
+  });
+  return closestIndex;
+}
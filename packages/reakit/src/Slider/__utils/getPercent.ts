@@ -0,0 +1,7 @@
+/**
+ * Returns the position of `value` between `min` and `max` as a percentage.
+ */
+export function getPercent(value: number, min: number, max: number) {
+  if (max <= min) return 0;
+  return ((value - min) / (max - min)) * 100;
+}
@@ -0,0 +1,3 @@
+export function getThumbId(baseId: string, index: number) {
+  return `${baseId}-thumb-${index}`;
+}
@@ -0,0 +1,29 @@
+import { unstable_SliderStateReturn } from "../SliderState";
+
+type Options = Pick<
+  unstable_SliderStateReturn,
+  "min" | "max" | "orientation" | "rtl"
+>;
+
+/**
+ * Converts the pointer position into a value based on the position of the
+ * pointer within `rect`. The value isn't rounded.
+ */
+export function getValueFromPointer(
+  options: Options,
+  rect: DOMRect,
+  clientX: number,
+  clientY: number
+) {
+  let ratio: number;
+  if (options.orientation === "vertical") {
+    ratio = rect.height ? (rect.bottom - clientY) / rect.height : 0;
+  } else {
+    ratio = rect.width ? (clientX - rect.left) / rect.width : 0;
+    if (options.rtl) {
+      ratio = 1 - ratio;
+    }
+  }
+  ratio = Math.min(Math.max(ratio, 0), 1);
+  return options.min + ratio * (options.max - options.min);
+}
@@ -0,0 +1,23 @@
+function getDecimalCount(number: number) {
+  return (String(number).split(".")[1] || "").length;
+}
+
+/**
+ * Clamps `value` between `min` and `max`, then snaps it to the nearest step
+ * counting from `min` that doesn't go past `max`.
+ */
+export function roundValue(
+  value: number,
+  min: number,
+  max: number,
+  step: number
+) {
+  // Avoids floating point errors like 0.1 + 0.2 = 0.30000000000000004
+  const decimals = Math.max(getDecimalCount(step), getDecimalCount(min));
+  const getStepValue = (steps: number) =>
+    Number((min + steps * step).toFixed(decimals));
+  const clampedValue = Math.min(Math.max(value, min), max);
+  const steps = Math.round((clampedValue - min) / step);
+  const roundedValue = getStepValue(steps);
+  return roundedValue > max ? getStepValue(steps - 1) : roundedValue;
+}
@@ -0,0 +1,4 @@
+export * from "./Slider";
+export * from "./SliderState";
+export * from "./SliderThumb";
+export * from "./SliderTrack";
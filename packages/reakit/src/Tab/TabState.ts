@@ -9,6 +9,10 @@ import {
   CompositeActions,
   CompositeInitialState,
 } from "../Composite/CompositeState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
 
 export type TabState = CompositeState & {
   /**
@@ -45,27 +49,48 @@ export type TabActions = CompositeActions & {
 };
 
 export type TabInitialState = CompositeInitialState &
-  Partial<Pick<TabState, "selectedId" | "manual">>;
+  Partial<Pick<TabState, "selectedId" | "manual">> & {
+    /**
+     * Makes `selectedId` controlled. When passed, `selectedId` is read on
+     * every render instead of only on the first one, and this function is
+     * called with the next value whenever another tab gets selected.
+     * @example
+     * const [selectedId, setSelectedId] = React.useState("tab-1");
+     * const tab = useTabState({ selectedId, setSelectedId });
+     */
+    setSelectedId?: (selectedId: TabState["selectedId"]) => void;
+  };
 
 export type TabStateReturn = TabState & TabActions;
 
 export function useTabState(
   initialState: SealedInitialState<TabInitialState> = {}
 ): TabStateReturn {
+  const sealedState = useSealedState(initialState);
   const {
     selectedId: initialSelectedId,
     loop = true,
     manual = false,
     ...sealed
-  } = useSealedState(initialState);
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
 
   const composite = useCompositeState({
     loop,
     currentId: initialSelectedId,
     ...sealed,
+    ...(controlled.setCurrentId && {
+      currentId: controlled.currentId,
+      setCurrentId: controlled.setCurrentId,
+    }),
   });
   const panels = useCompositeState();
-  const [selectedId, setSelectedId] = React.useState(initialSelectedId);
+  const [selectedId, setSelectedId] = useControlledState(
+    initialSelectedId,
+    controlled.selectedId,
+    controlled.setSelectedId,
+    "selectedId"
+  );
 
   const select = React.useCallback(
     (id: string) => {
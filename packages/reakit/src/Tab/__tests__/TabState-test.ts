@@ -23,12 +23,18 @@ test("initial state", () => {
       "rtl": false,
       "selectedId": undefined,
       "shift": false,
+      "unstable_getItemId": undefined,
+      "unstable_getItemLabel": undefined,
       "unstable_hasActiveWidget": false,
       "unstable_idCountRef": Object {
         "current": 0,
       },
       "unstable_includesBaseElement": false,
+      "unstable_itemCount": undefined,
       "unstable_moves": 0,
+      "unstable_pageSize": undefined,
+      "unstable_rowCount": undefined,
+      "unstable_typeahead": false,
       "unstable_virtual": false,
       "wrap": false,
     }
@@ -114,6 +114,33 @@ test("clicking on tab reveals the panel", () => {
   expect($("tabpanel3")).toBeVisible();
 });
 
+test("hidden panels are unmounted with unmountOnHide", () => {
+  const Test = () => {
+    const tab = useTabState();
+    return (
+      <>
+        <TabList {...tab} aria-label="tablist">
+          <Tab {...tab}>tab1</Tab>
+          <Tab {...tab}>tab2</Tab>
+        </TabList>
+        <TabPanel {...tab} unstable_unmountOnHide>
+          tabpanel1
+        </TabPanel>
+        <TabPanel {...tab} unstable_unmountOnHide>
+          tabpanel2
+        </TabPanel>
+      </>
+    );
+  };
+  const { getByText: $, queryByText } = render(<Test />);
+  expect($("tabpanel1")).toBeVisible();
+  expect(queryByText("tabpanel2")).not.toBeInTheDocument();
+  click($("tab2"));
+  expect(queryByText("tabpanel1")).not.toBeInTheDocument();
+  expect($("tabpanel2")).toBeVisible();
+  expect($("tabpanel2")).toHaveAttribute("aria-labelledby", $("tab2").id);
+});
+
 test("clicking on tab reveals the panel when manual is true", () => {
   const Test = () => {
     const tab = useTabState({ manual: true });
@@ -2,7 +2,6 @@ import * as React from "react";
 import { createComponent } from "reakit-system/createComponent";
 import { createHook } from "reakit-system/createHook";
 import { useForkRef } from "reakit-utils/useForkRef";
-import { useIsomorphicEffect } from "reakit-utils/useIsomorphicEffect";
 import { useLiveRef } from "reakit-utils/useLiveRef";
 import { warning } from "reakit-warning";
 import { hasFocusWithin } from "reakit-utils/hasFocusWithin";
@@ -129,31 +128,52 @@ export const useTabbable = createHook<TabbableOptions, TabbableHTMLProps>({
       ? { pointerEvents: "none" as const, ...htmlStyle }
       : htmlStyle;
 
-    useIsomorphicEffect(() => {
-      const tabbable = ref.current;
-      if (!tabbable) {
-        warning(
-          true,
-          "Can't determine if the element is a native tabbable element because `ref` wasn't passed to the component.",
-          "See https://reakit.io/docs/tabbable"
-        );
-        return;
-      }
-      if (!isNativeTabbable(tabbable)) {
-        setNativeTabbable(false);
-      }
-      if (!supportsDisabledAttribute(tabbable)) {
-        setSupportsDisabled(false);
-      }
+    const warnedRef = React.useRef(false);
+
+    // The element may not be in the DOM while the component is mounted (for
+    // example, hidden content that is unmounted), so a missing ref is only
+    // reported once the element receives events
+    const warnIfRefIsMissing = React.useCallback(() => {
+      if (ref.current || warnedRef.current) return;
+      warnedRef.current = true;
+      warning(
+        true,
+        "Can't determine if the element is a native tabbable element because `ref` wasn't passed to the component.",
+        "See https://reakit.io/docs/tabbable"
+      );
     }, []);
 
-    const onClickCapture = useDisableEvent(onClickCaptureRef, options.disabled);
+    // The element may be mounted later or replaced, so it's checked whenever
+    // it's attached
+    const checkRef = React.useCallback((element: HTMLElement | null) => {
+      if (!element) return;
+      setNativeTabbable(isNativeTabbable(element));
+      setSupportsDisabled(supportsDisabledAttribute(element));
+    }, []);
+
+    const disableClick = useDisableEvent(onClickCaptureRef, options.disabled);
 
-    const onMouseDownCapture = useDisableEvent(
+    const onClickCapture = React.useCallback(
+      (event: React.MouseEvent) => {
+        warnIfRefIsMissing();
+        disableClick(event);
+      },
+      [warnIfRefIsMissing, disableClick]
+    );
+
+    const disableMouseDown = useDisableEvent(
       onMouseDownCaptureRef,
       options.disabled
     );
 
+    const onMouseDownCapture = React.useCallback(
+      (event: React.MouseEvent) => {
+        warnIfRefIsMissing();
+        disableMouseDown(event);
+      },
+      [warnIfRefIsMissing, disableMouseDown]
+    );
+
     const onKeyPressCapture = useDisableEvent(
       onKeyPressCaptureRef,
       options.disabled
@@ -198,7 +218,7 @@ export const useTabbable = createHook<TabbableOptions, TabbableHTMLProps>({
     );
 
     return {
-      ref: useForkRef(ref, htmlRef),
+      ref: useForkRef(ref, useForkRef(checkRef, htmlRef)),
       style,
       tabIndex: getTabIndex(
         trulyDisabled,
@@ -0,0 +1,69 @@
+import * as React from "react";
+import * as ReactDOM from "react-dom";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { unstable_ToastStateReturn } from "./ToastState";
+import { ToastContainersContext } from "./__utils/ToastContainersContext";
+import { TOAST_KEYS } from "./__keys";
+
+export type unstable_ToastOptions = RoleOptions &
+  Pick<Partial<unstable_ToastStateReturn>, "toasts"> & {
+    /**
+     * The id of the toast in `toasts`. It's also used as the element `id`.
+     */
+    toastId?: string;
+  };
+
+export type unstable_ToastHTMLProps = RoleHTMLProps;
+
+export type unstable_ToastProps = unstable_ToastOptions &
+  unstable_ToastHTMLProps;
+
+export const unstable_useToast = createHook<
+  unstable_ToastOptions,
+  unstable_ToastHTMLProps
+>({
+  name: "Toast",
+  compose: useRole,
+  keys: TOAST_KEYS,
+
+  useOptions(options, { id }) {
+    return { toastId: id, ...options };
+  },
+
+  useProps(options, { wrapElement: htmlWrapElement, ...htmlProps }) {
+    const containers = React.useContext(ToastContainersContext);
+    const toast = options.toasts?.find((t) => t.id === options.toastId);
+    const container = containers[toast?.priority || "polite"];
+
+    const wrapElement = React.useCallback(
+      (element: React.ReactNode) => {
+        // Screen readers don't reliably announce live regions that are
+        // inserted along with their content, so the toast is inserted into a
+        // live region that ToastRegion keeps in the DOM instead
+        if (container) {
+          element = ReactDOM.createPortal(element, container);
+        }
+        if (htmlWrapElement) {
+          return htmlWrapElement(element);
+        }
+        return element;
+      },
+      [container, htmlWrapElement]
+    );
+
+    return {
+      id: options.toastId,
+      "aria-atomic": true,
+      wrapElement,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_Toast = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useToast,
+});
@@ -0,0 +1,244 @@
+import * as React from "react";
+import { useWarning } from "reakit-warning";
+import { createComponent } from "reakit-system/createComponent";
+import { useCreateElement } from "reakit-system/useCreateElement";
+import { createHook } from "reakit-system/createHook";
+import { useForkRef } from "reakit-utils/useForkRef";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { contains } from "reakit-utils/contains";
+import { ensureFocus } from "reakit-utils/ensureFocus";
+import { getActiveElement } from "reakit-utils/getActiveElement";
+import { getDocument } from "reakit-utils/getDocument";
+import { getFirstTabbableIn } from "reakit-utils/tabbable";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { Portal } from "../Portal/Portal";
+import { inertExemptAttribute } from "../Dialog/__utils/dialogStack";
+import { unstable_ToastStateReturn } from "./ToastState";
+import { ToastContainersContext } from "./__utils/ToastContainersContext";
+import { TOAST_REGION_KEYS } from "./__keys";
+
+export type unstable_ToastRegionOptions = RoleOptions &
+  Pick<Partial<unstable_ToastStateReturn>, "pause" | "resume"> & {
+    /**
+     * The key that moves focus into the region when pressed anywhere on the
+     * page. Pressing it again, or <kbd>Escape</kbd>, moves focus back to the
+     * element that had focus before. If it's `null`, no key moves focus into
+     * the region.
+     * @default "F6"
+     */
+    hotkey?: string | null;
+    /**
+     * Whether or not the region should be rendered within `Portal`.
+     */
+    unstable_portal?: boolean;
+  };
+
+export type unstable_ToastRegionHTMLProps = RoleHTMLProps;
+
+export type unstable_ToastRegionProps = unstable_ToastRegionOptions &
+  unstable_ToastRegionHTMLProps;
+
+export const unstable_useToastRegion = createHook<
+  unstable_ToastRegionOptions,
+  unstable_ToastRegionHTMLProps
+>({
+  name: "ToastRegion",
+  compose: useRole,
+  keys: TOAST_REGION_KEYS,
+
+  useOptions({ hotkey = "F6", unstable_portal = true, ...options }) {
+    return { hotkey, unstable_portal, ...options };
+  },
+
+  useProps(
+    options,
+    {
+      ref: htmlRef,
+      onMouseEnter: htmlOnMouseEnter,
+      onMouseLeave: htmlOnMouseLeave,
+      onFocus: htmlOnFocus,
+      onBlur: htmlOnBlur,
+      onKeyDown: htmlOnKeyDown,
+      wrapElement: htmlWrapElement,
+      children: htmlChildren,
+      ...htmlProps
+    }
+  ) {
+    const ref = React.useRef<HTMLElement>(null);
+    const [
+      politeContainer,
+      setPoliteContainer,
+    ] = React.useState<HTMLElement | null>(null);
+    const [
+      assertiveContainer,
+      setAssertiveContainer,
+    ] = React.useState<HTMLElement | null>(null);
+    const containers = React.useMemo(
+      () => ({ polite: politeContainer, assertive: assertiveContainer }),
+      [politeContainer, assertiveContainer]
+    );
+    const containersRef = useLiveRef(containers);
+    const onMouseEnterRef = useLiveRef(htmlOnMouseEnter);
+    const onMouseLeaveRef = useLiveRef(htmlOnMouseLeave);
+    const onFocusRef = useLiveRef(htmlOnFocus);
+    const onBlurRef = useLiveRef(htmlOnBlur);
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const hoveredRef = React.useRef(false);
+    const focusedRef = React.useRef(false);
+    // The element that had focus before the hotkey moved focus into the
+    // region
+    const returnFocusRef = React.useRef<HTMLElement | null>(null);
+
+    const updatePaused = React.useCallback(() => {
+      if (hoveredRef.current || focusedRef.current) {
+        options.pause?.();
+      } else {
+        options.resume?.();
+      }
+    }, [options.pause, options.resume]);
+
+    const returnFocus = React.useCallback(() => {
+      const element = returnFocusRef.current;
+      returnFocusRef.current = null;
+      if (element) {
+        ensureFocus(element);
+      }
+    }, []);
+
+    React.useEffect(() => {
+      if (!options.hotkey) return undefined;
+      // The region may be rendered within a portal, so it may not be in the
+      // DOM yet
+      const document = getDocument(ref.current);
+      const onKeyDown = (event: KeyboardEvent) => {
+        const region = ref.current;
+        if (!region || event.key !== options.hotkey) return;
+        if (event.defaultPrevented) return;
+        const { polite, assertive } = containersRef.current;
+        // There are no toasts to move focus to
+        if (!polite?.hasChildNodes() && !assertive?.hasChildNodes()) return;
+        const activeElement = getActiveElement(region) as HTMLElement | null;
+        event.preventDefault();
+        if (activeElement && contains(region, activeElement)) {
+          returnFocus();
+          return;
+        }
+        returnFocusRef.current = activeElement;
+        ensureFocus(getFirstTabbableIn(region) || region);
+      };
+      document.addEventListener("keydown", onKeyDown);
+      return () => {
+        document.removeEventListener("keydown", onKeyDown);
+      };
+    }, [options.hotkey, returnFocus]);
+
+    const onMouseEnter = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onMouseEnterRef.current?.(event);
+        if (event.defaultPrevented) return;
+        hoveredRef.current = true;
+        updatePaused();
+      },
+      [updatePaused]
+    );
+
+    const onMouseLeave = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onMouseLeaveRef.current?.(event);
+        if (event.defaultPrevented) return;
+        hoveredRef.current = false;
+        updatePaused();
+      },
+      [updatePaused]
+    );
+
+    const onFocus = React.useCallback(
+      (event: React.FocusEvent<HTMLElement>) => {
+        onFocusRef.current?.(event);
+        if (event.defaultPrevented) return;
+        focusedRef.current = true;
+        updatePaused();
+      },
+      [updatePaused]
+    );
+
+    const onBlur = React.useCallback(
+      (event: React.FocusEvent<HTMLElement>) => {
+        onBlurRef.current?.(event);
+        if (event.defaultPrevented) return;
+        const nextActiveElement = event.relatedTarget as Element | null;
+        if (
+          nextActiveElement &&
+          contains(event.currentTarget, nextActiveElement)
+        ) {
+          return;
+        }
+        focusedRef.current = false;
+        updatePaused();
+      },
+      [updatePaused]
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (event.key !== "Escape" || !returnFocusRef.current) return;
+        event.preventDefault();
+        returnFocus();
+      },
+      [returnFocus]
+    );
+
+    const wrapElement = React.useCallback(
+      (element: React.ReactNode) => {
+        if (options.unstable_portal) {
+          element = <Portal>{element}</Portal>;
+        }
+        if (htmlWrapElement) {
+          return htmlWrapElement(element);
+        }
+        return element;
+      },
+      [options.unstable_portal, htmlWrapElement]
+    );
+
+    return {
+      ref: useForkRef(ref, htmlRef),
+      role: "region",
+      tabIndex: -1,
+      // Toasts shown while a modal dialog is open must still be announced
+      // and reachable with the hotkey
+      [inertExemptAttribute]: true,
+      onMouseEnter,
+      onMouseLeave,
+      onFocus,
+      onBlur,
+      onKeyDown,
+      wrapElement,
+      // Toasts are rendered into these live regions, which stay in the DOM
+      // so screen readers announce the toasts added to them
+      children: (
+        <ToastContainersContext.Provider value={containers}>
+          {htmlChildren}
+          <div ref={setAssertiveContainer} role="alert" aria-live="assertive" />
+          <div ref={setPoliteContainer} role="status" aria-live="polite" />
+        </ToastContainersContext.Provider>
+      ),
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_ToastRegion = createComponent({
+  as: "div",
+  useHook: unstable_useToastRegion,
+  useCreateElement: (type, props, children) => {
+    useWarning(
+      !props["aria-label"] && !props["aria-labelledby"],
+      "You should provide either `aria-label` or `aria-labelledby` props.",
+      "See https://reakit.io/docs/toast"
+    );
+    return useCreateElement(type, props, children);
+  },
+});
@@ -0,0 +1,200 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import {
+  unstable_IdState,
+  unstable_IdActions,
+  unstable_IdInitialState,
+  unstable_useIdState,
+} from "../Id/IdState";
+
+export type unstable_ToastPriority = "polite" | "assertive";
+
+export type unstable_ToastItem = {
+  id: string;
+  content: React.ReactNode;
+  priority: unstable_ToastPriority;
+  timeout: number | null;
+};
+
+export type unstable_ToastState = unstable_IdState & {
+  /**
+   * The queue of toasts, including the ones that aren't visible yet.
+   * Assertive toasts are placed before polite ones.
+   */
+  toasts: unstable_ToastItem[];
+  /**
+   * The first `limit` toasts of the queue. Only visible toasts are
+   * dismissed automatically.
+   */
+  visibleToasts: unstable_ToastItem[];
+  /**
+   * The maximum number of visible toasts. The other ones wait in the queue
+   * until visible toasts are dismissed.
+   * @default 3
+   */
+  limit: number;
+  /**
+   * The default number of milliseconds after which visible toasts are
+   * dismissed. If it's `null`, toasts aren't dismissed automatically.
+   * @default 5000
+   */
+  timeout: number | null;
+  /**
+   * Whether the auto-dismiss timers are paused. `ToastRegion` pauses them
+   * while it's hovered or has focus.
+   */
+  paused: boolean;
+};
+
+export type unstable_ToastActions = unstable_IdActions & {
+  /**
+   * Adds a toast to the queue and returns its id. If there's already a toast
+   * with the same `id`, it's replaced.
+   * @example
+   * const toast = useToastState();
+   * toast.add("Saved");
+   * toast.add("Connection lost", { priority: "assertive", timeout: null });
+   */
+  add: (
+    content: React.ReactNode,
+    options?: Partial<Pick<unstable_ToastItem, "id" | "priority" | "timeout">>
+  ) => string;
+  /**
+   * Removes the toast with the given `id` from the queue.
+   */
+  dismiss: (id: string) => void;
+  /**
+   * Removes all the toasts from the queue.
+   */
+  clear: () => void;
+  /**
+   * Pauses the auto-dismiss timers.
+   */
+  pause: () => void;
+  /**
+   * Resumes the auto-dismiss timers from where they were paused.
+   */
+  resume: () => void;
+  /**
+   * Sets `limit`.
+   */
+  setLimit: React.Dispatch<React.SetStateAction<unstable_ToastState["limit"]>>;
+};
+
+export type unstable_ToastInitialState = unstable_IdInitialState &
+  Partial<Pick<unstable_ToastState, "limit" | "timeout">>;
+
+export type unstable_ToastStateReturn = unstable_ToastState &
+  unstable_ToastActions;
+
+function insertToast(toasts: unstable_ToastItem[], toast: unstable_ToastItem) {
+  if (toast.priority === "polite") {
+    return [...toasts, toast];
+  }
+  const index = toasts.findIndex((t) => t.priority === "polite");
+  if (index === -1) {
+    return [...toasts, toast];
+  }
+  return [...toasts.slice(0, index), toast, ...toasts.slice(index)];
+}
+
+export function unstable_useToastState(
+  initialState: SealedInitialState<unstable_ToastInitialState> = {}
+): unstable_ToastStateReturn {
+  const { limit: initialLimit = 3, timeout = 5000, ...sealed } = useSealedState(
+    initialState
+  );
+
+  const id = unstable_useIdState(sealed);
+  const [toasts, setToasts] = React.useState<unstable_ToastItem[]>([]);
+  const [limit, setLimit] = React.useState(initialLimit);
+  const [paused, setPaused] = React.useState(false);
+  // Time left before each visible toast is dismissed, so timers can resume
+  // from where they were paused.
+  const remainingRef = React.useRef<Record<string, number>>({});
+
+  const visibleToasts = React.useMemo(() => toasts.slice(0, limit), [
+    toasts,
+    limit,
+  ]);
+
+  const add = React.useCallback(
+    (
+      content: React.ReactNode,
+      options: Partial<
+        Pick<unstable_ToastItem, "id" | "priority" | "timeout">
+      > = {}
+    ) => {
+      id.unstable_idCountRef.current += 1;
+      const toast: unstable_ToastItem = {
+        id: options.id || `${id.baseId}-${id.unstable_idCountRef.current}`,
+        content,
+        priority: options.priority || "polite",
+        timeout: options.timeout !== undefined ? options.timeout : timeout,
+      };
+      setToasts((prevToasts) =>
+        insertToast(
+          prevToasts.filter((t) => t.id !== toast.id),
+          toast
+        )
+      );
+      return toast.id;
+    },
+    [id.baseId, id.unstable_idCountRef, timeout]
+  );
+
+  const dismiss = React.useCallback((toastId: string) => {
+    setToasts((prevToasts) => prevToasts.filter((t) => t.id !== toastId));
+  }, []);
+
+  const clear = React.useCallback(() => setToasts([]), []);
+
+  const pause = React.useCallback(() => setPaused(true), []);
+  const resume = React.useCallback(() => setPaused(false), []);
+
+  const timedToasts = visibleToasts.filter((toast) => toast.timeout != null);
+  const timedToastIds = timedToasts.map((toast) => toast.id).join(" ");
+
+  React.useEffect(() => {
+    if (paused) return undefined;
+    const cleanups = timedToasts.map((toast) => {
+      const remaining = remainingRef.current[toast.id] ?? toast.timeout ?? 0;
+      const start = Date.now();
+      const timer = setTimeout(() => dismiss(toast.id), remaining);
+      return () => {
+        clearTimeout(timer);
+        remainingRef.current[toast.id] = remaining - (Date.now() - start);
+      };
+    });
+    return () => {
+      cleanups.forEach((cleanup) => cleanup());
+    };
+  }, [paused, timedToastIds, dismiss]);
+
+  React.useEffect(() => {
+    // Forgets the time left of dismissed toasts
+    Object.keys(remainingRef.current).forEach((toastId) => {
+      if (!toasts.some((toast) => toast.id === toastId)) {
+        delete remainingRef.current[toastId];
+      }
+    });
+  }, [toasts]);
+
+  return {
+    ...id,
+    toasts,
+    visibleToasts,
+    limit,
+    timeout,
+    paused,
+    add,
+    dismiss,
+    clear,
+    pause,
+    resume,
+    setLimit,
+  };
+}
@@ -0,0 +1,125 @@
+import * as React from "react";
+import {
+  render,
+  click,
+  press,
+  hover,
+  focus,
+  act,
+  screen,
+} from "reakit-test-utils";
+import ToastQueue from "..";
+
+function getToasts() {
+  const region = screen.getByRole("region", { name: "Notifications" });
+  return Array.from(region.querySelectorAll("[aria-live] > *")).map(
+    (toast) => toast.firstChild?.textContent
+  );
+}
+
+beforeEach(() => {
+  jest.useFakeTimers("modern");
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("show at most two toasts", () => {
+  render(<ToastQueue />);
+  const add = screen.getByText("Add toast");
+  click(add);
+  click(add);
+  click(add);
+  expect(getToasts()).toEqual(["Message 1", "Message 2"]);
+  click(screen.getAllByText("Dismiss")[0]);
+  expect(getToasts()).toEqual(["Message 2", "Message 3"]);
+});
+
+test("assertive toasts go before polite ones", () => {
+  render(<ToastQueue />);
+  click(screen.getByText("Add toast"));
+  click(screen.getByText("Add error"));
+  expect(getToasts()).toEqual(["Connection lost", "Message 1"]);
+  expect(screen.getByRole("alert")).toHaveTextContent("Connection lost");
+  expect(screen.getByRole("status")).toHaveTextContent("Message 1");
+});
+
+test("add toasts into persistent live regions", () => {
+  render(<ToastQueue />);
+  const status = screen.getByRole("status");
+  const alert = screen.getByRole("alert");
+  expect(status).toBeEmptyDOMElement();
+  expect(alert).toBeEmptyDOMElement();
+  click(screen.getByText("Add toast"));
+  click(screen.getByText("Add error"));
+  expect(screen.getByRole("status")).toBe(status);
+  expect(screen.getByRole("alert")).toBe(alert);
+  expect(status).toHaveTextContent("Message 1");
+  expect(alert).toHaveTextContent("Connection lost");
+});
+
+test("dismiss toasts automatically", () => {
+  render(<ToastQueue />);
+  click(screen.getByText("Add toast"));
+  click(screen.getByText("Add error"));
+  act(() => {
+    jest.advanceTimersByTime(5000);
+  });
+  expect(getToasts()).toEqual(["Connection lost"]);
+});
+
+test("pause timers while hovering the region", () => {
+  render(<ToastQueue />);
+  click(screen.getByText("Add toast"));
+  act(() => {
+    jest.advanceTimersByTime(3000);
+  });
+  hover(screen.getByRole("status"));
+  act(() => {
+    jest.advanceTimersByTime(5000);
+  });
+  expect(getToasts()).toEqual(["Message 1"]);
+  hover(document.body);
+  act(() => {
+    jest.advanceTimersByTime(1999);
+  });
+  expect(getToasts()).toEqual(["Message 1"]);
+  act(() => {
+    jest.advanceTimersByTime(1);
+  });
+  expect(getToasts()).toEqual([]);
+});
+
+test("pause timers while the region has focus", () => {
+  render(<ToastQueue />);
+  click(screen.getByText("Add toast"));
+  focus(screen.getByText("Dismiss"));
+  act(() => {
+    jest.advanceTimersByTime(10000);
+  });
+  expect(getToasts()).toEqual(["Message 1"]);
+});
+
+test("move focus into the region with F6", () => {
+  render(<ToastQueue />);
+  const add = screen.getByText("Add toast");
+  click(add);
+  expect(add).toHaveFocus();
+  press("F6");
+  expect(screen.getByText("Dismiss")).toHaveFocus();
+  press("F6");
+  expect(add).toHaveFocus();
+  press("F6");
+  expect(screen.getByText("Dismiss")).toHaveFocus();
+  press.Escape();
+  expect(add).toHaveFocus();
+});
+
+test("do nothing on F6 when there are no toasts", () => {
+  render(<ToastQueue />);
+  const add = screen.getByText("Add toast");
+  focus(add);
+  press("F6");
+  expect(add).toHaveFocus();
+});
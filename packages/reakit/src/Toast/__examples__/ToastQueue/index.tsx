@@ -0,0 +1,35 @@
+import * as React from "react";
+import { Button } from "reakit/Button";
+import {
+  unstable_useToastState as useToastState,
+  unstable_ToastRegion as ToastRegion,
+  unstable_Toast as Toast,
+} from "reakit/Toast";
+import "./style.css";
+
+export default function ToastQueue() {
+  const toast = useToastState({ limit: 2 });
+  const count = React.useRef(0);
+  return (
+    <>
+      <Button onClick={() => toast.add(`Message ${++count.current}`)}>
+        Add toast
+      </Button>
+      <Button
+        onClick={() =>
+          toast.add("Connection lost", { priority: "assertive", timeout: null })
+        }
+      >
+        Add error
+      </Button>
+      <ToastRegion {...toast} aria-label="Notifications" className="toasts">
+        {toast.visibleToasts.map(({ id, content }) => (
+          <Toast {...toast} key={id} id={id} className="toast">
+            {content}
+            <Button onClick={() => toast.dismiss(id)}>Dismiss</Button>
+          </Toast>
+        ))}
+      </ToastRegion>
+    </>
+  );
+}
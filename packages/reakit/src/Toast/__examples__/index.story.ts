@@ -0,0 +1,8 @@
+import { unstable_ToastRegion as ToastRegion } from "../ToastRegion";
+
+export { default as ToastQueue } from "./ToastQueue";
+
+export default {
+  title: "Toast",
+  component: ToastRegion,
+};
@@ -0,0 +1,23 @@
+// Automatically generated
+const TOAST_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "toasts",
+  "visibleToasts",
+  "limit",
+  "timeout",
+  "paused",
+  "setBaseId",
+  "add",
+  "dismiss",
+  "clear",
+  "pause",
+  "resume",
+  "setLimit",
+] as const;
+export const TOAST_KEYS = [...TOAST_STATE_KEYS, "toastId"] as const;
+export const TOAST_REGION_KEYS = [
+  ...TOAST_STATE_KEYS,
+  "hotkey",
+  "unstable_portal",
+] as const;
@@ -0,0 +1,58 @@
+import * as React from "react";
+import { render } from "reakit-test-utils";
+import { unstable_ToastRegion as ToastRegion } from "../ToastRegion";
+
+test("render", () => {
+  const { baseElement } = render(<ToastRegion aria-label="Notifications" />);
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div />
+      <div
+        class="__reakit-portal"
+      >
+        <div
+          aria-label="Notifications"
+          data-inert-exempt="true"
+          role="region"
+          tabindex="-1"
+        >
+          <div
+            aria-live="assertive"
+            role="alert"
+          />
+          <div
+            aria-live="polite"
+            role="status"
+          />
+        </div>
+      </div>
+    </body>
+  `);
+});
+
+test("render without portal", () => {
+  const { baseElement } = render(
+    <ToastRegion aria-label="Notifications" unstable_portal={false} />
+  );
+  expect(baseElement).toMatchInlineSnapshot(`
+    <body>
+      <div>
+        <div
+          aria-label="Notifications"
+          data-inert-exempt="true"
+          role="region"
+          tabindex="-1"
+        >
+          <div
+            aria-live="assertive"
+            role="alert"
+          />
+          <div
+            aria-live="polite"
+            role="status"
+          />
+        </div>
+      </div>
+    </body>
+  `);
+});
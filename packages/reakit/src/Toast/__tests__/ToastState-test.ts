@@ -0,0 +1,135 @@
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useToastState as useToastState,
+  unstable_ToastInitialState as ToastInitialState,
+} from "../ToastState";
+
+function render(initialState: ToastInitialState = {}) {
+  return renderHook(() => useToastState({ baseId: "base", ...initialState }))
+    .result;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers("modern");
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    baseId: "base",
+    toasts: [],
+    visibleToasts: [],
+    limit: 3,
+    timeout: 5000,
+    paused: false,
+  });
+});
+
+test("add", () => {
+  const result = render();
+  let id = "";
+  act(() => {
+    id = result.current.add("a");
+  });
+  expect(id).toBe("base-1");
+  expect(result.current.toasts).toEqual([
+    { id: "base-1", content: "a", priority: "polite", timeout: 5000 },
+  ]);
+});
+
+test("add with the same id replaces the toast", () => {
+  const result = render();
+  act(() => {
+    result.current.add("a", { id: "a" });
+    result.current.add("b");
+    result.current.add("c", { id: "a", timeout: null });
+  });
+  expect(result.current.toasts).toEqual([
+    { id: "base-2", content: "b", priority: "polite", timeout: 5000 },
+    { id: "a", content: "c", priority: "polite", timeout: null },
+  ]);
+});
+
+test("add assertive toasts after other assertive toasts", () => {
+  const result = render();
+  act(() => {
+    result.current.add("a");
+    result.current.add("b", { priority: "assertive" });
+    result.current.add("c", { priority: "assertive" });
+  });
+  expect(result.current.toasts.map((toast) => toast.content)).toEqual([
+    "b",
+    "c",
+    "a",
+  ]);
+});
+
+test("visibleToasts", () => {
+  const result = render({ limit: 1 });
+  act(() => {
+    result.current.add("a");
+    result.current.add("b");
+  });
+  expect(result.current.visibleToasts.map((toast) => toast.content)).toEqual([
+    "a",
+  ]);
+  act(() => result.current.setLimit(2));
+  expect(result.current.visibleToasts).toHaveLength(2);
+});
+
+test("dismiss and clear", () => {
+  const result = render();
+  act(() => {
+    result.current.add("a", { id: "a" });
+    result.current.add("b", { id: "b" });
+  });
+  act(() => result.current.dismiss("a"));
+  expect(result.current.toasts.map((toast) => toast.id)).toEqual(["b"]);
+  act(() => result.current.clear());
+  expect(result.current.toasts).toEqual([]);
+});
+
+test("dismiss visible toasts after timeout", () => {
+  const result = render({ limit: 1, timeout: 1000 });
+  act(() => {
+    result.current.add("a");
+    result.current.add("b");
+  });
+  act(() => {
+    jest.advanceTimersByTime(1000);
+  });
+  expect(result.current.toasts.map((toast) => toast.content)).toEqual(["b"]);
+  act(() => {
+    jest.advanceTimersByTime(1000);
+  });
+  expect(result.current.toasts).toEqual([]);
+});
+
+test("resume timers from where they were paused", () => {
+  const result = render({ timeout: 1000 });
+  act(() => {
+    result.current.add("a");
+  });
+  act(() => {
+    jest.advanceTimersByTime(600);
+  });
+  act(() => result.current.pause());
+  expect(result.current.paused).toBe(true);
+  act(() => {
+    jest.advanceTimersByTime(1000);
+  });
+  expect(result.current.toasts).toHaveLength(1);
+  act(() => result.current.resume());
+  act(() => {
+    jest.advanceTimersByTime(399);
+  });
+  expect(result.current.toasts).toHaveLength(1);
+  act(() => {
+    jest.advanceTimersByTime(1);
+  });
+  expect(result.current.toasts).toEqual([]);
+});
@@ -0,0 +1,14 @@
+import * as React from "react";
+import { unstable_ToastPriority } from "../ToastState";
+
+// The persistent live regions rendered by ToastRegion, which toasts are
+// rendered into depending on their priority
+export type ToastContainers = Record<
+  unstable_ToastPriority,
+  HTMLElement | null
+>;
+
+export const ToastContainersContext = React.createContext<ToastContainers>({
+  polite: null,
+  assertive: null,
+});
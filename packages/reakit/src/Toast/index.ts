@@ -0,0 +1,3 @@
+export * from "./Toast";
+export * from "./ToastRegion";
+export * from "./ToastState";
@@ -8,6 +8,7 @@ import {
   CompositeActions,
   CompositeInitialState,
 } from "../Composite/CompositeState";
+import { getControlledState } from "../__utils/useControlledState";
 
 export type ToolbarState = CompositeState;
 
@@ -20,8 +21,13 @@ export type ToolbarStateReturn = ToolbarState & ToolbarActions;
 export function useToolbarState(
   initialState: SealedInitialState<ToolbarInitialState> = {}
 ): ToolbarStateReturn {
-  const { orientation = "horizontal", ...sealed } = useSealedState(
-    initialState
-  );
-  return useCompositeState({ orientation, ...sealed });
+  const sealedState = useSealedState(initialState);
+  const { orientation = "horizontal", ...sealed } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+  return useCompositeState({
+    orientation,
+    ...sealed,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
 }
@@ -2,6 +2,7 @@ import * as React from "react";
 import { createComponent } from "reakit-system/createComponent";
 import { createHook } from "reakit-system/createHook";
 import { useForkRef } from "reakit-utils/useForkRef";
+import { useLiveRef } from "reakit-utils/useLiveRef";
 import { getDocument } from "reakit-utils/getDocument";
 import {
   DisclosureContentOptions,
@@ -9,6 +10,7 @@ import {
   useDisclosureContent,
 } from "../Disclosure/DisclosureContent";
 import { Portal } from "../Portal/Portal";
+import { useHoverIntent } from "../__utils/useHoverIntent";
 import { TooltipStateReturn } from "./TooltipState";
 import { TOOLTIP_KEYS } from "./__keys";
 import globalState from "./__globalState";
@@ -16,7 +18,12 @@ import globalState from "./__globalState";
 export type TooltipOptions = DisclosureContentOptions &
   Pick<
     Partial<TooltipStateReturn>,
-    "unstable_popoverRef" | "unstable_popoverStyles"
+    | "unstable_popoverRef"
+    | "unstable_referenceRef"
+    | "unstable_popoverStyles"
+    | "unstable_hoverable"
+    | "show"
+    | "hide"
   > & {
     /**
      * Whether or not the tooltip should be rendered within `Portal`.
@@ -50,14 +57,53 @@ export const useTooltip = createHook<TooltipOptions, TooltipHTMLProps>({
       ref: htmlRef,
       style: htmlStyle,
       wrapElement: htmlWrapElement,
+      onMouseEnter: htmlOnMouseEnter,
+      onMouseLeave: htmlOnMouseLeave,
       ...htmlProps
     }
   ) {
+    const onMouseEnterRef = useLiveRef(htmlOnMouseEnter);
+    const onMouseLeaveRef = useLiveRef(htmlOnMouseLeave);
+    const getReference = React.useCallback(
+      () => options.unstable_referenceRef?.current,
+      [options.unstable_referenceRef]
+    );
+    const hoverIntent = useHoverIntent({
+      visible: options.visible,
+      show: options.show,
+      hide: options.hide,
+      hoverable: options.unstable_hoverable,
+      getTarget: getReference,
+    });
+
     React.useEffect(() => {
       const document = getDocument(options.unstable_popoverRef?.current);
       document.addEventListener("keydown", globallyHideTooltipOnEscape);
+      return () => {
+        document.removeEventListener("keydown", globallyHideTooltipOnEscape);
+      };
     }, []);
 
+    const onMouseEnter = React.useCallback(
+      (event: React.MouseEvent<HTMLDivElement, MouseEvent>) => {
+        onMouseEnterRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (!options.unstable_hoverable) return;
+        hoverIntent.onMouseEnter();
+      },
+      [options.unstable_hoverable, hoverIntent.onMouseEnter]
+    );
+
+    const onMouseLeave = React.useCallback(
+      (event: React.MouseEvent<HTMLDivElement, MouseEvent>) => {
+        onMouseLeaveRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (!options.unstable_hoverable) return;
+        hoverIntent.onMouseLeave(event);
+      },
+      [options.unstable_hoverable, hoverIntent.onMouseLeave]
+    );
+
     const wrapElement = React.useCallback(
       (element: React.ReactNode) => {
         if (options.unstable_portal) {
@@ -76,9 +122,13 @@ export const useTooltip = createHook<TooltipOptions, TooltipHTMLProps>({
       role: "tooltip",
       style: {
         ...options.unstable_popoverStyles,
-        pointerEvents: "none",
+        // Hoverable tooltips must receive pointer events so they stay
+        // visible while the pointer is over them
+        pointerEvents: options.unstable_hoverable ? undefined : "none",
         ...htmlStyle,
       },
+      onMouseEnter,
+      onMouseLeave,
       wrapElement,
       ...htmlProps,
     };
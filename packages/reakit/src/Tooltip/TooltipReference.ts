@@ -4,11 +4,19 @@ import { createHook } from "reakit-system/createHook";
 import { useForkRef } from "reakit-utils/useForkRef";
 import { useLiveRef } from "reakit-utils/useLiveRef";
 import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { useHoverIntent } from "../__utils/useHoverIntent";
 import { TooltipStateReturn } from "./TooltipState";
 import { TOOLTIP_REFERENCE_KEYS } from "./__keys";
 
 export type TooltipReferenceOptions = RoleOptions &
-  Pick<Partial<TooltipStateReturn>, "unstable_referenceRef" | "baseId"> &
+  Pick<
+    Partial<TooltipStateReturn>,
+    | "unstable_referenceRef"
+    | "unstable_popoverRef"
+    | "baseId"
+    | "visible"
+    | "unstable_hoverable"
+  > &
   Pick<TooltipStateReturn, "show" | "hide">;
 
 export type TooltipReferenceHTMLProps = RoleHTMLProps;
@@ -39,6 +47,17 @@ export const useTooltipReference = createHook<
     const onBlurRef = useLiveRef(htmlOnBlur);
     const onMouseEnterRef = useLiveRef(htmlOnMouseEnter);
     const onMouseLeaveRef = useLiveRef(htmlOnMouseLeave);
+    const getPopover = React.useCallback(
+      () => options.unstable_popoverRef?.current,
+      [options.unstable_popoverRef]
+    );
+    const hoverIntent = useHoverIntent({
+      visible: options.visible,
+      show: options.show,
+      hide: options.hide,
+      hoverable: options.unstable_hoverable,
+      getTarget: getPopover,
+    });
 
     const onFocus = React.useCallback(
       (event: React.FocusEvent) => {
@@ -62,18 +81,18 @@ export const useTooltipReference = createHook<
       (event: React.MouseEvent) => {
         onMouseEnterRef.current?.(event);
         if (event.defaultPrevented) return;
-        options.show?.();
+        hoverIntent.onMouseEnter();
       },
-      [options.show]
+      [hoverIntent.onMouseEnter]
     );
 
     const onMouseLeave = React.useCallback(
       (event: React.MouseEvent) => {
         onMouseLeaveRef.current?.(event);
         if (event.defaultPrevented) return;
-        options.hide?.();
+        hoverIntent.onMouseLeave(event);
       },
-      [options.hide]
+      [hoverIntent.onMouseLeave]
     );
 
     return {
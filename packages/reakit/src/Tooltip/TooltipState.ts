@@ -10,26 +10,47 @@ import {
   usePopoverState,
   PopoverStateReturn,
 } from "../Popover/PopoverState";
+import { getControlledState } from "../__utils/useControlledState";
 import globalState from "./__globalState";
 
 export type TooltipState = Omit<PopoverState, "modal"> & {
   /**
-   * @private
+   * The number of milliseconds `show` waits before showing the tooltip.
+   * Tooltips are shown immediately if another tooltip has been visible
+   * within this time.
    */
   unstable_timeout: number;
+  /**
+   * The number of milliseconds `hide` waits before hiding the tooltip.
+   */
+  unstable_hideTimeout: number;
+  /**
+   * Whether the tooltip stays visible while the pointer moves from
+   * `TooltipReference` onto `Tooltip` and while it's over `Tooltip`.
+   */
+  unstable_hoverable: boolean;
 };
 
 export type TooltipActions = Omit<PopoverActions, "setModal"> & {
   /**
-   * @private
+   * Sets `unstable_timeout`.
    */
   unstable_setTimeout: React.Dispatch<
     React.SetStateAction<TooltipState["unstable_timeout"]>
   >;
+  /**
+   * Sets `unstable_hideTimeout`.
+   */
+  unstable_setHideTimeout: React.Dispatch<
+    React.SetStateAction<TooltipState["unstable_hideTimeout"]>
+  >;
 };
 
 export type TooltipInitialState = Omit<PopoverInitialState, "modal"> &
-  Pick<Partial<TooltipState>, "unstable_timeout">;
+  Pick<
+    Partial<TooltipState>,
+    "unstable_timeout" | "unstable_hideTimeout" | "unstable_hoverable"
+  >;
 
 export type TooltipStateReturn = Omit<
   PopoverStateReturn,
@@ -41,18 +62,27 @@ export type TooltipStateReturn = Omit<
 export function useTooltipState(
   initialState: SealedInitialState<TooltipInitialState> = {}
 ): TooltipStateReturn {
+  const sealedState = useSealedState(initialState);
   const {
     placement = "top",
     unstable_timeout: initialTimeout = 0,
+    unstable_hideTimeout: initialHideTimeout = 0,
+    unstable_hoverable: hoverable = false,
     ...sealed
-  } = useSealedState(initialState);
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
   const [timeout, setTimeout] = React.useState(initialTimeout);
+  const [hideTimeoutDuration, setHideTimeoutDuration] = React.useState(
+    initialHideTimeout
+  );
   const showTimeout = React.useRef<number | null>(null);
   const hideTimeout = React.useRef<number | null>(null);
 
   const { modal, setModal, ...popover } = usePopoverState({
     ...sealed,
     placement,
+    visible: controlled.visible,
+    setVisible: controlled.setVisible,
   });
 
   const clearTimeouts = React.useCallback(() => {
@@ -66,13 +96,26 @@ export function useTooltipState(
 
   const hide = React.useCallback(() => {
     clearTimeouts();
-    popover.hide();
-    // Let's give some time so people can move from a reference to another
-    // and still show tooltips immediately
-    hideTimeout.current = window.setTimeout(() => {
-      globalState.hide(popover.baseId);
-    }, timeout);
-  }, [clearTimeouts, popover.hide, timeout, popover.baseId]);
+    const hideNow = () => {
+      popover.hide();
+      // Let's give some time so people can move from a reference to another
+      // and still show tooltips immediately
+      hideTimeout.current = window.setTimeout(() => {
+        globalState.hide(popover.baseId);
+      }, timeout);
+    };
+    if (hideTimeoutDuration) {
+      hideTimeout.current = window.setTimeout(hideNow, hideTimeoutDuration);
+    } else {
+      hideNow();
+    }
+  }, [
+    clearTimeouts,
+    popover.hide,
+    timeout,
+    hideTimeoutDuration,
+    popover.baseId,
+  ]);
 
   const show = React.useCallback(() => {
     clearTimeouts();
@@ -118,6 +161,9 @@ export function useTooltipState(
     hide,
     show,
     unstable_timeout: timeout,
+    unstable_hideTimeout: hideTimeoutDuration,
+    unstable_hoverable: hoverable,
     unstable_setTimeout: setTimeout,
+    unstable_setHideTimeout: setHideTimeoutDuration,
   };
 }
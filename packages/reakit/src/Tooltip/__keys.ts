@@ -5,6 +5,7 @@ const TOOLTIP_STATE_KEYS = [
   "visible",
   "animated",
   "animating",
+  "unstable_phase",
   "setBaseId",
   "show",
   "hide",
@@ -14,6 +15,7 @@ const TOOLTIP_STATE_KEYS = [
   "stopAnimation",
   "unstable_disclosureRef",
   "unstable_referenceRef",
+  "unstable_virtualReference",
   "unstable_popoverRef",
   "unstable_arrowRef",
   "unstable_popoverStyles",
@@ -22,8 +24,12 @@ const TOOLTIP_STATE_KEYS = [
   "unstable_update",
   "placement",
   "place",
+  "unstable_setVirtualReference",
   "unstable_timeout",
+  "unstable_hideTimeout",
+  "unstable_hoverable",
   "unstable_setTimeout",
+  "unstable_setHideTimeout",
 ] as const;
 export const TOOLTIP_KEYS = [...TOOLTIP_STATE_KEYS, "unstable_portal"] as const;
 export const TOOLTIP_ARROW_KEYS = TOOLTIP_STATE_KEYS;
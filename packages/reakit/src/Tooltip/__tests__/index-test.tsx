@@ -1,7 +1,19 @@
 import * as React from "react";
-import { act, render, hover, focus } from "reakit-test-utils";
+import { act, render, hover, focus, press, fireEvent } from "reakit-test-utils";
 import { Tooltip, TooltipReference, useTooltipState } from "..";
 
+function mockRect(
+  element: Element,
+  rect: { left: number; top: number; right: number; bottom: number }
+) {
+  element.getBoundingClientRect = () =>
+    ({
+      ...rect,
+      width: rect.right - rect.left,
+      height: rect.bottom - rect.top,
+    } as DOMRect);
+}
+
 function advanceTimersByTime(ms: number) {
   act(() => {
     jest.advanceTimersByTime(ms);
@@ -116,3 +128,118 @@ test("show tooltip immediately if there is another one visible", () => {
   expect(text("tooltip1")).toBeVisible();
   expect(text("tooltip2")).not.toBeVisible();
 });
+
+test("hide tooltip with a timeout", () => {
+  const Test = () => {
+    const tooltip = useTooltipState({ unstable_hideTimeout: 200 });
+    return (
+      <>
+        <TooltipReference {...tooltip}>reference</TooltipReference>
+        <Tooltip {...tooltip}>tooltip</Tooltip>
+      </>
+    );
+  };
+  const { baseElement, getByText: text } = render(<Test />);
+  jest.useFakeTimers();
+  hover(text("reference"));
+  expect(text("tooltip")).toBeVisible();
+  hover(baseElement);
+  advanceTimersByTime(199);
+  expect(text("tooltip")).toBeVisible();
+  hover(text("reference"));
+  advanceTimersByTime(200);
+  expect(text("tooltip")).toBeVisible();
+  hover(baseElement);
+  advanceTimersByTime(200);
+  expect(text("tooltip")).not.toBeVisible();
+  jest.useRealTimers();
+});
+
+test("keep hoverable tooltip visible while the pointer moves onto it", () => {
+  const Test = () => {
+    const tooltip = useTooltipState({ unstable_hoverable: true });
+    return (
+      <>
+        <TooltipReference {...tooltip}>reference</TooltipReference>
+        <Tooltip {...tooltip}>tooltip</Tooltip>
+      </>
+    );
+  };
+  const { baseElement, getByText: text } = render(<Test />);
+  const reference = text("reference");
+  const tooltip = text("tooltip");
+  mockRect(reference, { left: 0, top: 100, right: 100, bottom: 120 });
+  mockRect(tooltip, { left: 0, top: 0, right: 100, bottom: 90 });
+  expect(tooltip).not.toHaveStyle("pointer-events: none");
+  hover(reference, { clientX: 50, clientY: 110 });
+  expect(tooltip).toBeVisible();
+  // Moves through the gap between the reference and the tooltip
+  hover(baseElement, { clientX: 50, clientY: 99 });
+  fireEvent.mouseMove(baseElement, { clientX: 40, clientY: 94 });
+  expect(tooltip).toBeVisible();
+  hover(tooltip, { clientX: 40, clientY: 50 });
+  expect(tooltip).toBeVisible();
+  hover(baseElement, { clientX: 150, clientY: 50 });
+  fireEvent.mouseMove(baseElement, { clientX: 160, clientY: 50 });
+  expect(tooltip).not.toBeVisible();
+});
+
+test("hide hoverable tooltip when the pointer moves away from it", () => {
+  const Test = () => {
+    const tooltip = useTooltipState({ unstable_hoverable: true });
+    return (
+      <>
+        <TooltipReference {...tooltip}>reference</TooltipReference>
+        <Tooltip {...tooltip}>tooltip</Tooltip>
+      </>
+    );
+  };
+  const { baseElement, getByText: text } = render(<Test />);
+  const reference = text("reference");
+  const tooltip = text("tooltip");
+  mockRect(reference, { left: 0, top: 100, right: 100, bottom: 120 });
+  mockRect(tooltip, { left: 0, top: 0, right: 100, bottom: 90 });
+  hover(reference, { clientX: 50, clientY: 110 });
+  expect(tooltip).toBeVisible();
+  hover(baseElement, { clientX: 50, clientY: 121 });
+  fireEvent.mouseMove(baseElement, { clientX: 50, clientY: 130 });
+  expect(tooltip).not.toBeVisible();
+});
+
+test("hide tooltip on escape without moving focus", () => {
+  const Test = () => {
+    const tooltip = useTooltipState({ unstable_hideTimeout: 200 });
+    return (
+      <>
+        <TooltipReference {...tooltip}>reference</TooltipReference>
+        <Tooltip {...tooltip}>tooltip</Tooltip>
+      </>
+    );
+  };
+  const { getByText: text } = render(<Test />);
+  focus(text("reference"));
+  expect(text("tooltip")).toBeVisible();
+  press.Escape();
+  expect(text("tooltip")).not.toBeVisible();
+  expect(text("reference")).toHaveFocus();
+});
+
+test("unmount tooltip on hide", () => {
+  const Test = () => {
+    const tooltip = useTooltipState();
+    return (
+      <>
+        <TooltipReference {...tooltip}>reference</TooltipReference>
+        <Tooltip {...tooltip} unstable_unmountOnHide>
+          tooltip
+        </Tooltip>
+      </>
+    );
+  };
+  const { getByText: text, queryByText } = render(<Test />);
+  expect(queryByText("tooltip")).not.toBeInTheDocument();
+  focus(text("reference"));
+  expect(text("tooltip")).toBeVisible();
+  press.Escape();
+  expect(queryByText("tooltip")).not.toBeInTheDocument();
+});
@@ -0,0 +1,48 @@
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useWarning } from "reakit-warning";
+import { useCreateElement } from "reakit-system/useCreateElement";
+import {
+  CompositeOptions,
+  CompositeHTMLProps,
+  useComposite,
+} from "../Composite/Composite";
+import { unstable_TreeStateReturn } from "./TreeState";
+import { TREE_KEYS } from "./__keys";
+
+export const unstable_useTree = createHook<
+  unstable_TreeOptions,
+  unstable_TreeHTMLProps
+>({
+  name: "Tree",
+  compose: useComposite,
+  keys: TREE_KEYS,
+
+  useProps(options, htmlProps) {
+    return {
+      role: "tree",
+      "aria-multiselectable": options.multiple || undefined,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_Tree = createComponent({
+  as: "div",
+  useHook: unstable_useTree,
+  useCreateElement: (type, props, children) => {
+    useWarning(
+      !props["aria-label"] && !props["aria-labelledby"],
+      "You should provide either `aria-label` or `aria-labelledby` props.",
+      "See https://reakit.io/docs/tree"
+    );
+    return useCreateElement(type, props, children);
+  },
+});
+
+export type unstable_TreeOptions = CompositeOptions &
+  Pick<Partial<unstable_TreeStateReturn>, "multiple">;
+
+export type unstable_TreeHTMLProps = CompositeHTMLProps;
+
+export type unstable_TreeProps = unstable_TreeOptions & unstable_TreeHTMLProps;
@@ -0,0 +1,45 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { RoleOptions, RoleHTMLProps, useRole } from "../Role/Role";
+import { TreeItemContext } from "./__utils/TreeItemContext";
+import { TREE_GROUP_KEYS } from "./__keys";
+
+export const unstable_useTreeGroup = createHook<
+  unstable_TreeGroupOptions,
+  unstable_TreeGroupHTMLProps
+>({
+  name: "TreeGroup",
+  compose: useRole,
+  keys: TREE_GROUP_KEYS,
+
+  useProps(_, htmlProps) {
+    const item = React.useContext(TreeItemContext);
+    const setHasGroup = item?.setHasGroup;
+
+    // Lets the parent item know it's expandable
+    React.useEffect(() => {
+      if (!setHasGroup) return undefined;
+      setHasGroup(true);
+      return () => setHasGroup(false);
+    }, [setHasGroup]);
+
+    return {
+      role: "group",
+      hidden: !!item && !item.expanded,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_TreeGroup = createComponent({
+  as: "div",
+  useHook: unstable_useTreeGroup,
+});
+
+export type unstable_TreeGroupOptions = RoleOptions;
+
+export type unstable_TreeGroupHTMLProps = RoleHTMLProps;
+
+export type unstable_TreeGroupProps = unstable_TreeGroupOptions &
+  unstable_TreeGroupHTMLProps;
@@ -0,0 +1,197 @@
+import * as React from "react";
+import { createComponent } from "reakit-system/createComponent";
+import { createHook } from "reakit-system/createHook";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { closest } from "reakit-utils/closest";
+import {
+  CompositeItemOptions,
+  CompositeItemHTMLProps,
+  useCompositeItem,
+} from "../Composite/CompositeItem";
+import { unstable_TreeStateReturn } from "./TreeState";
+import {
+  TreeItemContext,
+  TreeItemContextType,
+  isHiddenByParent,
+} from "./__utils/TreeItemContext";
+import { Item } from "./__utils/types";
+import { TREE_ITEM_KEYS } from "./__keys";
+
+// Tree items are nested, so events dispatched on child items bubble up to
+// their ancestors.
+function isOwnEvent(event: React.SyntheticEvent<HTMLElement>) {
+  const target = event.target as Element;
+  return closest(target, "[role='treeitem']") === event.currentTarget;
+}
+
+export const unstable_useTreeItem = createHook<
+  unstable_TreeItemOptions,
+  unstable_TreeItemHTMLProps
+>({
+  name: "TreeItem",
+  compose: useCompositeItem,
+  keys: TREE_ITEM_KEYS,
+
+  useOptions(options) {
+    const parent = React.useContext(TreeItemContext);
+    const parentId = parent?.id;
+    const hidden = isHiddenByParent(parent);
+
+    // Items inside collapsed groups are registered as disabled so keyboard
+    // navigation skips them.
+    const registerItem = React.useCallback(
+      (item: Item) =>
+        options.registerItem({
+          ...item,
+          parentId,
+          disabled: item.disabled || hidden,
+        }),
+      [options.registerItem, parentId, hidden]
+    );
+
+    return { ...options, registerItem };
+  },
+
+  useProps(
+    options,
+    {
+      onClick: htmlOnClick,
+      onKeyDown: htmlOnKeyDown,
+      wrapElement: htmlWrapElement,
+      ...htmlProps
+    }
+  ) {
+    const parent = React.useContext(TreeItemContext);
+    const [hasGroup, setHasGroup] = React.useState(false);
+    const onClickRef = useLiveRef(htmlOnClick);
+    const onKeyDownRef = useLiveRef(htmlOnKeyDown);
+    const { id } = options;
+    const level = (parent?.level || 0) + 1;
+    const hidden = isHiddenByParent(parent);
+    const expandable = options.expandable ?? hasGroup;
+    const expanded = !!id && !!options.expandedIds?.includes(id);
+    const selected = !!id && !!options.selectedIds?.includes(id);
+
+    const onClick = React.useCallback(
+      (event: React.MouseEvent<HTMLElement, MouseEvent>) => {
+        onClickRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (!id || !isOwnEvent(event)) return;
+        options.select?.(id);
+        if (expandable) {
+          options.toggleExpanded?.(id);
+        }
+      },
+      [id, options.select, expandable, options.toggleExpanded]
+    );
+
+    const onKeyDown = React.useCallback(
+      (event: React.KeyboardEvent<HTMLElement>) => {
+        onKeyDownRef.current?.(event);
+        if (event.defaultPrevented) return;
+        if (!id) return;
+        const keyMap = {
+          ArrowRight: () => {
+            if (!expandable) return;
+            if (expanded) {
+              options.next();
+            } else {
+              options.expand?.(id);
+            }
+          },
+          ArrowLeft: () => {
+            if (expandable && expanded) {
+              options.collapse?.(id);
+            } else if (parent?.id) {
+              options.move?.(parent.id);
+            }
+          },
+          "*": () => {
+            (options.items as Item[]).forEach((item) => {
+              if (item.id && item.parentId === parent?.id) {
+                options.expand?.(item.id);
+              }
+            });
+          },
+        };
+        const action = keyMap[event.key as keyof typeof keyMap];
+        if (action) {
+          event.preventDefault();
+          action();
+        }
+      },
+      [
+        id,
+        expandable,
+        expanded,
+        options.next,
+        options.expand,
+        options.collapse,
+        options.move,
+        options.items,
+        parent?.id,
+      ]
+    );
+
+    const providerValue = React.useMemo<TreeItemContextType>(
+      () => ({ id, level, expanded, hidden, setHasGroup }),
+      [id, level, expanded, hidden]
+    );
+
+    const wrapElement = React.useCallback(
+      (element: React.ReactNode) => {
+        element = (
+          <TreeItemContext.Provider value={providerValue}>
+            {element}
+          </TreeItemContext.Provider>
+        );
+        if (htmlWrapElement) {
+          return htmlWrapElement(element);
+        }
+        return element;
+      },
+      [providerValue, htmlWrapElement]
+    );
+
+    return {
+      role: "treeitem",
+      "aria-level": level,
+      "aria-expanded": expandable ? expanded : undefined,
+      "aria-selected": options.selectedIds ? selected : undefined,
+      onClick,
+      onKeyDown,
+      wrapElement,
+      ...htmlProps,
+    };
+  },
+});
+
+export const unstable_TreeItem = createComponent({
+  as: "div",
+  memo: true,
+  useHook: unstable_useTreeItem,
+});
+
+export type unstable_TreeItemOptions = CompositeItemOptions &
+  Pick<
+    Partial<unstable_TreeStateReturn>,
+    | "expandedIds"
+    | "selectedIds"
+    | "expand"
+    | "collapse"
+    | "toggleExpanded"
+    | "select"
+  > &
+  Pick<unstable_TreeStateReturn, "items" | "registerItem" | "next" | "move"> & {
+    /**
+     * Whether the item has child items. By default, it's `true` when a
+     * `TreeGroup` is rendered inside the item. Set it explicitly if child
+     * items are only rendered when the item is expanded.
+     */
+    expandable?: boolean;
+  };
+
+export type unstable_TreeItemHTMLProps = CompositeItemHTMLProps;
+
+export type unstable_TreeItemProps = unstable_TreeItemOptions &
+  unstable_TreeItemHTMLProps;
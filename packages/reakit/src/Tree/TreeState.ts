@@ -0,0 +1,221 @@
+import * as React from "react";
+import {
+  SealedInitialState,
+  useSealedState,
+} from "reakit-utils/useSealedState";
+import { SetState } from "reakit-utils/types";
+import {
+  useCompositeState,
+  CompositeState,
+  CompositeActions,
+  CompositeInitialState,
+} from "../Composite/CompositeState";
+import {
+  getControlledState,
+  useControlledState,
+} from "../__utils/useControlledState";
+import { Item } from "./__utils/types";
+
+function toggleId(ids: string[], id: string) {
+  if (ids.includes(id)) {
+    return ids.filter((i) => i !== id);
+  }
+  return [...ids, id];
+}
+
+function isDescendant(
+  items: Item[],
+  id: string | null | undefined,
+  ancestorId: string
+) {
+  let item = items.find((i) => i.id === id);
+  while (item?.parentId) {
+    if (item.parentId === ancestorId) return true;
+    const { parentId } = item;
+    item = items.find((i) => i.id === parentId);
+  }
+  return false;
+}
+
+export function unstable_useTreeState(
+  initialState: SealedInitialState<unstable_TreeInitialState> = {}
+): unstable_TreeStateReturn {
+  const sealedState = useSealedState(initialState);
+  const {
+    orientation = "vertical",
+    unstable_typeahead = true,
+    expandedIds: initialExpandedIds = [],
+    multiple = false,
+    selectedIds: initialSelectedIds = [],
+    ...sealed
+  } = sealedState;
+  const controlled = getControlledState(initialState, sealedState);
+
+  const composite = useCompositeState({
+    orientation,
+    unstable_typeahead,
+    ...sealed,
+    unstable_getItemLabel: controlled.unstable_getItemLabel,
+    currentId: controlled.currentId,
+    setCurrentId: controlled.setCurrentId,
+  });
+
+  const [expandedIds, setExpandedIds] = useControlledState(
+    initialExpandedIds,
+    controlled.expandedIds ?? initialExpandedIds,
+    controlled.setExpandedIds,
+    "expandedIds"
+  );
+
+  const [selectedIds, setSelectedIds] = useControlledState(
+    initialSelectedIds,
+    controlled.selectedIds ?? initialSelectedIds,
+    controlled.setSelectedIds,
+    "selectedIds"
+  );
+
+  const items = composite.items as Item[];
+  const { currentId, setCurrentId } = composite;
+
+  const expand = React.useCallback(
+    (id: string) => {
+      setExpandedIds((prevExpandedIds) =>
+        prevExpandedIds.includes(id)
+          ? prevExpandedIds
+          : [...prevExpandedIds, id]
+      );
+    },
+    [setExpandedIds]
+  );
+
+  const collapse = React.useCallback(
+    (id: string) => {
+      setExpandedIds((prevExpandedIds) =>
+        prevExpandedIds.filter((expandedId) => expandedId !== id)
+      );
+      // The current item is going to be hidden, so the collapsed item
+      // becomes the current one.
+      if (isDescendant(items, currentId, id)) {
+        setCurrentId(id);
+      }
+    },
+    [setExpandedIds, items, currentId, setCurrentId]
+  );
+
+  const toggleExpanded = React.useCallback(
+    (id: string) => {
+      if (expandedIds.includes(id)) {
+        collapse(id);
+      } else {
+        expand(id);
+      }
+    },
+    [expandedIds, collapse, expand]
+  );
+
+  const select = React.useCallback(
+    (id: string) => {
+      setSelectedIds((prevSelectedIds) =>
+        multiple ? toggleId(prevSelectedIds, id) : [id]
+      );
+    },
+    [multiple, setSelectedIds]
+  );
+
+  return {
+    ...composite,
+    items,
+    expandedIds,
+    multiple,
+    selectedIds,
+    setExpandedIds,
+    expand,
+    collapse,
+    toggleExpanded,
+    setSelectedIds,
+    select,
+  };
+}
+
+export type unstable_TreeState = Omit<CompositeState, "items"> & {
+  /**
+   * Lists all the tree items with their `id`, DOM `ref`, `disabled` state
+   * and `parentId` if any. Items inside collapsed groups are registered as
+   * disabled so they're skipped by keyboard navigation.
+   */
+  items: Item[];
+  /**
+   * Ids of the expanded tree items.
+   * @default []
+   * @example
+   * const tree = useTreeState({ expandedIds: ["src"] });
+   */
+  expandedIds: string[];
+  /**
+   * Whether multiple tree items can be selected.
+   * @default false
+   */
+  multiple: boolean;
+  /**
+   * Ids of the selected tree items. If `multiple` is `false`, it has at most
+   * one id.
+   * @default []
+   */
+  selectedIds: string[];
+};
+
+export type unstable_TreeActions = Omit<CompositeActions, "registerItem"> & {
+  /**
+   * Registers a tree item.
+   */
+  registerItem: (item: Item) => void;
+  /**
+   * Sets `expandedIds`.
+   */
+  setExpandedIds: SetState<unstable_TreeState["expandedIds"]>;
+  /**
+   * Expands the tree item with the given `id`.
+   */
+  expand: (id: string) => void;
+  /**
+   * Collapses the tree item with the given `id`. If the current item is
+   * inside it, the collapsed item becomes the current item.
+   */
+  collapse: (id: string) => void;
+  /**
+   * Expands or collapses the tree item with the given `id`.
+   */
+  toggleExpanded: (id: string) => void;
+  /**
+   * Sets `selectedIds`.
+   */
+  setSelectedIds: SetState<unstable_TreeState["selectedIds"]>;
+  /**
+   * Selects the tree item with the given `id`. If `multiple` is `true`, it
+   * toggles the id in `selectedIds` instead.
+   */
+  select: (id: string) => void;
+};
+
+export type unstable_TreeInitialState = CompositeInitialState &
+  Pick<
+    Partial<unstable_TreeState>,
+    "expandedIds" | "multiple" | "selectedIds"
+  > & {
+    /**
+     * Makes `expandedIds` controlled. When passed, `expandedIds` is read on
+     * every render instead of only on the first one, and this function is
+     * called with the next value whenever a tree item would be expanded or
+     * collapsed.
+     */
+    setExpandedIds?: (expandedIds: string[]) => void;
+    /**
+     * Makes `selectedIds` controlled. When passed, `selectedIds` is read on
+     * every render instead of only on the first one, and this function is
+     * called with the next value whenever the selection would change.
+     */
+    setSelectedIds?: (selectedIds: string[]) => void;
+  };
+
+export type unstable_TreeStateReturn = unstable_TreeState &
+  unstable_TreeActions;
@@ -0,0 +1,99 @@
+import * as React from "react";
+import { render, press, click, act, screen } from "reakit-test-utils";
+import TreeFileExplorer from "..";
+
+function getItem(name: string) {
+  return document.getElementById(name) as HTMLElement;
+}
+
+test("render tree items with levels", () => {
+  render(<TreeFileExplorer />);
+  expect(screen.getByRole("tree", { name: "Files" })).toBeInTheDocument();
+  expect(getItem("src")).toHaveAttribute("aria-level", "1");
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "false");
+  expect(getItem("components")).toHaveAttribute("aria-level", "2");
+  expect(getItem("Button.tsx")).toHaveAttribute("aria-level", "3");
+  expect(getItem("package.json")).not.toHaveAttribute("aria-expanded");
+  expect(getItem("components")).not.toBeVisible();
+});
+
+test("expand and collapse with arrow keys", () => {
+  render(<TreeFileExplorer />);
+  press.Tab();
+  expect(getItem("src")).toHaveFocus();
+  press.ArrowDown();
+  // Collapsed items are skipped
+  expect(getItem("docs")).toHaveFocus();
+  press.ArrowUp();
+  press.ArrowRight();
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "true");
+  expect(getItem("components")).toBeVisible();
+  expect(getItem("src")).toHaveFocus();
+  press.ArrowRight();
+  expect(getItem("components")).toHaveFocus();
+  press.ArrowRight();
+  press.ArrowRight();
+  expect(getItem("Button.tsx")).toHaveFocus();
+  press.ArrowRight();
+  expect(getItem("Button.tsx")).toHaveFocus();
+  press.ArrowLeft();
+  expect(getItem("components")).toHaveFocus();
+  press.ArrowLeft();
+  expect(getItem("components")).toHaveAttribute("aria-expanded", "false");
+  expect(getItem("components")).toHaveFocus();
+  press.ArrowLeft();
+  expect(getItem("src")).toHaveFocus();
+  press.ArrowLeft();
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "false");
+  press.End();
+  expect(getItem("package.json")).toHaveFocus();
+  press.Home();
+  expect(getItem("src")).toHaveFocus();
+});
+
+test("expand all siblings with asterisk", () => {
+  render(<TreeFileExplorer />);
+  press.Tab();
+  press("*");
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "true");
+  expect(getItem("docs")).toHaveAttribute("aria-expanded", "true");
+  expect(getItem("components")).toHaveAttribute("aria-expanded", "false");
+});
+
+test("toggle and select by clicking", () => {
+  render(<TreeFileExplorer />);
+  click(screen.getByText("src"));
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "true");
+  expect(getItem("src")).toHaveAttribute("aria-selected", "true");
+  click(screen.getByText("index.ts"));
+  expect(getItem("index.ts")).toHaveAttribute("aria-selected", "true");
+  expect(getItem("src")).toHaveAttribute("aria-selected", "false");
+  // Clicking on a child item doesn't collapse its parent
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "true");
+  click(screen.getByText("src"));
+  expect(getItem("src")).toHaveAttribute("aria-expanded", "false");
+});
+
+test("select with Enter", () => {
+  render(<TreeFileExplorer />);
+  press.Tab();
+  press.End();
+  press.Enter();
+  expect(getItem("package.json")).toHaveAttribute("aria-selected", "true");
+});
+
+test("typeahead", () => {
+  render(<TreeFileExplorer />);
+  press.Tab();
+  jest.useFakeTimers();
+  press("p");
+  expect(getItem("package.json")).toHaveFocus();
+  act(() => {
+    jest.runAllTimers(); // clear letters
+  });
+  press.Home();
+  press.ArrowRight();
+  press("i");
+  expect(getItem("index.ts")).toHaveFocus();
+  jest.useRealTimers();
+});
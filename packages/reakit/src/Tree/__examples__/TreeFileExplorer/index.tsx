@@ -0,0 +1,47 @@
+import * as React from "react";
+import {
+  unstable_useTreeState as useTreeState,
+  unstable_Tree as Tree,
+  unstable_TreeItem as TreeItem,
+  unstable_TreeGroup as TreeGroup,
+} from "reakit/Tree";
+
+type Node = { name: string; children?: Node[] };
+
+const files: Node[] = [
+  {
+    name: "src",
+    children: [
+      {
+        name: "components",
+        children: [{ name: "Button.tsx" }, { name: "Dialog.tsx" }],
+      },
+      { name: "index.ts" },
+    ],
+  },
+  {
+    name: "docs",
+    children: [{ name: "README.md" }],
+  },
+  { name: "package.json" },
+];
+
+function renderNodes(tree: ReturnType<typeof useTreeState>, nodes: Node[]) {
+  return nodes.map((node) => (
+    <TreeItem {...tree} key={node.name} id={node.name}>
+      <span>{node.name}</span>
+      {node.children && (
+        <TreeGroup {...tree}>{renderNodes(tree, node.children)}</TreeGroup>
+      )}
+    </TreeItem>
+  ));
+}
+
+export default function TreeFileExplorer() {
+  const tree = useTreeState();
+  return (
+    <Tree {...tree} aria-label="Files">
+      {renderNodes(tree, files)}
+    </Tree>
+  );
+}
@@ -0,0 +1,27 @@
+import * as React from "react";
+import { render, press, screen } from "reakit-test-utils";
+import TreeMultiSelect from "..";
+
+function getItem(name: string) {
+  return document.getElementById(name) as HTMLElement;
+}
+
+test("select multiple items using aria-activedescendant", () => {
+  render(<TreeMultiSelect />);
+  const tree = screen.getByRole("tree", { name: "Food" });
+  expect(tree).toHaveAttribute("aria-multiselectable", "true");
+  press.Tab();
+  expect(tree).toHaveFocus();
+  expect(tree).toHaveAttribute("aria-activedescendant", "fruits");
+  press.ArrowDown();
+  expect(tree).toHaveAttribute("aria-activedescendant", "apple");
+  press.Space();
+  press.ArrowDown();
+  press.Space();
+  expect(getItem("apple")).toHaveAttribute("aria-selected", "true");
+  expect(getItem("banana")).toHaveAttribute("aria-selected", "true");
+  press.Space();
+  expect(getItem("banana")).toHaveAttribute("aria-selected", "false");
+  press.ArrowLeft();
+  expect(tree).toHaveAttribute("aria-activedescendant", "fruits");
+});
@@ -0,0 +1,38 @@
+import * as React from "react";
+import {
+  unstable_useTreeState as useTreeState,
+  unstable_Tree as Tree,
+  unstable_TreeItem as TreeItem,
+  unstable_TreeGroup as TreeGroup,
+} from "reakit/Tree";
+
+export default function TreeMultiSelect() {
+  const tree = useTreeState({
+    multiple: true,
+    unstable_virtual: true,
+    expandedIds: ["fruits"],
+  });
+  return (
+    <Tree {...tree} aria-label="Food">
+      <TreeItem {...tree} id="fruits">
+        Fruits
+        <TreeGroup {...tree}>
+          <TreeItem {...tree} id="apple">
+            Apple
+          </TreeItem>
+          <TreeItem {...tree} id="banana">
+            Banana
+          </TreeItem>
+        </TreeGroup>
+      </TreeItem>
+      <TreeItem {...tree} id="vegetables">
+        Vegetables
+        <TreeGroup {...tree}>
+          <TreeItem {...tree} id="carrot">
+            Carrot
+          </TreeItem>
+        </TreeGroup>
+      </TreeItem>
+    </Tree>
+  );
+}
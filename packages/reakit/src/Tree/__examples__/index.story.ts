@@ -0,0 +1,9 @@
+import { unstable_Tree as Tree } from "../Tree";
+
+export { default as TreeFileExplorer } from "./TreeFileExplorer";
+export { default as TreeMultiSelect } from "./TreeMultiSelect";
+
+export default {
+  title: "Tree",
+  component: Tree,
+};
@@ -0,0 +1,60 @@
+// Automatically generated
+const TREE_STATE_KEYS = [
+  "baseId",
+  "unstable_idCountRef",
+  "unstable_virtual",
+  "rtl",
+  "orientation",
+  "groups",
+  "currentId",
+  "loop",
+  "wrap",
+  "shift",
+  "unstable_moves",
+  "unstable_itemCount",
+  "unstable_getItemId",
+  "unstable_rowCount",
+  "unstable_typeahead",
+  "unstable_getItemLabel",
+  "unstable_pageSize",
+  "unstable_hasActiveWidget",
+  "unstable_includesBaseElement",
+  "items",
+  "expandedIds",
+  "multiple",
+  "selectedIds",
+  "setBaseId",
+  "unregisterItem",
+  "registerGroup",
+  "unregisterGroup",
+  "move",
+  "next",
+  "previous",
+  "up",
+  "down",
+  "first",
+  "last",
+  "pageUp",
+  "pageDown",
+  "sort",
+  "unstable_setVirtual",
+  "setRTL",
+  "setOrientation",
+  "setCurrentId",
+  "setLoop",
+  "setWrap",
+  "setShift",
+  "reset",
+  "unstable_setIncludesBaseElement",
+  "unstable_setHasActiveWidget",
+  "registerItem",
+  "setExpandedIds",
+  "expand",
+  "collapse",
+  "toggleExpanded",
+  "setSelectedIds",
+  "select",
+] as const;
+export const TREE_KEYS = TREE_STATE_KEYS;
+export const TREE_GROUP_KEYS = TREE_KEYS;
+export const TREE_ITEM_KEYS = [...TREE_GROUP_KEYS, "expandable"] as const;
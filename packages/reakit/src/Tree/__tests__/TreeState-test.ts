@@ -0,0 +1,79 @@
+import * as React from "react";
+import { renderHook, act } from "reakit-test-utils/hooks";
+import {
+  unstable_useTreeState as useTreeState,
+  unstable_TreeInitialState as TreeInitialState,
+} from "../TreeState";
+
+function render(initialState: TreeInitialState = {}) {
+  return renderHook(() => useTreeState({ baseId: "base", ...initialState }))
+    .result;
+}
+
+function createRef() {
+  const ref = React.createRef() as React.MutableRefObject<HTMLElement>;
+  ref.current = document.createElement("div");
+  return ref;
+}
+
+test("initial state", () => {
+  const result = render();
+  expect(result.current).toMatchObject({
+    orientation: "vertical",
+    expandedIds: [],
+    multiple: false,
+    selectedIds: [],
+  });
+});
+
+test("expand, collapse and toggleExpanded", () => {
+  const result = render();
+  act(() => result.current.expand("a"));
+  act(() => result.current.expand("a"));
+  expect(result.current.expandedIds).toEqual(["a"]);
+  act(() => result.current.toggleExpanded("b"));
+  expect(result.current.expandedIds).toEqual(["a", "b"]);
+  act(() => result.current.collapse("a"));
+  expect(result.current.expandedIds).toEqual(["b"]);
+  act(() => result.current.toggleExpanded("b"));
+  expect(result.current.expandedIds).toEqual([]);
+});
+
+test("collapse moves current item to the collapsed item", () => {
+  const result = render({ expandedIds: ["a"], currentId: "a-1" });
+  act(() => result.current.registerItem({ id: "a", ref: createRef() }));
+  act(() =>
+    result.current.registerItem({ id: "a-1", ref: createRef(), parentId: "a" })
+  );
+  act(() => result.current.collapse("a"));
+  expect(result.current.currentId).toBe("a");
+});
+
+test("select", () => {
+  const result = render();
+  act(() => result.current.select("a"));
+  act(() => result.current.select("b"));
+  expect(result.current.selectedIds).toEqual(["b"]);
+});
+
+test("select with multiple", () => {
+  const result = render({ multiple: true });
+  act(() => result.current.select("a"));
+  act(() => result.current.select("b"));
+  expect(result.current.selectedIds).toEqual(["a", "b"]);
+  act(() => result.current.select("a"));
+  expect(result.current.selectedIds).toEqual(["b"]);
+});
+
+test("controlled expandedIds", () => {
+  const setExpandedIds = jest.fn();
+  const { result, rerender } = renderHook(
+    ({ expandedIds }) => useTreeState({ expandedIds, setExpandedIds }),
+    { initialProps: { expandedIds: ["a"] } }
+  );
+  act(() => result.current.expand("b"));
+  expect(setExpandedIds).toHaveBeenCalledWith(["a", "b"]);
+  expect(result.current.expandedIds).toEqual(["a"]);
+  rerender({ expandedIds: ["b"] });
+  expect(result.current.expandedIds).toEqual(["b"]);
+});
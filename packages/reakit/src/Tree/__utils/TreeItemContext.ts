@@ -0,0 +1,18 @@
+import * as React from "react";
+
+export type TreeItemContextType = {
+  id?: string;
+  level: number;
+  expanded: boolean;
+  hidden: boolean;
+  setHasGroup: (hasGroup: boolean) => void;
+};
+
+export const TreeItemContext = React.createContext<TreeItemContextType | null>(
+  null
+);
+
+// An item is hidden if its parent item is collapsed or hidden itself.
+export function isHiddenByParent(parent: TreeItemContextType | null) {
+  return !!parent && (parent.hidden || !parent.expanded);
+}
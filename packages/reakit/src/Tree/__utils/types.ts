@@ -0,0 +1,5 @@
+import { Item as CompositeItem } from "../../Composite/__utils/types";
+
+export type Item = CompositeItem & {
+  parentId?: string;
+};
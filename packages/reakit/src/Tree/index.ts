@@ -0,0 +1,4 @@
+export * from "./Tree";
+export * from "./TreeGroup";
+export * from "./TreeItem";
+export * from "./TreeState";
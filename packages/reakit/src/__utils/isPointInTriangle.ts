@@ -0,0 +1,18 @@
+export type Point = { x: number; y: number };
+
+function getTriangleArea(a: Point, b: Point, c: Point) {
+  return Math.abs(
+    (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y)) / 2
+  );
+}
+
+/**
+ * Checks whether `point` is within the triangle formed by `a`, `b` and `c`.
+ */
+export function isPointInTriangle(point: Point, a: Point, b: Point, c: Point) {
+  const A = getTriangleArea(a, b, c);
+  const A1 = getTriangleArea(point, b, c);
+  const A2 = getTriangleArea(a, point, c);
+  const A3 = getTriangleArea(a, b, point);
+  return A === A1 + A2 + A3;
+}
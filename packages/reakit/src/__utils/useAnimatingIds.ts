@@ -0,0 +1,68 @@
+import * as React from "react";
+import { useIsomorphicEffect } from "reakit-utils/useIsomorphicEffect";
+import { warning } from "reakit-warning";
+
+function useLastValue<T>(value: T) {
+  const lastValue = React.useRef<T | null>(null);
+  useIsomorphicEffect(() => {
+    lastValue.current = value;
+  }, [value]);
+  return lastValue;
+}
+
+/**
+ * Returns the ids that are animating. When `value` changes and `animated` is
+ * truthy, the ids returned by `getToggledIds` start animating. They wait for
+ * `setAnimatingIds` to remove them or, if `animated` is a number, for the
+ * same number of milliseconds to pass. In development, a warning is logged
+ * if they're still animating after 8 seconds.
+ */
+export function useAnimatingIds<T>(
+  animated: boolean | number,
+  value: T,
+  getToggledIds: (prevValue: T, nextValue: T) => string[]
+): [string[], React.Dispatch<React.SetStateAction<string[]>>] {
+  const [animatingIds, setAnimatingIds] = React.useState<string[]>([]);
+  const lastValue = useLastValue(value);
+
+  if (animated && lastValue.current != null && lastValue.current !== value) {
+    const startedIds = getToggledIds(lastValue.current, value).filter(
+      (id) => animatingIds.indexOf(id) === -1
+    );
+    if (startedIds.length) {
+      // Starts animating the ids that are toggled
+      setAnimatingIds([...animatingIds, ...startedIds]);
+    }
+  }
+
+  React.useEffect(() => {
+    if (!animated || !animatingIds.length) {
+      return undefined;
+    }
+    const ids = animatingIds;
+    if (typeof animated === "number") {
+      const timeout = setTimeout(() => {
+        setAnimatingIds((prevIds) =>
+          prevIds.filter((id) => ids.indexOf(id) === -1)
+        );
+      }, animated);
+      return () => {
+        clearTimeout(timeout);
+      };
+    }
+    if (process.env.NODE_ENV === "development") {
+      const timeout = setTimeout(() => {
+        warning(
+          true,
+          "It's been 8 seconds but stopAnimation has not been called. Does the disclosure element have a CSS transition?"
+        );
+      }, 8000);
+      return () => {
+        clearTimeout(timeout);
+      };
+    }
+    return undefined;
+  }, [animated, animatingIds]);
+
+  return [animatingIds, setAnimatingIds];
+}
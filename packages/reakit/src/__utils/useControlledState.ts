@@ -0,0 +1,90 @@
+import * as React from "react";
+import { SealedInitialState } from "reakit-utils/useSealedState";
+import { applyState } from "reakit-utils/applyState";
+import { useLiveRef } from "reakit-utils/useLiveRef";
+import { warning } from "reakit-warning";
+
+function getSetterName(name: string) {
+  return `set${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+const warnedStates = new WeakSet<object>();
+
+/**
+ * Returns the object passed to a state hook so controlled props can be read
+ * on every render. Lazy initial states are only read on the first render,
+ * so the sealed state is returned instead and a warning is logged once if it
+ * has a setter, since its controlled values would never be updated.
+ */
+export function getControlledState<T extends object>(
+  initialState: SealedInitialState<T>,
+  sealed: T
+): T {
+  if (typeof initialState !== "function") return initialState;
+  if (!warnedStates.has(sealed)) {
+    warnedStates.add(sealed);
+    const setters = Object.keys(sealed)
+      .filter(
+        (key) =>
+          /^set[A-Z]/.test(key) &&
+          typeof (sealed as Record<string, unknown>)[key] === "function"
+      )
+      .map((key) => `\`${key}\``);
+    warning(
+      setters.length > 0,
+      `A state hook received ${setters.join(", ")} in a lazy initial state.`,
+      "Lazy initial states are only read on the first render, so the controlled values would never be updated. Pass the initial state as an object instead."
+    );
+  }
+  return sealed;
+}
+
+/**
+ * Warns when a state hook switches between controlled and uncontrolled
+ * `name` across renders.
+ */
+export function useControlledWarning(controlled: boolean, name: string) {
+  const wasControlled = React.useRef(controlled);
+
+  React.useEffect(() => {
+    warning(
+      wasControlled.current !== controlled,
+      `A state hook is changing \`${name}\` from ${
+        controlled ? "uncontrolled to controlled" : "controlled to uncontrolled"
+      }. Decide between passing \`${getSetterName(
+        name
+      )}\` or not for the lifetime of the component.`
+    );
+    wasControlled.current = controlled;
+  }, [controlled]);
+}
+
+/**
+ * Works like `React.useState`, but if `setValue` is passed, the state becomes
+ * controlled: `value` is returned as is and updates are delegated to
+ * `setValue` instead.
+ */
+export function useControlledState<T>(
+  initialValue: T,
+  value: T,
+  setValue: ((value: T) => void) | undefined,
+  name: string
+): [T, React.Dispatch<React.SetStateAction<T>>] {
+  const [state, setState] = React.useState(initialValue);
+  const controlled = setValue !== undefined;
+  const currentValue = controlled ? value : state;
+  const valueRef = useLiveRef(currentValue);
+  const setValueRef = useLiveRef(setValue);
+
+  useControlledWarning(controlled, name);
+
+  const update = React.useCallback((action: React.SetStateAction<T>) => {
+    if (setValueRef.current) {
+      setValueRef.current(applyState(action, valueRef.current));
+    } else {
+      setState(action);
+    }
+  }, []);
+
+  return [currentValue, update];
+}
@@ -0,0 +1,156 @@
+import * as React from "react";
+import { getDocument } from "reakit-utils/getDocument";
+import { Point, isPointInTriangle } from "./isPointInTriangle";
+
+type HoverIntentOptions = {
+  /**
+   * Whether the popup is visible.
+   */
+  visible?: boolean;
+  /**
+   * Shows the popup. It's also called when the pointer enters the element so
+   * pending hide timeouts can be cancelled.
+   */
+  show?: () => void;
+  /**
+   * Hides the popup.
+   */
+  hide?: () => void;
+  /**
+   * Whether the pointer can move from the element to `getTarget()` without
+   * hiding the popup.
+   */
+  hoverable?: boolean;
+  /**
+   * Returns the element the pointer may be moving to. That's the popup when
+   * hovering the reference element, and vice versa.
+   */
+  getTarget: () => Element | null | undefined;
+};
+
+function getRect(target: Element) {
+  const rect = target.getBoundingClientRect();
+  // Rounding outwards keeps the safe area integer, so isPointInTriangle
+  // doesn't suffer from floating point errors
+  return {
+    left: Math.floor(rect.left),
+    top: Math.floor(rect.top),
+    right: Math.ceil(rect.right),
+    bottom: Math.ceil(rect.bottom),
+  };
+}
+
+function isPointInRect(point: Point, rect: ReturnType<typeof getRect>) {
+  return (
+    point.x >= rect.left &&
+    point.x <= rect.right &&
+    point.y >= rect.top &&
+    point.y <= rect.bottom
+  );
+}
+
+/**
+ * Checks whether `point` is within the convex hull of `leavePoint` and
+ * `rect`, that is, the area the pointer crosses when moving towards `rect`.
+ */
+function isPointInSafeArea(
+  point: Point,
+  leavePoint: Point,
+  rect: ReturnType<typeof getRect>
+) {
+  const corners = [
+    { x: rect.left, y: rect.top },
+    { x: rect.right, y: rect.top },
+    { x: rect.right, y: rect.bottom },
+    { x: rect.left, y: rect.bottom },
+  ];
+  return corners.some((corner, i) =>
+    isPointInTriangle(point, leavePoint, corner, corners[(i + 1) % 4])
+  );
+}
+
+/**
+ * Returns `onMouseEnter` and `onMouseLeave` handlers that show and hide a
+ * popup on hover. This is used by both the reference element and the popup
+ * itself.
+ *
+ * When `hoverable` is `true`, leaving the element doesn't hide the popup
+ * right away. The pointer is tracked instead, and `hide` is only called when
+ * it moves out of the area between the element and `getTarget()`. This lets
+ * users move the pointer onto the popup, for example, to select its text.
+ *
+ * `isMovingToTarget` checks the same area from the point where the pointer
+ * entered the element. Menu items use it to keep focus while the pointer
+ * crosses them on its way to an open submenu.
+ */
+export function useHoverIntent(options: HoverIntentOptions) {
+  const { visible, show, hide, hoverable, getTarget } = options;
+  const stopTrackingRef = React.useRef<(() => void) | null>(null);
+  const enterPointRef = React.useRef<Point | null>(null);
+
+  const stopTracking = React.useCallback(() => {
+    stopTrackingRef.current?.();
+    stopTrackingRef.current = null;
+  }, []);
+
+  React.useEffect(() => stopTracking, [stopTracking]);
+
+  React.useEffect(() => {
+    if (!visible) {
+      stopTracking();
+    }
+  }, [visible, stopTracking]);
+
+  const onMouseEnter = React.useCallback(
+    (event?: React.MouseEvent) => {
+      stopTracking();
+      enterPointRef.current = event
+        ? { x: event.clientX, y: event.clientY }
+        : null;
+      show?.();
+    },
+    [stopTracking, show]
+  );
+
+  const onMouseLeave = React.useCallback(
+    (event: React.MouseEvent) => {
+      stopTracking();
+      const target = getTarget();
+      if (!hoverable || !visible || !target) {
+        hide?.();
+        return;
+      }
+      const leavePoint = { x: event.clientX, y: event.clientY };
+      const document = getDocument(target);
+      const onMouseMove = (moveEvent: MouseEvent) => {
+        const point = { x: moveEvent.clientX, y: moveEvent.clientY };
+        const rect = getRect(target);
+        if (isPointInRect(point, rect)) {
+          // The target element handles the pointer from now on
+          stopTracking();
+          return;
+        }
+        if (isPointInSafeArea(point, leavePoint, rect)) return;
+        stopTracking();
+        hide?.();
+      };
+      document.addEventListener("mousemove", onMouseMove);
+      stopTrackingRef.current = () => {
+        document.removeEventListener("mousemove", onMouseMove);
+      };
+    },
+    [stopTracking, getTarget, hoverable, visible, hide]
+  );
+
+  const isMovingToTarget = React.useCallback(
+    (event: React.MouseEvent) => {
+      const target = getTarget();
+      if (!target || !enterPointRef.current) return false;
+      const point = { x: event.clientX, y: event.clientY };
+      return isPointInSafeArea(point, enterPointRef.current, getRect(target));
+    },
+    [getTarget]
+  );
+
+  return { onMouseEnter, onMouseLeave, isMovingToTarget };
+}
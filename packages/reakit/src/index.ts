@@ -1,3 +1,4 @@
+export * from "./Accordion";
 export * from "./Box";
 export * from "./Button";
 export * from "./Checkbox";
@@ -6,9 +7,11 @@ export * from "./Combobox";
 export * from "./Composite";
 export * from "./Dialog";
 export * from "./Disclosure";
+export * from "./Drawer";
 export * from "./Form";
 export * from "./Grid";
 export * from "./Group";
+export * from "./HoverCard";
 export * from "./Id";
 export * from "./Input";
 export * from "./Menu";
@@ -17,10 +20,14 @@ export * from "./Portal";
 export * from "./Radio";
 export * from "./Role";
 export * from "./Rover";
+export * from "./Select";
 export * from "./Separator";
+export * from "./Slider";
 export * from "./Tab";
 export * from "./Tabbable";
+export * from "./Toast";
 export * from "./Toolbar";
 export * from "./Tooltip";
+export * from "./Tree";
 export * from "./VisuallyHidden";
 export * from "./Provider";